@@ -0,0 +1,102 @@
+/**
+ * Offline evaluation of the model routers against a labelled dataset.
+ *
+ * Usage:
+ *   node scripts/evaluate-router.js <dataset.jsonl> [--stub-model NAME] [--stub-latency MS] [--json]
+ *   node scripts/evaluate-router.js scripts/router-eval.sample.jsonl
+ *
+ * Replays every case through the LLM router (EnhancedRouterService, with its
+ * LLM replaced by an in-process stub answering each case's `routerReply`) and
+ * the heuristic router (routerAgent.routeQuery), then prints accuracy, cost
+ * and latency per router and per picked model. See src/utils/routerEvaluation.js
+ * for the dataset format. Nothing is sent to a provider or written to the database.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// The router modules load the Supabase admin client on require; it is never called here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'evaluation';
+
+const { EnhancedRouterService } = require('../src/services/enhancedRouterService.js');
+const routerAgent = require('../src/services/routerAgent.js');
+const { getTokenPrice } = require('../src/config/pricing.js');
+const { parseDataset, createStubRegistry, evaluate, summarize, formatReport } = require('../src/utils/routerEvaluation.js');
+
+// Per-query routing logs would drown the report
+for (const logger of [require('../src/utils/logger'), require('../src/config/logger.js')]) logger.silent = true;
+
+function parseArgs(argv) {
+  const args = { dataset: null, stubModel: null, stubLatency: 0, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--stub-model') args.stubModel = argv[++i];
+    else if (arg === '--stub-latency') args.stubLatency = parseInt(argv[++i], 10) || 0;
+    else if (!arg.startsWith('--')) args.dataset = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!args.dataset) throw new Error('Usage: node scripts/evaluate-router.js <dataset.jsonl> [--stub-model NAME] [--stub-latency MS] [--json]');
+  return args;
+}
+
+// Both routers also print their prompts and picks with console.log
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cases = parseDataset(fs.readFileSync(path.resolve(args.dataset), 'utf8'));
+  if (cases.length === 0) throw new Error('The dataset has no cases');
+
+  const replies = new Map(cases.filter(c => c.routerReply !== undefined).map(c => [c.query, c.routerReply]));
+  let routingCostUsd = 0;
+  // Collects the price of each routing call instead of writing it to the cost ledger
+  const ledger = {
+    recordCompletion: async ({ model, usage }) => {
+      const price = getTokenPrice(model);
+      routingCostUsd = price && usage ? (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6 : 0;
+    }
+  };
+  const service = new EnhancedRouterService(null, ledger);
+  // Cases without a recorded answer get the router's own default pick
+  service.providerRegistry = createStubRegistry({
+    replies,
+    defaultModel: args.stubModel || service.FREE_MODELS[0],
+    latencyMs: args.stubLatency
+  });
+
+  const routers = [
+    {
+      name: 'llm',
+      route: async (query, plan) => {
+        routingCostUsd = 0;
+        const decision = await quietly(() => service.routeQuery(query, { subscriptionPlan: plan }));
+        return { model: decision.primaryModel, routerCostUsd: routingCostUsd };
+      }
+    },
+    {
+      name: 'heuristic',
+      route: async (query, plan) => {
+        const decision = await quietly(() => routerAgent.routeQuery(query, plan));
+        return { model: decision.model };
+      }
+    }
+  ];
+
+  const results = await evaluate(cases, routers);
+  const summary = summarize(results);
+  process.stdout.write(args.json ? `${JSON.stringify({ summary, results }, null, 2)}\n` : `${formatReport(summary)}\n`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+/**
+ * Minimal OpenAI-compatible stub server for running the chat flow offline.
+ *
+ * Usage:
+ *   node scripts/local-llm-stub.js
+ *   LOCAL_LLM_BASE_URL=http://localhost:11435/v1 ROUTER_MODEL=local/stub-model npm run dev
+ *
+ * Serves GET /v1/models and POST /v1/chat/completions (streaming and
+ * non-streaming). Replies echo the last user message so responses are
+ * deterministic.
+ */
+const http = require('http');
+
+const PORT = parseInt(process.env.LOCAL_STUB_PORT, 10) || 11435;
+const MODELS = (process.env.LOCAL_STUB_MODELS || 'stub-model').split(',').map(s => s.trim()).filter(Boolean);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function buildReply(body) {
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const text = typeof lastUser?.content === 'string'
+    ? lastUser.content
+    : (lastUser?.content || []).map(p => p.text || '').join(' ');
+
+  // The router asks for {"model": "..."}; answer with the first stub model
+  if (body.response_format?.type === 'json_object' || /Smart Router/.test(messages[0]?.content || '')) {
+    return JSON.stringify({ model: `local/${MODELS[0]}` });
+  }
+  return `Stub reply to: ${text}`;
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+async function handleCompletion(req, res) {
+  const body = await readBody(req);
+  const reply = buildReply(body);
+  const id = `chatcmpl-stub-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const model = body.model || MODELS[0];
+  const usage = { prompt_tokens: 0, completion_tokens: reply.split(/\s+/).length, total_tokens: reply.split(/\s+/).length };
+
+  if (!body.stream) {
+    return sendJson(res, 200, {
+      id,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+      usage
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const words = reply.split(/(\s+)/).filter(Boolean);
+  for (const word of words) {
+    res.write(`data: ${JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta: { content: word }, finish_reason: null }]
+    })}\n\n`);
+  }
+  res.write(`data: ${JSON.stringify({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta: {}, finish_reason: 'stop' }]
+  })}\n\n`);
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      return sendJson(res, 200, {
+        object: 'list',
+        data: MODELS.map(id => ({ id, object: 'model', created: 0, owned_by: 'local-stub' }))
+      });
+    }
+    if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+      return await handleCompletion(req, res);
+    }
+    sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+  } catch (err) {
+    sendJson(res, 400, { error: { message: err.message } });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Local LLM stub listening on http://localhost:${PORT}/v1 (models: ${MODELS.join(', ')})`);
+});
@@ -0,0 +1,73 @@
+/**
+ * Model price table used by the cost ledger.
+ *
+ * Text models are priced in USD per 1M tokens (input / output), images in USD
+ * per generated image by size and quality. Keep this in sync with the models
+ * the router can pick (EnhancedRouterService.PAID_MODELS) and the provider
+ * list in ./providers.js. Self-hosted models (`local/*`) cost nothing.
+ */
+
+const TOKEN_PRICES = {
+  // OpenAI
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+
+  // Gemini
+  'gemini-pro': { input: 1.25, output: 10.00 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+
+  // Other hosted providers
+  'grok-4': { input: 3.00, output: 15.00 },
+  'deepseek-v3.2': { input: 0.28, output: 0.42 },
+  'qwen': { input: 0.05, output: 0.20 },
+  'mistral-small': { input: 0.10, output: 0.30 },
+  'codestral': { input: 0.30, output: 0.90 },
+  'llama-3.1-8b': { input: 0.05, output: 0.08 }
+};
+
+// Per-image prices keyed by model -> quality -> size
+const IMAGE_PRICES = {
+  'dall-e-3': {
+    standard: { '1024x1024': 0.040, '1024x1792': 0.080, '1792x1024': 0.080 },
+    hd: { '1024x1024': 0.080, '1024x1792': 0.120, '1792x1024': 0.120 }
+  },
+  'dall-e-2': {
+    standard: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.020 }
+  }
+};
+
+const FREE_MODEL_PREFIXES = ['local/'];
+
+/**
+ * @param {string} model - Internal model name
+ * @returns {{input: number, output: number}|null} USD per 1M tokens, null if unknown
+ */
+const getTokenPrice = (model) => {
+  if (!model) return null;
+  if (FREE_MODEL_PREFIXES.some(prefix => model.startsWith(prefix))) {
+    return { input: 0, output: 0 };
+  }
+  return TOKEN_PRICES[model] || null;
+};
+
+/**
+ * @param {string} model - Image model (dall-e-3, dall-e-2)
+ * @param {string} size - e.g. '1024x1024'
+ * @param {string} quality - 'standard' or 'hd'
+ * @returns {number|null} USD per image, null if the combination is unknown
+ */
+const getImagePrice = (model, size = '1024x1024', quality = 'standard') => {
+  const qualities = IMAGE_PRICES[model];
+  if (!qualities) return null;
+  const sizes = qualities[quality] || qualities.standard;
+  return sizes[size] ?? null;
+};
+
+module.exports = {
+  TOKEN_PRICES,
+  IMAGE_PRICES,
+  getTokenPrice,
+  getImagePrice
+};
@@ -0,0 +1,157 @@
+/**
+ * AI provider registry configuration.
+ *
+ * Every provider the streaming pipeline can talk to is declared here: which
+ * adapter speaks its protocol, where it lives, which env var holds its key and
+ * which internal model names it serves. Model names are the ones used by the
+ * router; `apiId` is only needed when the provider expects a different ID.
+ *
+ * Additional providers (e.g. a self-hosted OpenAI-compatible endpoint) can be
+ * declared in a JSON file referenced by AI_PROVIDERS_FILE using the same shape.
+ */
+
+// Defaults applied to every model unless the provider or model overrides them.
+// streamUsage: accepts `stream_options.include_usage` on streaming requests
+// tools: supports function calling (tools from config/tools.js are offered)
+// jsonSchema: accepts `response_format: { type: 'json_schema' }` (implies jsonMode)
+const DEFAULT_CAPABILITIES = {
+  vision: false,
+  jsonMode: false,
+  jsonSchema: false,
+  maxContext: 8192,
+  streamUsage: true,
+  tools: false
+};
+
+const PROVIDERS = [
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    adapter: 'openai',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    capabilities: { jsonMode: true, jsonSchema: true, maxContext: 128000, tools: true },
+    models: {
+      'gpt-4o': { capabilities: { vision: true } },
+      'gpt-4o-mini': { capabilities: { vision: true } }
+    }
+  },
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    adapter: 'gemini',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    capabilities: { vision: true, jsonMode: true, maxContext: 1048576, tools: true },
+    models: {
+      'gemini-2.5-flash': {},
+      'gemini-2.5-flash-lite': {},
+      'gemini-2.0-flash': {},
+      'gemini-pro': {}
+    }
+  },
+  {
+    id: 'deepseek',
+    name: 'DeepSeek',
+    adapter: 'openai',
+    baseURL: 'https://api.deepseek.com',
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    capabilities: { jsonMode: true, maxContext: 64000, tools: true },
+    models: {
+      'deepseek-v3.2': { apiId: 'deepseek-chat' }
+    }
+  },
+  {
+    id: 'mistral',
+    name: 'Mistral',
+    adapter: 'openai',
+    baseURL: 'https://api.mistral.ai/v1',
+    apiKeyEnv: 'MISTRAL_API_KEY',
+    // Mistral sends usage on the last chunk without being asked and rejects stream_options
+    capabilities: { jsonMode: true, maxContext: 32000, streamUsage: false, tools: true },
+    models: {
+      'mistral-small': { apiId: 'mistral-small-2506', capabilities: { vision: true } },
+      'codestral': { apiId: 'codestral-latest', capabilities: { maxContext: 256000 } }
+    }
+  },
+  {
+    id: 'xai',
+    name: 'XAI',
+    adapter: 'openai',
+    baseURL: 'https://api.x.ai/v1',
+    apiKeyEnv: 'XAI_API_KEY',
+    capabilities: { jsonMode: true, maxContext: 131072, tools: true },
+    models: {
+      'grok-4': { apiId: 'grok-beta' }
+    }
+  },
+  {
+    id: 'groq',
+    name: 'Groq',
+    adapter: 'openai',
+    baseURL: 'https://api.groq.com/openai/v1',
+    apiKeyEnv: 'GROQ_API_KEY',
+    capabilities: { jsonMode: true, maxContext: 131072, tools: true },
+    models: {
+      'llama-3.1-8b': { apiId: 'llama-3.1-8b-instant' }
+    }
+  },
+  {
+    id: 'qwen',
+    name: 'Qwen',
+    adapter: 'openai',
+    baseURL: 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1',
+    apiKeyEnv: 'QWEN_API_KEY',
+    capabilities: { jsonMode: true, maxContext: 131072, tools: true },
+    models: {
+      'qwen': { apiId: 'qwen-turbo' }
+    }
+  }
+];
+
+/**
+ * Self-hosted OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM).
+ * Enabled by LOCAL_LLM_BASE_URL, e.g. http://localhost:11434/v1 for Ollama.
+ * Models are exposed to the router as `local/<id>`; the IDs listed in
+ * LOCAL_LLM_MODELS are registered up front and the rest are discovered
+ * through the endpoint's /v1/models at startup.
+ */
+const buildLocalProvider = (env = process.env) => {
+  if (!env.LOCAL_LLM_BASE_URL) return null;
+
+  const prefix = 'local/';
+  const models = {};
+  for (const id of (env.LOCAL_LLM_MODELS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    models[`${prefix}${id}`] = { apiId: id };
+  }
+
+  const maxContext = parseInt(env.LOCAL_LLM_MAX_CONTEXT, 10);
+
+  return {
+    id: 'local',
+    name: 'Local',
+    adapter: 'openai',
+    baseURL: env.LOCAL_LLM_BASE_URL.replace(/\/+$/, ''),
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    requiresApiKey: false,
+    discover: true,
+    modelPrefix: prefix,
+    // 'free' exposes local models to every plan, 'paid' only to plus/pro
+    tier: env.LOCAL_LLM_TIER === 'paid' ? 'paid' : 'free',
+    capabilities: {
+      jsonMode: env.LOCAL_LLM_JSON_MODE === 'true',
+      tools: env.LOCAL_LLM_TOOLS === 'true',
+      maxContext: Number.isFinite(maxContext) ? maxContext : DEFAULT_CAPABILITIES.maxContext
+    },
+    models
+  };
+};
+
+const localProvider = buildLocalProvider();
+if (localProvider) {
+  PROVIDERS.push(localProvider);
+}
+
+module.exports = {
+  buildLocalProvider,
+  DEFAULT_CAPABILITIES,
+  PROVIDERS
+};
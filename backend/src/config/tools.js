@@ -0,0 +1,57 @@
+/**
+ * Tool registry configuration.
+ *
+ * Tools the assistant may call during a streamed reply. Each declaration gives
+ * the name the model sees, a description, a JSON-schema `parameters` object and
+ * the subscription plans allowed to use it. The code that runs a tool lives in
+ * services/toolHandlers.js under the same name.
+ */
+
+const TOOLS = [
+  {
+    name: 'search_chats',
+    description: "Search the user's own previous chats for messages containing the given text. " +
+      'Use this when the user refers to something discussed in an earlier conversation.',
+    plans: ['free', 'plus', 'pro'],
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text to look for in past messages' },
+        limit: { type: 'integer', description: 'Maximum number of matches to return (1-10)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'search_knowledge',
+    description: "Semantic search over the user's stored questions and answers. " +
+      'Use this to recall related past answers when an exact text match is unlikely.',
+    plans: ['plus', 'pro'],
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to search for, phrased as a question or topic' },
+        limit: { type: 'integer', description: 'Maximum number of results to return (1-10)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'remember',
+    description: 'Suggest saving a lasting fact or preference about the user (e.g. their name, job, ' +
+      'preferred language or answer style) so it is remembered in future chats. The user has to approve it. ' +
+      'Only use this when the user shares something worth keeping or asks you to remember it; never for one-off details.',
+    plans: ['free', 'plus', 'pro'],
+    parameters: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'The fact as a short third-person sentence, e.g. "Prefers answers in French"' }
+      },
+      required: ['content']
+    }
+  }
+];
+
+module.exports = {
+  TOOLS
+};
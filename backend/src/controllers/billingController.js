@@ -1,4 +1,5 @@
 const supabase = require('../db/supabase/client.js');
+const costLedger = require('../services/costLedgerService.js');
 
 // Controller to fetch billing history from subscription invoices
 const getBillingHistory = async (req, res) => {
@@ -58,6 +59,25 @@ const getBillingHistory = async (req, res) => {
     }
 };
 
+// Controller to report the caller's own AI spend by model over a date range
+const getUsageSpend = async (req, res) => {
+    let range;
+    try {
+        range = costLedger.resolveRange(req.query.from, req.query.to);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        const spend = await costLedger.getSpend({ ...range, groupBy: 'model', userId: req.user.id });
+        res.status(200).json({ from: range.from, to: range.to, ...spend });
+    } catch (err) {
+        console.error('Error fetching usage spend:', err);
+        res.status(500).json({ error: 'Failed to fetch usage spend' });
+    }
+};
+
 module.exports = {
-    getBillingHistory
+    getBillingHistory,
+    getUsageSpend
 };
@@ -1,129 +1,308 @@
 // === MOCK QDRANT CLIENT ===
-// File: src/qdrant/mockClient.js
+// File: src/db/qdrant/mockClient.js
+//
+// In-memory stand-in for @qdrant/js-client-rest used when NODE_ENV=test.
+// It behaves like a real (single node, unnamed vector) Qdrant collection:
+// scores are real Cosine / Dot / Euclid similarities, `score_threshold`,
+// must/should/must_not filters and payload selection are honoured, and
+// points can be retrieved, scrolled, counted and deleted. Errors carry the
+// HTTP `status` Qdrant would answer with.
 
-// Mock data store
-const mockCollections = {};
+const { randomUUID } = require('crypto');
 
-const qdrant = {
-  collections: {
-    create: async ({ collection_name }) => {
-      if (mockCollections[collection_name]) {
-        const error = { response: { status: 409 } }; // Simulate "collection exists"
-        throw error;
-      }
-      mockCollections[collection_name] = [];
-      console.log(`(Mock) Collection "${collection_name}" created successfully.`);
-    },
-  },
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DISTANCES = ['Cosine', 'Dot', 'Euclid', 'Manhattan'];
 
-  points: {
-    upsert: async ({ collection_name, points }) => {
-      if (!mockCollections[collection_name]) {
-        throw new Error(`(Mock) Collection "${collection_name}" does not exist.`);
-      }
-      mockCollections[collection_name].push(...points);
-      console.log(`(Mock) Added ${points.length} vector(s) to "${collection_name}".`);
-      return { status: 'ok', points: points.length };
-    },
-
-    search: async ({ collection_name, vector, limit = 5, filter, with_payload = false }) => {
-      if (!mockCollections[collection_name]) {
-        throw new Error(`(Mock) Collection "${collection_name}" does not exist.`);
-      }
-      console.log(`(Mock) Searching top ${limit} vectors in "${collection_name}".`);
-      
-      let points = mockCollections[collection_name];
-      
-      // Apply filters if provided
-      if (filter && filter.must) {
-        points = points.filter(point => {
-          return filter.must.every(condition => {
-            if (condition.key && condition.match) {
-              return point.payload[condition.key] === condition.match.value;
-            }
-            if (condition.key && condition.range) {
-              const value = point.payload[condition.key];
-              const { gte, lte } = condition.range;
-              return (!gte || value >= gte) && (!lte || value <= lte);
-            }
-            return true;
-          });
-        });
-      }
-      
-      // Return filtered points
-      return points
-        .slice(0, limit)
-        .map((p) => ({ id: p.id, score: Math.random(), payload: p.payload }));
-    },
-  },
+// name -> { config: { size, distance }, points: Map<id, { id, vector, payload }> }
+const mockCollections = new Map();
+
+const qdrantError = (status, message) => Object.assign(new Error(message), { status });
+
+const getStore = (collectionName) => {
+  const store = mockCollections.get(collectionName);
+  if (!store) throw qdrantError(404, `Not found: Collection \`${collectionName}\` doesn't exist!`);
+  return store;
 };
 
-// Utility functions
-const createCollection = async (collectionName, vectorSize = 1536) => {
-  try {
-    await qdrant.collections.create({ collection_name: collectionName });
-  } catch (err) {
-    if (err.response?.status === 409) {
-      console.log(`(Mock) Collection "${collectionName}" already exists.`);
-    } else {
-      console.error('(Mock) Error creating collection:', err);
+const normalizeId = (id) => {
+  if (Number.isInteger(id) && id >= 0) return id;
+  if (typeof id === 'string' && UUID_PATTERN.test(id)) return id.toLowerCase();
+  throw qdrantError(400, `Bad Request: Unable to parse point id ${JSON.stringify(id)}: expected an unsigned integer or UUID`);
+};
+
+// ============================
+// SIMILARITY
+// ============================
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const similarity = (distance, a, b) => {
+  switch (distance) {
+    case 'Dot':
+      return dot(a, b);
+    case 'Euclid':
+      return Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0));
+    case 'Manhattan':
+      return a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0);
+    default: {
+      const norms = Math.sqrt(dot(a, a)) * Math.sqrt(dot(b, b));
+      return norms === 0 ? 0 : dot(a, b) / norms;
     }
   }
 };
 
-const addVector = async (collectionName, point) => {
-  try {
-    // Handle both old format (vector, payload) and new format (point object)
-    let pointToAdd;
-    if (point.id && point.vector && point.payload !== undefined) {
-      // New format: point object
-      pointToAdd = point;
-    } else {
-      // Old format: assume point is vector and second param is payload
-      pointToAdd = { id: Date.now(), vector: point, payload: arguments[2] || {} };
-    }
-    
-    return await qdrant.points.upsert({
-      collection_name: collectionName,
-      points: [pointToAdd],
-    });
-  } catch (err) {
-    console.error('(Mock) Error adding vector:', err);
+// Distances (Euclid, Manhattan) rank lower-is-better and use the threshold as a maximum
+const isDistance = (distance) => distance === 'Euclid' || distance === 'Manhattan';
+
+// ============================
+// FILTERS
+// ============================
+
+// Values at a payload path; `a.b` descends objects, `a[].b` (or an array on the way) fans out
+const valuesAt = (payload, key) => {
+  let values = [payload];
+  for (const part of key.split('.')) {
+    const name = part.replace(/\[\]$/, '');
+    values = values
+      .map(value => (value && typeof value === 'object' ? value[name] : undefined))
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => value !== undefined);
+  }
+  return values;
+};
+
+const matchesRange = (value, { gt, gte, lt, lte }) => {
+  const comparable = typeof value === 'string' && Number.isNaN(Number(value)) ? Date.parse(value) : Number(value);
+  const bound = (limit) => (typeof limit === 'string' ? Date.parse(limit) : limit);
+  if (Number.isNaN(comparable)) return false;
+  return (gt === undefined || comparable > bound(gt)) &&
+    (gte === undefined || comparable >= bound(gte)) &&
+    (lt === undefined || comparable < bound(lt)) &&
+    (lte === undefined || comparable <= bound(lte));
+};
+
+const matchesCondition = (point, condition) => {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(point, condition);
+  }
+  if (condition.has_id) {
+    return condition.has_id.map(normalizeId).includes(point.id);
+  }
+  if (condition.is_empty) {
+    return valuesAt(point.payload, condition.is_empty.key).filter(value => value !== null).length === 0;
+  }
+  if (condition.is_null) {
+    return valuesAt(point.payload, condition.is_null.key).some(value => value === null);
+  }
+  if (condition.nested) {
+    const items = valuesAt(point.payload, condition.nested.key);
+    return items.some(item => matchesFilter({ id: point.id, payload: item }, condition.nested.filter));
+  }
+
+  const values = valuesAt(point.payload, condition.key);
+  if (condition.match) {
+    const { value, any, except, text } = condition.match;
+    if (value !== undefined) return values.includes(value);
+    if (any !== undefined) return values.some(candidate => any.includes(candidate));
+    if (except !== undefined) return values.some(candidate => !except.includes(candidate));
+    if (text !== undefined) return values.some(candidate => typeof candidate === 'string' && candidate.includes(text));
+  }
+  if (condition.range) {
+    return values.some(value => matchesRange(value, condition.range));
+  }
+  if (condition.values_count) {
+    return matchesRange(values.length, condition.values_count);
+  }
+  throw qdrantError(400, `Bad Request: Unsupported filter condition ${JSON.stringify(condition)}`);
+};
+
+function matchesFilter(point, filter) {
+  if (!filter) return true;
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+  const list = (conditions) => (Array.isArray(conditions) ? conditions : [conditions]);
+  return list(must).every(condition => matchesCondition(point, condition)) &&
+    (list(should).length === 0 || list(should).some(condition => matchesCondition(point, condition))) &&
+    !list(mustNot).some(condition => matchesCondition(point, condition));
+}
+
+// ============================
+// PAYLOAD SELECTION
+// ============================
+const selectPayload = (payload, withPayload) => {
+  if (!withPayload) return undefined;
+  if (withPayload === true) return { ...payload };
+  if (Array.isArray(withPayload)) {
+    return Object.fromEntries(Object.entries(payload).filter(([key]) => withPayload.includes(key)));
+  }
+  if (withPayload.include) {
+    return Object.fromEntries(Object.entries(payload).filter(([key]) => withPayload.include.includes(key)));
+  }
+  if (withPayload.exclude) {
+    return Object.fromEntries(Object.entries(payload).filter(([key]) => !withPayload.exclude.includes(key)));
   }
+  return { ...payload };
 };
 
-const searchVector = async (collectionName, options) => {
-  try {
-    // Handle both old and new parameter formats
-    if (typeof options === 'object' && options.vector) {
-      return await qdrant.points.search({
-        collection_name: collectionName,
-        ...options
-      });
+const toRecord = (point, { with_payload: withPayload = true, with_vector: withVector = false } = {}, extra = {}) => ({
+  id: point.id,
+  ...extra,
+  payload: selectPayload(point.payload, withPayload) ?? null,
+  vector: withVector ? [...point.vector] : null
+});
+
+// Integer ids before UUIDs, each in ascending order (Qdrant's scroll order)
+const sortById = (a, b) => {
+  if (typeof a.id !== typeof b.id) return typeof a.id === 'number' ? -1 : 1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+};
+
+// ============================
+// CLIENT
+// ============================
+const qdrant = {
+  async getCollections() {
+    return { collections: [...mockCollections.keys()].map(name => ({ name })) };
+  },
+
+  async collectionExists(collectionName) {
+    return { exists: mockCollections.has(collectionName) };
+  },
+
+  async getCollection(collectionName) {
+    const store = getStore(collectionName);
+    return {
+      status: 'green',
+      optimizer_status: 'ok',
+      points_count: store.points.size,
+      indexed_vectors_count: store.points.size,
+      segments_count: 1,
+      config: { params: { vectors: { ...store.config } } },
+      payload_schema: {}
+    };
+  },
+
+  async createCollection(collectionName, options = {}) {
+    if (mockCollections.has(collectionName)) {
+      throw qdrantError(409, `Wrong input: Collection \`${collectionName}\` already exists!`);
+    }
+    const { size, distance = 'Cosine' } = options.vectors || {};
+    if (!Number.isInteger(size) || size <= 0) throw qdrantError(400, 'Bad Request: vectors.size must be a positive integer');
+    if (!DISTANCES.includes(distance)) throw qdrantError(400, `Bad Request: unknown distance ${distance}`);
+    mockCollections.set(collectionName, { config: { size, distance }, points: new Map() });
+    return true;
+  },
+
+  async deleteCollection(collectionName) {
+    return mockCollections.delete(collectionName);
+  },
+
+  async upsert(collectionName, { points = [] } = {}) {
+    const store = getStore(collectionName);
+    // Validate the whole batch first; Qdrant rejects it as a unit
+    const normalized = points.map(point => {
+      if (!Array.isArray(point.vector) || point.vector.length !== store.config.size) {
+        throw qdrantError(400, `Wrong input: Vector dimension error: expected dim: ${store.config.size}, got ${point.vector?.length ?? 0}`);
+      }
+      return { id: normalizeId(point.id), vector: [...point.vector], payload: { ...(point.payload || {}) } };
+    });
+    for (const point of normalized) store.points.set(point.id, point);
+    return { operation_id: Date.now(), status: 'completed' };
+  },
+
+  async search(collectionName, {
+    vector,
+    limit = 10,
+    offset = 0,
+    filter,
+    score_threshold: scoreThreshold,
+    with_payload: withPayload = false,
+    with_vector: withVector = false
+  } = {}) {
+    const store = getStore(collectionName);
+    if (!Array.isArray(vector) || vector.length !== store.config.size) {
+      throw qdrantError(400, `Wrong input: Vector dimension error: expected dim: ${store.config.size}, got ${vector?.length ?? 0}`);
+    }
+    const { distance } = store.config;
+    const lowerIsBetter = isDistance(distance);
+
+    return [...store.points.values()]
+      .filter(point => matchesFilter(point, filter))
+      .map(point => ({ point, score: similarity(distance, vector, point.vector) }))
+      .filter(({ score }) => scoreThreshold === undefined || scoreThreshold === null ||
+        (lowerIsBetter ? score <= scoreThreshold : score >= scoreThreshold))
+      .sort((a, b) => (lowerIsBetter ? a.score - b.score : b.score - a.score))
+      .slice(offset, offset + limit)
+      .map(({ point, score }) => toRecord(point, { with_payload: withPayload, with_vector: withVector }, { version: 0, score }));
+  },
+
+  async retrieve(collectionName, { ids = [], ...options } = {}) {
+    const store = getStore(collectionName);
+    return ids
+      .map(id => store.points.get(normalizeId(id)))
+      .filter(Boolean)
+      .map(point => toRecord(point, options));
+  },
+
+  /**
+   * Pages through points in id order; `next_page_offset` is the id to pass as
+   * `offset` for the next page, or null after the last one. Like Qdrant, an
+   * offset that is no longer stored starts at the next id above it.
+   */
+  async scroll(collectionName, { filter, limit = 10, offset = null, ...options } = {}) {
+    const store = getStore(collectionName);
+    const points = [...store.points.values()].filter(point => matchesFilter(point, filter)).sort(sortById);
+    const from = offset === null || offset === undefined
+      ? 0
+      : points.findIndex(point => sortById(point, { id: normalizeId(offset) }) >= 0);
+    const start = from === -1 ? points.length : from;
+    const page = points.slice(start, start + limit);
+    return {
+      points: page.map(point => toRecord(point, options)),
+      next_page_offset: points[start + limit]?.id ?? null
+    };
+  },
+
+  async count(collectionName, { filter } = {}) {
+    const store = getStore(collectionName);
+    return { count: [...store.points.values()].filter(point => matchesFilter(point, filter)).length };
+  },
+
+  async delete(collectionName, { points, filter } = {}) {
+    const store = getStore(collectionName);
+    if (points) {
+      for (const id of points) store.points.delete(normalizeId(id));
     } else {
-      // Legacy format: searchVector(collectionName, vector, top)
-      const vector = options;
-      const top = arguments[2] || 5;
-      return await qdrant.points.search({
-        collection_name: collectionName,
-        vector,
-        limit: top,
-      });
+      for (const point of [...store.points.values()]) {
+        if (matchesFilter(point, filter)) store.points.delete(point.id);
+      }
     }
-  } catch (err) {
-    console.error('(Mock) Error searching vector:', err);
+    return { operation_id: Date.now(), status: 'completed' };
+  },
+
+  async setPayload(collectionName, { payload = {}, points, filter } = {}) {
+    const store = getStore(collectionName);
+    for (const point of store.points.values()) {
+      const selected = points ? points.map(normalizeId).includes(point.id) : matchesFilter(point, filter);
+      if (selected) point.payload = { ...point.payload, ...payload };
+    }
+    return { operation_id: Date.now(), status: 'completed' };
   }
 };
 
-// Add getCollections method for health checks
-qdrant.getCollections = async () => {
-  return {
-    collections: Object.keys(mockCollections).map(name => ({ name }))
-  };
-};
+// ============================
+// HELPERS (same as src/db/qdrant/client.js)
+// ============================
+const addVector = async (collectionName, point) => qdrant.upsert(collectionName, {
+  wait: true,
+  points: [{ ...point, id: point.id ?? randomUUID() }]
+});
+
+const searchVector = async (collectionName, queryObject) => qdrant.search(collectionName, queryObject);
+
+// Drops every collection; call between tests that need an empty store
+const reset = () => mockCollections.clear();
 
 module.exports = qdrant;
-module.exports.createCollection = createCollection;
 module.exports.addVector = addVector;
 module.exports.searchVector = searchVector;
+module.exports.reset = reset;
@@ -0,0 +1,32 @@
+-- Chat organization: user-defined folders (projects), pinning, archiving and
+-- tags (see services/chatOrganizationService.js). A chat is in at most one
+-- folder; deleting a folder moves its chats back out of it.
+CREATE TABLE IF NOT EXISTS chat_folders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    color TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_folders_user_name ON chat_folders(user_id, LOWER(name));
+
+ALTER TABLE chat_folders ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own folders; only the backend (service role) writes
+CREATE POLICY "Users can view own chat folders" ON chat_folders
+    FOR SELECT USING (auth.uid() = user_id);
+
+ALTER TABLE chats
+    ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS is_archived BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES chat_folders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_chats_user_archived_created ON chats(user_id, is_archived, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chats_user_pinned ON chats(user_id, pinned_at DESC) WHERE is_pinned;
+CREATE INDEX IF NOT EXISTS idx_chats_folder ON chats(folder_id) WHERE folder_id IS NOT NULL;
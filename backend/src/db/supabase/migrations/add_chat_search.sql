@@ -0,0 +1,63 @@
+-- Full-text search over a user's chat messages, used by GET /api/chat/search
+-- alongside semantic search in Qdrant (see services/chatSearchService.js).
+ALTER TABLE chat_messages
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search_vector ON chat_messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_chats_tags ON chats USING GIN (tags);
+
+-- Best matching messages of one user, newest first among equal ranks.
+-- `headline` is an excerpt of the message with matched words between
+-- chr(2) and chr(3), which the backend turns into highlight ranges.
+CREATE OR REPLACE FUNCTION search_chat_messages(
+    p_user_id UUID,
+    p_query TEXT,
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_model TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+    message_id UUID,
+    chat_id UUID,
+    chat_title TEXT,
+    chat_tags TEXT[],
+    role TEXT,
+    model_used TEXT,
+    created_at TIMESTAMP WITH TIME ZONE,
+    headline TEXT,
+    rank REAL
+) AS $$
+DECLARE
+    v_query TSQUERY := websearch_to_tsquery('english', p_query);
+BEGIN
+    RETURN QUERY
+    SELECT
+        m.id,
+        m.chat_id,
+        c.title,
+        c.tags,
+        m.role,
+        m.model_used,
+        m.created_at,
+        ts_headline('english', m.content, v_query,
+            'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'),
+        ts_rank_cd(m.search_vector, v_query)
+    FROM chat_messages m
+    JOIN chats c ON c.id = m.chat_id
+    WHERE m.user_id = p_user_id
+      AND c.user_id = p_user_id
+      AND m.role <> 'system'
+      AND m.search_vector @@ v_query
+      AND (p_from IS NULL OR m.created_at >= p_from)
+      AND (p_to IS NULL OR m.created_at < p_to)
+      AND (p_model IS NULL OR m.model_used = p_model)
+      AND (p_tags IS NULL OR c.tags @> p_tags)
+    ORDER BY 9 DESC, m.created_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 50);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION search_chat_messages(UUID, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT[], INTEGER) FROM PUBLIC, anon, authenticated;
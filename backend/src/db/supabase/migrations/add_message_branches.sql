@@ -0,0 +1,16 @@
+-- Message branches: edits and regenerations are stored as siblings under the same
+-- parent_message_id (see src/utils/messageTree.js), so children are looked up by parent.
+CREATE INDEX IF NOT EXISTS idx_chat_messages_parent_message_id ON chat_messages(parent_message_id);
+
+-- Existing chats are linear: link each message to the one before it in its chat.
+-- Run this before branching is deployed; afterwards a NULL parent can be an edited first message.
+WITH ordered AS (
+    SELECT id, LAG(id) OVER (PARTITION BY chat_id ORDER BY created_at, id) AS previous_id
+    FROM chat_messages
+)
+UPDATE chat_messages
+SET parent_message_id = ordered.previous_id
+FROM ordered
+WHERE chat_messages.id = ordered.id
+  AND chat_messages.parent_message_id IS NULL
+  AND ordered.previous_id IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Model entitlements: the models each plan lets users pick themselves, and a
+-- model pinned to a chat (see services/modelEntitlementService.js).
+-- NULL allowed_models means the router's built-in list for the plan's tier.
+ALTER TABLE plans ADD COLUMN IF NOT EXISTS allowed_models JSONB;
+
+-- NULL leaves the choice to the router
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS pinned_model TEXT;
@@ -0,0 +1,24 @@
+-- Roll provider-reported token usage into chats.total_tokens and the daily api_usage row.
+-- Called once per assistant reply; both increments happen atomically so concurrent
+-- streams for the same user/chat cannot lose updates.
+CREATE OR REPLACE FUNCTION record_token_usage(
+    p_user_id UUID,
+    p_chat_id UUID,
+    p_tokens INTEGER
+)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE chats
+    SET total_tokens = COALESCE(total_tokens, 0) + COALESCE(p_tokens, 0)
+    WHERE id = p_chat_id AND user_id = p_user_id;
+
+    INSERT INTO api_usage (user_id, date, request_count, token_count)
+    VALUES (p_user_id, CURRENT_DATE, 1, COALESCE(p_tokens, 0))
+    ON CONFLICT (user_id, date) DO UPDATE
+    SET request_count = api_usage.request_count + 1,
+        token_count = api_usage.token_count + EXCLUDED.token_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the backend (service role) records usage
+REVOKE EXECUTE ON FUNCTION record_token_usage(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
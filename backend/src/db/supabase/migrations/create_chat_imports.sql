@@ -0,0 +1,37 @@
+-- Conversation imports from other assistants' exports and our own
+-- (see services/chatImportService.js). A row tracks one uploaded file while
+-- the background job works through it; the client polls it for progress.
+CREATE TABLE IF NOT EXISTS chat_imports (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('native', 'chatgpt', 'claude')),
+    file_name TEXT,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    total_chats INTEGER NOT NULL DEFAULT 0,
+    processed_chats INTEGER NOT NULL DEFAULT 0,
+    imported_chats INTEGER NOT NULL DEFAULT 0,
+    skipped_chats INTEGER NOT NULL DEFAULT 0,
+    failed_chats INTEGER NOT NULL DEFAULT 0,
+    imported_messages INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_imports_user_created ON chat_imports(user_id, created_at DESC);
+
+ALTER TABLE chat_imports ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own imports; only the backend (service role) writes
+CREATE POLICY "Users can view own chat imports" ON chat_imports
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Where an imported chat came from, so importing the same file again skips it
+ALTER TABLE chats
+    ADD COLUMN IF NOT EXISTS import_source TEXT,
+    ADD COLUMN IF NOT EXISTS import_external_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_user_import
+    ON chats(user_id, import_source, import_external_id)
+    WHERE import_external_id IS NOT NULL;
@@ -0,0 +1,32 @@
+-- Chat summary versions written by the background summarizer
+-- (see services/summarizationService.js). chats.summary keeps the latest
+-- version, which is what the model is given; older versions stay for review.
+-- last_message_id is the newest message the version covers.
+CREATE TABLE IF NOT EXISTS chat_summaries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    summary TEXT NOT NULL,
+    strategy TEXT NOT NULL,
+    model TEXT NOT NULL,
+    last_message_id UUID,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens INTEGER DEFAULT 0 NOT NULL,
+    completion_tokens INTEGER DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (chat_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_summaries_chat_version ON chat_summaries(chat_id, version DESC);
+
+ALTER TABLE chat_summaries ENABLE ROW LEVEL SECURITY;
+
+-- Users can read the summaries of their own chats; only the backend (service role) writes
+CREATE POLICY "Users can view own chat summaries" ON chat_summaries
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Summarizer calls are billed as their own kind in the cost ledger
+ALTER TABLE cost_ledger DROP CONSTRAINT IF EXISTS cost_ledger_kind_check;
+ALTER TABLE cost_ledger ADD CONSTRAINT cost_ledger_kind_check
+    CHECK (kind IN ('completion', 'image', 'router', 'summary'));
@@ -0,0 +1,72 @@
+-- Per-request cost ledger: one row per completion or generated image, priced
+-- from src/config/pricing.js at the time of the request.
+CREATE TABLE IF NOT EXISTS cost_ledger (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    chat_id UUID,
+    model TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('completion', 'image', 'router')),
+    subscription_plan TEXT,
+    prompt_tokens INTEGER DEFAULT 0 NOT NULL,
+    completion_tokens INTEGER DEFAULT 0 NOT NULL,
+    image_count INTEGER DEFAULT 0 NOT NULL,
+    image_size TEXT,
+    image_quality TEXT,
+    usage_source TEXT,
+    cost_usd NUMERIC(12, 6) DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cost_ledger_created_at ON cost_ledger(created_at);
+CREATE INDEX IF NOT EXISTS idx_cost_ledger_user_created ON cost_ledger(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_cost_ledger_model_created ON cost_ledger(model, created_at);
+
+ALTER TABLE cost_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own spend; only the backend (service role) writes
+CREATE POLICY "Users can view own cost entries" ON cost_ledger
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Spend between two timestamps grouped by user, plan or model.
+-- Aggregating in the database keeps reports cheap as the ledger grows.
+CREATE OR REPLACE FUNCTION get_cost_spend(
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_group_by TEXT DEFAULT 'model',
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    group_key TEXT,
+    request_count BIGINT,
+    prompt_tokens BIGINT,
+    completion_tokens BIGINT,
+    image_count BIGINT,
+    cost_usd NUMERIC
+) AS $$
+BEGIN
+    IF p_group_by NOT IN ('user', 'plan', 'model') THEN
+        RAISE EXCEPTION 'Invalid group_by: %', p_group_by;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        CASE p_group_by
+            WHEN 'user' THEN l.user_id::TEXT
+            WHEN 'plan' THEN COALESCE(l.subscription_plan, 'unknown')
+            ELSE l.model
+        END AS group_key,
+        COUNT(*) AS request_count,
+        COALESCE(SUM(l.prompt_tokens), 0)::BIGINT AS prompt_tokens,
+        COALESCE(SUM(l.completion_tokens), 0)::BIGINT AS completion_tokens,
+        COALESCE(SUM(l.image_count), 0)::BIGINT AS image_count,
+        COALESCE(SUM(l.cost_usd), 0) AS cost_usd
+    FROM cost_ledger l
+    WHERE l.created_at >= p_from
+      AND l.created_at < p_to
+      AND (p_user_id IS NULL OR l.user_id = p_user_id)
+    GROUP BY 1
+    ORDER BY cost_usd DESC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION get_cost_spend(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,21 @@
+-- Side-by-side comparisons: one row per "prefer this answer", with the models
+-- that answered the prompt. Feeds model quality reviews next to the cost ledger.
+CREATE TABLE IF NOT EXISTS model_comparison_votes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+    comparison_id UUID NOT NULL,
+    prompt TEXT,
+    models TEXT[] NOT NULL,
+    preferred_model TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_model_comparison_votes_comparison ON model_comparison_votes(comparison_id);
+CREATE INDEX IF NOT EXISTS idx_model_comparison_votes_preferred ON model_comparison_votes(preferred_model, created_at);
+
+ALTER TABLE model_comparison_votes ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own votes; only the backend (service role) writes
+CREATE POLICY "Users can view own comparison votes" ON model_comparison_votes
+    FOR SELECT USING (auth.uid() = user_id);
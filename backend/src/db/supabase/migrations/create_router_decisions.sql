@@ -0,0 +1,31 @@
+-- Routing decisions: one row per routed message with the model the router
+-- picked, the model that answered and how the user rated the reply
+-- (thumbs up/down, or regenerating it). Queries are stored as a hash only.
+CREATE TABLE IF NOT EXISTS router_decisions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+    message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+    query_hash TEXT NOT NULL,
+    router TEXT NOT NULL DEFAULT 'llm',
+    router_model TEXT,
+    chosen_model TEXT NOT NULL,
+    served_model TEXT,
+    plan TEXT,
+    latency_ms INTEGER,
+    -- 1 thumbs up, -1 thumbs down, NULL unrated
+    rating SMALLINT CHECK (rating IN (-1, 1)),
+    regenerated BOOLEAN NOT NULL DEFAULT FALSE,
+    rated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_router_decisions_message ON router_decisions(message_id);
+CREATE INDEX IF NOT EXISTS idx_router_decisions_model ON router_decisions(chosen_model, created_at);
+CREATE INDEX IF NOT EXISTS idx_router_decisions_query ON router_decisions(query_hash);
+
+ALTER TABLE router_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own decisions; only the backend (service role) writes
+CREATE POLICY "Users can view own router decisions" ON router_decisions
+    FOR SELECT USING (auth.uid() = user_id);
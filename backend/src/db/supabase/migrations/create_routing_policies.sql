@@ -0,0 +1,23 @@
+-- Routing policies: deterministic rules admins set for the model router,
+-- checked before the LLM router (see services/routingPolicyService.js).
+-- conditions: { plans?, hasCodeBlock?, minTokens?, maxTokens?, pattern? }
+-- action: { "type": "route", "model": ... } or { "type": "block", "models": [...] }
+CREATE TABLE IF NOT EXISTS routing_policies (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    -- Lower runs first; the first matching route rule wins
+    priority INTEGER NOT NULL DEFAULT 100,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    action JSONB NOT NULL,
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_policies_priority ON routing_policies(enabled, priority);
+
+ALTER TABLE routing_policies ENABLE ROW LEVEL SECURITY;
+
+-- No user policies: only the backend (service role) reads and writes the rules
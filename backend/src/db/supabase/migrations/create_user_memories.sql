@@ -0,0 +1,24 @@
+-- User memories: facts the assistant remembers about a user across chats
+-- (see services/memoryService.js). Memories the user adds are approved at
+-- once; ones the assistant suggests with the `remember` tool stay 'proposed'
+-- until the user approves them. Only approved memories reach the model.
+-- The on/off switch lives in settings.preferences.memory.enabled.
+CREATE TABLE IF NOT EXISTS user_memories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'approved' CHECK (status IN ('approved', 'proposed')),
+    source TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('user', 'assistant')),
+    -- Chat the assistant suggested the memory in
+    chat_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_user_status ON user_memories(user_id, status, created_at);
+
+ALTER TABLE user_memories ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own memories; only the backend (service role) writes
+CREATE POLICY "Users can view own memories" ON user_memories
+    FOR SELECT USING (auth.uid() = user_id);
@@ -6,6 +6,7 @@ class UnifiedRedisClient {
     this.client = null;
     this.isConnected = false;
     this.fallbackStore = {};
+    this.fallbackExpiries = new Map();
     this.useFallback = false;
   }
 
@@ -101,7 +102,9 @@ class UnifiedRedisClient {
       // Handle TTL for fallback
       if (args.length >= 2 && (args[0] === 'EX' || args[0] === 'ex')) {
         const ttl = parseInt(args[1]);
-        setTimeout(() => delete this.fallbackStore[key], ttl * 1000);
+        const timer = setTimeout(() => delete this.fallbackStore[key], ttl * 1000);
+        // Expiry timers must not keep the process alive
+        if (typeof timer.unref === 'function') timer.unref();
       }
       return 'OK';
     }
@@ -156,6 +159,65 @@ class UnifiedRedisClient {
     }
   }
 
+  // rpush method (lists are kept as arrays in the fallback store)
+  async rpush(key, ...values) {
+    if (this.useFallback || !this.isConnected) {
+      const list = Array.isArray(this.fallbackStore[key]) ? this.fallbackStore[key] : [];
+      list.push(...values.map(String));
+      this.fallbackStore[key] = list;
+      return list.length;
+    }
+
+    try {
+      return await this.client.rpush(key, ...values);
+    } catch (error) {
+      logger.error('Redis rpush error:', error);
+      this.enableFallback();
+      return this.rpush(key, ...values);
+    }
+  }
+
+  // lrange method (supports negative indexes like Redis)
+  async lrange(key, start, stop) {
+    if (this.useFallback || !this.isConnected) {
+      const list = Array.isArray(this.fallbackStore[key]) ? this.fallbackStore[key] : [];
+      const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+      return list.slice(start < 0 ? Math.max(list.length + start, 0) : start, end);
+    }
+
+    try {
+      return await this.client.lrange(key, start, stop);
+    } catch (error) {
+      logger.error('Redis lrange error:', error);
+      this.enableFallback();
+      return this.lrange(key, start, stop);
+    }
+  }
+
+  // expire method
+  async expire(key, seconds) {
+    if (this.useFallback || !this.isConnected) {
+      if (this.fallbackStore[key] === undefined) return 0;
+      // Like Redis, a new expire replaces the previous one
+      clearTimeout(this.fallbackExpiries.get(key));
+      const timer = setTimeout(() => {
+        delete this.fallbackStore[key];
+        this.fallbackExpiries.delete(key);
+      }, seconds * 1000);
+      if (typeof timer.unref === 'function') timer.unref();
+      this.fallbackExpiries.set(key, timer);
+      return 1;
+    }
+
+    try {
+      return await this.client.expire(key, seconds);
+    } catch (error) {
+      logger.error('Redis expire error:', error);
+      this.enableFallback();
+      return this.expire(key, seconds);
+    }
+  }
+
   // scan method
   async scan(cursor, ...args) {
     if (this.useFallback || !this.isConnected) {
@@ -3,6 +3,9 @@ const router = express.Router();
 const supabaseAdmin = require('../db/supabase/admin');
 const { requireAdmin } = require('../middlewares/authMiddleware');
 const logger = require('../config/logger');
+const costLedger = require('../services/costLedgerService');
+const routingPolicies = require('../services/routingPolicyService');
+const enhancedRouterService = require('../services/enhancedRouterService');
 
 // Handle CORS preflight requests before authentication
 router.options('*', (req, res) => {
@@ -169,6 +172,127 @@ router.get('/system/stats', async (req, res) => {
   }
 });
 
+// GET /api/admin/costs/spend?from=&to=&groupBy=user|plan|model&userId= - Spend from the cost ledger
+router.get('/costs/spend', async (req, res) => {
+  const { from, to, groupBy = 'model', userId } = req.query;
+  let range;
+  try {
+    range = costLedger.resolveRange(from, to);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!['user', 'plan', 'model'].includes(groupBy)) {
+    return res.status(400).json({ error: 'groupBy must be one of user, plan, model' });
+  }
+
+  try {
+    const spend = await costLedger.getSpend({ ...range, groupBy, userId: userId || null });
+    res.json({ from: range.from, to: range.to, groupBy, ...spend });
+  } catch (error) {
+    logger.error('Admin cost spend fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/costs/margins?from=&to= - Revenue vs. ledger cost per subscription plan
+router.get('/costs/margins', async (req, res) => {
+  let range;
+  try {
+    range = costLedger.resolveRange(req.query.from, req.query.to);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const margins = await costLedger.getPlanMargins(range);
+    res.json({ from: range.from, to: range.to, margins });
+  } catch (error) {
+    logger.error('Admin plan margins fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/routing-policies - All routing policies by priority, with the models rules may name
+router.get('/routing-policies', async (req, res) => {
+  try {
+    const policies = await routingPolicies.list();
+    res.json({ policies, models: enhancedRouterService.getAvailableModels(true) });
+  } catch (error) {
+    logger.error('Admin routing policies fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/routing-policies - Create a routing policy
+router.post('/routing-policies', async (req, res) => {
+  const validationError = routingPolicies.validatePolicy(req.body, enhancedRouterService.getAvailableModels(true));
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    const policy = await routingPolicies.create(req.body, req.user.id);
+    logger.info('Routing policy created by admin', { adminId: req.user.id, policyId: policy.id });
+    res.status(201).json({ policy });
+  } catch (error) {
+    logger.error('Admin routing policy create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/routing-policies/test - Dry run of the enabled policies for { query, plan }
+router.post('/routing-policies/test', async (req, res) => {
+  const { query, plan = 'free' } = req.body || {};
+  if (typeof query !== 'string' || !query.trim()) {
+    return res.status(400).json({ error: 'query is required' });
+  }
+
+  try {
+    const policies = (await routingPolicies.list()).filter(policy => policy.enabled);
+    const isPaid = ['plus', 'pro'].includes(plan);
+    const result = routingPolicies.evaluate(policies, {
+      query,
+      plan,
+      availableModels: enhancedRouterService.getAvailableModels(isPaid)
+    });
+    // Without a route rule the LLM router decides among the remaining models
+    res.json({ ...result, routedBy: result.model ? 'policy' : 'llm' });
+  } catch (error) {
+    logger.error('Admin routing policy test error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/routing-policies/:policyId - Replace a routing policy
+router.put('/routing-policies/:policyId', async (req, res) => {
+  const validationError = routingPolicies.validatePolicy(req.body, enhancedRouterService.getAvailableModels(true));
+  if (validationError) return res.status(400).json({ error: validationError });
+
+  try {
+    const { policyId } = req.params;
+    const policy = await routingPolicies.update(policyId, req.body, req.user.id);
+    if (!policy) return res.status(404).json({ error: 'Routing policy not found' });
+
+    logger.info('Routing policy updated by admin', { adminId: req.user.id, policyId });
+    res.json({ policy });
+  } catch (error) {
+    logger.error('Admin routing policy update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/routing-policies/:policyId - Delete a routing policy
+router.delete('/routing-policies/:policyId', async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    await routingPolicies.remove(policyId);
+
+    logger.info('Routing policy deleted by admin', { adminId: req.user.id, policyId });
+    res.json({ message: 'Routing policy deleted successfully' });
+  } catch (error) {
+    logger.error('Admin routing policy delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/admin/system/restart - Restart system (placeholder)
 router.post('/system/restart', async (req, res) => {
   try {
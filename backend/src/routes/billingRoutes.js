@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { getBillingHistory } = require('../controllers/billingController.js');
+const { getBillingHistory, getUsageSpend } = require('../controllers/billingController.js');
 const { requireAuth } = require('../middlewares/authMiddleware.js');
 
 
 // Route to fetch billing history
 router.get('/billing-history', requireAuth, getBillingHistory);
 
+// Route to fetch the user's AI spend (?from=&to=, defaults to the last 30 days)
+router.get('/spend', requireAuth, getUsageSpend);
+
 module.exports = router;
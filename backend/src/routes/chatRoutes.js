@@ -8,6 +8,18 @@ const { modelRouter } = require('../services/enhancedRouter.js');
 const { generateImageSimple } = require('../services/dalleService.js');
 const { generateDiagram, isLucidchartAvailable } = require('../services/lucidchartService.js');
 const { generateChatResponse } = require('../services/vectorService.js');
+const costLedger = require('../services/costLedgerService.js');
+const conversationManager = require('../services/conversationManager.js');
+const routerDecisions = require('../services/routerDecisionService.js');
+const modelEntitlements = require('../services/modelEntitlementService.js');
+const enhancedRouterService = require('../services/enhancedRouterService.js');
+const { structuredOutput } = require('../services/structuredOutputService.js');
+const attachmentService = require('../services/attachmentService.js');
+const { summarization } = require('../services/summarizationService.js');
+const chatSearchService = require('../services/chatSearchService.js');
+const chatOrganization = require('../services/chatOrganizationService.js');
+const chatExport = require('../services/chatExportService.js');
+const { estimateUsage, mergeUsage } = require('../utils/tokenUsage.js');
 const { requireAuth } = require('../middlewares/authMiddleware.js');
 const { trackUsage, updateUsage } = require('../middlewares/usageMiddleware.js');
 const { getCachedResponse, cacheResponse, invalidateCache } = require('../redis/redisHelpers.js');
@@ -81,13 +93,21 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
 }));
 
 // GET /api/chat/sessions - Get user's chat sessions with cursor-based pagination
+// Filters: archived (true, false or all; default false), pinned (true or false),
+// folder (a folder id or none), tags (comma-separated; chats with all of them)
 router.get('/sessions', requireAuth, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const limit = parseInt(req.query.limit) || 20;
   const cursor = req.query.cursor;
   const direction = req.query.direction || 'next';
   const { force } = req.query;
-  const cacheKey = `chat:sessions:${userId}:${cursor || 'initial'}:${limit}:${direction}`;
+
+  const { error: filterError, filters } = chatOrganization.parseListFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+  const filterKey = [filters.archived, filters.pinned, filters.folder, filters.tags.join(',')].join(':');
+  const cacheKey = `chat:sessions:${userId}:${cursor || 'initial'}:${limit}:${direction}:${filterKey}`;
 
   // Skip cache if force refresh is requested
   if (!force) {
@@ -100,10 +120,10 @@ router.get('/sessions', requireAuth, asyncHandler(async (req, res) => {
     }
   }
 
-  let query = supabase
+  let query = chatOrganization.applyListFilters(supabase
     .from('chats')
-    .select('id, title, created_at, last_message_at, total_messages')
-    .eq('user_id', userId)
+    .select(chatOrganization.chatFields)
+    .eq('user_id', userId), filters)
     .order('created_at', { ascending: false })
     .limit(limit + 1); // Get one extra to check if there's more
 
@@ -149,54 +169,123 @@ router.get('/sessions', requireAuth, asyncHandler(async (req, res) => {
 }));
 
 
-// PATCH /api/chat/:id - Update a chat session title
+// GET /api/chat/search - Search the user's messages by words and by meaning
+// Query: q (required), from, to (ISO dates), model, tags (comma-separated), limit
+router.get('/search', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const result = await chatSearchService.search(req.user.id, req.query);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error in GET /api/chat/search:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// GET /api/chat/tags - Tags on the user's chats, most used first
+router.get('/tags', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    return res.status(200).json({ tags: await chatOrganization.listTags(req.user.id) });
+  } catch (error) {
+    logger.error('Error in GET /api/chat/tags:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// PATCH /api/chat/:id - Rename, pin, archive or restore a chat, set its tags or move it to a folder
+// Body: { title?, pinned?, archived?, tags?: string[], folderId?: string | null }
 router.patch('/:id', requireAuth, asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    let { title } = req.body;
-
-    if (typeof title !== 'string') {
-      return res.status(400).json({ error: 'Title must be a string' });
-    }
-    title = title.trim();
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-    if (title.length > 200) {
-      return res.status(400).json({ error: 'Title is too long' });
-    }
-
-    const { data: updated, error } = await supabase
-      .from('chats')
-      .update({
-        title,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .eq('user_id', userId)
-      .select('id, title, created_at, last_message_at, total_messages, updated_at')
-      .single();
 
-    if (error) {
-      logger.error('Error updating chat session:', error);
-      return res.status(500).json({ error: 'Failed to update chat session' });
-    }
+    const result = await chatOrganization.updateChat(userId, id, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
 
     try {
       await invalidateCache(`chat:sessions:${userId}:*`);
-      logger.info(`🗑️ Invalidated chat sessions cache after title update for chat: ${id}`);
+      logger.info(`🗑️ Invalidated chat sessions cache after updating chat: ${id}`);
     } catch (cacheError) {
       logger.warn('Failed to invalidate chat sessions cache:', cacheError);
     }
 
-    return res.status(200).json(updated);
+    return res.status(200).json(result.chat);
   } catch (error) {
     logger.error('Error in PATCH /api/chat/:id:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 }));
 
+// POST /api/chat/:id/messages/:messageId/rating - Thumbs up/down on a reply
+// Body: { rating: 'up' | 'down' | null }. Feeds the router decision log.
+router.post('/:id/messages/:messageId/rating', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const rating = req.body.rating === undefined ? null : req.body.rating;
+
+    const result = await routerDecisions.rate({ userId: req.user.id, chatId: id, messageId, rating });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error in POST /api/chat/:id/messages/:messageId/rating:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// PUT /api/chat/:id/model - Pin a model to the chat
+// Body: { model: string | null }; null hands the choice back to the router.
+// 403 with `upgradeRequired` when the plan does not include the model.
+router.put('/:id/model', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const model = req.body.model === undefined ? null : req.body.model;
+
+    const result = await modelEntitlements.pinModel({
+      userId: req.user.id,
+      chatId: id,
+      model,
+      plan: req.profile?.subscription_plan
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error in PUT /api/chat/:id/model:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// GET /api/chat/:id/summaries - Summary versions of the chat, newest first
+router.get('/:id/summaries', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const versions = await summarization.listVersions(req.params.id, req.user.id);
+    return res.status(200).json({ summaries: versions });
+  } catch (error) {
+    logger.error('Error in GET /api/chat/:id/summaries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
+// GET /api/chat/:id/export?format=md|json|html|pdf - Download the chat as a file
+router.get('/:id/export', requireAuth, asyncHandler(async (req, res) => {
+  try {
+    const result = await chatExport.exportChat(req.user.id, req.params.id, String(req.query.format || 'md').toLowerCase());
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.attachment(result.fileName);
+    res.type(result.contentType);
+    return res.status(200).send(result.body);
+  } catch (error) {
+    logger.error('Error in GET /api/chat/:id/export:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}));
+
 // DELETE /api/chat/:id - Delete a chat session (UPDATED ROUTE)
 router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
   try {
@@ -246,12 +335,16 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
         last_message_at, 
         total_messages, 
         user_id,
+        pinned_model,
         chat_messages(
           id, 
           role, 
           content, 
           tokens, 
           model_used, 
+          metadata,
+          parent_message_id,
+          is_edited,
           created_at
         )
       `)
@@ -269,8 +362,8 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
       return res.status(500).json({ error: 'Failed to fetch chat session' });
     }
 
-    // Extract messages and reverse to get chronological order
-    const messages = chatData.chat_messages?.reverse() || [];
+    // Extract messages and reverse to get chronological order; stored attachments get fresh URLs
+    const messages = await attachmentService.withUrls(chatData.chat_messages?.reverse() || []);
 
     // Remove messages from chat object to avoid duplication
     const { chat_messages, ...session } = chatData;
@@ -301,7 +394,7 @@ router.post('/',
   },
   requireAuth, trackUsage, asyncHandler(async (req, res) => {
     try {
-      const { message, sessionId } = req.body;
+      const { message, sessionId, responseSchema, schemaName } = req.body;
       const userId = req.user.id;
 
       console.log(`[POST /api/chat] Received request from user ${userId}`);
@@ -312,6 +405,10 @@ router.post('/',
       if (!message || message.trim() === '') {
         return res.status(400).json({ error: 'Message is required' });
       }
+      if (responseSchema !== undefined) {
+        const schemaError = structuredOutput.validateRequestSchema(responseSchema, schemaName);
+        if (schemaError) return res.status(400).json({ error: schemaError });
+      }
 
       // Route using enhanced model router (includes nano-classification logging internally)
       const computedRoute = await modelRouter.routeQuery(message, userPlan);
@@ -336,6 +433,13 @@ router.post('/',
         });
       }
 
+      // A response schema always gets a JSON text reply, whatever the intent
+      if (responseSchema !== undefined) {
+        return await handleStructured({ message, sessionId, userId, userPlan, model, schema: responseSchema, name: schemaName, res });
+      }
+
+      const downgraded = computedRoute.downgraded;
+
       // Route to appropriate handler based on intent
       switch (intent) {
         case 'text':
@@ -628,6 +732,18 @@ async function handleText({ message, sessionId, userId, userPlan, intent, diffic
     // Update usage (approx token count)
     await updateUsage(userId, assistantReply.split(' ').length);
 
+    // This path gets no provider usage back, so price an estimate
+    if (!isErrorLike) {
+      const promptText = [...(conversationHistory || []).map(msg => msg.content), message].join('\n');
+      await costLedger.recordCompletion({
+        userId,
+        chatId: currentSessionId,
+        model: modelUsed,
+        plan: userPlan,
+        usage: estimateUsage(promptText, assistantReply)
+      });
+    }
+
     // Save user message
     {
       const { error: userMsgError } = await supabase
@@ -720,9 +836,58 @@ async function handleText({ message, sessionId, userId, userPlan, intent, diffic
   }
 }
 
+// Non-streaming JSON Schema reply: one completion on a structured-output model,
+// validated, with a single repair attempt when it does not match
+async function handleStructured({ message, sessionId, userId, userPlan, model, schema, name, res }) {
+  try {
+    const isPaid = ['plus', 'pro'].includes(String(userPlan).toLowerCase());
+    const modelUsed = structuredOutput.selectModel(model, enhancedRouterService.getAvailableModels(isPaid));
+    if (!modelUsed) {
+      return res.status(422).json({ error: 'No model on your plan supports structured output' });
+    }
+
+    const conversation = await conversationManager.getConversation(sessionId, userId);
+    const history = (conversation?.messages || [])
+      .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+      .map(msg => ({ role: msg.role, content: String(msg.content || '') }));
+
+    const messages = [
+      { role: 'system', content: `You are a helpful assistant.${structuredOutput.buildInstructions(schema)}` },
+      ...history,
+      { role: 'user', content: message }
+    ];
+    const first = await structuredOutput.complete(modelUsed, messages, { schema, name });
+    const outcome = await structuredOutput.enforce({ model: modelUsed, schema, name, text: first.text });
+    const usage = mergeUsage(
+      first.usage || estimateUsage(messages.map(msg => msg.content).join('\n'), first.text),
+      outcome.usage
+    );
+    const structured = { valid: outcome.valid, repaired: outcome.repaired, errors: outcome.errors };
+
+    const saved = await conversationManager.saveMessage(conversation?.id || sessionId, userId, message, outcome.text, modelUsed, 'text', {
+      usage,
+      structured
+    });
+    await updateUsage(userId, usage.completionTokens);
+    await costLedger.recordCompletion({ userId, chatId: saved.id, model: modelUsed, plan: userPlan, usage });
+
+    res.status(200).json({
+      output: outcome.text,
+      data: outcome.data,
+      ...structured,
+      sessionId: saved.id,
+      model: modelUsed,
+      usage
+    });
+  } catch (error) {
+    logger.error('Error in handleStructured:', error);
+    res.status(500).json({ error: 'Failed to generate structured response' });
+  }
+}
+
 async function handleImage({ message, userId, userPlan, intent, difficulty, allowed, res }) {
   try {
-    const imageResponse = await generateImageSimple(message);
+    const imageResponse = await generateImageSimple(message, userId);
 
     res.status(200).json({
       output: imageResponse,
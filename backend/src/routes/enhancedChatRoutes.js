@@ -3,6 +3,7 @@ const { requireAuth } = require('../middlewares/authMiddleware.js');
 const supabaseAdmin = require('../db/supabase/admin.js');
 const { getCachedResponse, cacheResponse, invalidateCache } = require('../redis/redisHelpers.js');
 const logger = require('../config/logger.js');
+const { activePath, withBranchInfo, buildTree } = require('../utils/messageTree.js');
 
 const router = express.Router();
 const supabase = supabaseAdmin;
@@ -89,12 +90,18 @@ router.get('/recent', requireAuth, async (req, res) => {
 });
 
 // GET /api/enhanced-chat/:id/messages - Get chat messages with capping
+// Returns the active branch (the path to the newest message, or to the newest
+// message below `?from=<messageId>`) with sibling info for each message, paged
+// back from the newest. `?view=tree` returns every message with its children instead.
 router.get('/:id/messages', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { limit = 5, offset = 0, force } = req.query;
-    const cacheKey = `enhanced:chat_messages:${id}:${limit}:${offset}`;
+    const { limit = 5, offset = 0, force, view = 'path', from = '' } = req.query;
+    if (!['path', 'tree'].includes(view)) {
+      return res.status(400).json({ error: "view must be 'path' or 'tree'" });
+    }
+    const cacheKey = `enhanced:chat_messages:${id}:${view}:${from}:${limit}:${offset}`;
     
     // Check cache first
     if (!force) {
@@ -119,33 +126,45 @@ router.get('/:id/messages', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Chat not found' });
     }
 
-    // Fetch messages with pagination (most recent first)
+    // Every branch is needed to work out the active path, so the whole chat is read
     const { data: messages, error: messagesError } = await supabase
       .from('chat_messages')
-      .select('id, role, content, tokens, model_used, created_at')
+      .select('id, role, content, tokens, model_used, parent_message_id, is_edited, edited_at, created_at')
       .eq('chat_id', id)
-      .order('created_at', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+      .order('created_at', { ascending: true });
 
     if (messagesError) {
       logger.error('Error fetching chat messages:', messagesError);
       return res.status(500).json({ error: 'Failed to fetch chat messages' });
     }
 
-    // Reverse to get chronological order
-    const chronologicalMessages = messages?.reverse() || [];
-    
-    const responseData = {
-      chat_id: id,
-      messages: chronologicalMessages,
-      total_messages: chat.total_messages,
-      has_more: (parseInt(offset) + parseInt(limit)) < chat.total_messages,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: chat.total_messages
-      }
-    };
+    let responseData;
+    if (view === 'tree') {
+      const tree = buildTree(messages || []);
+      responseData = {
+        chat_id: id,
+        messages: tree,
+        active_path: activePath(tree, from || null).map(message => message.id),
+        total_messages: tree.length
+      };
+    } else {
+      // Paginate along the path, most recent first, returned in chronological order
+      const path = withBranchInfo(activePath(messages || [], from || null), messages || []);
+      const pageEnd = Math.max(path.length - parseInt(offset), 0);
+      const pageStart = Math.max(pageEnd - parseInt(limit), 0);
+
+      responseData = {
+        chat_id: id,
+        messages: path.slice(pageStart, pageEnd),
+        total_messages: path.length,
+        has_more: pageStart > 0,
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          total: path.length
+        }
+      };
+    }
 
     // Cache with 10-minute TTL
     await cacheResponse(userId, cacheKey, responseData, 600);
@@ -0,0 +1,29 @@
+const express = require('express');
+const { requireAuth } = require('../middlewares/authMiddleware.js');
+const accountExport = require('../services/accountExportService.js');
+const logger = require('../config/logger.js');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/export/account - Zip archive of everything stored for the user (GDPR access requests)
+router.get('/account', async (req, res) => {
+  try {
+    const result = await accountExport.exportAccount(req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.attachment(result.fileName);
+    res.type('application/zip');
+    res.set('Cache-Control', 'no-store');
+    await accountExport.writeArchive(result.entries, res);
+    logger.info(`📦 Account export sent to user ${req.user.id} (${result.entries.length} files)`);
+  } catch (error) {
+    logger.error('Account export error:', error);
+    // Once the zip has started the status is sent; cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { requireAuth } = require('../middlewares/authMiddleware.js');
+const chatOrganization = require('../services/chatOrganizationService.js');
+const { invalidateCache } = require('../redis/redisHelpers.js');
+const logger = require('../config/logger.js');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Sends a `{ status, error }` service result as an error response; false when it is not one
+const sendServiceError = (res, result) => {
+  if (!result?.error) return false;
+  const { status, ...body } = result;
+  res.status(status).json(body);
+  return true;
+};
+
+// Cached sidebar listings carry each chat's folder
+const invalidateSessions = async (userId) => {
+  try {
+    await invalidateCache(`chat:sessions:${userId}:*`);
+  } catch (cacheError) {
+    logger.warn('Failed to invalidate chat sessions cache:', cacheError);
+  }
+};
+
+// GET /api/folders - The user's chat folders in sidebar order, with chat counts
+router.get('/', async (req, res) => {
+  try {
+    res.json({ folders: await chatOrganization.listFolders(req.user.id) });
+  } catch (error) {
+    logger.error('Folder list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/folders - Create a folder. Body: { name, color? }
+router.post('/', async (req, res) => {
+  try {
+    const result = await chatOrganization.createFolder(req.user.id, req.body || {});
+    if (sendServiceError(res, result)) return;
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Folder create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/folders/:folderId - Rename, recolor or reorder. Body: { name?, color?, position? }
+router.patch('/:folderId', async (req, res) => {
+  try {
+    const result = await chatOrganization.updateFolder(req.user.id, req.params.folderId, req.body || {});
+    if (sendServiceError(res, result)) return;
+    res.json(result);
+  } catch (error) {
+    logger.error('Folder update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/folders/:folderId - Delete a folder; its chats move out of it
+router.delete('/:folderId', async (req, res) => {
+  try {
+    const result = await chatOrganization.deleteFolder(req.user.id, req.params.folderId);
+    if (sendServiceError(res, result)) return;
+    await invalidateSessions(req.user.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('Folder delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const express = require('express');
 const redisClient = require('../redis/unifiedRedisClient.js');
 const qdrantClient = require('../db/qdrant/client.js');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { providerRegistry } = require('../services/providerRegistry.js');
+const { providerHealth } = require('../services/providerHealthService.js');
 const logger = require('../config/logger.js');
 
 const router = express.Router();
@@ -87,12 +89,22 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// GET /health/ai - Check Gemini free-tier availability
+// GET /health/ai - Check Gemini free-tier availability (and the self-hosted endpoint, if configured)
+// `circuits` is the circuit breaker state of every provider (see providerHealthService)
 router.get('/ai', async (req, res, next) => {
   try {
+    const circuits = providerHealth.getStatus();
+    const local = providerRegistry.getProvider('local')
+      ? await providerRegistry.probe('local')
+      : undefined;
+
     const apiKey = process.env.FREE_MODEL_API_KEY;
     if (!apiKey) {
-      return res.status(500).json({ status: 'error', error: 'FREE_MODEL_API_KEY not set' });
+      // Offline/self-hosted setups have no Gemini key; report the local endpoint instead
+      if (local) {
+        return res.status(local.status === 'ok' ? 200 : 503).json({ status: local.status, local, circuits });
+      }
+      return res.status(500).json({ status: 'error', error: 'FREE_MODEL_API_KEY not set', circuits });
     }
 
     const client = new GoogleGenerativeAI(apiKey);
@@ -117,9 +129,9 @@ router.get('/ai', async (req, res, next) => {
     try {
       const result = await model.generateContent('Ping');
       const text = await result.response.text();
-      return res.json({ status: 'ok', model: resolvedModel, sample: text.slice(0, 60) });
+      return res.json({ status: 'ok', model: resolvedModel, sample: text.slice(0, 60), local, circuits });
     } catch (err) {
-      return res.status(500).json({ status: 'error', error: err.message || String(err) });
+      return res.status(500).json({ status: 'error', error: err.message || String(err), local, circuits });
     }
   } catch (error) {
     next(error);
@@ -0,0 +1,71 @@
+const express = require('express');
+const multer = require('multer');
+const { requireAuth } = require('../middlewares/authMiddleware.js');
+const { chatImport } = require('../services/chatImportService.js');
+const logger = require('../config/logger.js');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: chatImport.config.maxFileBytes, files: 1 }
+});
+
+router.use(requireAuth);
+
+// Sends a `{ status, error }` service result as an error response; false when it is not one
+const sendServiceError = (res, result) => {
+  if (!result?.error) return false;
+  const { status, ...body } = result;
+  res.status(status).json(body);
+  return true;
+};
+
+// Multer's size error as a 413 instead of the generic error handler's 500
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = Math.round(chatImport.config.maxFileBytes / (1024 * 1024));
+      return res.status(413).json({ error: `The file is larger than ${maxMb} MB` });
+    }
+    next(error);
+  });
+};
+
+// GET /api/import - The user's latest imports, newest first
+router.get('/', async (req, res) => {
+  try {
+    res.json({ imports: await chatImport.listImports(req.user.id) });
+  } catch (error) {
+    logger.error('Import list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/import - Import chats from a ChatGPT, Claude or chat export (multipart field `file`, .json or .zip)
+// Answers 202 once the file is read; poll GET /api/import/:importId for progress
+router.post('/', receiveFile, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const result = await chatImport.startImport(req.user.id, req.file);
+    if (sendServiceError(res, result)) return;
+    res.status(202).json(result);
+  } catch (error) {
+    logger.error('Import start error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/import/:importId - Status and progress of an import
+router.get('/:importId', async (req, res) => {
+  try {
+    const result = await chatImport.getImport(req.user.id, req.params.importId);
+    if (!result) return res.status(404).json({ error: 'Import not found' });
+    res.json({ import: result });
+  } catch (error) {
+    logger.error('Import status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
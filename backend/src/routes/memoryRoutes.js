@@ -0,0 +1,108 @@
+const express = require('express');
+const { requireAuth } = require('../middlewares/authMiddleware.js');
+const memoryService = require('../services/memoryService.js');
+const logger = require('../config/logger.js');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Sends a `{ status, error }` service result as an error response; false when it is not one
+const sendServiceError = (res, result) => {
+  if (!result?.error) return false;
+  const { status, ...body } = result;
+  res.status(status).json(body);
+  return true;
+};
+
+// GET /api/memory - The memory switch, approved memories and suggestions awaiting approval
+router.get('/', async (req, res) => {
+  try {
+    const [enabled, memories] = await Promise.all([
+      memoryService.isEnabled(req.user.id),
+      memoryService.list(req.user.id)
+    ]);
+    res.json({
+      enabled,
+      memories: memories.filter(memory => memory.status === 'approved'),
+      proposals: memories.filter(memory => memory.status === 'proposed')
+    });
+  } catch (error) {
+    logger.error('Memory fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/memory/settings - Turn memory on or off. Body: { enabled: boolean }
+router.put('/settings', async (req, res) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be true or false' });
+
+  try {
+    res.json({ enabled: await memoryService.setEnabled(req.user.id, enabled) });
+  } catch (error) {
+    logger.error('Memory settings update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/memory - Add a memory. Body: { content }
+router.post('/', async (req, res) => {
+  try {
+    const result = await memoryService.create(req.user.id, req.body?.content);
+    if (sendServiceError(res, result)) return;
+    res.status(201).json({ memory: result });
+  } catch (error) {
+    logger.error('Memory create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/memory/:memoryId - Edit a memory. Body: { content }
+router.put('/:memoryId', async (req, res) => {
+  try {
+    const result = await memoryService.update(req.user.id, req.params.memoryId, req.body?.content);
+    if (sendServiceError(res, result)) return;
+    if (!result) return res.status(404).json({ error: 'Memory not found' });
+    res.json({ memory: result });
+  } catch (error) {
+    logger.error('Memory update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/memory/:memoryId/approve - Keep a memory the assistant suggested
+router.post('/:memoryId/approve', async (req, res) => {
+  try {
+    const memory = await memoryService.approve(req.user.id, req.params.memoryId);
+    if (!memory) return res.status(404).json({ error: 'Memory not found' });
+    res.json({ memory });
+  } catch (error) {
+    logger.error('Memory approve error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/memory/:memoryId - Forget a memory or dismiss a suggestion
+router.delete('/:memoryId', async (req, res) => {
+  try {
+    await memoryService.remove(req.user.id, req.params.memoryId);
+    res.json({ message: 'Memory deleted successfully' });
+  } catch (error) {
+    logger.error('Memory delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/memory - Forget everything
+router.delete('/', async (req, res) => {
+  try {
+    await memoryService.clear(req.user.id);
+    res.json({ message: 'All memories deleted successfully' });
+  } catch (error) {
+    logger.error('Memory clear error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
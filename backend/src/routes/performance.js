@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { getPerformanceReport, getPerformanceAlerts, resetMetrics } = require('../services/performanceService');
 const { getCacheStats, resetCacheStats } = require('../services/cacheService');
+const semanticCache = require('../services/semanticCacheService');
 const { requireAuth } = require('../middlewares/authMiddleware');
 const { validateRequest } = require('../middlewares/validationMiddleware');
 const logger = require('../utils/logger');
@@ -90,7 +91,11 @@ router.get('/cache', requireAuth, async (req, res) => {
     
     res.json({
       success: true,
-      data: cacheStats
+      data: {
+        ...cacheStats,
+        // Chat replies answered from the semantic response cache
+        semantic: semanticCache.getStats()
+      }
     });
   } catch (error) {
     logger.error('Error fetching cache statistics:', error);
@@ -125,6 +130,7 @@ router.post('/reset', requireAuth, async (req, res) => {
     
     if (type === 'cache' || type === 'all') {
       resetCacheStats();
+      semanticCache.resetStats();
       logger.info('Cache statistics reset by admin', { userId: req.user.id });
     }
     
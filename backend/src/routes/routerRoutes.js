@@ -27,6 +27,7 @@ router.post('/route', async (req, res) => {
       endpoint,
       allowed: route.allowed !== undefined ? route.allowed : true,
       downgraded: !!route.downgraded,
+      explanation: route.explanation || null,
       plan: subscriptionPlan ? subscriptionPlan.toLowerCase() : 'free'
     };
 
@@ -1,6 +1,18 @@
 const express = require('express');
+const crypto = require('crypto');
 const { modelRouter } = require('../services/enhancedRouter.js');
+const enhancedRouterService = require('../services/enhancedRouterService.js');
 const StreamingService = require('../services/streamingService.js');
+const streamBuffer = require('../services/streamBufferService.js');
+const { providerRegistry } = require('../services/providerRegistry.js');
+const { providerHealth } = require('../services/providerHealthService.js');
+const { structuredOutput } = require('../services/structuredOutputService.js');
+const attachmentService = require('../services/attachmentService.js');
+const conversationManager = require('../services/conversationManager.js');
+const comparisonService = require('../services/comparisonService.js');
+const routerDecisions = require('../services/routerDecisionService.js');
+const modelEntitlements = require('../services/modelEntitlementService.js');
+const contextManager = require('../services/contextManager.js');
 const { requireAuth } = require('../middlewares/authMiddleware.js');
 const logger = require('../config/logger.js');
 
@@ -9,77 +21,216 @@ const streamingService = new StreamingService();
 
 // Always use real streaming service; mock streaming disabled
 
+// In-flight streams by streamId so POST /stream/:streamId/stop can cancel them
+const activeStreams = new Map();
+
+// How long generation keeps running after the client drops, waiting for a resume
+const RESUME_GRACE_MS = parseInt(process.env.STREAM_RESUME_GRACE_MS, 10) || 30000;
+// Resume polls the buffer while the stream is still being produced
+const RESUME_POLL_MS = 250;
+const RESUME_IDLE_TIMEOUT_MS = 60000;
+
+function writeSseHeaders(req, res) {
+  // Align with global CORS
+  const origin = req.headers.origin || process.env.CORS_ORIGINS?.split(',')[0] || 'http://localhost:8080';
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Disable proxy buffering (e.g., Nginx) to ensure real-time chunks
+    'X-Accel-Buffering': 'no',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control, Pragma, X-Requested-With, Accept, Origin, Last-Event-ID',
+    'Vary': 'Origin'
+  });
+}
+
+// Without a connected client, stop generating once the grace period runs out
+function detachStream(entry) {
+  clearTimeout(entry.detachTimer);
+  entry.detachTimer = setTimeout(() => entry.controller.abort('client_disconnect'), RESUME_GRACE_MS);
+}
+
+function attachStream(entry) {
+  clearTimeout(entry.detachTimer);
+  entry.detachTimer = null;
+}
+
+/**
+ * Starts a resumable SSE response. Every frame from here on is numbered and
+ * buffered so a dropped client can resume. A disconnect only cancels the
+ * provider calls if nobody resumes within RESUME_GRACE_MS; `res` (not `req`)
+ * is what closes when the client goes away.
+ */
+async function openStream(req, res, userId) {
+  writeSseHeaders(req, res);
+
+  const streamId = crypto.randomUUID();
+  const streamEntry = { controller: new AbortController(), userId, detachTimer: null };
+  activeStreams.set(streamId, streamEntry);
+  streamingService.attachStream(res, streamId);
+  await streamBuffer.open(streamId, userId);
+  res.on('close', () => {
+    if (!res.writableEnded && activeStreams.has(streamId)) detachStream(streamEntry);
+  });
+  return { streamId, streamEntry };
+}
+
+function closeStream(streamId, streamEntry) {
+  if (!streamEntry) return;
+  clearTimeout(streamEntry.detachTimer);
+  activeStreams.delete(streamId);
+}
+
+const DEFAULT_FALLBACK_MODELS = ['gemini-2.5-flash-lite', 'gpt-4o-mini'];
+
+/**
+ * Fallback chain for a plan. STREAM_FALLBACK_MODELS (comma separated) replaces the
+ * defaults, and the first self-hosted model the plan may use is appended so chats
+ * keep working when hosted providers are unreachable.
+ */
+function getFallbackModels(plan) {
+  const configured = (process.env.STREAM_FALLBACK_MODELS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  const base = (configured.length ? configured : DEFAULT_FALLBACK_MODELS)
+    .filter(model => providerRegistry.hasModel(model));
+
+  const tiers = plan === 'free' ? ['free'] : ['free', 'paid'];
+  const [localModel] = providerRegistry.listModels({ providerId: 'local', tiers });
+  if (localModel && !base.includes(localModel)) base.push(localModel);
+
+  return base;
+}
+
+const supportsVision = (model) => providerRegistry.hasModel(model) && Boolean(providerRegistry.getCapabilities(model).vision);
+
+/**
+ * Where a message goes in the chat's message tree (see utils/messageTree.js):
+ * - `editMessageId`: a new version of that user message, as its sibling
+ * - `regenerateMessageId`: another answer to the user message that reply answers
+ * - `parentMessageId`: continues the branch ending at that message
+ * Without any of them the message follows the chat's newest message.
+ * @returns {Promise<{branch: Object, regenerate?: Object}|{status: number, error: string}>}
+ */
+async function resolveBranch(userId, sessionId, { parentMessageId, editMessageId, regenerateMessageId }) {
+  const load = async (messageId, role) => {
+    const row = await conversationManager.getMessage(messageId, userId);
+    return row && row.chat_id === sessionId && (!role || row.role === role) ? row : null;
+  };
+
+  if (regenerateMessageId) {
+    const reply = await load(regenerateMessageId, 'assistant');
+    const question = reply?.parent_message_id ? await load(reply.parent_message_id, 'user') : null;
+    if (!question) return { status: 404, error: 'Message not found' };
+    return {
+      branch: { parentMessageId: question.parent_message_id, userMessageId: question.id },
+      regenerate: question
+    };
+  }
+  if (editMessageId) {
+    const original = await load(editMessageId, 'user');
+    if (!original) return { status: 404, error: 'Message not found' };
+    return { branch: { parentMessageId: original.parent_message_id, editedFrom: original.id } };
+  }
+  if (parentMessageId) {
+    if (!(await load(parentMessageId))) return { status: 404, error: 'Message not found' };
+    return { branch: { parentMessageId } };
+  }
+  return { branch: {} };
+}
+
 // POST /api/chat/stream - Streaming chat endpoint
+// An optional `responseSchema` (JSON Schema) and `schemaName` turn the reply into
+// validated JSON from a model that supports structured output.
+// `attachments` ({ path, name, type, size } from POST /api/files/upload) are sent
+// to the model; images need a vision-capable one.
+// `editMessageId` and `regenerateMessageId` add a branch instead of overwriting, and
+// `parentMessageId` continues the branch the user is viewing (see resolveBranch).
+// `model` answers with that model instead of routing ('auto' routes even in a chat
+// with a pinned model); a model outside the plan ends the stream with `upgradeRequired`.
 router.post('/stream', requireAuth, async (req, res) => {
+  let streamId = null;
+  let streamEntry = null;
   try {
-    const { message, sessionId } = req.body;
+    const { sessionId, responseSchema, schemaName, parentMessageId, editMessageId, regenerateMessageId, model: requestedModel } = req.body;
+    let { message, attachments } = req.body;
     const userId = req.user.id;
     const userPlan = req.profile?.subscription_plan || 'free';
 
+    const placement = await resolveBranch(userId, sessionId, { parentMessageId, editMessageId, regenerateMessageId });
+    if (placement.error) {
+      return res.status(placement.status).json({ error: placement.error });
+    }
+    if (placement.regenerate) {
+      // Answer the stored question again, with its images (documents are already indexed)
+      message = placement.regenerate.content;
+      attachments = (placement.regenerate.metadata?.attachments || []).filter(attachment => attachmentService.isImage(attachment));
+      await routerDecisions.markRegenerated(userId, regenerateMessageId);
+    }
+
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    if (responseSchema !== undefined) {
+      const schemaError = structuredOutput.validateRequestSchema(responseSchema, schemaName);
+      if (schemaError) return res.status(400).json({ error: schemaError });
+    }
+    const attachmentError = attachmentService.validate(userId, attachments);
+    if (attachmentError) return res.status(400).json({ error: attachmentError });
 
-    // Set up SSE headers (align with global CORS)
-    const origin = req.headers.origin || process.env.CORS_ORIGINS?.split(',')[0] || 'http://localhost:8080';
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      // Disable proxy buffering (e.g., Nginx) to ensure real-time chunks
-      'X-Accel-Buffering': 'no',
-      'Access-Control-Allow-Origin': origin,
-      'Access-Control-Allow-Credentials': 'true',
-      'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control, Pragma, X-Requested-With, Accept, Origin',
-      'Vary': 'Origin'
-    });
-
-    // 1. Get routing decision
-    const computedRoute = await modelRouter.routeQuery(message, {
-      subscriptionPlan: userPlan,
-      userId
-    });
+    ({ streamId, streamEntry } = await openStream(req, res, userId));
 
-    // 2. Send routing event to client (for debugging/transparency)
-    const routingPayload = {
-      type: 'routing',
-      data: {
-        primaryModel: computedRoute.primaryModel,
-        type: computedRoute.type,
-        difficulty: computedRoute.difficulty,
-        debug: {
-          systemPrompt: computedRoute.systemPrompt,
-          userQuery: message
-        }
-      }
-    };
-    res.write(`data: ${JSON.stringify(routingPayload)}\n\n`);
-    if (typeof res.flush === 'function') {
-      try { res.flush(); } catch { }
+    // 1. Get routing decision: the user's own pick when there is one, else the router's
+    const choice = await modelEntitlements.resolve({ userId, chatId: sessionId, requestedModel, plan: userPlan });
+    if (choice.error) {
+      streamingService.emitEvent(res, 'error', {
+        message: choice.error,
+        ...(choice.upgradeRequired ? { upgradeRequired: true, requiredPlan: choice.requiredPlan, model: choice.model } : {})
+      });
+      return streamingService.endStream(res);
+    }
+    const computedRoute = choice.model
+      ? await modelRouter.routeToModel(message, { model: choice.model, source: choice.source, subscriptionPlan: userPlan })
+      : await modelRouter.routeQuery(message, {
+        subscriptionPlan: userPlan,
+        userId
+      });
+    if (!computedRoute.allowed) {
+      streamingService.emitEvent(res, 'error', { message: computedRoute.explanation });
+      return streamingService.endStream(res);
     }
 
+    // 2. Log the decision; the reply and its rating are linked to it later
+    const decisionId = await routerDecisions.record({
+      userId,
+      chatId: sessionId,
+      query: message,
+      router: computedRoute.routedBy || 'llm',
+      routerModel: computedRoute.routerModel,
+      chosenModel: computedRoute.primaryModel,
+      plan: userPlan,
+      latencyMs: computedRoute.latencyMs
+    });
+
     // 3. Prepare route for streaming service
     const effectiveRoute = {
       ...computedRoute,
+      decisionId,
       userId,
       userPlan
     };
 
     // Handle restricted content
     if (computedRoute.restricted) {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        data: {
-          message: 'This feature requires a Pro subscription',
-          upgradeRequired: true
-        }
-      })}\n\n`);
-      if (typeof res.flush === 'function') {
-        try { res.flush(); } catch { }
-      }
-      res.write(`data: [DONE]\n\n`);
-      return res.end();
+      streamingService.emitEvent(res, 'error', {
+        message: 'This feature requires a Pro subscription',
+        upgradeRequired: true
+      });
+      return streamingService.endStream(res);
     }
 
     // Start streaming response using real AI streaming service only
@@ -90,11 +241,49 @@ router.post('/stream', requireAuth, async (req, res) => {
     const chosenModel = computedRoute.primaryModel || 'gemini-2.5-flash-lite';
     selectedRoute.primaryModel = chosenModel;
 
-    // Fallback models can be generic based on plan
+    // Fallback models can be generic based on plan, minus models a routing policy blocked
     const plan = String(userPlan || 'free').toLowerCase();
-    selectedRoute.fallbackModels = plan === 'free'
-      ? ['gemini-2.5-flash-lite', 'gpt-4o-mini']
-      : ['gemini-2.5-flash-lite', 'gpt-4o-mini']; // Simplified fallbacks
+    const blockedModels = computedRoute.blockedModels || [];
+    const allowed = (model) => !blockedModels.includes(model);
+    selectedRoute.fallbackModels = getFallbackModels(plan).filter(m => m !== chosenModel && allowed(m));
+
+    // Images and response schemas need specific capabilities: keep the router's pick
+    // when it has them, otherwise switch to a model on the plan that does (and whose
+    // provider circuit is not open)
+    const needsVision = attachmentService.hasImages(attachments);
+    const structured = responseSchema !== undefined;
+    if (needsVision || structured) {
+      const canServe = (model) => allowed(model) && (!needsVision || supportsVision(model)) && (!structured || structuredOutput.supports(model));
+      const candidates = providerHealth.filterAvailable(enhancedRouterService.getAvailableModels(['plus', 'pro'].includes(plan)).filter(canServe));
+      const capableModel = canServe(chosenModel)
+        ? chosenModel
+        : (structured ? structuredOutput.selectModel(null, candidates) : candidates[0]);
+      if (!capableModel) {
+        streamingService.emitEvent(res, 'error', {
+          message: needsVision ? 'No model on your plan can read images' : 'No model on your plan supports structured output'
+        });
+        return streamingService.endStream(res);
+      }
+      selectedRoute.type = 'text';
+      selectedRoute.primaryModel = capableModel;
+      selectedRoute.fallbackModels = selectedRoute.fallbackModels.filter(m => m !== capableModel && canServe(m));
+      if (structured) selectedRoute.responseFormat = { schema: responseSchema, name: schemaName || 'response' };
+    }
+
+    // 4. Send routing event to client (for debugging/transparency) once the model is
+    // final; `budget` is its context length and the tokens kept for the prompt and the reply
+    streamingService.emitEvent(res, 'routing', {
+      primaryModel: selectedRoute.primaryModel,
+      type: selectedRoute.type,
+      difficulty: computedRoute.difficulty,
+      routedBy: computedRoute.routedBy,
+      explanation: computedRoute.explanation,
+      budget: contextManager.getBudget(selectedRoute.primaryModel),
+      debug: {
+        systemPrompt: computedRoute.systemPrompt,
+        userQuery: message
+      }
+    });
 
     // Plan-aware image quality
     if (selectedRoute.type === 'image') {
@@ -106,8 +295,11 @@ router.post('/stream', requireAuth, async (req, res) => {
     logger.info('[RouterAI] Using router decision', {
       userPlan: plan,
       routerOutputModel: chosenModel,
+      model: selectedRoute.primaryModel,
       type: selectedRoute.type,
-      imageQuality: selectedRoute.imageQuality
+      imageQuality: selectedRoute.imageQuality,
+      structured: Boolean(selectedRoute.responseFormat),
+      attachments: attachments?.length || 0
     });
 
     await streamingService.streamResponse({
@@ -116,23 +308,174 @@ router.post('/stream', requireAuth, async (req, res) => {
       sessionId,
       userId,
       userPlan,
-      res
+      res,
+      signal: streamEntry.controller.signal,
+      streamId,
+      attachments: await attachmentService.load(attachments),
+      branch: placement.branch
     });
 
   } catch (error) {
     logger.error('Streaming error:', error);
     const message = error?.message || 'Internal server error';
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      data: { message }
-    })}\n\n`);
+    streamingService.emitEvent(res, 'error', { message });
+    streamingService.endStream(res);
+  } finally {
+    closeStream(streamId, streamEntry);
+  }
+});
+
+// GET /api/streaming/models - Models the user can pick, with the plan that unlocks the others
+router.get('/models', requireAuth, async (req, res) => {
+  try {
+    const plan = String(req.profile?.subscription_plan || 'free').toLowerCase();
+    res.json({ plan, models: await modelEntitlements.getCatalog(plan) });
+  } catch (error) {
+    logger.error('Model catalog error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Models the user's plan may put side by side
+const getComparableModels = (plan) => enhancedRouterService
+  .getAvailableModels(['plus', 'pro'].includes(plan))
+  .filter(model => providerRegistry.hasModel(model));
+
+// GET /api/streaming/compare/models - Models available for a comparison
+router.get('/compare/models', requireAuth, (req, res) => {
+  const plan = String(req.profile?.subscription_plan || 'free').toLowerCase();
+  res.json({ models: getComparableModels(plan), minModels: 2, maxModels: 3 });
+});
+
+// POST /api/streaming/compare - One prompt answered by 2-3 `models` side by side
+// Frames of each model carry `model`; the final `comparison` event has the id for
+// POST /compare/:comparisonId/prefer. Stop and resume work as for /stream.
+router.post('/compare', requireAuth, async (req, res) => {
+  let streamId = null;
+  let streamEntry = null;
+  try {
+    const { message, sessionId, models, parentMessageId } = req.body;
+    const userId = req.user.id;
+    const userPlan = req.profile?.subscription_plan || 'free';
+    const plan = String(userPlan).toLowerCase();
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    const modelError = comparisonService.validateModels(models, getComparableModels(plan));
+    if (modelError) return res.status(400).json({ error: modelError });
+
+    const placement = await resolveBranch(userId, sessionId, { parentMessageId });
+    if (placement.error) {
+      return res.status(placement.status).json({ error: placement.error });
+    }
+
+    ({ streamId, streamEntry } = await openStream(req, res, userId));
+
+    logger.info('[RouterAI] Comparing models', { userPlan: plan, models });
+
+    await streamingService.streamComparison({
+      models,
+      message,
+      sessionId,
+      userId,
+      userPlan,
+      res,
+      signal: streamEntry.controller.signal,
+      streamId,
+      branch: placement.branch
+    });
+  } catch (error) {
+    logger.error('Comparison streaming error:', error);
+    streamingService.emitEvent(res, 'error', { message: error?.message || 'Internal server error' });
+    streamingService.endStream(res);
+  } finally {
+    closeStream(streamId, streamEntry);
+  }
+});
+
+// POST /api/streaming/compare/:comparisonId/prefer - Keep one answer of a comparison
+// Saves it into the chat as the reply to the prompt and records the vote.
+router.post('/compare/:comparisonId/prefer', requireAuth, async (req, res) => {
+  try {
+    const { model } = req.body;
+    if (typeof model !== 'string' || !model) {
+      return res.status(400).json({ error: 'model is required' });
+    }
+
+    const result = await comparisonService.prefer({ comparisonId: req.params.comparisonId, userId: req.user.id, model });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error saving preferred answer:', error);
+    res.status(500).json({ error: 'Failed to save the preferred answer' });
+  }
+});
+
+// GET /api/streaming/stream/:streamId/resume - Replay a stream after a dropped connection
+// Sends every buffered frame after Last-Event-ID (header or ?lastEventId=), then
+// follows the live stream until [DONE].
+router.get('/stream/:streamId/resume', requireAuth, async (req, res) => {
+  const { streamId } = req.params;
+  const owner = await streamBuffer.getOwner(streamId);
+  if (!owner || owner !== req.user.id) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
+  }
+
+  let cursor = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  writeSseHeaders(req, res);
+
+  const live = activeStreams.get(streamId);
+  if (live) attachStream(live);
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    const entry = activeStreams.get(streamId);
+    if (entry && !res.writableEnded) detachStream(entry);
+  });
+
+  let idleSince = Date.now();
+  while (!closed) {
+    const events = await streamBuffer.readAfter(streamId, cursor);
+    for (const event of events) {
+      res.write(streamBuffer.formatFrame(event.id, event.data));
+      cursor = event.id;
+      if (event.data === '[DONE]') return res.end();
+    }
+
+    if (events.length) {
+      idleSince = Date.now();
+    } else if (Date.now() - idleSince > RESUME_IDLE_TIMEOUT_MS) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, RESUME_POLL_MS));
+  }
+
+  if (!closed) {
+    // The producer went away without finishing; unnumbered so it is never replayed
+    res.write(`data: ${JSON.stringify({ type: 'error', data: { message: 'Stream is no longer available' } })}\n\n`);
     res.write(`data: [DONE]\n\n`);
     res.end();
   }
 });
 
+// POST /api/streaming/stream/:streamId/stop - Stop an in-flight stream
+// The open SSE response receives a `stopped` event with the partial reply, then [DONE].
+router.post('/stream/:streamId/stop', requireAuth, (req, res) => {
+  const entry = activeStreams.get(req.params.streamId);
+  if (!entry || entry.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Stream not found or already finished' });
+  }
+
+  clearTimeout(entry.detachTimer);
+  entry.controller.abort('client_stop');
+  res.json({ success: true, streamId: req.params.streamId });
+});
+
 // Explicit CORS preflight handler for streaming route to ensure proper headers
-router.options('/stream', (req, res) => {
+router.options(['/stream', '/compare'], (req, res) => {
   const origin = req.headers.origin;
   const allowedOrigins = process.env.CORS_ORIGINS?.split(',').map(s => s.trim()).filter(Boolean) || ['http://localhost:8080'];
   const allowOrigin = origin && allowedOrigins.includes(origin) ? origin : allowedOrigins[0];
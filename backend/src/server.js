@@ -8,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 
 const redisClient = require('./redis/unifiedRedisClient.js');
 const qdrantClient = require('./db/qdrant/client.js');
+const { providerRegistry } = require('./services/providerRegistry.js');
 const healthRoutes = require('./routes/healthRoutes.js');
 const plansRoutes = require('./routes/plans.js');
 const chatRoutes = require('./routes/chatRoutes.js');
@@ -16,6 +17,10 @@ const routerRoutes = require('./routes/routerRoutes.js');
 const authRoutes = require('./routes/auth.js');
 const usersRoutes = require('./routes/users.js');
 const settingsRoutes = require('./routes/settings.js');
+const memoryRoutes = require('./routes/memoryRoutes.js');
+const folderRoutes = require('./routes/folderRoutes.js');
+const exportRoutes = require('./routes/exportRoutes.js');
+const importRoutes = require('./routes/importRoutes.js');
 const billingRoutes = require('./routes/billingRoutes.js');
 const shareRoutes = require('./routes/shareRoutes.js');
 const streamingChatRoutes = require('./routes/streamingChatRoutes.js');
@@ -64,8 +69,12 @@ app.use(sentryErrorTracker.requestHandler());
 // Security logging and monitoring
 app.use(securityLogger);
 
-// Request size limits
-app.use(requestSizeLimit(5 * 1024 * 1024)); // 5MB limit
+// Request size limits; chat imports take whole export files and set their own limit
+const defaultSizeLimit = requestSizeLimit(5 * 1024 * 1024); // 5MB limit
+app.use((req, res, next) => {
+  if (req.method === 'POST' && req.path === '/api/import') return next();
+  return defaultSizeLimit(req, res, next);
+});
 
 // Performance monitoring
 app.use(performanceMiddleware);
@@ -110,9 +119,10 @@ const corsOptions = {
     'Pragma',
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'Last-Event-ID'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining'],
+  exposedHeaders: ['X-Total-Count', 'X-Rate-Limit-Remaining', 'Content-Disposition'],
   maxAge: 86400, // 24 hours preflight cache
   optionsSuccessStatus: 200
 };
@@ -217,6 +227,10 @@ app.post('/api/route', async (req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/memory', memoryRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/share', shareRoutes);
 app.use('/api/streaming', streamingChatRoutes);
@@ -322,6 +336,9 @@ async function testConnections() {
   } catch (err) {
     logger.error('Qdrant connection failed:', err.message);
   }
+
+  // Register models served by self-hosted endpoints (no-op when none are configured)
+  await providerRegistry.discoverAll();
 }
 
 let server;
@@ -0,0 +1,134 @@
+const archiver = require('archiver');
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const chatExport = require('./chatExportService.js');
+
+// The user's data outside chats: file in data/, table, and the column holding the user id
+const DATA_TABLES = [
+  { name: 'settings', table: 'settings', column: 'user_id' },
+  { name: 'subscriptions', table: 'subscriptions', column: 'user_id' },
+  { name: 'folders', table: 'chat_folders', column: 'user_id' },
+  { name: 'memories', table: 'user_memories', column: 'user_id' },
+  { name: 'chat_summaries', table: 'chat_summaries', column: 'user_id' },
+  { name: 'shared_chats', table: 'shared_chats', column: 'owner_id' },
+  { name: 'generated_images', table: 'generated_images', column: 'user_id' },
+  { name: 'usage_costs', table: 'cost_ledger', column: 'user_id' },
+  { name: 'comparison_votes', table: 'model_comparison_votes', column: 'user_id' },
+  { name: 'routing_decisions', table: 'router_decisions', column: 'user_id' },
+  { name: 'imports', table: 'chat_imports', column: 'user_id' }
+];
+
+const README = `This archive holds the data stored for your account.
+
+account.json    Your account and profile
+chats/          Every chat, as Markdown (the conversation as shown) and as
+                JSON (every message, including edited and regenerated
+                branches). The JSON files can be imported again.
+data/           Everything else stored for you, one JSON file per kind:
+                settings, subscriptions, folders, memories, chat summaries,
+                shared links, generated images, usage costs, comparison
+                votes, model routing decisions and chat imports.
+manifest.json   What was exported and when
+`;
+
+const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+/**
+ * "Export all my data" for GDPR access requests (GET /api/export/account).
+ *
+ * Everything is read first, then written as a zip; one export per user runs
+ * at a time. Tables missing from a deployment are listed in the manifest
+ * instead of failing the export.
+ */
+class AccountExportService {
+  constructor() {
+    this.running = new Set();
+  }
+
+  /**
+   * @param {{id: string, email?: string}} user - The signed-in user
+   * @returns {Promise<{status: number, error: string}|{fileName: string, entries: Array<{name: string, content: string}>}>}
+   */
+  async exportAccount(user) {
+    if (this.running.has(user.id)) {
+      return { status: 429, error: 'Your data export is already being prepared' };
+    }
+    this.running.add(user.id);
+    try {
+      const entries = await this.collect(user);
+      return { fileName: `account-export-${new Date().toISOString().slice(0, 10)}.zip`, entries };
+    } finally {
+      this.running.delete(user.id);
+    }
+  }
+
+  async collect(user) {
+    const exportedAt = new Date().toISOString();
+    const [profile, chats, messages] = await Promise.all([
+      this.loadProfile(user.id),
+      chatExport.fetchAll(() => supabase.from('chats').select('*').eq('user_id', user.id).order('created_at', { ascending: true })),
+      chatExport.fetchAll(() => supabase.from('chat_messages').select('*').eq('user_id', user.id).order('created_at', { ascending: true }))
+    ]);
+
+    const messagesByChat = new Map();
+    for (const message of messages) {
+      if (!messagesByChat.has(message.chat_id)) messagesByChat.set(message.chat_id, []);
+      messagesByChat.get(message.chat_id).push(message);
+    }
+
+    const entries = [
+      { name: 'README.txt', content: README },
+      { name: 'account.json', content: toJson({ id: user.id, email: user.email || null, profile }) }
+    ];
+
+    for (const chat of chats) {
+      const document = chatExport.buildExport(chat, messagesByChat.get(chat.id) || []);
+      const base = `chats/${chatExport.slug(document.chat.title)}-${chat.id.slice(0, 8)}`;
+      entries.push(
+        { name: `${base}.md`, content: chatExport.renderMarkdown(document) },
+        { name: `${base}.json`, content: toJson(chatExport.toJson(document)) }
+      );
+    }
+
+    const unavailable = [];
+    for (const { name, table, column } of DATA_TABLES) {
+      try {
+        const rows = await chatExport.fetchAll(() => supabase.from(table).select('*').eq(column, user.id).order('id', { ascending: true }));
+        entries.push({ name: `data/${name}.json`, content: toJson(rows) });
+      } catch (error) {
+        logger.warn(`[AccountExport] Skipped ${table}: ${error?.message || error}`);
+        unavailable.push(name);
+      }
+    }
+
+    entries.push({
+      name: 'manifest.json',
+      content: toJson({ exportedAt, userId: user.id, chats: chats.length, messages: messages.length, unavailable })
+    });
+    return entries;
+  }
+
+  async loadProfile(userId) {
+    const { data, error } = await supabase.from('profiles').select('*').eq('id', userId).maybeSingle();
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Streams `entries` as a zip to `output`.
+   * @returns {Promise<void>} Resolves once the archive is written
+   */
+  writeArchive(entries, output) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      archive.on('warning', error => logger.warn('[AccountExport] Archive warning:', error));
+      archive.on('error', reject);
+      archive.on('end', resolve);
+      archive.pipe(output);
+      for (const entry of entries) archive.append(entry.content, { name: entry.name });
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = new AccountExportService();
@@ -0,0 +1,104 @@
+const { downloadFile, createSignedUrl } = require('./fileStorageService.js');
+const logger = require('../config/logger.js');
+
+// Same types POST /api/files/upload accepts
+const ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/gif',
+  'application/pdf',
+  'text/plain'
+];
+const IMAGE_TYPES = ALLOWED_TYPES.filter(type => type.startsWith('image/'));
+const MAX_ATTACHMENTS = 5;
+// Signed URLs handed out with chat history
+const HISTORY_URL_TTL_SECONDS = 3600;
+
+/**
+ * Attachments: files uploaded through POST /api/files/upload and referenced
+ * from a chat message by their storage path ({ path, name, type, size }).
+ *
+ * Paths are checked against the sender's folder, images are downloaded and
+ * inlined (base64) for vision models, and only the metadata is stored on the
+ * chat_messages row; history gets fresh signed URLs when it is read.
+ */
+class AttachmentService {
+  /**
+   * Checks the attachments of a request body.
+   * @returns {string|null} Error message, or null when they are usable
+   */
+  validate(userId, attachments) {
+    if (attachments === undefined) return null;
+    if (!Array.isArray(attachments)) return 'attachments must be an array';
+    if (attachments.length > MAX_ATTACHMENTS) return `At most ${MAX_ATTACHMENTS} attachments are allowed per message`;
+
+    for (const attachment of attachments) {
+      const path = attachment?.path;
+      // Uploads are stored under `<userId>/`, so this also stops users referencing each other's files
+      if (typeof path !== 'string' || !path.startsWith(`${userId}/`) || path.includes('..')) {
+        return 'Attachment not found';
+      }
+      if (!ALLOWED_TYPES.includes(attachment.type)) {
+        return `Unsupported attachment type: ${attachment.type}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The fields kept on the message row.
+   */
+  toMetadata(attachments = []) {
+    return attachments.map(({ path, name, type, size }) => ({
+      path,
+      name: typeof name === 'string' ? name : path.split('/').pop(),
+      type,
+      ...(Number.isFinite(size) ? { size } : {})
+    }));
+  }
+
+  isImage(attachment) {
+    return IMAGE_TYPES.includes(attachment?.type);
+  }
+
+  hasImages(attachments = []) {
+    return attachments.some(attachment => this.isImage(attachment));
+  }
+
+  /**
+   * Downloads image attachments so adapters can send them inline.
+   * @returns {Promise<Array>} Metadata with `data` (base64) set on images
+   */
+  async load(attachments = []) {
+    return Promise.all(this.toMetadata(attachments).map(async (attachment) => {
+      if (!this.isImage(attachment)) return attachment;
+
+      const file = await downloadFile(attachment.path);
+      if (!file.success) {
+        throw new Error(`Could not read attachment ${attachment.name}`);
+      }
+      return { ...attachment, data: file.buffer.toString('base64') };
+    }));
+  }
+
+  /**
+   * Adds a signed `url` to the attachments stored on each message.
+   * @param {Array} messages - chat_messages rows with `metadata`
+   */
+  async withUrls(messages = []) {
+    return Promise.all(messages.map(async (message) => {
+      const attachments = message?.metadata?.attachments;
+      if (!Array.isArray(attachments) || attachments.length === 0) return message;
+
+      const signed = await Promise.all(attachments.map(async (attachment) => {
+        const result = await createSignedUrl(attachment.path, HISTORY_URL_TTL_SECONDS);
+        if (!result.success) logger.warn(`[Attachments] No URL for ${attachment.path}: ${result.error}`);
+        return result.success ? { ...attachment, url: result.url } : attachment;
+      }));
+      return { ...message, metadata: { ...message.metadata, attachments: signed } };
+    }));
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,598 @@
+const axios = require('axios');
+const MarkdownIt = require('markdown-it');
+const texmath = require('markdown-it-texmath');
+const katex = require('katex');
+const PDFDocument = require('pdfkit');
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const attachmentService = require('./attachmentService.js');
+const { activePath } = require('../utils/messageTree');
+
+// Bumped when the JSON layout changes; imports read every version up to this one
+const EXPORT_FORMAT_VERSION = 1;
+const PAGE_SIZE = 1000;
+const IMAGE_TIMEOUT_MS = 10000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Images pdfkit can embed; HTML exports inline any image type
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const KATEX_CSS = `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css`;
+// Where DALL-E serves the links image replies were saved with
+const OPENAI_IMAGE_HOST = 'oaidalleapiprodscus.blob.core.windows.net';
+
+// Hosts generated images are downloaded from: our storage, DALL-E and EXPORT_IMAGE_HOSTS
+const readImageHosts = (env = process.env) => {
+  const hosts = [OPENAI_IMAGE_HOST, ...String(env.EXPORT_IMAGE_HOSTS || '').split(',')];
+  try {
+    if (env.SUPABASE_URL) hosts.push(new URL(env.SUPABASE_URL).host);
+  } catch { }
+  return [...new Set(hosts.map(host => host.trim().toLowerCase()).filter(Boolean))];
+};
+
+const FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+// Same math syntax as the chat view (remark-math): $inline$ and $$display$$
+const markdown = new MarkdownIt({ html: false, linkify: true })
+  .use(texmath, { engine: katex, delimiters: 'dollars', katexOptions: { throwOnError: false } });
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, ch => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
+
+const formatDate = (value) => (value ? `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '');
+
+const roleLabel = (role) => ({ user: 'You', assistant: 'Assistant', system: 'System' }[role] || role);
+
+const HTML_STYLES = `
+  body { margin: 0; background: #f7f7f8; color: #1f2328; font: 15px/1.6 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+  main { max-width: 820px; margin: 0 auto; padding: 32px 20px 64px; }
+  header { border-bottom: 1px solid #d0d7de; margin-bottom: 24px; }
+  h1 { font-size: 26px; margin: 0 0 8px; }
+  .meta { color: #57606a; font-size: 13px; margin: 0 0 16px; }
+  .message { background: #fff; border: 1px solid #d0d7de; border-radius: 12px; padding: 12px 18px; margin: 0 0 16px; }
+  .message.user { background: #eef4ff; border-color: #c8d9f5; }
+  .message-meta { color: #57606a; font-size: 12px; font-weight: 600; margin-bottom: 4px; }
+  .message-body > :first-child { margin-top: 0; }
+  .message-body > :last-child { margin-bottom: 0; }
+  pre { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 8px; padding: 12px; overflow-x: auto; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 13px; }
+  :not(pre) > code { background: #eff1f3; border-radius: 4px; padding: 1px 4px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d0d7de; padding: 4px 10px; }
+  blockquote { border-left: 4px solid #d0d7de; color: #57606a; margin: 0; padding-left: 12px; }
+  img { max-width: 100%; border-radius: 8px; }
+  .attachments { font-size: 13px; color: #57606a; }
+  eqn { display: block; overflow-x: auto; }
+`;
+
+/**
+ * Conversation export (GET /api/chat/:id/export) as Markdown, JSON, HTML or PDF.
+ *
+ * Markdown, HTML and PDF show the conversation as the chat opens on it (the
+ * active branch, see utils/messageTree.js); JSON keeps every message with its
+ * parent so branches survive a round trip through import. Math is rendered
+ * with KaTeX like the chat view; generated images are embedded in HTML and
+ * PDF when they can still be downloaded, and linked otherwise. Images are only
+ * downloaded from the hosts the app stores them on (see isTrustedImageUrl).
+ */
+class ChatExportService {
+  constructor() {
+    this.formats = FORMATS;
+    this.formatVersion = EXPORT_FORMAT_VERSION;
+    this.config = {
+      // TrueType font for PDFs; the built-in Helvetica only covers Latin scripts
+      pdfFont: process.env.EXPORT_PDF_FONT || null,
+      imageHosts: readImageHosts()
+    };
+  }
+
+  /**
+   * ASCII file name for a download, e.g. "trip-planning.md".
+   */
+  fileName(title, extension) {
+    return `${this.slug(title)}.${extension}`;
+  }
+
+  slug(title) {
+    const slug = String(title || '')
+      .normalize('NFKD')
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/[\s_-]+/g, '-')
+      .toLowerCase()
+      .slice(0, 60)
+      .replace(/-+$/, '');
+    return slug || 'chat';
+  }
+
+  /**
+   * Reads every row a query returns, PAGE_SIZE rows at a time.
+   * @param {Function} buildQuery - Returns a fresh, ordered query
+   */
+  async fetchAll(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * @returns {Promise<{chat: Object, messages: Array}|null>} Null when the user has no such chat
+   */
+  async loadChat(userId, chatId) {
+    if (!UUID_PATTERN.test(String(chatId))) return null;
+    const { data: chat, error } = await supabase
+      .from('chats')
+      .select('id, title, created_at, last_message_at, tags')
+      .eq('id', chatId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!chat) return null;
+
+    const rows = await this.fetchAll(() => supabase
+      .from('chat_messages')
+      .select('id, role, content, model_used, metadata, parent_message_id, created_at')
+      .eq('chat_id', chatId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }));
+
+    return { chat, messages: await attachmentService.withUrls(rows) };
+  }
+
+  /**
+   * The export of a chat independent of format.
+   * @param {Object} chat - chats row
+   * @param {Array} rows - chat_messages rows, oldest first
+   * @returns {{exportedAt: string, chat: Object, messages: Array, path: Array}}
+   *   `messages` is every message, `path` the active branch
+   */
+  buildExport(chat, rows) {
+    const toMessage = (row) => ({
+      id: row.id,
+      parentId: row.parent_message_id || null,
+      role: row.role,
+      // The prompt of an image request is saved with type 'image' as well
+      type: row.role === 'assistant' && row.metadata?.type === 'image' ? 'image' : 'text',
+      content: row.content || '',
+      model: row.role === 'assistant' ? row.model_used || null : null,
+      createdAt: row.created_at,
+      ...(Array.isArray(row.metadata?.attachments) && row.metadata.attachments.length
+        ? { attachments: row.metadata.attachments.map(({ name, type, size, url }) => ({ name, type, size, url: url || null })) }
+        : {})
+    });
+
+    const messages = rows.map(toMessage);
+    const path = activePath(rows).map(toMessage);
+    return {
+      exportedAt: new Date().toISOString(),
+      chat: {
+        id: chat.id,
+        title: chat.title || 'Untitled chat',
+        createdAt: chat.created_at,
+        lastMessageAt: chat.last_message_at || null,
+        tags: chat.tags || [],
+        models: [...new Set(path.map(message => message.model).filter(Boolean))]
+      },
+      messages,
+      path
+    };
+  }
+
+  /**
+   * @param {string} format - md, json, html or pdf
+   * @returns {Promise<{status: number, error: string}|{fileName: string, contentType: string, body: string|Buffer}>}
+   */
+  async exportChat(userId, chatId, format) {
+    if (!FORMATS[format]) {
+      return { status: 400, error: `format must be one of ${Object.keys(FORMATS).join(', ')}` };
+    }
+    const loaded = await this.loadChat(userId, chatId);
+    if (!loaded) return { status: 404, error: 'Chat not found' };
+
+    const document = this.buildExport(loaded.chat, loaded.messages);
+    return {
+      fileName: this.fileName(document.chat.title, FORMATS[format].extension),
+      contentType: FORMATS[format].contentType,
+      body: await this.render(document, format)
+    };
+  }
+
+  async render(document, format) {
+    if (format === 'json') return JSON.stringify(this.toJson(document), null, 2);
+    if (format === 'md') return this.renderMarkdown(document);
+    const images = await this.loadImages(document.path);
+    return format === 'html' ? this.renderHtml(document, images) : this.renderPdf(document, images);
+  }
+
+  toJson({ exportedAt, chat, messages }) {
+    return { format: 'chat-export', version: EXPORT_FORMAT_VERSION, exportedAt, chat, messages };
+  }
+
+  metadataLines({ exportedAt, chat }) {
+    return [
+      `Created: ${formatDate(chat.createdAt)}`,
+      ...(chat.models.length ? [`Models: ${chat.models.join(', ')}`] : []),
+      ...(chat.tags.length ? [`Tags: ${chat.tags.join(', ')}`] : []),
+      `Exported: ${formatDate(exportedAt)}`
+    ];
+  }
+
+  messageHeading(message) {
+    return [roleLabel(message.role), message.model, formatDate(message.createdAt)].filter(Boolean).join(' · ');
+  }
+
+  renderMarkdown(document) {
+    const lines = [`# ${document.chat.title}`, '', ...this.metadataLines(document).map(line => `- ${line}`), '', '---', ''];
+    for (const message of document.path) {
+      lines.push(`### ${this.messageHeading(message)}`, '');
+      lines.push(message.type === 'image' ? `![Generated image](${message.content.trim()})` : message.content, '');
+      for (const attachment of message.attachments || []) {
+        lines.push(attachment.url ? `📎 [${attachment.name}](${attachment.url})` : `📎 ${attachment.name}`, '');
+      }
+    }
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  renderHtml(document, images = new Map()) {
+    const { chat } = document;
+    const articles = document.path.map((message) => {
+      let body;
+      if (message.type === 'image') {
+        const url = message.content.trim();
+        const image = images.get(url);
+        const src = image ? `data:${image.mimeType};base64,${image.buffer.toString('base64')}` : url;
+        body = `<figure><img src="${escapeHtml(src)}" alt="Generated image"></figure>`;
+      } else {
+        body = markdown.render(message.content);
+      }
+      const attachments = (message.attachments || []).map(attachment => (attachment.url
+        ? `<a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a>`
+        : escapeHtml(attachment.name)));
+      return [
+        `<article class="message ${escapeHtml(message.role)}">`,
+        `<div class="message-meta">${escapeHtml(this.messageHeading(message))}</div>`,
+        `<div class="message-body">${body}</div>`,
+        attachments.length ? `<p class="attachments">📎 ${attachments.join(', ')}</p>` : '',
+        '</article>'
+      ].join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(chat.title)}</title>
+<link rel="stylesheet" href="${KATEX_CSS}">
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(chat.title)}</h1>
+<p class="meta">${this.metadataLines(document).map(escapeHtml).join(' · ')}</p>
+</header>
+${articles.join('\n')}
+</main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Whether an image message's content may be downloaded: a base64 data URL,
+   * or an http(s) URL on one of `config.imageHosts`. Message contents come
+   * from users (imports), so anything else is never requested by the server.
+   */
+  isTrustedImageUrl(url) {
+    const text = String(url || '').trim();
+    if (/^data:image\/[\w.+-]+;base64,/.test(text)) return true;
+    try {
+      const parsed = new URL(text);
+      return ['https:', 'http:'].includes(parsed.protocol) &&
+        !parsed.username && !parsed.password &&
+        this.config.imageHosts.includes(parsed.host.toLowerCase());
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Downloads generated images so they can be embedded; ones that cannot be
+   * fetched (expired links, untrusted hosts) are left out and linked instead.
+   * @returns {Promise<Map<string, {buffer: Buffer, mimeType: string}>>} By URL
+   */
+  async loadImages(messages) {
+    const urls = [...new Set(messages
+      .filter(message => message.type === 'image')
+      .map(message => message.content.trim())
+      .filter(url => this.isTrustedImageUrl(url)))];
+    const entries = await Promise.all(urls.map(async url => [url, await this.fetchImage(url)]));
+    return new Map(entries.filter(([, image]) => image));
+  }
+
+  async fetchImage(url) {
+    const dataUrl = url.match(/^data:(image\/[\w.+-]+);base64,(.+)$/);
+    if (dataUrl) return { mimeType: dataUrl[1], buffer: Buffer.from(dataUrl[2], 'base64') };
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: IMAGE_TIMEOUT_MS,
+        maxContentLength: MAX_IMAGE_BYTES,
+        // A redirect could lead off the trusted hosts
+        maxRedirects: 0
+      });
+      const mimeType = String(response.headers?.['content-type'] || '').split(';')[0].trim();
+      if (!mimeType.startsWith('image/')) return null;
+      return { mimeType, buffer: Buffer.from(response.data) };
+    } catch (error) {
+      logger.warn(`[ChatExport] Could not download image for export: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(document, images = new Map()) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: document.chat.title, CreationDate: new Date(document.exportedAt) }
+      });
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      try {
+        const writer = new PdfWriter(pdf, this.config.pdfFont);
+        writer.title(document.chat.title, this.metadataLines(document));
+        document.path.forEach((message, index) => {
+          if (index > 0) writer.separator();
+          writer.messageHeading(this.messageHeading(message));
+          if (message.type === 'image') {
+            writer.image(images.get(message.content.trim()), message.content.trim());
+          } else {
+            writer.markdown(message.content);
+          }
+          for (const attachment of message.attachments || []) {
+            writer.paragraph([{ text: `Attachment: ${attachment.name}`, font: 'italic', link: attachment.url || undefined }]);
+          }
+        });
+        pdf.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
+
+/**
+ * Lays out a message's markdown on a pdfkit document, block by block from the
+ * markdown-it token stream. Math is shown as its TeX source.
+ */
+class PdfWriter {
+  constructor(pdf, fontPath) {
+    this.pdf = pdf;
+    this.fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', mono: 'Courier' };
+    if (fontPath) {
+      try {
+        pdf.registerFont('export', fontPath);
+        this.fonts = { regular: 'export', bold: 'export', italic: 'export', mono: 'export' };
+      } catch (error) {
+        logger.warn(`[ChatExport] Could not load EXPORT_PDF_FONT, using Helvetica: ${error.message}`);
+      }
+    }
+    this.indent = 0;
+  }
+
+  get left() {
+    return this.pdf.page.margins.left + this.indent;
+  }
+
+  get width() {
+    return this.pdf.page.width - this.pdf.page.margins.left - this.pdf.page.margins.right - this.indent;
+  }
+
+  // Starts a new page when fewer than `height` points are left
+  ensureSpace(height) {
+    const bottom = this.pdf.page.height - this.pdf.page.margins.bottom;
+    if (this.pdf.y + height > bottom) this.pdf.addPage();
+  }
+
+  title(text, metadata) {
+    this.pdf.font(this.fonts.bold).fontSize(20).fillColor('#111111').text(text, { width: this.width });
+    this.pdf.moveDown(0.3);
+    this.pdf.font(this.fonts.regular).fontSize(9).fillColor('#57606a').text(metadata.join('  ·  '), { width: this.width });
+    this.pdf.moveDown(1);
+  }
+
+  separator() {
+    this.pdf.moveDown(0.5);
+    const y = this.pdf.y;
+    this.pdf.moveTo(this.left, y).lineTo(this.left + this.width, y).lineWidth(0.5).strokeColor('#d0d7de').stroke();
+    this.pdf.moveDown(0.8);
+  }
+
+  messageHeading(text) {
+    this.ensureSpace(40);
+    this.pdf.font(this.fonts.bold).fontSize(9).fillColor('#57606a').text(text, this.left, this.pdf.y, { width: this.width });
+    this.pdf.moveDown(0.4);
+  }
+
+  /**
+   * Writes runs of { text, font, link } as one wrapped paragraph.
+   */
+  paragraph(runs, { size = 11, color = '#1f2328', prefix = '' } = {}) {
+    const parts = (prefix ? [{ text: prefix, font: 'regular' }, ...runs] : runs).filter(run => run.text);
+    if (parts.length === 0) return;
+    this.pdf.fontSize(size).fillColor(color);
+    parts.forEach((run, index) => {
+      const options = { continued: index < parts.length - 1, link: run.link || null, underline: Boolean(run.link) };
+      this.pdf.font(this.fonts[run.font] || this.fonts.regular);
+      if (index === 0) {
+        this.pdf.text(run.text, this.left, this.pdf.y, { ...options, width: this.width });
+      } else {
+        this.pdf.text(run.text, options);
+      }
+    });
+    this.pdf.moveDown(0.5);
+  }
+
+  codeBlock(text, { font = 'mono', align = 'left' } = {}) {
+    const content = text.replace(/\n$/, '') || ' ';
+    const padding = 6;
+    this.pdf.font(this.fonts[font]).fontSize(9);
+    const height = this.pdf.heightOfString(content, { width: this.width - padding * 2 }) + padding * 2;
+    this.ensureSpace(Math.min(height, 200));
+    const top = this.pdf.y;
+    const pageBottom = this.pdf.page.height - this.pdf.page.margins.bottom;
+    // Blocks longer than the page flow on without a background
+    if (top + height <= pageBottom) {
+      this.pdf.rect(this.left, top, this.width, height).fillColor('#f6f8fa').fill();
+    }
+    this.pdf.fillColor('#1f2328').text(content, this.left + padding, top + padding, { width: this.width - padding * 2, align });
+    this.pdf.y = Math.max(this.pdf.y, top + height);
+    this.pdf.moveDown(0.5);
+  }
+
+  image(image, url) {
+    if (image && PDF_IMAGE_TYPES.includes(image.mimeType)) {
+      try {
+        this.ensureSpace(320);
+        this.pdf.image(image.buffer, this.left, this.pdf.y, { fit: [this.width, 300] });
+        this.pdf.moveDown(0.5);
+        return;
+      } catch (error) {
+        logger.warn(`[ChatExport] Could not embed image in PDF: ${error.message}`);
+      }
+    }
+    this.paragraph([{ text: 'Generated image (link)', font: 'italic', link: /^https?:/.test(url) ? url : undefined }]);
+  }
+
+  /**
+   * Runs for a markdown-it inline token.
+   */
+  inlineRuns(token) {
+    const runs = [];
+    let bold = 0;
+    let italic = 0;
+    let link = null;
+    const font = () => (bold ? 'bold' : italic ? 'italic' : 'regular');
+    for (const child of token?.children || []) {
+      switch (child.type) {
+        case 'text': runs.push({ text: child.content, font: font(), link }); break;
+        case 'code_inline': runs.push({ text: child.content, font: 'mono', link }); break;
+        case 'math_inline': runs.push({ text: child.content, font: 'italic', link }); break;
+        case 'softbreak': runs.push({ text: ' ', font: font() }); break;
+        case 'hardbreak': runs.push({ text: '\n', font: font() }); break;
+        case 'strong_open': bold += 1; break;
+        case 'strong_close': bold -= 1; break;
+        case 'em_open': italic += 1; break;
+        case 'em_close': italic -= 1; break;
+        case 'link_open': link = child.attrGet('href'); break;
+        case 'link_close': link = null; break;
+        case 'image': runs.push({ text: `[image: ${child.content || child.attrGet('src')}]`, font: 'italic' }); break;
+        default: if (child.content) runs.push({ text: child.content, font: font(), link });
+      }
+    }
+    return runs;
+  }
+
+  markdown(content) {
+    const tokens = markdown.parse(String(content || ''), {});
+    const lists = [];
+    let quoteDepth = 0;
+    let row = null;
+    let tableHeader = false;
+
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+      switch (token.type) {
+        case 'heading_open': {
+          const level = Number(token.tag.slice(1));
+          const runs = this.inlineRuns(tokens[i + 1]).map(run => ({ ...run, font: run.font === 'mono' ? 'mono' : 'bold' }));
+          this.ensureSpace(30);
+          this.paragraph(runs, { size: Math.max(16 - (level - 1) * 2, 11) });
+          i += 2;
+          break;
+        }
+        case 'paragraph_open': {
+          const list = lists[lists.length - 1];
+          let prefix = '';
+          // The first paragraph of a list item carries its bullet or number
+          if (list && !list.prefixed) {
+            prefix = list.ordered ? `${list.next}. ` : '• ';
+            list.next += 1;
+            list.prefixed = true;
+          }
+          this.paragraph(this.inlineRuns(tokens[i + 1]), { prefix, color: quoteDepth ? '#57606a' : '#1f2328' });
+          i += 2;
+          break;
+        }
+        case 'bullet_list_open':
+        case 'ordered_list_open':
+          lists.push({ ordered: token.type === 'ordered_list_open', next: Number(token.attrGet('start')) || 1, prefixed: false });
+          this.indent += 14;
+          break;
+        case 'bullet_list_close':
+        case 'ordered_list_close':
+          lists.pop();
+          this.indent -= 14;
+          break;
+        case 'list_item_open':
+          if (lists.length) lists[lists.length - 1].prefixed = false;
+          break;
+        case 'blockquote_open':
+          quoteDepth += 1;
+          this.indent += 12;
+          break;
+        case 'blockquote_close':
+          quoteDepth -= 1;
+          this.indent -= 12;
+          break;
+        case 'fence':
+        case 'code_block':
+          this.codeBlock(token.content);
+          break;
+        case 'math_block':
+        case 'math_block_eqno':
+          this.codeBlock(token.content, { font: 'italic', align: 'center' });
+          break;
+        case 'tr_open':
+          row = [];
+          break;
+        case 'th_open':
+          tableHeader = true;
+          break;
+        case 'inline':
+          // Table cells; other inline tokens are consumed by their block above
+          if (row) row.push(this.inlineRuns(token).map(run => run.text).join(''));
+          break;
+        case 'tr_close':
+          this.paragraph([{ text: row.join('  |  '), font: tableHeader ? 'bold' : 'regular' }], { size: 10 });
+          row = null;
+          tableHeader = false;
+          break;
+        case 'hr':
+          this.separator();
+          break;
+        default:
+          break;
+      }
+    }
+  }
+}
+
+module.exports = new ChatExportService();
@@ -0,0 +1,455 @@
+const crypto = require('crypto');
+const { unzipSync } = require('fflate');
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const enhancedQdrantService = require('./enhancedQdrantService.js');
+const chatSearchService = require('./chatSearchService.js');
+const chatExport = require('./chatExportService.js');
+const { IMPORT_FORMATS, toIso } = require('./importFormats');
+const { JobQueue } = require('../utils/jobQueue');
+const { invalidateCache } = require('../redis/redisHelpers.js');
+
+const MESSAGE_BATCH_SIZE = 500;
+const MAX_TITLE_CHARS = 200;
+// Questions are embedded up to this length, like chat search (services/chatSearchService.js)
+const MAX_EMBED_CHARS = 4000;
+// Progress is written at most this often while a file is imported
+const PROGRESS_INTERVAL_MS = 1000;
+// A queued or running import not updated for this long died with its process
+const STALE_AFTER_MS = 10 * 60 * 1000;
+const MAX_LISTED_IMPORTS = 10;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+// Files read from a zip: conversations.json (ChatGPT, Claude) or our account export's chats/*.json
+const ZIP_ENTRY_PATTERN = /(^|\/)conversations\.json$|^chats\/[^/]+\.json$/;
+// Entries a zip may hold; an account export has two per chat
+const MAX_ZIP_ENTRIES = 50000;
+
+const readConfig = (env = process.env) => ({
+  maxFileBytes: (parseInt(env.IMPORT_MAX_FILE_MB, 10) || 100) * 1024 * 1024,
+  backfillEmbeddings: env.IMPORT_BACKFILL_EMBEDDINGS !== 'false'
+});
+
+const toImport = (row) => ({
+  id: row.id,
+  source: row.source,
+  fileName: row.file_name,
+  status: row.status,
+  totalChats: row.total_chats,
+  processedChats: row.processed_chats,
+  importedChats: row.imported_chats,
+  skippedChats: row.skipped_chats,
+  failedChats: row.failed_chats,
+  importedMessages: row.imported_messages,
+  error: row.error,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  finishedAt: row.finished_at
+});
+
+// A zip whose contents are too large to read, reported as is instead of as an unreadable file
+const archiveError = (message) => Object.assign(new Error(message), { archiveLimit: true });
+
+const countWords = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+
+/**
+ * Conversation import (POST /api/import) from ChatGPT's conversations.json,
+ * Claude's export and our own JSON export (services/importFormats.js), as a
+ * JSON file or the zip the other assistants hand out.
+ *
+ * The upload is parsed on the request and imported by a background job; its
+ * chat_imports row carries the progress the client polls. Each conversation
+ * becomes a chat with its own timestamps and its branches kept through
+ * parent_message_id. Chats already imported from the same source are skipped,
+ * so uploading a file again resumes an interrupted import. Imported
+ * exchanges are embedded into Qdrant for ContextManager.getRelevantHistory and
+ * semantic chat search, unless IMPORT_BACKFILL_EMBEDDINGS is false.
+ */
+class ChatImportService {
+  constructor(config = readConfig()) {
+    this.config = config;
+    this.formats = new Map(Object.entries(IMPORT_FORMATS));
+    this.active = new Map();  // userId -> importId queued or running in this process
+    this.queue = new JobQueue('chat-import', payload => this.run(payload), { maxAttempts: 1 });
+  }
+
+  /**
+   * Reads an uploaded file and names its format.
+   * @returns {{status: number, error: string}|{source: string, conversations: Array}}
+   */
+  parseFile(buffer, fileName = '') {
+    let documents;
+    try {
+      documents = this.readDocuments(buffer);
+    } catch (error) {
+      logger.warn(`[ChatImport] Unreadable upload ${fileName}: ${error?.message || error}`);
+      if (error?.archiveLimit) return { status: 400, error: error.message };
+      return { status: 400, error: 'The file is not valid JSON or a zip archive' };
+    }
+    if (documents.length === 0) {
+      return { status: 400, error: 'The archive has no conversations.json or chat export files' };
+    }
+
+    const data = documents.length === 1 ? documents[0] : documents;
+    const entry = [...this.formats.entries()].find(([, format]) => format.detect(data));
+    if (!entry) {
+      return { status: 400, error: "Unrecognized file: expected ChatGPT's conversations.json, a Claude export or a chat export from this app" };
+    }
+
+    const [source, format] = entry;
+    const problem = format.validate?.(data);
+    if (problem) return { status: 400, error: problem };
+
+    const conversations = format.parse(data).filter(conversation => conversation.messages.length > 0);
+    if (conversations.length === 0) return { status: 400, error: 'The file has no conversations to import' };
+    return { source, conversations };
+  }
+
+  // The parsed JSON documents in a .json upload (one) or a zip (one per matching entry).
+  // A zip may unpack to at most maxFileBytes in all, counted before anything is inflated.
+  readDocuments(buffer) {
+    const isZip = ZIP_SIGNATURE.every((byte, index) => buffer[index] === byte);
+    if (!isZip) return [JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''))];
+
+    let entryCount = 0;
+    let totalBytes = 0;
+    const entries = unzipSync(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length), {
+      filter: (file) => {
+        if (++entryCount > MAX_ZIP_ENTRIES) {
+          throw archiveError(`The archive has more than ${MAX_ZIP_ENTRIES} files`);
+        }
+        if (!ZIP_ENTRY_PATTERN.test(file.name)) return false;
+        totalBytes += file.originalSize;
+        if (totalBytes > this.config.maxFileBytes) {
+          const maxMb = Math.round(this.config.maxFileBytes / (1024 * 1024));
+          throw archiveError(`The archive's conversations unpack to more than ${maxMb} MB`);
+        }
+        return true;
+      }
+    });
+    return Object.keys(entries).sort().map(name => JSON.parse(Buffer.from(entries[name]).toString('utf8').replace(/^\uFEFF/, '')));
+  }
+
+  /**
+   * Parses an upload and queues its import.
+   * @param {{buffer: Buffer, originalname: string}} file - multer file
+   * @returns {Promise<{status: number, error: string}|{import: Object}>}
+   */
+  async startImport(userId, file) {
+    if (this.active.has(userId)) {
+      return { status: 429, error: 'An import is already running; wait for it to finish' };
+    }
+    const parsed = this.parseFile(file.buffer, file.originalname);
+    if (parsed.error) return parsed;
+
+    const { data, error } = await supabase
+      .from('chat_imports')
+      .insert({
+        user_id: userId,
+        source: parsed.source,
+        file_name: file.originalname || null,
+        total_chats: parsed.conversations.length
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+
+    this.active.set(userId, data.id);
+    if (!this.queue.add(data.id, { importId: data.id, userId, source: parsed.source, conversations: parsed.conversations })) {
+      this.active.delete(userId);
+      await this.updateImport(data.id, { status: 'failed', error: 'Too many imports are running. Try again later.' });
+      return { status: 503, error: 'Too many imports are running. Try again later.' };
+    }
+    logger.info(`[ChatImport] Queued ${parsed.conversations.length} ${parsed.source} conversations for user ${userId}`);
+    return { import: toImport(data) };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Null when the user has no such import
+   */
+  async getImport(userId, importId) {
+    if (!UUID_PATTERN.test(String(importId))) return null;
+    const { data, error } = await supabase
+      .from('chat_imports')
+      .select('*')
+      .eq('id', importId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return data ? toImport(await this.failIfStale(data)) : null;
+  }
+
+  // The user's latest imports, newest first
+  async listImports(userId) {
+    const { data, error } = await supabase
+      .from('chat_imports')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(MAX_LISTED_IMPORTS);
+    if (error) throw error;
+    return Promise.all((data || []).map(async row => toImport(await this.failIfStale(row))));
+  }
+
+  // Jobs live in memory (see utils/jobQueue.js), so a restart leaves their rows unfinished
+  async failIfStale(row) {
+    const unfinished = row.status === 'queued' || row.status === 'running';
+    if (!unfinished || this.active.get(row.user_id) === row.id) return row;
+    if (Date.now() - new Date(row.updated_at).getTime() < STALE_AFTER_MS) return row;
+
+    const update = {
+      status: 'failed',
+      error: 'The import was interrupted. Upload the file again to import the remaining chats.',
+      finished_at: new Date().toISOString()
+    };
+    await this.updateImport(row.id, update);
+    return { ...row, ...update };
+  }
+
+  async updateImport(importId, update) {
+    try {
+      const { error } = await supabase
+        .from('chat_imports')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', importId);
+      if (error) throw error;
+    } catch (error) {
+      logger.warn(`[ChatImport] Failed to update import ${importId}:`, error?.message || error);
+    }
+  }
+
+  /**
+   * The background job: imports every conversation of an upload. Never throws.
+   */
+  async run({ importId, userId, source, conversations }) {
+    const progress = { processed_chats: 0, imported_chats: 0, skipped_chats: 0, failed_chats: 0, imported_messages: 0 };
+    try {
+      await this.updateImport(importId, { status: 'running' });
+      const imported = await this.importedIds(userId, source);
+      let reportedAt = Date.now();
+
+      for (const conversation of conversations) {
+        try {
+          const result = await this.importConversation(userId, source, conversation, imported);
+          if (result.skipped) {
+            progress.skipped_chats++;
+          } else {
+            progress.imported_chats++;
+            progress.imported_messages += result.messages;
+          }
+        } catch (error) {
+          progress.failed_chats++;
+          logger.warn(`[ChatImport] Failed to import conversation ${conversation.externalId}:`, error?.message || error);
+        }
+        progress.processed_chats++;
+
+        if (Date.now() - reportedAt >= PROGRESS_INTERVAL_MS) {
+          await this.updateImport(importId, progress);
+          reportedAt = Date.now();
+        }
+      }
+
+      await this.updateImport(importId, { ...progress, status: 'completed', finished_at: new Date().toISOString() });
+      logger.info(`[ChatImport] Import ${importId} finished`, progress);
+    } catch (error) {
+      logger.error(`[ChatImport] Import ${importId} failed:`, error);
+      await this.updateImport(importId, {
+        ...progress,
+        status: 'failed',
+        error: 'The import stopped unexpectedly. Upload the file again to import the remaining chats.',
+        finished_at: new Date().toISOString()
+      });
+    } finally {
+      this.active.delete(userId);
+      try {
+        await invalidateCache(`chat:sessions:${userId}:*`);
+      } catch (cacheError) {
+        logger.warn('Failed to invalidate chat sessions cache:', cacheError);
+      }
+    }
+  }
+
+  // External ids of the chats the user already imported from `source`
+  async importedIds(userId, source) {
+    const rows = await chatExport.fetchAll(() => supabase
+      .from('chats')
+      .select('import_external_id')
+      .eq('user_id', userId)
+      .eq('import_source', source)
+      .order('id', { ascending: true }));
+    return new Set(rows.map(row => row.import_external_id).filter(Boolean));
+  }
+
+  /**
+   * Writes one conversation as a chat and its messages.
+   * @param {Set} imported - External ids already imported from `source`; updated
+   * @returns {Promise<{skipped: true}|{chatId: string, messages: number}>}
+   */
+  async importConversation(userId, source, conversation, imported) {
+    const externalId = conversation.externalId || null;
+    if (externalId && imported.has(externalId)) return { skipped: true };
+
+    const chatId = crypto.randomUUID();
+    const rows = this.buildMessageRows(userId, chatId, conversation);
+    if (rows.length === 0) return { skipped: true };
+
+    const firstQuestion = rows.find(row => row.role === 'user')?.content;
+    const lastMessageAt = rows.reduce((latest, row) => (row.created_at > latest ? row.created_at : latest), rows[0].created_at);
+    const { error: chatError } = await supabase
+      .from('chats')
+      .insert({
+        id: chatId,
+        user_id: userId,
+        title: String(conversation.title || firstQuestion?.substring(0, 50) || 'Imported chat').substring(0, MAX_TITLE_CHARS),
+        created_at: conversation.createdAt || rows[0].created_at,
+        updated_at: lastMessageAt,
+        last_message_at: lastMessageAt,
+        total_messages: rows.length,
+        tags: [...new Set((conversation.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))],
+        import_source: source,
+        import_external_id: externalId
+      });
+    if (chatError) {
+      // Another upload of the same file got there first
+      if (chatError.code === '23505') return { skipped: true };
+      throw chatError;
+    }
+
+    try {
+      for (let start = 0; start < rows.length; start += MESSAGE_BATCH_SIZE) {
+        const { error } = await supabase.from('chat_messages').insert(rows.slice(start, start + MESSAGE_BATCH_SIZE));
+        if (error) throw error;
+      }
+    } catch (error) {
+      await supabase.from('chats').delete().eq('id', chatId).eq('user_id', userId);
+      throw error;
+    }
+
+    if (externalId) imported.add(externalId);
+    if (this.config.backfillEmbeddings) await this.backfillEmbeddings(userId, chatId, rows);
+    return { chatId, messages: rows.length };
+  }
+
+  /**
+   * chat_messages rows for a conversation, parents before their replies.
+   *
+   * Messages that are not user or assistant text are dropped and their
+   * replies attached to the nearest kept ancestor; a run of messages from the
+   * same role with no branch between them (e.g. an answer split around a tool
+   * call) becomes one message. Missing timestamps follow the parent's.
+   */
+  buildMessageRows(userId, chatId, conversation) {
+    const source = conversation.messages.map((message, index) => ({
+      ...message,
+      key: message.externalId ? String(message.externalId) : `#${index}`,
+      parentKey: message.parentId ? String(message.parentId) : null,
+      content: typeof message.content === 'string' ? message.content.trim() : ''
+    }));
+    const byKey = new Map(source.map(message => [message.key, message]));
+    const isKept = message => (message.role === 'user' || message.role === 'assistant') && message.content.length > 0;
+
+    const keptParent = (message) => {
+      const seen = new Set([message.key]);
+      let parent = byKey.get(message.parentKey);
+      while (parent && !isKept(parent) && !seen.has(parent.key)) {
+        seen.add(parent.key);
+        parent = byKey.get(parent.parentKey);
+      }
+      return parent && isKept(parent) && !seen.has(parent.key) ? parent : null;
+    };
+
+    const kept = source.filter((message, index) => isKept(message) && byKey.get(message.key) === source[index]);
+    const children = new Map();
+    for (const message of kept) {
+      const parentKey = keptParent(message)?.key || null;
+      if (!children.has(parentKey)) children.set(parentKey, []);
+      children.get(parentKey).push(message);
+    }
+
+    // Breadth-first from the roots, so a batch never references a later one
+    const rows = [];
+    const pending = (children.get(null) || []).map(message => ({ message, parentRow: null }));
+    const fallbackTime = conversation.createdAt || new Date().toISOString();
+    while (pending.length) {
+      const { message, parentRow } = pending.shift();
+      const siblings = parentRow ? children.get(parentRow.sourceKey) : null;
+      const merge = parentRow
+        && parentRow.role === message.role
+        && parentRow.metadata.type === 'text'
+        && message.type !== 'image'
+        && siblings?.length === 1;
+
+      let row;
+      if (merge) {
+        row = parentRow;
+        row.content = `${row.content}\n\n${message.content}`;
+        row.tokens = countWords(row.content);
+        row.sourceKey = message.key;
+      } else {
+        const parentTime = parentRow ? new Date(new Date(parentRow.created_at).getTime() + 1).toISOString() : fallbackTime;
+        row = {
+          id: crypto.randomUUID(),
+          chat_id: chatId,
+          user_id: userId,
+          role: message.role,
+          content: message.content,
+          tokens: countWords(message.content),
+          model_used: message.role === 'assistant' ? message.model || null : null,
+          parent_message_id: parentRow?.id || null,
+          metadata: { type: message.type === 'image' ? 'image' : 'text', imported: true },
+          created_at: toIso(message.createdAt) || parentTime,
+          sourceKey: message.key
+        };
+        rows.push(row);
+      }
+      for (const child of children.get(message.key) || []) pending.push({ message: child, parentRow: row });
+    }
+
+    return rows.map(({ sourceKey, ...row }) => row);
+  }
+
+  /**
+   * Embeds imported messages for semantic chat search and each question with
+   * its answer for ContextManager.getRelevantHistory. Failures are logged only.
+   */
+  async backfillEmbeddings(userId, chatId, rows) {
+    const byId = new Map(rows.map(row => [row.id, row]));
+    let failed = 0;
+    for (const row of rows) {
+      if (row.metadata.type !== 'text') continue;
+      try {
+        const payload = chatSearchService.toIndexPayload(chatId, userId, {
+          id: row.id,
+          role: row.role,
+          content: row.content,
+          model: row.model_used,
+          createdAt: row.created_at
+        });
+        if (payload) await chatSearchService.indexMessage(payload);
+
+        const question = byId.get(row.parent_message_id);
+        if (row.role === 'assistant' && question?.role === 'user' && question.metadata.type === 'text') {
+          await enhancedQdrantService.storeQueryContext(userId, question.content.slice(0, MAX_EMBED_CHARS), {
+            queryType: 'text',
+            response: row.content,
+            model: row.model_used,
+            chatId,
+            imported: true
+          });
+        }
+      } catch (error) {
+        failed++;
+      }
+    }
+    if (failed > 0) logger.warn(`[ChatImport] ${failed} message(s) of chat ${chatId} were not embedded`);
+    return failed;
+  }
+}
+
+const chatImport = new ChatImportService();
+
+module.exports = {
+  ChatImportService,
+  chatImport,
+  readConfig
+};
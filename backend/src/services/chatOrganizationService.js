@@ -0,0 +1,304 @@
+const supabase = require('../db/supabase/admin.js');
+
+const MAX_TITLE_CHARS = 200;
+const MAX_TAGS = 10;
+const MAX_TAG_CHARS = 32;
+const MAX_FOLDERS = 50;
+const MAX_FOLDER_NAME_CHARS = 60;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Columns returned for chats in the sidebar listing and after an update
+const CHAT_FIELDS = 'id, title, created_at, last_message_at, total_messages, updated_at, is_pinned, pinned_at, is_archived, archived_at, tags, folder_id';
+const FOLDER_FIELDS = 'id, name, color, position, created_at, updated_at';
+
+const toFolder = (row, chatCount = 0) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color || null,
+  position: row.position,
+  chatCount,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Chat organization: pinning, archiving, tags and folders (projects).
+ *
+ * Pinned and archived chats, tags and the folder a chat is in are columns of
+ * `chats`; folders live in chat_folders (see migrations/add_chat_organization.sql).
+ * Tags are short free text, stored lowercase so filters match however they were typed.
+ * Every query is scoped to the calling user; results are `{ status, error }`
+ * when the request cannot be served.
+ */
+class ChatOrganizationService {
+  constructor() {
+    this.chatFields = CHAT_FIELDS;
+  }
+
+  /**
+   * Lowercases, trims, de-duplicates and checks a list of tags.
+   * @returns {{error: string}|{tags: string[]}}
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+    const normalized = [...new Set(tags.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+    if (normalized.some(tag => tag.length > MAX_TAG_CHARS)) {
+      return { error: `A tag can be at most ${MAX_TAG_CHARS} characters` };
+    }
+    if (normalized.length > MAX_TAGS) return { error: `A chat can have at most ${MAX_TAGS} tags` };
+    return { tags: normalized };
+  }
+
+  /**
+   * Turns a PATCH body into a `chats` update.
+   * @param {Object} body - { title, pinned, archived, tags, folderId }, all optional
+   * @returns {{error: string}|{update: Object}}
+   */
+  parseChatUpdate(body = {}) {
+    const update = {};
+    const now = new Date().toISOString();
+
+    if (body.title !== undefined) {
+      if (typeof body.title !== 'string') return { error: 'Title must be a string' };
+      const title = body.title.trim();
+      if (!title) return { error: 'Title is required' };
+      if (title.length > MAX_TITLE_CHARS) return { error: 'Title is too long' };
+      update.title = title;
+    }
+    if (body.pinned !== undefined) {
+      if (typeof body.pinned !== 'boolean') return { error: 'pinned must be true or false' };
+      update.is_pinned = body.pinned;
+      update.pinned_at = body.pinned ? now : null;
+    }
+    if (body.archived !== undefined) {
+      if (typeof body.archived !== 'boolean') return { error: 'archived must be true or false' };
+      update.is_archived = body.archived;
+      update.archived_at = body.archived ? now : null;
+    }
+    if (body.tags !== undefined) {
+      const { error, tags } = this.normalizeTags(body.tags);
+      if (error) return { error };
+      update.tags = tags;
+    }
+    if (body.folderId !== undefined) {
+      if (body.folderId !== null && (typeof body.folderId !== 'string' || !UUID_PATTERN.test(body.folderId))) {
+        return { error: 'folderId must be a folder id or null' };
+      }
+      update.folder_id = body.folderId;
+    }
+
+    if (Object.keys(update).length === 0) return { error: 'Nothing to update' };
+    update.updated_at = now;
+    return { update };
+  }
+
+  async updateChat(userId, chatId, body) {
+    const { error: invalid, update } = this.parseChatUpdate(body);
+    if (invalid) return { status: 400, error: invalid };
+
+    if (update.folder_id) {
+      const folder = await this.getFolder(userId, update.folder_id);
+      if (!folder) return { status: 404, error: 'Folder not found' };
+    }
+
+    const { data, error } = await supabase
+      .from('chats')
+      .update(update)
+      .eq('id', chatId)
+      .eq('user_id', userId)
+      .select(CHAT_FIELDS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return { status: 404, error: 'Chat not found' };
+    return { chat: data };
+  }
+
+  /**
+   * Validates GET /api/chat/sessions filters.
+   * @param {Object} query - { archived: 'true'|'false'|'all', pinned: 'true'|'false',
+   *   folder: folder id|'none', tags: comma-separated }
+   * @returns {{error: string}|{filters: Object}}
+   */
+  parseListFilters({ archived, pinned, folder, tags } = {}) {
+    const filters = { archived: false, pinned: null, folder: null, tags: [] };
+
+    if (archived !== undefined) {
+      if (!['true', 'false', 'all'].includes(archived)) return { error: 'archived must be true, false or all' };
+      filters.archived = archived === 'all' ? null : archived === 'true';
+    }
+    if (pinned !== undefined) {
+      if (!['true', 'false'].includes(pinned)) return { error: 'pinned must be true or false' };
+      filters.pinned = pinned === 'true';
+    }
+    if (folder !== undefined) {
+      if (folder !== 'none' && !UUID_PATTERN.test(folder)) return { error: 'folder must be a folder id or none' };
+      filters.folder = folder;
+    }
+    if (tags !== undefined) {
+      const { error, tags: tagList } = this.normalizeTags(String(tags).split(','));
+      if (error) return { error };
+      filters.tags = tagList;
+    }
+    return { filters };
+  }
+
+  /**
+   * Adds parsed list filters to a `chats` query.
+   */
+  applyListFilters(query, { archived, pinned, folder, tags }) {
+    let filtered = query;
+    // IS NOT TRUE also matches chats from before these columns existed (NULL)
+    if (archived === true) filtered = filtered.eq('is_archived', true);
+    if (archived === false) filtered = filtered.not('is_archived', 'is', true);
+    if (pinned === true) filtered = filtered.eq('is_pinned', true);
+    if (pinned === false) filtered = filtered.not('is_pinned', 'is', true);
+    if (folder === 'none') filtered = filtered.is('folder_id', null);
+    else if (folder) filtered = filtered.eq('folder_id', folder);
+    if (tags.length) filtered = filtered.contains('tags', tags);
+    return filtered;
+  }
+
+  /**
+   * Tags the user has used, most used first.
+   * @returns {Promise<Array<{tag: string, count: number}>>}
+   */
+  async listTags(userId) {
+    const { data, error } = await supabase
+      .from('chats')
+      .select('tags')
+      .eq('user_id', userId)
+      .not('tags', 'eq', '{}');
+    if (error) throw error;
+
+    const counts = new Map();
+    (data || []).flatMap(row => row.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  async getFolder(userId, folderId) {
+    if (!UUID_PATTERN.test(String(folderId))) return null;
+    const { data, error } = await supabase
+      .from('chat_folders')
+      .select(FOLDER_FIELDS)
+      .eq('id', folderId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Folders in their sidebar order, with the number of unarchived chats in each.
+   */
+  async listFolders(userId) {
+    const [{ data: folders, error }, { data: chats, error: chatsError }] = await Promise.all([
+      supabase
+        .from('chat_folders')
+        .select(FOLDER_FIELDS)
+        .eq('user_id', userId)
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('chats')
+        .select('folder_id')
+        .eq('user_id', userId)
+        .not('folder_id', 'is', null)
+        .not('is_archived', 'is', true)
+    ]);
+    if (error) throw error;
+    if (chatsError) throw chatsError;
+
+    const counts = new Map();
+    (chats || []).forEach(chat => counts.set(chat.folder_id, (counts.get(chat.folder_id) || 0) + 1));
+    return (folders || []).map(folder => toFolder(folder, counts.get(folder.id) || 0));
+  }
+
+  /**
+   * @returns {string|null} Error message, or null when the fields are valid
+   */
+  validateFolder({ name, color }, { partial = false } = {}) {
+    if (name !== undefined || !partial) {
+      if (typeof name !== 'string' || !name.trim()) return 'name is required';
+      if (name.trim().length > MAX_FOLDER_NAME_CHARS) return `A folder name can be at most ${MAX_FOLDER_NAME_CHARS} characters`;
+    }
+    if (color !== undefined && color !== null && (typeof color !== 'string' || !COLOR_PATTERN.test(color))) {
+      return 'color must be a hex color like #4f46e5 or null';
+    }
+    return null;
+  }
+
+  async createFolder(userId, body = {}) {
+    const invalid = this.validateFolder(body);
+    if (invalid) return { status: 400, error: invalid };
+
+    const { count, error: countError } = await supabase
+      .from('chat_folders')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+    if (countError) throw countError;
+    if ((count || 0) >= MAX_FOLDERS) return { status: 400, error: `You can have at most ${MAX_FOLDERS} folders` };
+
+    const { data, error } = await supabase
+      .from('chat_folders')
+      .insert({ user_id: userId, name: body.name.trim(), color: body.color || null, position: count || 0 })
+      .select(FOLDER_FIELDS)
+      .single();
+    if (error?.code === UNIQUE_VIOLATION) return { status: 409, error: 'A folder with this name already exists' };
+    if (error) throw error;
+    return { folder: toFolder(data) };
+  }
+
+  /**
+   * Renames, recolors or moves a folder. Body: { name, color, position }, all optional
+   */
+  async updateFolder(userId, folderId, body = {}) {
+    const invalid = this.validateFolder(body, { partial: true });
+    if (invalid) return { status: 400, error: invalid };
+    if (body.position !== undefined && (!Number.isInteger(body.position) || body.position < 0)) {
+      return { status: 400, error: 'position must be a whole number of at least 0' };
+    }
+
+    const update = {
+      ...(body.name !== undefined ? { name: body.name.trim() } : {}),
+      ...(body.color !== undefined ? { color: body.color } : {}),
+      ...(body.position !== undefined ? { position: body.position } : {})
+    };
+    if (Object.keys(update).length === 0) return { status: 400, error: 'Nothing to update' };
+    if (!(await this.getFolder(userId, folderId))) return { status: 404, error: 'Folder not found' };
+
+    const { data, error } = await supabase
+      .from('chat_folders')
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', folderId)
+      .eq('user_id', userId)
+      .select(FOLDER_FIELDS)
+      .single();
+    if (error?.code === UNIQUE_VIOLATION) return { status: 409, error: 'A folder with this name already exists' };
+    if (error) throw error;
+    return { folder: toFolder(data) };
+  }
+
+  /**
+   * Deletes a folder; its chats stay, outside any folder.
+   */
+  async deleteFolder(userId, folderId) {
+    if (!(await this.getFolder(userId, folderId))) return { status: 404, error: 'Folder not found' };
+
+    const { error } = await supabase
+      .from('chat_folders')
+      .delete()
+      .eq('id', folderId)
+      .eq('user_id', userId);
+    if (error) throw error;
+    return { deleted: true };
+  }
+}
+
+module.exports = new ChatOrganizationService();
@@ -0,0 +1,260 @@
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const enhancedQdrantService = require('./enhancedQdrantService.js');
+const { JobQueue } = require('../utils/jobQueue');
+
+const MAX_QUERY_CHARS = 200;
+const MAX_TAGS = 10;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_CHARS = 240;
+// Messages are embedded up to this length; longer ones are searched by their start
+const MAX_INDEX_CHARS = 4000;
+// Reciprocal rank fusion constant: higher values flatten the gap between ranks
+const RRF_K = 60;
+// ts_headline markers set in the search_chat_messages function
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turns a ts_headline excerpt into plain text and the ranges of its marked words.
+ * @returns {{snippet: string, highlights: Array<{start: number, end: number}>}}
+ */
+const parseHeadline = (headline) => {
+  let snippet = '';
+  const highlights = [];
+  let start = null;
+  for (const ch of String(headline || '')) {
+    if (ch === MARK_START) {
+      start = snippet.length;
+    } else if (ch === MARK_END) {
+      if (start !== null && snippet.length > start) highlights.push({ start, end: snippet.length });
+      start = null;
+    } else {
+      snippet += ch;
+    }
+  }
+  return { snippet, highlights };
+};
+
+/**
+ * An excerpt of `text` around the first query word it contains, with every
+ * query word highlighted. Used for messages found by meaning only.
+ */
+const snippetFor = (text, query) => {
+  const content = String(text || '').replace(/\s+/g, ' ').trim();
+  // Query words match any word starting with them, less a plural ending
+  const stems = [...new Set((query.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])
+    .map(word => (word.length > 4 ? word.replace(/e?s$/, '') : word)))];
+  const pattern = stems.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu')
+    : null;
+
+  let offset = 0;
+  const first = pattern ? content.search(pattern) : -1;
+  if (content.length > SNIPPET_CHARS && first > SNIPPET_CHARS / 3) {
+    offset = Math.min(first - Math.floor(SNIPPET_CHARS / 3), content.length - SNIPPET_CHARS);
+  }
+  const prefix = offset > 0 ? '…' : '';
+  const body = content.slice(offset, offset + SNIPPET_CHARS);
+  const snippet = `${prefix}${body}${offset + SNIPPET_CHARS < content.length ? '…' : ''}`;
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of body.matchAll(pattern)) {
+      const start = prefix.length + match.index;
+      highlights.push({ start, end: start + match[0].length });
+    }
+  }
+  return { snippet, highlights };
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { date };
+};
+
+/**
+ * Search across all of a user's chats (GET /api/chat/search).
+ *
+ * Combines Postgres full-text search (the search_chat_messages function in
+ * migrations/add_chat_search.sql) with semantic search over the
+ * `chat_messages` Qdrant collection, merged by reciprocal rank fusion. Saved
+ * messages are embedded in the background after ConversationManager.saveMessage;
+ * messages saved before that only turn up through full-text search.
+ */
+class ChatSearchService {
+  constructor() {
+    this.config = {
+      // Semantic hits below this cosine similarity are left out
+      minScore: parseFloat(process.env.CHAT_SEARCH_MIN_SCORE) || 0.6
+    };
+    this.queue = new JobQueue('chat-index', payload => this.indexMessage(payload), { maxPending: 5000 });
+  }
+
+  /**
+   * Validates query string parameters.
+   * @param {Object} params - { q, from, to, model, tags, limit }
+   * @returns {{error: string}|{filters: Object}}
+   */
+  parseParams({ q, from, to, model, tags, limit } = {}) {
+    const query = typeof q === 'string' ? q.trim() : '';
+    if (!query) return { error: '`q` is required' };
+    if (query.length > MAX_QUERY_CHARS) return { error: `\`q\` must be at most ${MAX_QUERY_CHARS} characters` };
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate.error || toDate.error) return { error: '`from` and `to` must be dates' };
+    if (fromDate.date && toDate.date && fromDate.date >= toDate.date) return { error: '`from` must be before `to`' };
+
+    const tagList = (Array.isArray(tags) ? tags : String(tags || '').split(','))
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean);
+    if (tagList.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags can be combined` };
+
+    return {
+      filters: {
+        query,
+        from: fromDate.date,
+        to: toDate.date,
+        model: typeof model === 'string' && model.trim() ? model.trim() : null,
+        tags: [...new Set(tagList)],
+        limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+      }
+    };
+  }
+
+  /**
+   * @returns {Promise<{status: number, error: string}|{query: string, results: Array}>}
+   *   Results are { chatId, chatTitle, messageId, role, model, createdAt,
+   *   snippet, highlights, matchedBy, score }, best first
+   */
+  async search(userId, params) {
+    const { error, filters } = this.parseParams(params);
+    if (error) return { status: 400, error };
+
+    const [textHits, semanticHits] = await Promise.all([
+      this.fullTextSearch(userId, filters),
+      this.semanticSearch(userId, filters)
+    ]);
+
+    const merged = new Map();
+    const fuse = (hits, matchedBy) => hits.forEach((hit, rank) => {
+      const existing = merged.get(hit.messageId);
+      const score = 1 / (RRF_K + rank + 1);
+      if (existing) {
+        existing.score += score;
+        existing.matchedBy = [...existing.matchedBy, matchedBy];
+      } else {
+        merged.set(hit.messageId, { ...hit, matchedBy: [matchedBy], score });
+      }
+    });
+    // Full-text hits go first so their highlighted excerpt is the one kept
+    fuse(textHits, 'text');
+    fuse(semanticHits, 'semantic');
+
+    const results = [...merged.values()]
+      .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, filters.limit)
+      .map(({ score, ...result }) => ({ ...result, score: Number(score.toFixed(6)) }));
+
+    return { query: filters.query, results };
+  }
+
+  async fullTextSearch(userId, { query, from, to, model, tags, limit }) {
+    const { data, error } = await supabase.rpc('search_chat_messages', {
+      p_user_id: userId,
+      p_query: query,
+      p_from: from ? from.toISOString() : null,
+      p_to: to ? to.toISOString() : null,
+      p_model: model,
+      p_tags: tags.length ? tags : null,
+      p_limit: limit
+    });
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      chatId: row.chat_id,
+      chatTitle: row.chat_title || null,
+      messageId: row.message_id,
+      role: row.role,
+      model: row.model_used || null,
+      createdAt: row.created_at,
+      ...parseHeadline(row.headline)
+    }));
+  }
+
+  /**
+   * Semantic hits in chats the user still has, narrowed to the requested tags.
+   * Never throws: full-text results are returned on their own when Qdrant is down.
+   */
+  async semanticSearch(userId, { query, from, to, model, tags, limit }) {
+    try {
+      const hits = await enhancedQdrantService.searchChatMessages(userId, query, {
+        limit, from, to, model, scoreThreshold: this.config.minScore
+      });
+      if (hits.length === 0) return [];
+
+      const { data: chats, error } = await supabase
+        .from('chats')
+        .select('id, title, tags')
+        .eq('user_id', userId)
+        .in('id', [...new Set(hits.map(hit => hit.chatId))]);
+      if (error) throw error;
+
+      const byId = new Map((chats || []).map(chat => [chat.id, chat]));
+      return hits
+        .filter(hit => byId.has(hit.chatId) && tags.every(tag => (byId.get(hit.chatId).tags || []).includes(tag)))
+        .map(hit => ({
+          chatId: hit.chatId,
+          chatTitle: byId.get(hit.chatId).title || null,
+          messageId: hit.messageId,
+          role: hit.role,
+          model: hit.model,
+          createdAt: hit.createdAt,
+          ...snippetFor(hit.text, query)
+        }));
+    } catch (error) {
+      logger.warn('[ChatSearch] Semantic search failed:', error?.message || error);
+      return [];
+    }
+  }
+
+  /**
+   * Queues saved messages for semantic search. Never throws.
+   * @param {Array} messages - { id, role, content, model, createdAt }
+   */
+  index(chatId, userId, messages) {
+    for (const message of messages) {
+      const payload = this.toIndexPayload(chatId, userId, message);
+      if (payload) this.queue.add(message.id, payload);
+    }
+  }
+
+  /**
+   * What indexMessage stores for a message; null when it has no text.
+   * @param {Object} message - { id, role, content, model, createdAt }
+   */
+  toIndexPayload(chatId, userId, message) {
+    const text = typeof message.content === 'string' ? message.content.trim() : '';
+    if (!message.id || !text) return null;
+    return {
+      messageId: message.id,
+      userId,
+      chatId,
+      role: message.role,
+      model: message.model || null,
+      text: text.slice(0, MAX_INDEX_CHARS),
+      createdAt: message.createdAt || new Date().toISOString()
+    };
+  }
+
+  async indexMessage(payload) {
+    await enhancedQdrantService.storeChatMessage(payload);
+  }
+}
+
+module.exports = new ChatSearchService();
@@ -0,0 +1,108 @@
+const redisClient = require('../redis/unifiedRedisClient.js');
+const supabase = require('../db/supabase/admin.js');
+const conversationManager = require('./conversationManager.js');
+const logger = require('../config/logger.js');
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 3;
+
+/**
+ * Model comparison: one prompt answered by several models side by side.
+ *
+ * The replies of a comparison stream are kept in Redis for
+ * COMPARISON_TTL_SECONDS. When the user prefers one, it is saved into the chat
+ * like a normal reply and the vote is stored in model_comparison_votes
+ * (see migrations/create_model_comparison_votes.sql).
+ */
+class ComparisonService {
+  constructor(client = redisClient) {
+    this.redisClient = client;
+    this.ttlSeconds = parseInt(process.env.COMPARISON_TTL_SECONDS, 10) || 3600;
+  }
+
+  key(comparisonId) {
+    return `comparison:${comparisonId}`;
+  }
+
+  /**
+   * Checks the models of a comparison request.
+   * @param {*} models - From the request body
+   * @param {string[]} available - Models the user's plan may use
+   * @returns {string|null} Error message, or null when they are usable
+   */
+  validateModels(models, available = []) {
+    if (!Array.isArray(models) || models.length < MIN_MODELS || models.length > MAX_MODELS) {
+      return `models must list ${MIN_MODELS} to ${MAX_MODELS} models`;
+    }
+    if (new Set(models).size !== models.length) return 'models must be different';
+    const unavailable = models.find(model => !available.includes(model));
+    if (unavailable) return `Model ${unavailable} is not available on your plan`;
+    return null;
+  }
+
+  /**
+   * Keeps the finished replies until one is preferred.
+   * @param {Object} comparison - { id, userId, sessionId, message, branch, replies: [{ model, text, usage }] }
+   */
+  async save(comparison) {
+    try {
+      await this.redisClient.setex(this.key(comparison.id), this.ttlSeconds, JSON.stringify(comparison));
+    } catch (error) {
+      logger.warn('[Comparison] Failed to store replies:', error.message);
+    }
+  }
+
+  async get(comparisonId, userId) {
+    const raw = await this.redisClient.get(this.key(comparisonId));
+    const comparison = raw ? JSON.parse(raw) : null;
+    return comparison && comparison.userId === userId ? comparison : null;
+  }
+
+  /**
+   * Saves the preferred reply into the chat and records the vote.
+   * @returns {Promise<{chatId: string, model: string, userMessageId?: string, assistantMessageId?: string}|{status: number, error: string}>}
+   *   404 when unknown or expired, 400 for a model without an answer, 409 once an answer was chosen,
+   *   500 when the reply could not be saved
+   */
+  async prefer({ comparisonId, userId, model }) {
+    const comparison = await this.get(comparisonId, userId);
+    if (!comparison) return { status: 404, error: 'Comparison not found or expired' };
+    if (comparison.preferredModel) return { status: 409, error: 'An answer was already chosen' };
+
+    const reply = comparison.replies.find(candidate => candidate.model === model);
+    if (!reply) return { status: 400, error: `Model ${model} has no answer in this comparison` };
+
+    // Marked first so a second click cannot save the reply twice
+    await this.save({ ...comparison, preferredModel: model });
+
+    const saved = await conversationManager.saveMessage(comparison.sessionId, userId, comparison.message, reply.text, model, 'text', {
+      ...comparison.branch,
+      usage: reply.usage || undefined,
+      truncated: Boolean(reply.truncated),
+      comparison: { comparisonId, models: comparison.replies.map(candidate => candidate.model) }
+    });
+    if (saved.error) {
+      await this.save(comparison);
+      return { status: 500, error: 'Failed to save the answer' };
+    }
+
+    const { error } = await supabase.from('model_comparison_votes').insert({
+      user_id: userId,
+      chat_id: saved.id,
+      comparison_id: comparisonId,
+      prompt: String(comparison.message).substring(0, 2000),
+      models: comparison.replies.map(candidate => candidate.model),
+      preferred_model: model
+    });
+    if (error) logger.warn('[Comparison] Failed to record vote:', error.message);
+
+    return {
+      chatId: saved.id,
+      model,
+      userMessageId: saved.userMessageId,
+      assistantMessageId: saved.assistantMessageId
+    };
+  }
+}
+
+module.exports = new ComparisonService();
@@ -1,78 +1,209 @@
 const logger = require('../config/logger');
 const enhancedQdrantService = require('./enhancedQdrantService');
 const conversationManager = require('./conversationManager');
+const documentService = require('./documentService');
+const memoryService = require('./memoryService');
+const { providerRegistry } = require('./providerRegistry');
+const { DEFAULT_CAPABILITIES } = require('../config/providers');
+const { activePath, pathTo } = require('../utils/messageTree');
+const { countTokens, countMessageTokens, truncateToTokens } = require('../utils/tokenizer');
 
 class ContextManager {
     constructor() {
         // Configuration
         this.config = {
-            maxTokens: 4000, // Safe buffer for most models
-            rollingWindowSize: 6, // Keep last 6 messages (3 user, 3 assistant)
-            summaryTriggerCount: 6, // Summarize every 6 messages
-            ragResultsCount: 5, // Fetch top-5 vectors
-            charsPerToken: 4 // Rough estimation
+            // Prompt tokens are capped here even on long-context models (cost and latency)
+            maxInputTokens: parseInt(process.env.CONTEXT_MAX_INPUT_TOKENS, 10) || 32000,
+            // Room kept for the reply: this much, but at most a quarter of the model's context
+            outputReserveTokens: parseInt(process.env.CONTEXT_OUTPUT_RESERVE_TOKENS, 10) || 4096,
+            maxHistoryMessages: 50, // Recent turns stop here however much room is left
+            rollingWindowSize: 6, // Fallback window when assembly fails
+            ragResultsCount: 5 // Fetch top-5 vectors
         };
     }
 
     /**
-     * Main entry point to construct the context for the LLM
+     * Token budget of a request to `model`: its context length less the room
+     * reserved for the reply, capped at maxInputTokens.
+     * @returns {{model: string, contextLength: number, outputTokens: number, inputTokens: number}}
      */
-    async constructContext(userId, sessionId, currentMessage, model) {
+    getBudget(model) {
+        const contextLength = providerRegistry.getCapabilities(model).maxContext || DEFAULT_CAPABILITIES.maxContext;
+        const outputTokens = Math.min(this.config.outputReserveTokens, Math.floor(contextLength / 4));
+        return {
+            model,
+            contextLength,
+            outputTokens,
+            inputTokens: Math.min(contextLength - outputTokens, this.config.maxInputTokens)
+        };
+    }
+
+    /**
+     * Main entry point to construct the context for the LLM.
+     *
+     * The model's input budget (see getBudget) is filled by priority: the system
+     * prompt and the new message always go in, then memories, the summary,
+     * retrieved passages (document excerpts, then past answers) and finally as
+     * many recent turns as fit, newest first.
+     * @param {Object} [options]
+     * @param {string|null} [options.parentMessageId] - Branch to answer in: history is the path
+     *   to this message (null: none). Defaults to the chat's active path.
+     * @param {string} [options.systemPrompt] - Prompt the caller sends ahead of the instructions
+     * @returns {Promise<{messages: Array, contextInstructions: string, sources: Array, budget: Object, personalized: boolean}>}
+     *   `sources` are the document chunks quoted in the instructions; `budget` is
+     *   getBudget plus the tokens each part used; `personalized` is true when the
+     *   instructions carry memories, the summary or past details of this user
+     */
+    async constructContext(userId, sessionId, currentMessage, model, options = {}) {
         try {
-            // 1. Fetch full conversation history
+            // 1. Fetch the conversation history of the branch being answered
             const conversation = await conversationManager.getConversation(sessionId, userId);
-            const allMessages = conversation.messages || [];
-
-            // 2. Get Rolling Window (Short-term memory)
-            const rollingWindow = this.getRollingWindow(allMessages);
-
-            // 3. Get or Generate Summary (Long-term compressed memory)
-            // Pass the existing DB summary to the generator
-            const summary = await this.getOrGenerateSummary(userId, sessionId, allMessages, conversation.summary);
-
-            // 4. RAG Retrieval (Episodic memory)
-            const ragContext = await this.getRelevantHistory(userId, currentMessage);
+            const allMessages = this.getBranchMessages(conversation.messages || [], options.parentMessageId);
+
+            // 2. Long-term compressed memory, kept up to date in the background (see summarizationService)
+            const summary = conversation.summary || null;
+
+            // 3. Facts the user asked to remember across chats (empty when memory is off)
+            const memories = await memoryService.getForContext(userId);
+
+            // 4. RAG Retrieval: excerpts from documents attached to this chat, then past answers
+            const excerpts = await this.getDocumentExcerpts(userId, conversation.id || sessionId, currentMessage);
+            const pastDetails = await this.getRelevantHits(userId, currentMessage);
+
+            // 5. Fill the budget by priority
+            const budget = this.getBudget(model);
+            const used = {
+                system: countMessageTokens({ role: 'system', content: options.systemPrompt || '' }),
+                message: countMessageTokens({ role: 'user', content: currentMessage || '' }),
+                memory: 0,
+                summary: 0,
+                documents: 0,
+                pastDetails: 0,
+                history: 0
+            };
+            let remaining = budget.inputTokens - used.system - used.message;
+            const spend = (part, text) => {
+                used[part] = countTokens(text);
+                remaining -= used[part];
+                return text;
+            };
 
-            // 5. Assemble final context
-            let finalMessages = [];
-            let contextInstructions = '';
+            const memoryText = spend('memory', this.fitSection(
+                memories, remaining, kept => memoryService.formatInstructions(kept)
+            ).text);
 
+            let summaryText = '';
             if (summary) {
-                contextInstructions += `\n\nPrevious conversation summary: ${summary}`;
+                const header = '\n\nPrevious conversation summary: ';
+                const fitted = truncateToTokens(summary, remaining - countTokens(header));
+                summaryText = spend('summary', fitted ? header + fitted : '');
             }
 
-            if (ragContext) {
-                contextInstructions += `\n\nRelevant past details: ${ragContext}`;
-            }
+            const fittedExcerpts = this.fitSection(excerpts, remaining, kept => this.formatExcerpts(kept));
+            const documentsText = spend('documents', fittedExcerpts.text);
+            const sources = fittedExcerpts.items;
+
+            const pastText = spend('pastDetails', this.fitSection(
+                pastDetails, remaining, kept => (kept.length ? `\n\nRelevant past details: ${kept.join('\n\n')}` : '')
+            ).text);
 
-            // Add rolling window messages
-            finalMessages = [...rollingWindow];
+            // 6. Recent turns, newest first, until the budget or maxHistoryMessages runs out
+            // (providers only take role and content)
+            const turns = allMessages.filter(m => m.role !== 'system').map(({ role, content }) => ({ role, content }));
+            const finalMessages = this.fitHistory(turns, remaining);
+            used.history = finalMessages.reduce((sum, message) => sum + countMessageTokens(message), 0);
 
-            // 6. Enforce Token Limit (Safety net)
-            finalMessages = this.enforceTokenLimit(finalMessages, this.config.maxTokens);
+            const contextInstructions = memoryText + summaryText + pastText + documentsText;
+            const usedTokens = Object.values(used).reduce((sum, tokens) => sum + tokens, 0);
 
             logger.info('[ContextManager] Context constructed', {
+                model,
+                inputBudget: budget.inputTokens,
+                usedTokens,
                 totalMessages: allMessages.length,
                 windowSize: finalMessages.length,
-                hasSummary: !!summary,
-                hasRAG: !!ragContext
+                hasSummary: !!summaryText,
+                hasRAG: !!pastText,
+                hasMemories: !!memoryText,
+                documentExcerpts: sources.length
             });
 
             return {
                 messages: finalMessages,
-                contextInstructions
+                contextInstructions,
+                sources,
+                personalized: Boolean(memoryText || summaryText || pastText),
+                budget: {
+                    ...budget,
+                    usedTokens,
+                    sections: used,
+                    historyMessages: finalMessages.length,
+                    droppedMessages: turns.length - finalMessages.length
+                }
             };
 
         } catch (error) {
             logger.error('[ContextManager] Failed to construct context:', error);
             // Fallback: return last few messages
             return {
-                messages: this.getRollingWindow(await conversationManager.getConversation(sessionId, userId).then(c => c.messages || [])),
-                contextInstructions: ''
+                messages: this.getRollingWindow(await conversationManager.getConversation(sessionId, userId)
+                    .then(c => this.getBranchMessages(c.messages || [], options.parentMessageId))),
+                contextInstructions: '',
+                sources: [],
+                personalized: false,
+                budget: this.getBudget(model)
             };
         }
     }
 
+    /**
+     * Keeps the items whose section still fits in `maxTokens`, in order; an item
+     * too large to fit is skipped so smaller ones after it can still go in.
+     * @param {Array} items
+     * @param {number} maxTokens
+     * @param {Function} format - (items) => section text
+     * @returns {{items: Array, text: string}}
+     */
+    fitSection(items, maxTokens, format) {
+        const kept = [];
+        for (const item of items) {
+            if (countTokens(format([...kept, item])) <= maxTokens) kept.push(item);
+        }
+        return { items: kept, text: format(kept) };
+    }
+
+    /**
+     * The most recent messages that fit in `maxTokens`, oldest first. Stops at the
+     * first message that does not fit so the history has no gaps.
+     */
+    fitHistory(messages, maxTokens) {
+        const kept = [];
+        let total = 0;
+        for (let i = messages.length - 1; i >= 0 && kept.length < this.config.maxHistoryMessages; i--) {
+            const tokens = countMessageTokens(messages[i]);
+            if (total + tokens > maxTokens) break;
+            total += tokens;
+            kept.unshift(messages[i]);
+        }
+        return kept;
+    }
+
+    formatExcerpts(sources) {
+        if (sources.length === 0) return '';
+        return '\n\nExcerpts from documents the user attached to this chat. ' +
+            'When you use one, cite it in brackets exactly as labelled, e.g. [report.pdf, p. 3].\n' +
+            sources.map(source => `[${source.citation}]\n${source.text}`).join('\n\n');
+    }
+
+    /**
+     * Messages on the branch being answered, root first
+     */
+    getBranchMessages(messages, parentMessageId) {
+        if (parentMessageId === undefined) return activePath(messages);
+        if (parentMessageId === null) return [];
+        return pathTo(messages, parentMessageId);
+    }
+
     /**
      * Get the last N messages (Rolling Window)
      */
@@ -87,103 +218,45 @@ class ContextManager {
      * Retrieve relevant past messages using Vector Search (RAG)
      */
     async getRelevantHistory(userId, query) {
+        const hits = await this.getRelevantHits(userId, query);
+        return hits.length > 0 ? hits.join('\n\n') : null;
+    }
+
+    /**
+     * Past questions similar to the query with their answers, most similar first
+     * @returns {Promise<string[]>} "Q: ...\nA: ..." entries
+     */
+    async getRelevantHits(userId, query) {
         try {
-            if (!query) return null;
+            if (!query) return [];
 
             // Use enhancedQdrantService to find similar past queries/contexts
             const similarQueries = await enhancedQdrantService.searchSimilarQueries(userId, query, this.config.ragResultsCount);
 
-            if (!similarQueries || similarQueries.length === 0) {
-                return null;
-            }
-
-            return similarQueries.map(q => `Q: ${q.query}\nA: ${q.context?.response || ''}`).join('\n\n');
+            return (similarQueries || []).map(q => `Q: ${q.query}\nA: ${q.context?.response || ''}`);
         } catch (error) {
             logger.error('[ContextManager] Failed to get relevant history:', error);
-            return null;
+            return [];
         }
     }
 
     /**
-     * Get or generate a summary of the conversation (Incremental)
+     * Retrieve the document chunks closest to the question (chat with a document)
      */
-    async getOrGenerateSummary(userId, sessionId, messages, currentSummary) {
+    async getDocumentExcerpts(userId, chatId, query) {
         try {
-            // Trigger every 6 messages
-            const shouldSummarize = messages && messages.length > 0 && messages.length % this.config.summaryTriggerCount === 0;
-
-            if (shouldSummarize) {
-                logger.info(`[ContextManager] Triggering incremental summary for session ${sessionId} at ${messages.length} messages`);
-
-                // Get last 6 messages
-                const recentMessages = messages.slice(-this.config.summaryTriggerCount);
-                const recentText = recentMessages.map(m => `${m.role}: ${m.content}`).join('\n');
-
-                // Construct prompt
-                const prompt = `You are a helpful assistant that summarizes conversation progress.
-Update the following summary with the new messages provided.
-Keep the summary concise, focusing on key facts, user preferences, and decisions.
-Do NOT output "Here is the summary" or similar. Just the summary text.
-
-Old Summary:
-${currentSummary || 'None'}
-
-New Messages:
-${recentText}
-
-Updated Summary:`;
-
-                // Call LLM (using a cheap model for summarization)
-                // We use dynamic require to avoid circular dependency issues at module load time
-                const chatService = require('./chatService');
-                const completion = await chatService.generateChatResponse(prompt);
-
-                const newSummary = completion.trim();
-
-                if (newSummary && newSummary.length > 0) {
-                    // Save to DB
-                    await conversationManager.updateSummary(sessionId, newSummary);
-                    return newSummary;
-                }
-            }
-
-            return currentSummary || null;
+            const chunks = await documentService.search(userId, chatId, query);
+            return chunks.map(chunk => ({
+                fileName: chunk.fileName,
+                page: chunk.page,
+                citation: documentService.formatCitation(chunk),
+                text: chunk.text,
+                score: chunk.score
+            }));
         } catch (error) {
-            logger.warn('[ContextManager] Failed to generate summary:', error);
-            return currentSummary || null;
-        }
-    }
-
-    /**
-     * Estimate token count (rough approximation)
-     */
-    estimateTokens(text) {
-        if (!text) return 0;
-        return Math.ceil(text.length / this.config.charsPerToken);
-    }
-
-    /**
-     * Enforce token limit by dropping oldest messages if necessary
-     */
-    enforceTokenLimit(messages, maxTokens) {
-        let currentTokens = 0;
-        const keptMessages = [];
-
-        // Process from newest to oldest
-        for (let i = messages.length - 1; i >= 0; i--) {
-            const msg = messages[i];
-            const content = msg.content || '';
-            const tokens = this.estimateTokens(content);
-
-            if (currentTokens + tokens > maxTokens) {
-                break;
-            }
-
-            currentTokens += tokens;
-            keptMessages.unshift(msg);
+            logger.error('[ContextManager] Failed to get document excerpts:', error);
+            return [];
         }
-
-        return keptMessages;
     }
 }
 
@@ -97,7 +97,7 @@ class ConversationManager {
       // Fetch messages for the chat
       const { data: msgRows, error: msgError } = await supabase
         .from('chat_messages')
-        .select('id, content, role, model_used, created_at, metadata')
+        .select('id, content, role, model_used, created_at, metadata, parent_message_id')
         .eq('chat_id', conversationId)
         .eq('user_id', userId)
         .order('created_at', { ascending: true });
@@ -107,27 +107,14 @@ class ConversationManager {
         throw msgError;
       }
 
-      // Filter out legacy summary messages (cleanup)
-      const cleanMessages = (msgRows || []).filter(m => {
-        const content = m.content || '';
-        if (m.role === 'assistant' && (
-          content.startsWith('The conversation involves') ||
-          content.startsWith('The conversation features') ||
-          content.startsWith('The user confirms') ||
-          content.startsWith('The user asks') ||
-          content.includes('summarize paragraph for cotext')
-        )) {
-          return false;
-        }
-        return true;
-      });
-
       const conversation = {
         id: chat.id,
         user_id: chat.user_id,
         title: chat.title,
         summary: chat.summary, // Return the summary field
-        messages: cleanMessages.map(m => ({
+        messages: (msgRows || []).map(m => ({
+          id: m.id,
+          parent_message_id: m.parent_message_id,
           role: m.role,
           content: m.content,
           model: m.model_used, // Map for frontend
@@ -150,6 +137,38 @@ class ConversationManager {
     }
   }
 
+  /**
+   * A single message of the user's, for editing or regenerating it.
+   * @returns {Promise<Object|null>} { id, chat_id, role, content, parent_message_id, metadata }
+   */
+  async getMessage(messageId, userId) {
+    if (!this.isValidUuid(messageId)) return null;
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('id, chat_id, role, content, parent_message_id, metadata')
+      .eq('id', messageId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching message:', error);
+      throw error;
+    }
+    return data || null;
+  }
+
+  // Newest message of a chat: what a new message follows when no parent is given
+  async getLatestMessageId(conversationId) {
+    const { data } = await supabase
+      .from('chat_messages')
+      .select('id')
+      .eq('chat_id', conversationId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    return data?.id || null;
+  }
+
   // Update conversation summary in DB
   async updateSummary(conversationId, summary) {
     try {
@@ -357,7 +376,44 @@ class ConversationManager {
     }
   }
 
-  async saveMessage(sessionId, userId, userMessage, assistantMessage, modelUsed, type = 'text') {
+  /**
+   * Adds a reply's tokens to chats.total_tokens and today's api_usage row
+   * (atomic, see migrations/add_token_usage_rollups.sql). Failures are logged only.
+   */
+  async recordTokenUsage(userId, chatId, usage) {
+    try {
+      const { error } = await supabase.rpc('record_token_usage', {
+        p_user_id: userId,
+        p_chat_id: chatId,
+        p_tokens: usage.totalTokens || 0
+      });
+      if (error) throw error;
+    } catch (error) {
+      logger.warn('Failed to record token usage:', error?.message || error);
+    }
+  }
+
+  /**
+   * Persists a user/assistant exchange.
+   * With provider usage, the user message stores the prompt tokens and the
+   * assistant message the completion tokens, so a chat's messages sum to its
+   * total_tokens. Without it both fall back to a word count.
+   * @param {Object} [options]
+   * @param {boolean} [options.truncated] - The assistant reply was cut short by a client stop
+   * @param {Object} [options.usage] - { promptTokens, completionTokens, totalTokens, source }
+   * @param {Array} [options.toolSteps] - Tool calls made while generating the reply
+   * @param {Object} [options.structured] - { valid, repaired, errors } for JSON Schema replies
+   * @param {Array} [options.attachments] - Files sent with the user message; only { path, name, type, size } is kept
+   * @param {Array} [options.sources] - Document excerpts the reply could cite ({ citation, fileName, page })
+   * @param {string|null} [options.parentMessageId] - Message the user message follows (null: first message);
+   *   defaults to the chat's newest message
+   * @param {string} [options.editedFrom] - The user message this one is an edited copy of
+   * @param {string} [options.userMessageId] - Regenerate: answer this existing user message instead of inserting one
+   * @param {Object} [options.comparison] - { comparisonId, models } when the reply was preferred in a side-by-side comparison
+   * @returns {Promise<{id: string, userMessageId?: string, assistantMessageId?: string, error?: string}>}
+   */
+  async saveMessage(sessionId, userId, userMessage, assistantMessage, modelUsed, type = 'text', options = {}) {
+    const usage = options.usage || null;
     try {
       // Ensure chat exists
       const { data: chat, error: chatErr } = await supabase
@@ -377,47 +433,91 @@ class ConversationManager {
         totalMessages = chat.total_messages || 0;
       }
 
-      // Insert user message
-      await supabase
-        .from('chat_messages')
-        .insert({
-          chat_id: currentSessionId,
-          user_id: userId,
-          role: 'user',
-          content: userMessage,
-          tokens: String(userMessage || '').split(/\s+/).length,
-          model_used: modelUsed,
-          metadata: { type }
-        });
+      // Insert user message, as a new branch when it edits an earlier one
+      let userMessageId = options.userMessageId || null;
+      if (!userMessageId) {
+        const parentMessageId = options.parentMessageId !== undefined
+          ? options.parentMessageId
+          : await this.getLatestMessageId(currentSessionId);
+        const { data: userRow } = await supabase
+          .from('chat_messages')
+          .insert({
+            chat_id: currentSessionId,
+            user_id: userId,
+            role: 'user',
+            content: userMessage,
+            tokens: usage ? usage.promptTokens : String(userMessage || '').split(/\s+/).length,
+            model_used: modelUsed,
+            parent_message_id: parentMessageId,
+            ...(options.editedFrom ? { is_edited: true, edited_at: new Date().toISOString() } : {}),
+            metadata: {
+              type,
+              ...(options.editedFrom ? { editedFrom: options.editedFrom } : {}),
+              ...(options.attachments?.length
+                ? { attachments: options.attachments.map(({ path, name, type: mimeType, size }) => ({ path, name, type: mimeType, size })) }
+                : {})
+            }
+          })
+          .select('id')
+          .single();
+        userMessageId = userRow?.id || null;
+      }
 
-      // Insert assistant message
-      await supabase
+      // Insert assistant message; regenerating adds a sibling of the earlier replies
+      const { data: assistantRow } = await supabase
         .from('chat_messages')
         .insert({
           chat_id: currentSessionId,
           user_id: userId,
+          parent_message_id: userMessageId,
           role: 'assistant',
           content: assistantMessage,
-          tokens: String(assistantMessage || '').split(/\s+/).length,
+          tokens: usage ? usage.completionTokens : String(assistantMessage || '').split(/\s+/).length,
           model_used: modelUsed,
-          metadata: { type }
-        });
+          metadata: {
+            type,
+            ...(options.truncated ? { truncated: true } : {}),
+            ...(usage ? { usage } : {}),
+            ...(options.toolSteps?.length ? { toolSteps: options.toolSteps } : {}),
+            ...(options.structured ? { structured: options.structured } : {}),
+            ...(options.comparison ? { comparison: options.comparison } : {}),
+            ...(options.cached ? { cached: options.cached } : {}),
+            ...(options.sources?.length
+              ? { sources: options.sources.map(({ citation, fileName, page }) => ({ citation, fileName, page })) }
+              : {})
+          }
+        })
+        .select('id')
+        .single();
 
       // Update chat metadata
       await supabase
         .from('chats')
         .update({
           last_message_at: new Date().toISOString(),
-          total_messages: totalMessages + 2,
+          total_messages: totalMessages + (options.userMessageId ? 1 : 2),
           title: totalMessages === 0 ? String(userMessage).substring(0, 50) : undefined
         })
         .eq('id', currentSessionId)
         .eq('user_id', userId);
 
+      if (usage) {
+        await this.recordTokenUsage(userId, currentSessionId, usage);
+      }
+
       // Invalidate Redis cache for chat
       await this.redisClient.del(`chat:${currentSessionId}`);
 
-      return { id: currentSessionId };
+      // Summaries and the search index are updated in the background; required here to avoid a cycle
+      require('./summarizationService').summarization.schedule(currentSessionId, userId);
+      if (type === 'text') {
+        require('./chatSearchService').index(currentSessionId, userId, [
+          ...(options.userMessageId ? [] : [{ id: userMessageId, role: 'user', content: userMessage, model: modelUsed }]),
+          { id: assistantRow?.id, role: 'assistant', content: assistantMessage, model: modelUsed }
+        ]);
+      }
+
+      return { id: currentSessionId, userMessageId, assistantMessageId: assistantRow?.id || null };
     } catch (error) {
       logger.error('Error in saveMessage:', error);
       // Non-fatal: allow streaming to succeed even if persistence fails
@@ -0,0 +1,212 @@
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const { getTokenPrice, getImagePrice } = require('../config/pricing.js');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const GROUP_BY = ['user', 'plan', 'model'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Cost ledger: prices every completion and generated image and reports spend.
+ *
+ * Entries are written by the streaming pipeline, the router and the image
+ * generators (see migrations/create_cost_ledger.sql). Writes never throw, so
+ * a ledger outage cannot break a reply.
+ */
+class CostLedgerService {
+  /**
+   * @param {string} model - Internal model name
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @returns {number} USD, 0 for unknown or self-hosted models
+   */
+  calculateCompletionCost(model, usage) {
+    const price = getTokenPrice(model);
+    if (!price || !usage) return 0;
+    const input = (usage.promptTokens || 0) * price.input;
+    const output = (usage.completionTokens || 0) * price.output;
+    return roundUsd((input + output) / 1e6);
+  }
+
+  /**
+   * @returns {number} USD for `count` images, 0 if the model/size/quality is unknown
+   */
+  calculateImageCost(model, { size = '1024x1024', quality = 'standard', count = 1 } = {}) {
+    const price = getImagePrice(model, size, quality);
+    if (price === null) return 0;
+    return roundUsd(price * count);
+  }
+
+  /**
+   * Callers without the plan at hand (e.g. the image routes) get it from the profile.
+   */
+  async resolvePlan(userId, plan) {
+    if (plan || !userId) return plan || null;
+    try {
+      const { data } = await supabase
+        .from('profiles')
+        .select('subscription_plan')
+        .eq('id', userId)
+        .single();
+      return data?.subscription_plan || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async insert(entry) {
+    try {
+      const { error } = await supabase.from('cost_ledger').insert(entry);
+      if (error) throw error;
+      return entry;
+    } catch (error) {
+      logger.warn('[CostLedger] Failed to record cost entry:', error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Records a text completion.
+   * @param {Object} params
+   * @param {string} params.kind - 'completion' (default), 'router' or 'summary'
+   * @param {Object} params.usage - { promptTokens, completionTokens, source }
+   */
+  async recordCompletion({ userId, chatId, model, plan, usage, kind = 'completion' }) {
+    if (!usage) return null;
+    if (!getTokenPrice(model)) {
+      logger.warn(`[CostLedger] No price for model ${model}, recording zero cost`);
+    }
+    return this.insert({
+      user_id: userId || null,
+      chat_id: UUID_PATTERN.test(chatId || '') ? chatId : null,
+      model,
+      kind,
+      subscription_plan: await this.resolvePlan(userId, plan),
+      prompt_tokens: usage.promptTokens || 0,
+      completion_tokens: usage.completionTokens || 0,
+      usage_source: usage.source || null,
+      cost_usd: this.calculateCompletionCost(model, usage)
+    });
+  }
+
+  /**
+   * Records generated images.
+   */
+  async recordImage({ userId, chatId, model, plan, size = '1024x1024', quality = 'standard', count = 1 }) {
+    if (getImagePrice(model, size, quality) === null) {
+      logger.warn(`[CostLedger] No price for ${model} ${size} ${quality}, recording zero cost`);
+    }
+    return this.insert({
+      user_id: userId || null,
+      chat_id: UUID_PATTERN.test(chatId || '') ? chatId : null,
+      model,
+      kind: 'image',
+      subscription_plan: await this.resolvePlan(userId, plan),
+      image_count: count,
+      image_size: size,
+      image_quality: quality,
+      cost_usd: this.calculateImageCost(model, { size, quality, count })
+    });
+  }
+
+  /**
+   * Parses a `from`/`to` query pair; defaults to the last 30 days.
+   * @returns {{from: Date, to: Date}}
+   */
+  resolveRange(from, to) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new Error('Invalid date range');
+    }
+    if (start >= end) throw new Error('`from` must be before `to`');
+    return { from: start, to: end };
+  }
+
+  /**
+   * Spend over a date range grouped by user, plan or model.
+   * @param {Object} params
+   * @param {Date} params.from
+   * @param {Date} params.to
+   * @param {string} [params.groupBy='model']
+   * @param {string} [params.userId] - Restrict to one user
+   * @returns {Promise<{rows: Array, totalUsd: number}>}
+   */
+  async getSpend({ from, to, groupBy = 'model', userId = null }) {
+    if (!GROUP_BY.includes(groupBy)) {
+      throw new Error(`groupBy must be one of ${GROUP_BY.join(', ')}`);
+    }
+
+    const { data, error } = await supabase.rpc('get_cost_spend', {
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+      p_group_by: groupBy,
+      p_user_id: userId
+    });
+    if (error) throw error;
+
+    const rows = (data || []).map(row => ({
+      key: row.group_key,
+      requests: Number(row.request_count) || 0,
+      promptTokens: Number(row.prompt_tokens) || 0,
+      completionTokens: Number(row.completion_tokens) || 0,
+      images: Number(row.image_count) || 0,
+      costUsd: roundUsd(Number(row.cost_usd) || 0)
+    }));
+
+    return {
+      rows,
+      totalUsd: roundUsd(rows.reduce((sum, row) => sum + row.costUsd, 0))
+    };
+  }
+
+  /**
+   * Revenue, cost and margin per subscription plan over a date range.
+   * Revenue is the plan price times its current subscriber count, prorated to
+   * the length of the range; cost is the ledger spend attributed to the plan.
+   */
+  async getPlanMargins({ from, to }) {
+    const { data: plans, error } = await supabase
+      .from('plans')
+      .select('name, price, billing_interval')
+      .eq('is_active', true);
+    if (error) throw error;
+
+    const { rows } = await this.getSpend({ from, to, groupBy: 'plan' });
+    const spendByPlan = new Map(rows.map(row => [row.key, row]));
+    const days = (to.getTime() - from.getTime()) / DAY_MS;
+
+    const margins = await Promise.all((plans || []).map(async (plan) => {
+      const key = String(plan.name).toLowerCase();
+      const { count, error: countError } = await supabase
+        .from('profiles')
+        .select('id', { count: 'exact', head: true })
+        .eq('subscription_plan', key);
+      if (countError) throw countError;
+
+      const periodDays = plan.billing_interval === 'yearly' ? 365 : 30;
+      const subscribers = count || 0;
+      const revenueUsd = roundUsd((parseFloat(plan.price) || 0) * subscribers * (days / periodDays));
+      const spend = spendByPlan.get(key);
+      const costUsd = spend ? spend.costUsd : 0;
+      const marginUsd = roundUsd(revenueUsd - costUsd);
+
+      return {
+        plan: key,
+        price: parseFloat(plan.price) || 0,
+        billingInterval: plan.billing_interval,
+        subscribers,
+        requests: spend ? spend.requests : 0,
+        revenueUsd,
+        costUsd,
+        marginUsd,
+        marginPercent: revenueUsd > 0 ? Math.round((marginUsd / revenueUsd) * 1000) / 10 : null
+      };
+    }));
+
+    return margins;
+  }
+}
+
+module.exports = new CostLedgerService();
@@ -2,6 +2,7 @@ const OpenAI = require('openai');
 const dotenv = require('dotenv');
 const logger = require('../config/logger.js');
 const { downloadAndStoreImage } = require('./fileStorageService.js');
+const costLedger = require('./costLedgerService.js');
 const { createClient } = require('@supabase/supabase-js');
 
 dotenv.config();
@@ -44,6 +45,8 @@ async function generateImage(prompt, userId, size = '1024x1024', quality = 'stan
       throw new Error('No image data received from DALL-E');
     }
 
+    await costLedger.recordImage({ userId, model: 'dall-e-3', size, quality });
+
     const temporaryUrl = response.data[0].url;
     logger.info('✅ Image generated, downloading and storing...');
 
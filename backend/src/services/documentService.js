@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const enhancedQdrantService = require('./enhancedQdrantService.js');
+const { downloadFile } = require('./fileStorageService.js');
+const logger = require('../config/logger.js');
+
+const DOCUMENT_TYPES = ['application/pdf', 'text/plain'];
+
+/**
+ * Documents: PDF and text attachments made searchable for "chat with a document".
+ *
+ * Uploaded files are split into pages (PDF) or a single page (text), chunked
+ * with a small overlap, embedded and stored in the `document_chunks` Qdrant
+ * collection with the owning user and chat. contextManager pulls the closest
+ * chunks for each question and the model cites them by file name and page.
+ */
+class DocumentService {
+  constructor() {
+    this.config = {
+      chunkChars: parseInt(process.env.DOCUMENT_CHUNK_CHARS, 10) || 1500,
+      overlapChars: parseInt(process.env.DOCUMENT_CHUNK_OVERLAP_CHARS, 10) || 200,
+      // Large uploads are cut off rather than embedding thousands of chunks
+      maxChunks: parseInt(process.env.DOCUMENT_MAX_CHUNKS, 10) || 400,
+      topK: parseInt(process.env.DOCUMENT_TOP_K, 10) || 4,
+      minScore: parseFloat(process.env.DOCUMENT_MIN_SCORE) || 0.3
+    };
+  }
+
+  isDocument(attachment) {
+    return DOCUMENT_TYPES.includes(attachment?.type);
+  }
+
+  /**
+   * Extracts text per page.
+   * @returns {Promise<Array<{page: number|null, text: string}>>} Text files have a single page `null`
+   */
+  async extractPages(buffer, type) {
+    if (type === 'text/plain') {
+      return [{ page: null, text: buffer.toString('utf8') }];
+    }
+    if (type === 'application/pdf') {
+      // Loaded on first use; pdf.js is heavy and only needed for PDF uploads
+      const { PDFParse } = require('pdf-parse');
+      const parser = new PDFParse({ data: buffer });
+      try {
+        const result = await parser.getText();
+        return result.pages.map(({ num, text }) => ({ page: num, text }));
+      } finally {
+        await parser.destroy();
+      }
+    }
+    throw new Error(`Unsupported document type: ${type}`);
+  }
+
+  /**
+   * Splits pages into overlapping chunks, preferring paragraph, then sentence,
+   * then word boundaries. Chunks never span pages so citations stay exact.
+   * @returns {Array<{page: number|null, index: number, text: string}>}
+   */
+  chunkPages(pages) {
+    const { chunkChars, overlapChars, maxChunks } = this.config;
+    const chunks = [];
+
+    for (const { page, text } of pages) {
+      const clean = String(text || '').replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+      let start = 0;
+      while (start < clean.length && chunks.length < maxChunks) {
+        let end = Math.min(start + chunkChars, clean.length);
+        if (end < clean.length) {
+          const window = clean.slice(start, end);
+          const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf(' ')]
+            .find(index => index > chunkChars / 2);
+          if (breakAt !== undefined) end = start + breakAt + 1;
+        }
+
+        const piece = clean.slice(start, end).trim();
+        if (piece) chunks.push({ page, index: chunks.length, text: piece });
+        if (end >= clean.length) break;
+        start = Math.max(end - overlapChars, start + 1);
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Parses, chunks and embeds one uploaded document for a chat.
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} params.chatId - Chat the document belongs to; only that chat retrieves it
+   * @param {Object} params.attachment - { path, name, type } from POST /api/files/upload
+   * @returns {Promise<{documentId: string, fileName: string, pages: number, chunks: number}>}
+   */
+  async ingest({ userId, chatId, attachment }) {
+    const file = await downloadFile(attachment.path);
+    if (!file.success) throw new Error(`Could not read attachment ${attachment.name}`);
+
+    const pages = await this.extractPages(file.buffer, attachment.type);
+    const chunks = this.chunkPages(pages);
+    if (chunks.length === 0) throw new Error(`No text found in ${attachment.name}`);
+
+    const document = {
+      // Same id for the same upload in the same chat
+      documentId: crypto.createHash('sha256').update(`${chatId || ''}:${attachment.path}`).digest('hex').slice(0, 32),
+      userId,
+      chatId,
+      fileName: attachment.name,
+      path: attachment.path
+    };
+    await enhancedQdrantService.storeDocumentChunks(document, chunks);
+
+    logger.info(`[Documents] Ingested ${attachment.name}: ${pages.length} page(s), ${chunks.length} chunk(s)`);
+    return { documentId: document.documentId, fileName: attachment.name, pages: pages.length, chunks: chunks.length };
+  }
+
+  /**
+   * Ingests the document attachments of a message. Failures are reported per
+   * file so one unreadable upload does not block the reply.
+   * @returns {Promise<Array<{fileName: string, pages?: number, chunks?: number, error?: string}>>}
+   */
+  async ingestAttachments(userId, chatId, attachments = []) {
+    const results = [];
+    for (const attachment of attachments.filter(a => this.isDocument(a))) {
+      try {
+        results.push(await this.ingest({ userId, chatId, attachment }));
+      } catch (error) {
+        logger.warn(`[Documents] Failed to ingest ${attachment.name}:`, error.message);
+        results.push({ fileName: attachment.name, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Closest chunks to a question from the chat's documents.
+   * @returns {Promise<Array<{fileName: string, page: number|null, text: string, score: number}>>}
+   */
+  async search(userId, chatId, query) {
+    if (!query || !chatId) return [];
+    return enhancedQdrantService.searchDocumentChunks(userId, query, {
+      chatId,
+      limit: this.config.topK,
+      scoreThreshold: this.config.minScore
+    });
+  }
+
+  // "report.pdf, p. 3" (text files have no page)
+  formatCitation({ fileName, page }) {
+    return page ? `${fileName}, p. ${page}` : fileName;
+  }
+}
+
+module.exports = new DocumentService();
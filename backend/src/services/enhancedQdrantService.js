@@ -8,13 +8,21 @@ const logger = require('../config/logger');
 const crypto = require('crypto');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+// A UUID point id derived from `key`, so storing the same item again overwrites its point
+const stablePointId = (key) => {
+  const hex = crypto.createHash('sha256').update(key).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+};
+
 class EnhancedQdrantService {
   constructor() {
     this.collections = {
       userEmbeddings: 'user_embeddings',
       queryContext: 'query_context',
       responsePatterns: 'response_patterns',
-      semanticCache: 'semantic_cache'
+      semanticCache: 'semantic_cache',
+      documentChunks: 'document_chunks',
+      chatMessages: 'chat_messages'
     };
 
     this.vectorConfig = {
@@ -170,7 +178,7 @@ class EnhancedQdrantService {
   /**
    * Search semantic cache
    * @param {string} query - Query text
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options ({ threshold, topK, filter } or a threshold)
    * @returns {Object|null} Cached response or null
    */
   async searchSemanticCache(query, options = {}) {
@@ -180,12 +188,14 @@ class EnhancedQdrantService {
       // Handle case where threshold is passed as second parameter directly
       let threshold = 0.8;
       let topK = 1;
+      let filter;
 
       if (typeof options === 'number') {
         threshold = options;
       } else {
         threshold = options.threshold || 0.8;
         topK = options.topK || 1;
+        filter = options.filter;
       }
 
       // Validate threshold parameter
@@ -200,7 +210,8 @@ class EnhancedQdrantService {
         vector: vector,
         limit: topK,
         score_threshold: threshold,
-        with_payload: true
+        with_payload: true,
+        ...(filter ? { filter } : {})
       });
 
       if (!searchResult || searchResult.length === 0) {
@@ -332,14 +343,14 @@ class EnhancedQdrantService {
    * Store semantic cache entry
    * @param {string} query - Query text
    * @param {string} response - Cached response
-   * @param {Object} metadata - Cache metadata
+   * @param {Object} metadata - Cache metadata; entries stored with the same `cacheKey` replace each other
    */
   async storeSemanticCache(query, response, metadata) {
     try {
       await this.initialize();
 
       const vector = await this.generateEmbedding(query);
-      const pointId = crypto.randomUUID();
+      const pointId = metadata.cacheKey ? stablePointId(metadata.cacheKey) : crypto.randomUUID();
 
       const point = {
         id: pointId,
@@ -526,6 +537,138 @@ class EnhancedQdrantService {
     }
   }
 
+  /**
+   * Store the chunks of an uploaded document. Point ids come from the document
+   * id and chunk index, so a document sent again replaces its chunks.
+   * @param {Object} document - { documentId, userId, chatId, fileName, path }
+   * @param {Array<{text: string, page: number|null, index: number}>} chunks
+   */
+  async storeDocumentChunks(document, chunks) {
+    try {
+      await this.initialize();
+
+      for (const chunk of chunks) {
+        await qdrantClient.addVector(this.collections.documentChunks, {
+          id: stablePointId(`${document.documentId}:${chunk.index}`),
+          vector: await this.generateEmbedding(chunk.text),
+          payload: {
+            ...document,
+            page: chunk.page,
+            chunkIndex: chunk.index,
+            text: chunk.text,
+            timestamp: Date.now()
+          }
+        });
+      }
+
+      logger.debug('Stored document chunks', { documentId: document.documentId, chunks: chunks.length });
+      return { success: true, chunks: chunks.length };
+    } catch (error) {
+      logger.error('Failed to store document chunks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Search the document chunks of a user, optionally limited to one chat
+   */
+  async searchDocumentChunks(userId, query, { chatId = null, limit = 4, scoreThreshold } = {}) {
+    try {
+      await this.initialize();
+
+      const must = [{ key: 'userId', match: { value: userId } }];
+      if (chatId) must.push({ key: 'chatId', match: { value: chatId } });
+
+      const searchResult = await qdrantClient.searchVector(this.collections.documentChunks, {
+        vector: await this.generateEmbedding(query),
+        limit,
+        filter: { must },
+        with_payload: true,
+        ...(scoreThreshold !== undefined ? { score_threshold: scoreThreshold } : {})
+      });
+
+      return (searchResult || []).map(result => ({
+        documentId: result.payload.documentId,
+        fileName: result.payload.fileName,
+        page: result.payload.page,
+        text: result.payload.text,
+        score: result.score
+      }));
+    } catch (error) {
+      logger.error('Failed to search document chunks', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Store a saved chat message for semantic chat search
+   * @param {Object} message - { messageId, userId, chatId, role, model, text, createdAt }
+   */
+  async storeChatMessage(message) {
+    try {
+      await this.initialize();
+
+      const { createdAt, ...payload } = message;
+      await qdrantClient.addVector(this.collections.chatMessages, {
+        id: message.messageId,
+        vector: await this.generateEmbedding(message.text),
+        payload: {
+          ...payload,
+          timestamp: new Date(createdAt || Date.now()).getTime()
+        }
+      });
+
+      logger.debug('Stored chat message', { messageId: message.messageId });
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to store chat message', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Search the saved messages of a user by meaning
+   * @param {Object} [filters] - { limit, from, to (Date), model, scoreThreshold }
+   */
+  async searchChatMessages(userId, query, { limit = 20, from = null, to = null, model = null, scoreThreshold } = {}) {
+    try {
+      await this.initialize();
+
+      const must = [{ key: 'userId', match: { value: userId } }];
+      if (model) must.push({ key: 'model', match: { value: model } });
+      if (from || to) {
+        must.push({
+          key: 'timestamp',
+          range: {
+            ...(from ? { gte: from.getTime() } : {}),
+            ...(to ? { lt: to.getTime() } : {})
+          }
+        });
+      }
+
+      const searchResult = await qdrantClient.searchVector(this.collections.chatMessages, {
+        vector: await this.generateEmbedding(query),
+        limit,
+        filter: { must },
+        with_payload: true,
+        ...(scoreThreshold !== undefined ? { score_threshold: scoreThreshold } : {})
+      });
+
+      return (searchResult || []).map(result => ({
+        messageId: result.payload.messageId,
+        chatId: result.payload.chatId,
+        role: result.payload.role,
+        model: result.payload.model || null,
+        text: result.payload.text,
+        createdAt: new Date(result.payload.timestamp).toISOString(),
+        score: result.score
+      }));
+    } catch (error) {
+      logger.error('Failed to search chat messages', { error: error.message });
+      return [];
+    }
+  }
+
   /**
    * Initialize all collections
    */
@@ -1,57 +1,85 @@
 const enhancedRouterService = require('./enhancedRouterService');
+const routingPolicyService = require('./routingPolicyService');
+const { providerHealth } = require('./providerHealthService');
 const logger = require('../utils/logger');
 
 class EnhancedModelRouter {
   constructor() {
     this.enhancedRouter = enhancedRouterService;
+    this.routingPolicies = routingPolicyService;
+    this.providerHealth = providerHealth;
   }
 
-  async routeQuery(userMessage, subscriptionPlan = 'free') {
+  /**
+   * Routing policies run first; a matching route rule decides the model and
+   * the LLM router is skipped. Otherwise the LLM router picks among the
+   * models no policy blocked. Models whose provider circuit is open are
+   * left out of both. Every route carries an `explanation`.
+   * @param {string} userMessage
+   * @param {string|Object} options - Plan name, or { subscriptionPlan, userId }
+   */
+  async routeQuery(userMessage, options = 'free') {
+    const { subscriptionPlan = 'free', userId = null } = typeof options === 'string'
+      ? { subscriptionPlan: options }
+      : (options || {});
     try {
+      const isPaid = ['plus', 'pro'].includes(subscriptionPlan);
+      const start = Date.now();
+      const planModels = this.enhancedRouter.getAvailableModels(isPaid);
+      const unavailableModels = this.providerHealth.getUnavailableModels(planModels);
+      const policy = await this.routingPolicies.decide(userMessage, {
+        plan: subscriptionPlan,
+        availableModels: planModels,
+        unavailableModels
+      });
+
+      if (policy.model) {
+        const route = this.buildRoute({
+          subscriptionPlan,
+          primaryModel: policy.model,
+          blockedModels: policy.blockedModels,
+          type: this.enhancedRouter.detectType(userMessage),
+          difficulty: 'rule',
+          routedBy: 'policy',
+          policy: policy.policy,
+          routerModel: null,
+          latencyMs: Date.now() - start,
+          explanation: policy.explanation
+        });
+        logger.info(`🛣️ Policy Router Decision: ${subscriptionPlan} user -> ${policy.model} (${policy.policy.name})`);
+        return route;
+      }
+
       // Use enhanced routing service (LLM) for intelligent analysis and selection
       const enhancedRouting = await this.enhancedRouter.routeQuery(userMessage, {
         sessionId: `session_${Date.now()}`,
-        subscriptionPlan
+        subscriptionPlan,
+        userId,
+        excludedModels: [...policy.blockedModels, ...unavailableModels]
       });
 
       // The LLM has already made the final decision based on the plan
       const primaryModel = enhancedRouting.primaryModel;
 
-      // Determine fallback models based on primary selection
-      let fallbackModels = [];
-
-      if (primaryModel.includes('deepseek') || primaryModel.includes('qwen')) {
-        // DeepSeek/Qwen -> Fallback to GPT-4o-mini or Gemini Flash
-        fallbackModels = ['gpt-4o-mini', 'gemini-2.5-flash'];
-      } else if (primaryModel === 'gpt-4o') {
-        // GPT-4o -> Fallback to GPT-4o-mini
-        fallbackModels = ['gpt-4o-mini'];
-      } else if (primaryModel === 'gemini-pro') {
-        // Gemini Pro -> Fallback to Gemini Flash
-        fallbackModels = ['gemini-2.5-flash'];
-      } else {
-        // Default fallback
-        fallbackModels = ['gpt-4o-mini'];
-      }
-
-      // Build routing result
-      const route = {
+      const route = this.buildRoute({
+        subscriptionPlan,
+        primaryModel,
+        blockedModels: policy.blockedModels,
         type: enhancedRouting.type,
         difficulty: enhancedRouting.difficulty, // 'dynamic'
-        intent: enhancedRouting.type === 'coding' ? 'coding' : 'general',
-        subscriptionPlan,
-        primaryModel: primaryModel,
-        fallbackModels: fallbackModels,
-        restricted: false,
-        downgraded: false, // Logic is internal to LLM
-        allowed: true,
-        confidence: 1.0,
+        routedBy: 'llm',
+        policy: null,
         systemPrompt: enhancedRouting.systemPrompt, // Pass through for debugging
-        reasoning: {
-          primary: `AI Router selected ${primaryModel}`,
-          subscriptionLogic: `Router respected ${subscriptionPlan} plan constraints`
-        }
-      };
+        routerModel: enhancedRouting.routerModel,
+        latencyMs: enhancedRouting.latencyMs,
+        explanation: [
+          policy.explanation,
+          unavailableModels.length ? `Models whose provider is recovering were skipped: ${unavailableModels.join(', ')}.` : '',
+          `No routing rule picked a model; the AI router selected ${primaryModel}.`
+        ]
+          .filter(Boolean)
+          .join(' ')
+      });
 
       logger.info(`🛣️ AI Router Decision: ${subscriptionPlan} user -> ${primaryModel}`);
       return route;
@@ -62,6 +90,96 @@ class EnhancedModelRouter {
     }
   }
 
+  /**
+   * Route for a model the user chose (see modelEntitlementService.resolve).
+   * Routing policies can still block it; the route is then not `allowed`.
+   * @param {string} userMessage
+   * @param {Object} choice - { model, source: 'request'|'pinned'|'preference', subscriptionPlan }
+   */
+  async routeToModel(userMessage, { model, source, subscriptionPlan = 'free' }) {
+    const start = Date.now();
+    const policy = await this.routingPolicies.decide(userMessage, { plan: subscriptionPlan, availableModels: [] });
+    const blocked = policy.blockedModels.includes(model);
+    const recovering = !this.providerHealth.isAvailable(model);
+    const chosenBy = {
+      request: `You selected ${model}.`,
+      pinned: `${model} is pinned to this chat.`,
+      preference: `${model} is your default model.`
+    };
+
+    const route = this.buildRoute({
+      subscriptionPlan,
+      primaryModel: model,
+      blockedModels: policy.blockedModels,
+      type: this.enhancedRouter.detectType(userMessage),
+      difficulty: 'user',
+      routedBy: 'user',
+      policy: null,
+      routerModel: null,
+      latencyMs: Date.now() - start,
+      explanation: blocked
+        ? `${model} is disabled by a routing policy. ${policy.explanation}`
+        : [
+          chosenBy[source] || chosenBy.request,
+          recovering ? 'Its provider is recovering from errors, so a fallback model answers.' : ''
+        ].filter(Boolean).join(' ')
+    });
+    route.allowed = !blocked;
+    logger.info(`🛣️ User Model Choice: ${subscriptionPlan} user -> ${model} (${source})`);
+    return route;
+  }
+
+  // Fallbacks for a primary pick, minus models a policy blocked
+  getFallbackModels(primaryModel, blockedModels = []) {
+    let fallbackModels = [];
+
+    if (primaryModel.includes('deepseek') || primaryModel.includes('qwen')) {
+      // DeepSeek/Qwen -> Fallback to GPT-4o-mini or Gemini Flash
+      fallbackModels = ['gpt-4o-mini', 'gemini-2.5-flash'];
+    } else if (primaryModel === 'gpt-4o') {
+      // GPT-4o -> Fallback to GPT-4o-mini
+      fallbackModels = ['gpt-4o-mini'];
+    } else if (primaryModel === 'gemini-pro') {
+      // Gemini Pro -> Fallback to Gemini Flash
+      fallbackModels = ['gemini-2.5-flash'];
+    } else {
+      // Default fallback
+      fallbackModels = ['gpt-4o-mini'];
+    }
+
+    return fallbackModels.filter(model => !blockedModels.includes(model));
+  }
+
+  buildRoute({ subscriptionPlan, primaryModel, blockedModels, type, difficulty, routedBy, policy, systemPrompt, routerModel, latencyMs, explanation }) {
+    return {
+      type,
+      difficulty,
+      intent: type === 'coding' ? 'coding' : 'general',
+      subscriptionPlan,
+      primaryModel: primaryModel,
+      fallbackModels: this.getFallbackModels(primaryModel, blockedModels),
+      blockedModels,
+      restricted: false,
+      downgraded: false, // Logic is internal to LLM
+      allowed: true,
+      confidence: 1.0,
+      systemPrompt,
+      routerModel,
+      latencyMs,
+      // 'policy' when an admin rule decided, 'user' for a model the user chose, 'llm' otherwise
+      routedBy,
+      policy,
+      explanation,
+      reasoning: {
+        primary: {
+          policy: `Routing rule "${policy?.name}" selected ${primaryModel}`,
+          user: `User selected ${primaryModel}`
+        }[routedBy] || `AI Router selected ${primaryModel}`,
+        subscriptionLogic: `Router respected ${subscriptionPlan} plan constraints`
+      }
+    };
+  }
+
   getDefaultRoute(subscriptionPlan) {
     return {
       type: 'text',
@@ -70,9 +188,12 @@ class EnhancedModelRouter {
       subscriptionPlan,
       primaryModel: 'gemini-2.5-flash-lite', // Safe default
       fallbackModels: ['gemini-2.5-flash-lite'],
+      blockedModels: [],
       restricted: false,
       downgraded: false,
       allowed: true,
+      routedBy: 'default',
+      explanation: 'Routing failed; the safe default model was used.',
       reasoning: {
         primary: 'Default routing due to error',
         subscriptionLogic: 'Fallback to safe default'
@@ -1,12 +1,15 @@
-const OpenAI = require('openai');
-const config = require('../config/config');
+const { providerRegistry } = require('./providerRegistry');
+const { providerHealth } = require('./providerHealthService');
 const logger = require('../utils/logger');
+const costLedger = require('./costLedgerService');
+const { fromOpenAIUsage } = require('../utils/tokenUsage');
 
 class EnhancedRouterService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+  constructor(registry = providerRegistry, ledger = costLedger, health = providerHealth) {
+    this.providerRegistry = registry;
+    this.costLedger = ledger;
+    // While the router model's provider circuit is open, routing falls back to the default model
+    this.providerHealth = health;
 
     // Define available models based on StreamingService capabilities
     this.FREE_MODELS = [
@@ -26,28 +29,41 @@ class EnhancedRouterService {
       ...this.FREE_MODELS
     ];
 
-    // The model used to make routing decisions (fast & cheap)
-    this.ROUTER_MODEL = 'gpt-4o-mini';
+    // The model used to make routing decisions (fast & cheap).
+    // Point ROUTER_MODEL at a local/* model to route without any hosted provider.
+    this.ROUTER_MODEL = process.env.ROUTER_MODEL || 'gpt-4o-mini';
+  }
+
+  /**
+   * Models the router may pick for a plan: the built-in lists plus any
+   * registry provider (e.g. a self-hosted endpoint) that declares a tier.
+   */
+  getAvailableModels(isPaid) {
+    const base = isPaid ? this.PAID_MODELS : this.FREE_MODELS;
+    const extra = this.providerRegistry.listModels({ tiers: isPaid ? ['free', 'paid'] : ['free'] });
+    return [...new Set([...base, ...extra])];
   }
 
   /**
    * Routes the query using an LLM to decide the best model.
    * @param {string} query - The user's message.
-   * @param {Object} context - Context including subscription plan.
+   * @param {Object} context - Context including subscription plan, and
+   *   excludedModels the router must not pick (from routing policies).
    * @returns {Promise<Object>} Routing decision.
    */
   async routeQuery(query, context = {}) {
-    const { subscriptionPlan = 'free' } = context;
+    const { subscriptionPlan = 'free', userId = null, excludedModels = [] } = context;
     const isPaid = ['plus', 'pro'].includes(subscriptionPlan);
 
-    const availableModels = isPaid ? this.PAID_MODELS : this.FREE_MODELS;
+    const availableModels = this.getAvailableModels(isPaid).filter(model => !excludedModels.includes(model));
+    const defaultModel = this.FREE_MODELS.find(model => !excludedModels.includes(model)) || this.FREE_MODELS[0];
     const modelListString = availableModels.join(', ');
 
     // Ultra-Lightweight Router Prompt (Optimized for Cost & Nuance)
     const systemPrompt = `Role:Smart Router.Goal:Select best model from:[${modelListString}].Task:Analyze query vs model strengths.Pick best fit.Constraints:No fixed rules/tags.No difficulty scoring.Output:JSON {"model":"name"}`;
 
+    const start = Date.now();
     try {
-      const start = Date.now();
 
       // Log the prompt being sent to Router AI (for testing/debugging)
       console.log('--- ROUTER AI PROMPT START ---');
@@ -60,19 +76,48 @@ class EnhancedRouterService {
         userQuery: query
       });
 
-      const completion = await this.openai.chat.completions.create({
-        model: this.ROUTER_MODEL,
+      const routerModel = this.providerRegistry.resolve(this.ROUTER_MODEL);
+      const client = routerModel ? this.providerRegistry.getClient(routerModel.providerId) : null;
+      if (!client) {
+        throw new Error(`Router model ${this.ROUTER_MODEL} is not available`);
+      }
+      if (!this.providerHealth.isAvailable(this.ROUTER_MODEL)) {
+        throw new Error(`Router model ${this.ROUTER_MODEL} is skipped while its provider recovers`);
+      }
+
+      const request = {
+        model: routerModel.apiId,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: query }
         ],
         temperature: 0.3, // Slight creativity for anti-bias
-        max_tokens: 12,   // Strict token limit
-        response_format: { type: "json_object" }
+        max_tokens: 12    // Strict token limit
+      };
+      if (routerModel.capabilities.jsonMode) {
+        request.response_format = { type: "json_object" };
+      }
+
+      let completion;
+      try {
+        completion = await client.chat.completions.create(request);
+        this.providerHealth.recordSuccess(this.ROUTER_MODEL, Date.now() - start);
+      } catch (error) {
+        this.providerHealth.recordFailure(this.ROUTER_MODEL, error);
+        throw error;
+      }
+
+      // Routing calls are billed too; they show up in the ledger as kind 'router'
+      this.costLedger.recordCompletion({
+        userId,
+        model: this.ROUTER_MODEL,
+        plan: subscriptionPlan,
+        usage: fromOpenAIUsage(completion.usage),
+        kind: 'router'
       });
 
       const rawOutput = completion.choices[0].message.content.trim();
-      let selectedModel = this.FREE_MODELS[0]; // Default
+      let selectedModel = defaultModel;
 
       try {
         const parsed = JSON.parse(rawOutput);
@@ -100,17 +145,21 @@ class EnhancedRouterService {
         type: this.detectType(query), // Helper for legacy compatibility
         difficulty: 'dynamic', // Handled by LLM
         allowed: true,
-        systemPrompt // Return prompt for frontend debugging
+        systemPrompt, // Return prompt for frontend debugging
+        routerModel: this.ROUTER_MODEL,
+        latencyMs: duration
       };
 
     } catch (error) {
       logger.error('[EnhancedRouterService] Routing failed, falling back to default', error);
       return {
-        primaryModel: this.FREE_MODELS[0],
+        primaryModel: defaultModel,
         type: 'text',
         difficulty: 'easy',
         allowed: true,
-        systemPrompt: 'Error in routing, fallback used'
+        systemPrompt: 'Error in routing, fallback used',
+        routerModel: this.ROUTER_MODEL,
+        latencyMs: Date.now() - start
       };
     }
   }
@@ -128,4 +177,6 @@ class EnhancedRouterService {
   }
 }
 
-module.exports = new EnhancedRouterService();
\ No newline at end of file
+module.exports = new EnhancedRouterService();
+// For tools that route with their own provider registry (scripts/evaluate-router.js)
+module.exports.EnhancedRouterService = EnhancedRouterService;
\ No newline at end of file
@@ -180,6 +180,59 @@ async function uploadFile(buffer, userId, filename, contentType, bucket = BUCKET
     }
 }
 
+/**
+ * Download a stored file
+ * @param {string} path - File path in storage
+ * @param {string} bucket - Bucket name (default: chat-uploads)
+ * @returns {Promise<{success: boolean, buffer?: Buffer, contentType?: string, error?: string}>}
+ */
+async function downloadFile(path, bucket = BUCKETS.CHAT_UPLOADS) {
+    try {
+        const { data, error } = await supabase.storage
+            .from(bucket)
+            .download(path);
+
+        if (error) {
+            logger.error('Failed to download file:', error);
+            return { success: false, error: error.message };
+        }
+
+        return {
+            success: true,
+            buffer: Buffer.from(await data.arrayBuffer()),
+            contentType: data.type
+        };
+    } catch (error) {
+        logger.error('Error downloading file:', error);
+        return { success: false, error: error.message || 'Failed to download file' };
+    }
+}
+
+/**
+ * Create a time-limited URL for a private file
+ * @param {string} path - File path in storage
+ * @param {number} expiresIn - Lifetime in seconds (default: 1 hour)
+ * @param {string} bucket - Bucket name (default: chat-uploads)
+ * @returns {Promise<{success: boolean, url?: string, error?: string}>}
+ */
+async function createSignedUrl(path, expiresIn = 3600, bucket = BUCKETS.CHAT_UPLOADS) {
+    try {
+        const { data, error } = await supabase.storage
+            .from(bucket)
+            .createSignedUrl(path, expiresIn);
+
+        if (error) {
+            logger.error('Failed to create signed URL:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, url: data.signedUrl };
+    } catch (error) {
+        logger.error('Error creating signed URL:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Delete file from storage
  * @param {string} path - File path in storage
@@ -212,6 +265,8 @@ module.exports = {
     BUCKETS,
     downloadAndStoreImage,
     uploadFile,
+    downloadFile,
+    createSignedUrl,
     deleteFile,
     ensureBucketsExist
 };
@@ -0,0 +1,150 @@
+/**
+ * Conversation export formats the chat import reads
+ * (services/chatImportService.js), tried in order until one `detect`s the file.
+ *
+ * `parse` turns the file's JSON into conversations
+ *   { externalId, title, createdAt, tags, messages }
+ * with messages
+ *   { externalId, parentId, role, type, content, model, createdAt }
+ * where `parentId` is the externalId of the message a message follows (null
+ * for the first) and timestamps are ISO strings or null. Messages the chat
+ * cannot show (other roles, no text) may be left in; the import drops them and
+ * hangs their replies on the nearest message it keeps. `validate`, when
+ * present, returns why a detected file cannot be imported.
+ */
+
+const chatExport = require('./chatExportService.js');
+
+// ChatGPT writes Unix seconds, Claude and our exports ISO strings
+const toIso = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const asList = (data) => (Array.isArray(data) ? data : [data]);
+
+// ChatGPT: conversations.json, a list of conversations whose `mapping` holds
+// the message tree by node id
+const chatGptText = (message) => {
+  const content = message.content || {};
+  switch (content.content_type) {
+    case 'text':
+      return (content.parts || []).filter(part => typeof part === 'string').join('\n');
+    case 'multimodal_text':
+      return (content.parts || []).map((part) => {
+        if (typeof part === 'string') return part;
+        if (part?.content_type === 'image_asset_pointer') return '[Image]';
+        if (part?.content_type === 'audio_transcription') return part.text || '';
+        return '';
+      }).filter(Boolean).join('\n\n');
+    case 'code': {
+      // Code the assistant ran with its Python tool
+      const language = content.language && content.language !== 'unknown' ? content.language : '';
+      return content.text ? `\`\`\`${language}\n${content.text}\n\`\`\`` : '';
+    }
+    default:
+      // Reasoning, browsing results, tool output and custom instructions
+      return '';
+  }
+};
+
+const chatgpt = {
+  label: 'ChatGPT',
+  detect: data => Array.isArray(data) && data.some(item => item && typeof item.mapping === 'object'),
+  parse: data => data.filter(item => item && typeof item.mapping === 'object').map(conversation => ({
+    externalId: String(conversation.conversation_id || conversation.id || ''),
+    title: conversation.title || null,
+    createdAt: toIso(conversation.create_time),
+    tags: [],
+    messages: Object.entries(conversation.mapping)
+      .filter(([, node]) => node?.message)
+      .map(([nodeId, node]) => {
+        const { message } = node;
+        const hidden = message.metadata?.is_visually_hidden_from_conversation
+          || (message.recipient && message.recipient !== 'all' && message.content?.content_type !== 'code');
+        return {
+          externalId: nodeId,
+          parentId: node.parent || null,
+          role: message.author?.role,
+          type: 'text',
+          content: hidden ? '' : chatGptText(message),
+          model: message.metadata?.model_slug || conversation.default_model_slug || null,
+          createdAt: toIso(message.create_time)
+        };
+      })
+  }))
+};
+
+// Claude: conversations.json, a list of conversations with their `chat_messages`
+const claudeText = (message) => {
+  if (Array.isArray(message.content)) {
+    const text = message.content
+      .filter(block => block?.type === 'text' && block.text)
+      .map(block => block.text)
+      .join('\n\n');
+    if (text) return text;
+  }
+  return typeof message.text === 'string' ? message.text : '';
+};
+
+const claude = {
+  label: 'Claude',
+  detect: data => Array.isArray(data) && data.some(item => Array.isArray(item?.chat_messages)),
+  parse: data => data.filter(item => Array.isArray(item?.chat_messages)).map((conversation) => {
+    const list = conversation.chat_messages;
+    const ids = new Set(list.map(message => message.uuid));
+    return {
+      externalId: String(conversation.uuid || ''),
+      title: conversation.name || null,
+      createdAt: toIso(conversation.created_at),
+      tags: [],
+      messages: list.map((message, index) => ({
+        externalId: message.uuid,
+        // Exports without parent ids hold the current branch only, in order
+        parentId: 'parent_message_uuid' in message
+          ? (ids.has(message.parent_message_uuid) ? message.parent_message_uuid : null)
+          : (list[index - 1]?.uuid || null),
+        role: message.sender === 'human' ? 'user' : message.sender,
+        type: 'text',
+        content: claudeText(message),
+        model: conversation.model || null,
+        createdAt: toIso(message.created_at)
+      }))
+    };
+  })
+};
+
+// Ours: GET /api/chat/:id/export?format=json, one chat per file (several when
+// read from an account export archive). Images stay images only when their URL
+// is one exports may download (chatExport.isTrustedImageUrl); others become text.
+const native = {
+  label: 'Chat export',
+  detect: data => asList(data).some(item => item?.format === 'chat-export'),
+  validate: (data) => {
+    const newest = Math.max(...asList(data).map(item => Number(item?.version) || 0));
+    return newest > chatExport.formatVersion
+      ? `This chat export was made by a newer version of the app (format ${newest}) and cannot be imported yet`
+      : null;
+  },
+  parse: data => asList(data).filter(item => item?.format === 'chat-export').map(({ chat = {}, messages = [] }) => ({
+    externalId: String(chat.id || ''),
+    title: chat.title || null,
+    createdAt: toIso(chat.createdAt),
+    tags: Array.isArray(chat.tags) ? chat.tags : [],
+    messages: messages.map(message => ({
+      externalId: message.id,
+      parentId: message.parentId || null,
+      role: message.role,
+      type: message.type === 'image' && chatExport.isTrustedImageUrl(message.content) ? 'image' : 'text',
+      content: typeof message.content === 'string' ? message.content : '',
+      model: message.model || null,
+      createdAt: toIso(message.createdAt)
+    }))
+  }))
+};
+
+module.exports = {
+  IMPORT_FORMATS: { native, chatgpt, claude },
+  toIso
+};
@@ -0,0 +1,233 @@
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+
+const STATUSES = ['approved', 'proposed'];
+
+const normalize = (content) => content.trim().replace(/\s+/g, ' ');
+
+/**
+ * Per-user memory: short facts the assistant remembers across chats.
+ *
+ * Memories live in user_memories (see migrations/create_user_memories.sql).
+ * The user adds, edits and deletes them from Settings → Memory; the assistant
+ * can only suggest one with the `remember` tool, which stays 'proposed' until
+ * the user approves it. Approved memories are added to the system prompt by
+ * ContextManager. The feature is on by default and switched off with
+ * settings.preferences.memory.enabled = false, which also stops suggestions.
+ */
+class MemoryService {
+  constructor() {
+    this.maxMemories = parseInt(process.env.USER_MEMORY_MAX, 10) || 50;
+    this.maxChars = parseInt(process.env.USER_MEMORY_MAX_CHARS, 10) || 500;
+  }
+
+  toMemory(row) {
+    return {
+      id: row.id,
+      content: row.content,
+      status: row.status,
+      source: row.source,
+      chatId: row.chat_id || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * @returns {string|null} Error message, or null when the content is valid
+   */
+  validateContent(content) {
+    if (typeof content !== 'string' || !content.trim()) return 'content is required';
+    if (content.trim().length > this.maxChars) return `A memory can be at most ${this.maxChars} characters`;
+    return null;
+  }
+
+  /**
+   * Whether memory is on for the user. Throws when the setting cannot be
+   * read, so a settings outage never uses memories of a user who turned it off.
+   */
+  async isEnabled(userId) {
+    const { data, error } = await supabase
+      .from('settings')
+      .select('preferences')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.preferences?.memory?.enabled !== false;
+  }
+
+  async setEnabled(userId, enabled) {
+    const { data: existing, error: readError } = await supabase
+      .from('settings')
+      .select('preferences')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (readError) throw readError;
+
+    const preferences = existing?.preferences || {};
+    const { error } = await supabase
+      .from('settings')
+      .upsert({
+        user_id: userId,
+        preferences: { ...preferences, memory: { ...(preferences.memory || {}), enabled } },
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+    if (error) throw error;
+    return enabled;
+  }
+
+  /**
+   * @param {string} [status] - 'approved' or 'proposed'; both when omitted
+   */
+  async list(userId, status) {
+    let query = supabase
+      .from('user_memories')
+      .select('*')
+      .eq('user_id', userId);
+    if (STATUSES.includes(status)) query = query.eq('status', status);
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(row => this.toMemory(row));
+  }
+
+  /**
+   * The memory matching `content` regardless of case and spacing, if any
+   */
+  findDuplicate(memories, content) {
+    const wanted = normalize(content).toLowerCase();
+    return memories.find(memory => normalize(memory.content).toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Adds a memory written by the user; it is approved at once.
+   * @returns {Promise<Object|{status: number, error: string}>}
+   */
+  async create(userId, content) {
+    const invalid = this.validateContent(content);
+    if (invalid) return { status: 400, error: invalid };
+
+    const memories = await this.list(userId);
+    const duplicate = this.findDuplicate(memories, content);
+    if (duplicate) {
+      return duplicate.status === 'approved' ? duplicate : this.approve(userId, duplicate.id);
+    }
+    if (memories.length >= this.maxMemories) {
+      return { status: 409, error: `You can keep at most ${this.maxMemories} memories. Delete one to add another.` };
+    }
+
+    const { data, error } = await supabase
+      .from('user_memories')
+      .insert({ user_id: userId, content: normalize(content), status: 'approved', source: 'user' })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return this.toMemory(data);
+  }
+
+  /**
+   * Records a memory the assistant suggested, pending the user's approval.
+   * Used by the `remember` tool, whose result tells the model what happened.
+   * @returns {Promise<{proposed: boolean, reason?: string, memory?: Object}>}
+   */
+  async propose(userId, content, chatId = null) {
+    if (!(await this.isEnabled(userId))) {
+      return { proposed: false, reason: 'The user has turned memory off. Do not offer to remember things.' };
+    }
+    const invalid = this.validateContent(content);
+    if (invalid) return { proposed: false, reason: invalid };
+
+    const memories = await this.list(userId);
+    const duplicate = this.findDuplicate(memories, content);
+    if (duplicate) {
+      return { proposed: false, reason: duplicate.status === 'approved' ? 'Already remembered' : 'Already waiting for approval', memory: duplicate };
+    }
+    if (memories.length >= this.maxMemories) {
+      return { proposed: false, reason: 'The memory is full' };
+    }
+
+    const { data, error } = await supabase
+      .from('user_memories')
+      .insert({ user_id: userId, content: normalize(content), status: 'proposed', source: 'assistant', chat_id: chatId })
+      .select('*')
+      .single();
+    if (error) throw error;
+    return { proposed: true, memory: this.toMemory(data) };
+  }
+
+  /**
+   * @returns {Promise<Object|null|{status: number, error: string}>} The updated memory,
+   *   null when the user has no such memory
+   */
+  async update(userId, memoryId, content) {
+    const invalid = this.validateContent(content);
+    if (invalid) return { status: 400, error: invalid };
+    return this.patch(userId, memoryId, { content: normalize(content) });
+  }
+
+  /**
+   * Approves a proposed memory so it reaches the model.
+   * @returns {Promise<Object|null>} The memory, null when the user has no such memory
+   */
+  async approve(userId, memoryId) {
+    return this.patch(userId, memoryId, { status: 'approved' });
+  }
+
+  async patch(userId, memoryId, fields) {
+    const { data, error } = await supabase
+      .from('user_memories')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', memoryId)
+      .eq('user_id', userId)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    return data ? this.toMemory(data) : null;
+  }
+
+  // Deletes a memory, or dismisses a proposed one
+  async remove(userId, memoryId) {
+    const { error } = await supabase
+      .from('user_memories')
+      .delete()
+      .eq('id', memoryId)
+      .eq('user_id', userId);
+    if (error) throw error;
+  }
+
+  async clear(userId) {
+    const { error } = await supabase.from('user_memories').delete().eq('user_id', userId);
+    if (error) throw error;
+  }
+
+  /**
+   * Contents of the user's approved memories, oldest first; empty when memory
+   * is off or loading fails.
+   * @returns {Promise<string[]>}
+   */
+  async getForContext(userId) {
+    try {
+      if (!userId || !(await this.isEnabled(userId))) return [];
+      return (await this.list(userId, 'approved')).map(memory => memory.content);
+    } catch (error) {
+      logger.warn('[Memory] Failed to load memories:', error?.message || error);
+      return [];
+    }
+  }
+
+  // System prompt section listing memory contents; '' when there are none
+  formatInstructions(contents) {
+    if (contents.length === 0) return '';
+    return '\n\nThings the user asked you to remember (use them when relevant, do not recite them):\n' +
+      contents.map(content => `- ${content}`).join('\n');
+  }
+
+  /**
+   * System prompt section with all of the user's approved memories.
+   */
+  async getInstructions(userId) {
+    return this.formatInstructions(await this.getForContext(userId));
+  }
+}
+
+module.exports = new MemoryService();
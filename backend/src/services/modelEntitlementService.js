@@ -0,0 +1,190 @@
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const conversationManager = require('./conversationManager.js');
+const enhancedRouterService = require('./enhancedRouterService.js');
+const { providerRegistry } = require('./providerRegistry.js');
+
+const PAID_PLANS = ['plus', 'pro'];
+// Without plan rows, the built-in tiers from cheapest to most expensive
+const DEFAULT_PLANS = ['free', 'plus', 'pro'];
+// A request for 'auto' leaves the choice to the router, even in a pinned chat
+const AUTO_MODEL = 'auto';
+
+const normalizePlan = (plan) => String(plan || 'free').toLowerCase();
+const planLabel = (plan) => plan.charAt(0).toUpperCase() + plan.slice(1);
+
+/**
+ * Model entitlements: which models a user may pick themselves.
+ *
+ * A plan's models are plans.allowed_models (see
+ * migrations/add_model_entitlements.sql), or the router's list for the plan's
+ * tier when it is not set. A model can be chosen per request, pinned to a chat
+ * (chats.pinned_model) or set as the default in settings.preferences.ai.default_model;
+ * anything else is left to the router.
+ */
+class ModelEntitlementService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.PLAN_ENTITLEMENT_CACHE_MS, 10) || 60000;
+    this.cache = null;
+  }
+
+  /**
+   * Active plans, cheapest first. A failed load falls back to the built-in tiers.
+   * @returns {Promise<Array<{name: string, allowedModels: string[]|null}>>}
+   */
+  async getPlans() {
+    if (this.cache && Date.now() - this.cache.loadedAt < this.cacheTtlMs) return this.cache.plans;
+    try {
+      const { data, error } = await supabase
+        .from('plans')
+        .select('name, price, allowed_models')
+        .eq('is_active', true)
+        .order('price', { ascending: true });
+      if (error) throw error;
+      const plans = (data || []).map(row => ({
+        name: normalizePlan(row.name),
+        allowedModels: Array.isArray(row.allowed_models) ? row.allowed_models : null
+      }));
+      this.cache = { plans, loadedAt: Date.now() };
+      return plans;
+    } catch (error) {
+      logger.warn('[Entitlements] Failed to load plans, using the built-in tiers:', error?.message || error);
+      return this.cache ? this.cache.plans : [];
+    }
+  }
+
+  /**
+   * @returns {Promise<string[]>} Models the plan may use that a provider can serve
+   */
+  async getAllowedModels(plan) {
+    const name = normalizePlan(plan);
+    const row = (await this.getPlans()).find(candidate => candidate.name === name);
+    const models = row?.allowedModels || enhancedRouterService.getAvailableModels(PAID_PLANS.includes(name));
+    return models.filter(model => providerRegistry.hasModel(model));
+  }
+
+  // Cheapest plan that includes the model, null when none does
+  async getRequiredPlan(model) {
+    const plans = await this.getPlans();
+    const names = plans.length ? plans.map(plan => plan.name) : DEFAULT_PLANS;
+    for (const name of names) {
+      if ((await this.getAllowedModels(name)).includes(model)) return name;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Promise<null|{status: number, error: string, upgradeRequired?: boolean, requiredPlan?: string, model?: string}>}
+   *   null when the plan includes the model
+   */
+  async checkModel(model, plan) {
+    if (typeof model !== 'string' || !providerRegistry.hasModel(model)) {
+      return { status: 400, error: `Unknown model ${model}` };
+    }
+    if ((await this.getAllowedModels(plan)).includes(model)) return null;
+
+    const requiredPlan = await this.getRequiredPlan(model);
+    if (!requiredPlan) return { status: 403, error: `${model} is not available on any plan` };
+    return {
+      status: 403,
+      error: `${model} requires the ${planLabel(requiredPlan)} plan`,
+      upgradeRequired: true,
+      requiredPlan,
+      model
+    };
+  }
+
+  /**
+   * Every model on any plan, marked with whether this plan includes it.
+   * @returns {Promise<Array<{model: string, allowed: boolean, requiredPlan: string|null}>>}
+   */
+  async getCatalog(plan) {
+    const plans = await this.getPlans();
+    const names = plans.length ? plans.map(row => row.name) : DEFAULT_PLANS;
+    const allowed = await this.getAllowedModels(plan);
+    const catalog = [];
+    for (const name of names) {
+      for (const model of await this.getAllowedModels(name)) {
+        if (catalog.some(entry => entry.model === model)) continue;
+        catalog.push({ model, allowed: allowed.includes(model), requiredPlan: allowed.includes(model) ? null : name });
+      }
+    }
+    return catalog;
+  }
+
+  async getPinnedModel(userId, chatId) {
+    if (!conversationManager.isValidUuid(chatId)) return null;
+    const { data, error } = await supabase
+      .from('chats')
+      .select('pinned_model')
+      .eq('id', chatId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) {
+      logger.warn('[Entitlements] Failed to load the pinned model:', error.message);
+      return null;
+    }
+    return data?.pinned_model || null;
+  }
+
+  async getPreferredModel(userId) {
+    const { data, error } = await supabase
+      .from('settings')
+      .select('preferences')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) {
+      logger.warn('[Entitlements] Failed to load the default model:', error.message);
+      return null;
+    }
+    return data?.preferences?.ai?.default_model || null;
+  }
+
+  /**
+   * Pins a model to a chat, or unpins it with `model` null.
+   * @returns {Promise<{chatId: string, pinnedModel: string|null}|{status: number, error: string}>}
+   */
+  async pinModel({ userId, chatId, model, plan }) {
+    if (model !== null) {
+      const modelError = await this.checkModel(model, plan);
+      if (modelError) return modelError;
+    }
+
+    const { data, error } = await supabase
+      .from('chats')
+      .update({ pinned_model: model, updated_at: new Date().toISOString() })
+      .eq('id', chatId)
+      .eq('user_id', userId)
+      .select('id, pinned_model')
+      .maybeSingle();
+    if (error) {
+      logger.error('[Entitlements] Failed to pin model:', error);
+      return { status: 500, error: 'Failed to pin the model' };
+    }
+    if (!data) return { status: 404, error: 'Chat not found' };
+    return { chatId: data.id, pinnedModel: data.pinned_model };
+  }
+
+  /**
+   * The model the user chose for a message: the request's `model`, else the
+   * chat's pinned model, else their default model. The first two must be on
+   * the plan; a default the plan does not include is ignored.
+   * @returns {Promise<{model: string|null, source: 'request'|'pinned'|'preference'|null}|{status: number, error: string}>}
+   *   model null leaves the choice to the router
+   */
+  async resolve({ userId, chatId, requestedModel, plan }) {
+    if (requestedModel === AUTO_MODEL) return { model: null, source: null };
+    if (requestedModel !== undefined && requestedModel !== null) {
+      return (await this.checkModel(requestedModel, plan)) || { model: requestedModel, source: 'request' };
+    }
+
+    const pinned = await this.getPinnedModel(userId, chatId);
+    if (pinned) return (await this.checkModel(pinned, plan)) || { model: pinned, source: 'pinned' };
+
+    const preferred = await this.getPreferredModel(userId);
+    if (preferred && !(await this.checkModel(preferred, plan))) return { model: preferred, source: 'preference' };
+    return { model: null, source: null };
+  }
+}
+
+module.exports = new ModelEntitlementService();
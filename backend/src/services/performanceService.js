@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const sentryErrorTracker = require('../utils/sentryErrorTracker');
 const { getCacheStats } = require('./cacheService');
+const { providerHealth } = require('./providerHealthService');
 
 /**
  * Performance metrics storage
@@ -265,6 +266,9 @@ const getPerformanceAlerts = () => {
       threshold: '10 queries'
     });
   }
+
+  // AI providers whose circuit breaker is open or testing recovery
+  alerts.push(...providerHealth.getAlerts());
   
   return alerts;
 };
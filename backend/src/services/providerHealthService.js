@@ -0,0 +1,159 @@
+const { providerRegistry } = require('./providerRegistry.js');
+const { CircuitBreaker, CircuitState } = require('../utils/circuitBreaker.js');
+const logger = require('../config/logger.js');
+
+const readConfig = () => ({
+  failureThreshold: parseInt(process.env.PROVIDER_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  recoveryTimeout: parseInt(process.env.PROVIDER_CIRCUIT_RECOVERY_MS, 10) || 30000,
+  monitoringPeriod: parseInt(process.env.PROVIDER_CIRCUIT_WINDOW_MS, 10) || 60000,
+  successThreshold: parseInt(process.env.PROVIDER_CIRCUIT_SUCCESS_THRESHOLD, 10) || 2,
+  slowCallThreshold: parseInt(process.env.PROVIDER_CIRCUIT_SLOW_CALL_MS, 10) || 30000
+});
+
+// Client errors other than these say nothing about the provider's health
+const PROVIDER_CLIENT_ERRORS = [401, 403, 408, 429];
+
+/**
+ * Per-provider circuit breakers for AI calls.
+ *
+ * Streaming and routing report how each call to a model went; once a
+ * provider keeps failing, being rate limited or answering too slowly its
+ * circuit opens and its models are skipped by the router and the fallback
+ * chain until the recovery timeout lets a few requests test it again.
+ * Models of unknown providers are always considered available.
+ */
+class ProviderHealthService {
+  constructor(registry = providerRegistry, config = readConfig(), now = Date.now) {
+    this.providerRegistry = registry;
+    this.config = config;
+    this.now = now;
+    this.breakers = new Map();
+  }
+
+  getProviderId(model) {
+    return this.providerRegistry.resolve(model)?.providerId || null;
+  }
+
+  getBreaker(providerId) {
+    if (!this.breakers.has(providerId)) {
+      this.breakers.set(providerId, new CircuitBreaker(this.config, this.now));
+    }
+    return this.breakers.get(providerId);
+  }
+
+  isAvailable(model) {
+    const providerId = this.getProviderId(model);
+    const breaker = providerId && this.breakers.get(providerId);
+    return !breaker || breaker.canRequest();
+  }
+
+  filterAvailable(models) {
+    return models.filter(model => this.isAvailable(model));
+  }
+
+  getUnavailableModels(models) {
+    return models.filter(model => !this.isAvailable(model));
+  }
+
+  recordSuccess(model, latencyMs) {
+    const providerId = this.getProviderId(model);
+    if (!providerId) return;
+    this.track(providerId, breaker => breaker.onSuccess(latencyMs));
+  }
+
+  /**
+   * Records a failed call to `model`. Request errors (bad input, unknown
+   * model) are ignored; rate limits open the circuit for their Retry-After.
+   */
+  recordFailure(model, error) {
+    const providerId = this.getProviderId(model);
+    const failure = this.classifyError(error);
+    if (!providerId || !failure) return;
+    this.track(providerId, breaker => breaker.onFailure(failure.kind, {
+      message: error?.message || String(error),
+      retryAfterMs: failure.retryAfterMs
+    }));
+  }
+
+  track(providerId, update) {
+    const breaker = this.getBreaker(providerId);
+    const before = breaker.getState();
+    update(breaker);
+    const after = breaker.getState();
+    if (before === after) return;
+
+    if (after === CircuitState.OPEN) {
+      const { lastFailure, retryAt } = breaker.getStats();
+      logger.warn(`[ProviderHealth] Circuit opened for ${providerId} until ${new Date(retryAt).toISOString()} (${lastFailure?.kind}: ${lastFailure?.message})`);
+    } else if (after === CircuitState.CLOSED) {
+      logger.info(`[ProviderHealth] Circuit closed for ${providerId}`);
+    }
+  }
+
+  /**
+   * @returns {Object|null} { kind: 'error'|'rate_limit', retryAfterMs } or null
+   *   when the error was caused by the request rather than the provider
+   */
+  classifyError(error) {
+    const status = Number(error?.status ?? error?.statusCode);
+    if (status === 429 || /rate limit|quota/i.test(error?.message || '')) {
+      return { kind: 'rate_limit', retryAfterMs: this.getRetryAfterMs(error) };
+    }
+    if (status >= 400 && status < 500 && !PROVIDER_CLIENT_ERRORS.includes(status)) {
+      return null;
+    }
+    return { kind: 'error', retryAfterMs: 0 };
+  }
+
+  getRetryAfterMs(error) {
+    const headers = error?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - this.now());
+  }
+
+  /**
+   * Circuit state of every registered provider, for GET /health/ai.
+   */
+  getStatus() {
+    return [...this.providerRegistry.providers.values()].map(provider => {
+      const breaker = this.breakers.get(provider.id);
+      return {
+        providerId: provider.id,
+        name: provider.name,
+        ...(breaker ? breaker.getStats() : { state: CircuitState.CLOSED, failureCount: 0 })
+      };
+    });
+  }
+
+  /**
+   * Open and half-open circuits, shaped like performanceService alerts.
+   */
+  getAlerts() {
+    return this.getStatus()
+      .filter(status => status.state !== CircuitState.CLOSED)
+      .map(status => ({
+        type: 'provider_circuit',
+        severity: status.state === CircuitState.OPEN ? 'critical' : 'warning',
+        provider: status.providerId,
+        message: status.state === CircuitState.OPEN
+          ? `${status.name} circuit is open after ${status.failureCount} failure(s) (last: ${status.lastFailure?.message}); retrying at ${new Date(status.retryAt).toISOString()}`
+          : `${status.name} circuit is half-open; testing whether the provider recovered`,
+        threshold: `${this.config.failureThreshold} failures in ${Math.round(this.config.monitoringPeriod / 1000)}s`
+      }));
+  }
+
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+const providerHealth = new ProviderHealthService();
+
+module.exports = {
+  ProviderHealthService,
+  providerHealth
+};
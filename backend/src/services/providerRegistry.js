@@ -0,0 +1,282 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const logger = require('../config/logger.js');
+const { DEFAULT_CAPABILITIES, PROVIDERS } = require('../config/providers.js');
+
+const SUPPORTED_ADAPTERS = ['openai', 'gemini'];
+
+/**
+ * Registry of AI providers and the models they serve.
+ *
+ * Models resolve to exactly one provider; clients are created lazily the first
+ * time a provider is used so missing keys only matter for providers in use.
+ */
+class ProviderRegistry {
+  constructor(providers = PROVIDERS) {
+    this.providers = new Map();
+    this.models = new Map();
+    this.clients = new Map();
+
+    for (const provider of providers) {
+      this.register(provider);
+    }
+
+    const extraFile = process.env.AI_PROVIDERS_FILE;
+    if (extraFile) {
+      this.loadFromFile(extraFile);
+    }
+  }
+
+  /**
+   * Adds a provider and indexes its models.
+   * @param {Object} provider - Provider declaration (see config/providers.js)
+   * @returns {Object} The normalized provider
+   */
+  register(provider) {
+    if (!provider || !provider.id) {
+      throw new Error('Provider declaration requires an id');
+    }
+    if (!SUPPORTED_ADAPTERS.includes(provider.adapter)) {
+      throw new Error(`Provider ${provider.id} uses unsupported adapter "${provider.adapter}"`);
+    }
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Provider ${provider.id} is already registered`);
+    }
+
+    const models = { ...(provider.models || {}) };
+    for (const modelId of Object.keys(models)) {
+      const owner = this.models.get(modelId);
+      if (owner) {
+        throw new Error(`Model ${modelId} is already served by provider ${owner.providerId}`);
+      }
+    }
+
+    const normalized = {
+      ...provider,
+      name: provider.name || provider.id,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...(provider.capabilities || {}) },
+      models
+    };
+    this.providers.set(normalized.id, normalized);
+
+    for (const [modelId, modelConfig] of Object.entries(models)) {
+      this.models.set(modelId, {
+        id: modelId,
+        providerId: normalized.id,
+        apiId: modelConfig?.apiId || modelId,
+        capabilities: { ...normalized.capabilities, ...(modelConfig?.capabilities || {}) }
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Loads extra provider declarations from a JSON file (array of providers).
+   */
+  loadFromFile(filePath) {
+    try {
+      const raw = fs.readFileSync(filePath, 'utf-8');
+      const parsed = JSON.parse(raw);
+      const list = Array.isArray(parsed) ? parsed : parsed.providers || [];
+      for (const provider of list) {
+        this.register(provider);
+      }
+      logger.info(`[ProviderRegistry] Loaded ${list.length} provider(s) from ${filePath}`);
+    } catch (error) {
+      logger.error(`[ProviderRegistry] Failed to load providers from ${filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Resolves an internal model name to its provider and API model ID.
+   * @param {string} model - Internal model name (e.g. 'deepseek-v3.2')
+   * @returns {Object|null} { id, apiId, capabilities, provider } or null if unknown
+   */
+  resolve(model) {
+    const entry = this.models.get(model);
+    if (!entry) return null;
+    return { ...entry, provider: this.providers.get(entry.providerId) };
+  }
+
+  hasModel(model) {
+    return this.models.has(model);
+  }
+
+  getProvider(providerId) {
+    return this.providers.get(providerId) || null;
+  }
+
+  getApiModelId(model) {
+    return this.models.get(model)?.apiId || model;
+  }
+
+  getCapabilities(model) {
+    return this.models.get(model)?.capabilities || { ...DEFAULT_CAPABILITIES };
+  }
+
+  /**
+   * Lists registered model names, optionally filtered by a capability flag.
+   * @param {Object} [filter]
+   * @param {string} [filter.capability] - e.g. 'vision' or 'jsonMode'
+   * @param {string} [filter.providerId]
+   * @param {string[]} [filter.tiers] - Only providers declaring one of these router tiers
+   */
+  listModels({ capability, providerId, tiers } = {}) {
+    const result = [];
+    for (const entry of this.models.values()) {
+      if (providerId && entry.providerId !== providerId) continue;
+      if (capability && !entry.capabilities[capability]) continue;
+      if (tiers && !tiers.includes(this.providers.get(entry.providerId)?.tier)) continue;
+      result.push(entry.id);
+    }
+    return result;
+  }
+
+  /**
+   * Adds a model to an already registered provider (used by discovery).
+   * Models already served by another provider are left untouched.
+   */
+  addModel(providerId, modelId, modelConfig = {}) {
+    const provider = this.providers.get(providerId);
+    if (!provider) throw new Error(`Unknown provider ${providerId}`);
+
+    const owner = this.models.get(modelId);
+    if (owner && owner.providerId !== providerId) return false;
+
+    provider.models[modelId] = modelConfig;
+    this.models.set(modelId, {
+      id: modelId,
+      providerId,
+      apiId: modelConfig.apiId || modelId,
+      capabilities: { ...provider.capabilities, ...(modelConfig.capabilities || {}) }
+    });
+    return true;
+  }
+
+  /**
+   * Queries an OpenAI-compatible provider's /models endpoint and registers what it serves.
+   * Discovered models are named `${provider.modelPrefix}${id}`.
+   * @returns {Promise<string[]>} Internal names of the discovered models
+   */
+  async discoverModels(providerId, { timeoutMs = 5000 } = {}) {
+    const provider = this.providers.get(providerId);
+    if (!provider || provider.adapter !== 'openai') return [];
+
+    const client = this.getClient(providerId);
+    if (!client) return [];
+
+    const page = await client.models.list({ timeout: timeoutMs, maxRetries: 0 });
+    const discovered = [];
+    for (const model of page?.data || []) {
+      if (!model?.id) continue;
+      const modelId = `${provider.modelPrefix || ''}${model.id}`;
+      if (this.addModel(providerId, modelId, { ...(provider.models[modelId] || {}), apiId: model.id })) {
+        discovered.push(modelId);
+      }
+    }
+
+    logger.info(`[ProviderRegistry] Discovered ${discovered.length} model(s) on ${provider.name}`);
+    return discovered;
+  }
+
+  /**
+   * Runs discovery for every provider that opts in with `discover: true`.
+   * Failures are logged and never thrown so startup is not blocked.
+   */
+  async discoverAll() {
+    const results = {};
+    for (const provider of this.providers.values()) {
+      if (!provider.discover) continue;
+      try {
+        results[provider.id] = await this.discoverModels(provider.id);
+      } catch (error) {
+        logger.warn(`[ProviderRegistry] Model discovery failed for ${provider.name}:`, error.message);
+        results[provider.id] = [];
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Lightweight reachability check against a provider's /models endpoint.
+   * @returns {Promise<Object>} { status: 'ok'|'error', latencyMs, models?, error? }
+   */
+  async probe(providerId, { timeoutMs = 3000 } = {}) {
+    const provider = this.providers.get(providerId);
+    if (!provider) return { status: 'error', error: `Unknown provider ${providerId}` };
+
+    const start = Date.now();
+    try {
+      const models = await this.discoverModels(providerId, { timeoutMs });
+      return {
+        status: 'ok',
+        baseURL: provider.baseURL,
+        latencyMs: Date.now() - start,
+        models: models.length ? models : this.listModels({ providerId })
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        baseURL: provider.baseURL,
+        latencyMs: Date.now() - start,
+        error: error.message
+      };
+    }
+  }
+
+  getApiKey(provider) {
+    if (provider.apiKey) return provider.apiKey;
+    return provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : undefined;
+  }
+
+  /**
+   * Whether a provider has what it needs to be called (i.e. an API key).
+   */
+  isConfigured(providerId) {
+    const provider = this.providers.get(providerId);
+    if (!provider) return false;
+    if (provider.requiresApiKey === false) return true;
+    return Boolean(this.getApiKey(provider));
+  }
+
+  /**
+   * Returns the SDK client for a provider, creating it on first use.
+   * @returns {Object|null} null when the provider is unknown or not configured
+   */
+  getClient(providerId) {
+    if (this.clients.has(providerId)) return this.clients.get(providerId);
+
+    const provider = this.providers.get(providerId);
+    if (!provider) return null;
+
+    if (!this.isConfigured(providerId)) {
+      logger.warn(`${provider.name} API key missing`);
+      return null;
+    }
+
+    const client = this.createClient(provider);
+    this.clients.set(providerId, client);
+    return client;
+  }
+
+  createClient(provider) {
+    const apiKey = this.getApiKey(provider);
+
+    if (provider.adapter === 'gemini') {
+      return new GoogleGenerativeAI(apiKey);
+    }
+
+    const options = { apiKey: apiKey || 'not-needed' };
+    if (provider.baseURL) options.baseURL = provider.baseURL;
+    return new OpenAI(options);
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+module.exports = {
+  ProviderRegistry,
+  providerRegistry
+};
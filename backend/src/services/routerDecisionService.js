@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const supabase = require('../db/supabase/admin.js');
+const conversationManager = require('./conversationManager.js');
+const logger = require('../config/logger.js');
+
+const RATINGS = { up: 1, down: -1 };
+
+/**
+ * Router decisions: the feedback loop for model routing.
+ *
+ * Every routed message gets a row in router_decisions (see
+ * migrations/create_router_decisions.sql) with a hash of the query, the model
+ * the router chose and, once the reply is saved, the message and the model
+ * that actually answered. A thumbs up/down on the reply or regenerating it is
+ * recorded on the same row. Writes never throw, so logging cannot break a reply.
+ */
+class RouterDecisionService {
+  hashQuery(query) {
+    return crypto.createHash('sha256').update(String(query || '')).digest('hex');
+  }
+
+  /**
+   * @param {Object} decision
+   * @param {string} decision.query - Only its hash is stored
+   * @param {string} decision.chosenModel - The router's pick
+   * @param {string} [decision.router] - 'llm' (EnhancedRouterService) or 'heuristic' (routerAgent)
+   * @returns {Promise<string|null>} Decision id, null when it could not be stored
+   */
+  async record({ userId, chatId, query, router = 'llm', routerModel, chosenModel, plan, latencyMs }) {
+    try {
+      const { data, error } = await supabase
+        .from('router_decisions')
+        .insert({
+          user_id: userId || null,
+          chat_id: conversationManager.isValidUuid(chatId) ? chatId : null,
+          query_hash: this.hashQuery(query),
+          router,
+          router_model: routerModel || null,
+          chosen_model: chosenModel,
+          plan: plan ? String(plan).toLowerCase() : null,
+          latency_ms: Number.isFinite(latencyMs) ? Math.round(latencyMs) : null
+        })
+        .select('id')
+        .single();
+      if (error) throw error;
+      return data.id;
+    } catch (error) {
+      logger.warn('[RouterDecisions] Failed to record decision:', error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Links a decision to the reply it produced.
+   * @param {string} decisionId
+   * @param {Object} reply - { chatId, messageId, servedModel } (servedModel differs from the pick after a fallback)
+   */
+  async attachMessage(decisionId, { chatId, messageId, servedModel }) {
+    if (!decisionId) return;
+    try {
+      const { error } = await supabase
+        .from('router_decisions')
+        .update({
+          chat_id: conversationManager.isValidUuid(chatId) ? chatId : null,
+          message_id: messageId || null,
+          served_model: servedModel || null
+        })
+        .eq('id', decisionId);
+      if (error) throw error;
+    } catch (error) {
+      logger.warn('[RouterDecisions] Failed to link decision to its reply:', error?.message || error);
+    }
+  }
+
+  // A regenerated reply counts as a rejection of the model that wrote it
+  async markRegenerated(userId, messageId) {
+    try {
+      const { error } = await supabase
+        .from('router_decisions')
+        .update({ regenerated: true })
+        .eq('message_id', messageId)
+        .eq('user_id', userId);
+      if (error) throw error;
+    } catch (error) {
+      logger.warn('[RouterDecisions] Failed to mark regeneration:', error?.message || error);
+    }
+  }
+
+  /**
+   * Thumbs up/down on an assistant reply. The rating is kept on the message
+   * (metadata.rating) and on its routing decision, when there is one.
+   * @param {Object} params
+   * @param {string|null} params.rating - 'up', 'down', or null to clear it
+   * @returns {Promise<{messageId: string, rating: string|null}|{status: number, error: string}>}
+   */
+  async rate({ userId, chatId, messageId, rating }) {
+    if (rating !== null && !(rating in RATINGS)) {
+      return { status: 400, error: "rating must be 'up', 'down' or null" };
+    }
+
+    const message = await conversationManager.getMessage(messageId, userId);
+    if (!message || message.chat_id !== chatId) return { status: 404, error: 'Message not found' };
+    if (message.role !== 'assistant') return { status: 400, error: 'Only replies can be rated' };
+
+    const { error: messageError } = await supabase
+      .from('chat_messages')
+      .update({ metadata: { ...(message.metadata || {}), rating } })
+      .eq('id', messageId)
+      .eq('user_id', userId);
+    if (messageError) {
+      logger.error('[RouterDecisions] Failed to save rating:', messageError);
+      return { status: 500, error: 'Failed to save the rating' };
+    }
+
+    const { error } = await supabase
+      .from('router_decisions')
+      .update({
+        rating: rating === null ? null : RATINGS[rating],
+        rated_at: rating === null ? null : new Date().toISOString()
+      })
+      .eq('message_id', messageId)
+      .eq('user_id', userId);
+    if (error) logger.warn('[RouterDecisions] Failed to rate decision:', error.message);
+
+    return { messageId, rating };
+  }
+}
+
+module.exports = new RouterDecisionService();
@@ -0,0 +1,256 @@
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const { estimateUsage } = require('../utils/tokenUsage.js');
+
+const PLANS = ['free', 'plus', 'pro'];
+const CONDITIONS = ['plans', 'hasCodeBlock', 'minTokens', 'maxTokens', 'pattern'];
+const CODE_BLOCK = /```[\s\S]*?```/;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Routing policies: deterministic rules admins set for the model router.
+ *
+ * Policies live in routing_policies (see migrations/create_routing_policies.sql)
+ * and are checked before the LLM router. Each has conditions that must all
+ * match (`plans`, `hasCodeBlock`, `minTokens`, `maxTokens`, `pattern`) and one
+ * action:
+ *   { type: 'route', model }   - answer with this model; the first matching rule
+ *                                by priority wins, the LLM router is skipped
+ *   { type: 'block', models }  - never pick these models; every matching rule applies
+ * A route to a blocked model or one outside the user's plan is skipped. When no
+ * route rule fires the LLM router picks among the models that are not blocked.
+ */
+class RoutingPolicyService {
+  constructor() {
+    // Enabled policies are cached per process; admin edits clear the cache
+    this.cacheTtlMs = parseInt(process.env.ROUTING_POLICY_CACHE_MS, 10) || 30000;
+    this.cache = null;
+  }
+
+  toPolicy(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      priority: row.priority,
+      enabled: row.enabled,
+      conditions: row.conditions || {},
+      action: row.action,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * @param {Object} policy - { name, description?, priority?, enabled?, conditions?, action }
+   * @param {string[]} knownModels - Models a rule may name
+   * @returns {string|null} Error message, or null when the policy is valid
+   */
+  validatePolicy(policy, knownModels = []) {
+    if (!policy || typeof policy !== 'object') return 'Policy must be an object';
+    const { name, priority, conditions = {}, action } = policy;
+
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (name.length > 120) return 'name is too long';
+    if (priority !== undefined && !Number.isInteger(priority)) return 'priority must be an integer';
+
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) return 'conditions must be an object';
+    const unknown = Object.keys(conditions).find(key => !CONDITIONS.includes(key));
+    if (unknown) return `Unknown condition ${unknown}`;
+    if (conditions.plans !== undefined && (!Array.isArray(conditions.plans) || !conditions.plans.every(plan => PLANS.includes(plan)))) {
+      return `plans must list plans from ${PLANS.join(', ')}`;
+    }
+    if (conditions.hasCodeBlock !== undefined && typeof conditions.hasCodeBlock !== 'boolean') return 'hasCodeBlock must be true or false';
+    if (conditions.minTokens !== undefined && !isCount(conditions.minTokens)) return 'minTokens must be a whole number';
+    if (conditions.maxTokens !== undefined && !isCount(conditions.maxTokens)) return 'maxTokens must be a whole number';
+    if (conditions.pattern !== undefined) {
+      if (typeof conditions.pattern !== 'string' || !conditions.pattern) return 'pattern must be a regular expression';
+      try {
+        new RegExp(conditions.pattern, 'i');
+      } catch {
+        return 'pattern is not a valid regular expression';
+      }
+    }
+
+    if (!action || typeof action !== 'object') return 'action is required';
+    if (action.type === 'route') {
+      if (!knownModels.includes(action.model)) return `Unknown model ${action.model}`;
+    } else if (action.type === 'block') {
+      if (!Array.isArray(action.models) || action.models.length === 0) return 'A block action must list models';
+      const model = action.models.find(candidate => !knownModels.includes(candidate));
+      if (model) return `Unknown model ${model}`;
+    } else {
+      return "action.type must be 'route' or 'block'";
+    }
+    return null;
+  }
+
+  // Only the fields an admin may set, in table columns
+  toRow(policy) {
+    const action = policy.action.type === 'route'
+      ? { type: 'route', model: policy.action.model }
+      : { type: 'block', models: [...new Set(policy.action.models)] };
+    return {
+      name: policy.name.trim(),
+      description: typeof policy.description === 'string' ? policy.description : null,
+      priority: policy.priority ?? 100,
+      enabled: policy.enabled !== false,
+      conditions: policy.conditions || {},
+      action
+    };
+  }
+
+  async list() {
+    const { data, error } = await supabase
+      .from('routing_policies')
+      .select('*')
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(row => this.toPolicy(row));
+  }
+
+  async create(policy, adminId) {
+    const { data, error } = await supabase
+      .from('routing_policies')
+      .insert({ ...this.toRow(policy), updated_by: adminId })
+      .select('*')
+      .single();
+    if (error) throw error;
+    this.invalidate();
+    return this.toPolicy(data);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The updated policy, null when it does not exist
+   */
+  async update(policyId, policy, adminId) {
+    const { data, error } = await supabase
+      .from('routing_policies')
+      .update({ ...this.toRow(policy), updated_by: adminId, updated_at: new Date().toISOString() })
+      .eq('id', policyId)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    this.invalidate();
+    return data ? this.toPolicy(data) : null;
+  }
+
+  async remove(policyId) {
+    const { error } = await supabase.from('routing_policies').delete().eq('id', policyId);
+    if (error) throw error;
+    this.invalidate();
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Enabled policies by priority. A failed load routes without policies
+   * rather than failing the message.
+   */
+  async getActivePolicies() {
+    if (this.cache && Date.now() - this.cache.loadedAt < this.cacheTtlMs) return this.cache.policies;
+    try {
+      const policies = (await this.list()).filter(policy => policy.enabled);
+      this.cache = { policies, loadedAt: Date.now() };
+      return policies;
+    } catch (error) {
+      logger.warn('[RoutingPolicies] Failed to load policies, routing without them:', error?.message || error);
+      return this.cache ? this.cache.policies : [];
+    }
+  }
+
+  /**
+   * Checks a policy's conditions against a message.
+   * @returns {string[]|null} Why it matched (one reason per condition), null when it does not
+   */
+  match(conditions = {}, { query, plan, tokens }) {
+    const reasons = [];
+    if (conditions.plans) {
+      if (!conditions.plans.includes(plan)) return null;
+      reasons.push(`plan is ${plan}`);
+    }
+    if (conditions.hasCodeBlock !== undefined) {
+      const hasCodeBlock = CODE_BLOCK.test(query);
+      if (hasCodeBlock !== conditions.hasCodeBlock) return null;
+      reasons.push(hasCodeBlock ? 'the message contains a code block' : 'the message has no code block');
+    }
+    if (conditions.minTokens !== undefined) {
+      if (tokens < conditions.minTokens) return null;
+      reasons.push(`the message is about ${tokens} tokens (at least ${conditions.minTokens})`);
+    }
+    if (conditions.maxTokens !== undefined) {
+      if (tokens > conditions.maxTokens) return null;
+      reasons.push(`the message is about ${tokens} tokens (at most ${conditions.maxTokens})`);
+    }
+    if (conditions.pattern !== undefined) {
+      if (!new RegExp(conditions.pattern, 'i').test(query)) return null;
+      reasons.push(`the message matches /${conditions.pattern}/i`);
+    }
+    return reasons.length ? reasons : ['it applies to every message'];
+  }
+
+  /**
+   * Runs the policies for one message.
+   * @param {Array} policies - Enabled policies, by priority
+   * @param {Object} context - { query, plan, availableModels, unavailableModels } (models on the
+   *   user's plan, and those of them whose provider circuit is open)
+   * @returns {{model: string|null, policy: Object|null, blockedModels: string[], rules: Array, explanation: string}}
+   *   `model` is set when a route rule fired; `rules` lists every rule that matched and what it did
+   */
+  evaluate(policies, { query = '', plan = 'free', availableModels = [], unavailableModels = [] }) {
+    const signals = {
+      query: String(query),
+      plan: String(plan || 'free').toLowerCase(),
+      tokens: estimateUsage(query, '').promptTokens
+    };
+    const matched = policies
+      .map(policy => ({ policy, reasons: this.match(policy.conditions, signals) }))
+      .filter(({ reasons }) => reasons);
+
+    const rules = [];
+    const blockedModels = [];
+    for (const { policy, reasons } of matched.filter(({ policy }) => policy.action.type === 'block')) {
+      blockedModels.push(...policy.action.models.filter(model => !blockedModels.includes(model)));
+      rules.push({
+        id: policy.id,
+        name: policy.name,
+        effect: 'block',
+        reason: `Rule "${policy.name}" excluded ${policy.action.models.join(', ')}: ${reasons.join(', ')}.`
+      });
+    }
+
+    let fired = null;
+    for (const { policy, reasons } of matched.filter(({ policy }) => policy.action.type === 'route')) {
+      const { model } = policy.action;
+      if (!availableModels.includes(model) || blockedModels.includes(model) || unavailableModels.includes(model)) {
+        const why = blockedModels.includes(model)
+          ? 'is excluded by another rule'
+          : !availableModels.includes(model)
+            ? `is not available on the ${signals.plan} plan`
+            : 'is paused while its provider recovers';
+        rules.push({ id: policy.id, name: policy.name, effect: 'skipped', reason: `Rule "${policy.name}" was skipped: ${model} ${why}.` });
+        continue;
+      }
+      fired = policy;
+      rules.push({ id: policy.id, name: policy.name, effect: 'route', reason: `Rule "${policy.name}" routed to ${model}: ${reasons.join(', ')}.` });
+      break;
+    }
+
+    return {
+      model: fired ? fired.action.model : null,
+      policy: fired ? { id: fired.id, name: fired.name } : null,
+      blockedModels,
+      rules,
+      explanation: rules.map(rule => rule.reason).join(' ')
+    };
+  }
+
+  async decide(query, context) {
+    return this.evaluate(await this.getActivePolicies(), { ...context, query });
+  }
+}
+
+module.exports = new RoutingPolicyService();
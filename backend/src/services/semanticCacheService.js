@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const enhancedQdrantService = require('./enhancedQdrantService.js');
+const logger = require('../config/logger.js');
+
+// Prompts about the user themselves are only replayed to that user
+const PERSONAL_PATTERN = /\b(i|i'm|i've|i'd|me|my|mine|myself|we|us|our|ours)\b/i;
+
+// Prompts that point back at earlier turns cannot be answered on their own
+const CONTEXT_PATTERNS = [
+  /\b(above|previous|earlier|last (answer|reply|message|one)|as you said|you (just )?said|the same|again|continue|go on)\b/i,
+  /^(and|but|so|also|then|what about|how about|why not|more)\b/i
+];
+
+/**
+ * Semantic response cache in front of StreamingService.streamResponse.
+ *
+ * Opt-in with SEMANTIC_CACHE_ENABLED=true. First messages of a chat are
+ * looked up in the `semantic_cache` Qdrant collection and a close enough
+ * match (SEMANTIC_CACHE_THRESHOLD) is replayed instead of calling a model.
+ * Personal prompts are cached per user, others globally per plan; prompts
+ * that depend on the conversation (history, edits, attachments, follow-up
+ * phrasing) are neither looked up nor stored. A reply the model wrote with
+ * the user's memories, summary or past details in its context is only
+ * stored for that user.
+ */
+class SemanticCacheService {
+  constructor() {
+    this.config = {
+      enabled: process.env.SEMANTIC_CACHE_ENABLED === 'true',
+      threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.92,
+      ttlMs: parseInt(process.env.SEMANTIC_CACHE_TTL_MS, 10) || 3600000,
+      maxPromptChars: parseInt(process.env.SEMANTIC_CACHE_MAX_PROMPT_CHARS, 10) || 2000
+    };
+    this.resetStats();
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Where a prompt may be cached.
+   * @param {Object} request - { message, userId, conversation, attachments, branch, route }
+   * @returns {Object|null} { scope: 'user', userId } or { scope: 'global' }; null when the
+   *   cache is off or the prompt depends on conversation context
+   */
+  getScope({ message, userId, conversation, attachments = [], branch = {}, route = {} }) {
+    if (!this.isEnabled()) return null;
+
+    const text = String(message || '').trim();
+    const contextual =
+      !text ||
+      text.length > this.config.maxPromptChars ||
+      conversation?.messages?.length > 0 ||
+      Boolean(branch.parentMessageId || branch.editedFrom || branch.userMessageId) ||
+      attachments.length > 0 ||
+      Boolean(route.responseFormat) ||
+      !['text', 'coding'].includes(route.type || 'text') ||
+      CONTEXT_PATTERNS.some(pattern => pattern.test(text));
+
+    if (contextual) {
+      this.stats.skipped++;
+      return null;
+    }
+    return PERSONAL_PATTERN.test(text) ? { scope: 'user', userId } : { scope: 'global' };
+  }
+
+  /**
+   * Where a finished reply is stored: replies to a global prompt are kept per user
+   * when the context held anything of theirs (contextManager's `personalized`).
+   * @param {Object} scope - From getScope
+   * @returns {Object} { scope: 'user', userId } or `scope` unchanged
+   */
+  getReplyScope(scope, { userId, personalized }) {
+    return personalized && scope.scope !== 'user' ? { scope: 'user', userId } : scope;
+  }
+
+  // Qdrant filter for the entries a lookup may return; `model` limits hits to a model the user chose.
+  // Expired entries are filtered out so they cannot outrank a fresh copy of the same prompt.
+  buildFilter(scope, { plan, model }) {
+    const must = [{ key: 'metadata.scope', match: { value: scope.scope } }];
+    if (scope.scope === 'user') {
+      must.push({ key: 'metadata.userId', match: { value: scope.userId } });
+    } else {
+      must.push({ key: 'metadata.plan', match: { value: plan || 'free' } });
+    }
+    if (model) must.push({ key: 'metadata.model', match: { value: model } });
+    must.push({ key: 'timestamp', range: { gte: Date.now() - this.config.ttlMs } });
+    return { must };
+  }
+
+  // One entry per prompt, scope and model: storing a reply again replaces the previous one
+  getCacheKey(message, scope, { plan, model }) {
+    const owner = scope.scope === 'user' ? scope.userId : plan || 'free';
+    const prompt = crypto.createHash('sha256').update(String(message).trim()).digest('hex');
+    return [scope.scope, owner, model || '', prompt].join(':');
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { text, model, score, cachedAt } or null on a miss.
+   *   Lookup errors count as misses.
+   */
+  async lookup(message, scope, { plan, model = null } = {}) {
+    try {
+      const hit = await enhancedQdrantService.searchSemanticCache(message, {
+        threshold: this.config.threshold,
+        filter: this.buildFilter(scope, { plan, model })
+      });
+      if (!hit?.response) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return {
+        text: hit.response,
+        model: hit.metadata?.model || null,
+        score: hit.score,
+        cachedAt: hit.metadata?.cachedAt || null
+      };
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.misses++;
+      logger.warn('[SemanticCache] Lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a finished reply. Failures are logged and never thrown.
+   */
+  async store(message, text, scope, { plan, model }) {
+    try {
+      await enhancedQdrantService.storeSemanticCache(message, text, {
+        cacheKey: this.getCacheKey(message, scope, { plan, model }),
+        scope: scope.scope,
+        ...(scope.scope === 'user' ? { userId: scope.userId } : {}),
+        plan: plan || 'free',
+        model,
+        cachedAt: new Date().toISOString(),
+        ttl: this.config.ttlMs
+      });
+      this.stats.stores++;
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn('[SemanticCache] Failed to store reply:', error.message);
+    }
+  }
+
+  // Hit rate over the prompts that were looked up, for GET /api/performance/cache
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.isEnabled(),
+      threshold: this.config.threshold,
+      ...this.stats,
+      lookups,
+      hitRate: `${lookups > 0 ? (this.stats.hits / lookups * 100).toFixed(2) : '0.00'}%`
+    };
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, skipped: 0, stores: 0, errors: 0 };
+  }
+}
+
+module.exports = new SemanticCacheService();
@@ -0,0 +1,92 @@
+const redisClient = require('../redis/unifiedRedisClient.js');
+const logger = require('../config/logger.js');
+
+const DONE = '[DONE]';
+
+/**
+ * Short-lived Redis buffer of the SSE frames sent for a stream.
+ *
+ * Every frame gets a monotonic id (1, 2, 3, ...) and is appended to a list, so
+ * a client that lost its connection can replay everything after the last id it
+ * saw (`Last-Event-ID`). Buffers expire STREAM_BUFFER_TTL_SECONDS after the
+ * last refresh.
+ */
+class StreamBufferService {
+  constructor(client = redisClient) {
+    this.redisClient = client;
+    this.ttlSeconds = parseInt(process.env.STREAM_BUFFER_TTL_SECONDS, 10) || 300;
+  }
+
+  listKey(streamId) {
+    return `sse:stream:${streamId}:events`;
+  }
+
+  ownerKey(streamId) {
+    return `sse:stream:${streamId}:owner`;
+  }
+
+  formatFrame(id, data) {
+    return `id: ${id}\ndata: ${data}\n\n`;
+  }
+
+  /**
+   * Records who owns a stream so only they can resume it.
+   */
+  async open(streamId, userId) {
+    try {
+      await this.redisClient.setex(this.ownerKey(streamId), this.ttlSeconds, userId);
+    } catch (error) {
+      logger.warn('[StreamBuffer] Failed to open stream buffer:', error.message);
+    }
+  }
+
+  async getOwner(streamId) {
+    try {
+      return await this.redisClient.get(this.ownerKey(streamId));
+    } catch (error) {
+      logger.warn('[StreamBuffer] Failed to read stream owner:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Appends a frame. Failures are logged only; buffering must never break the live stream.
+   * @param {string} streamId
+   * @param {number} id - Event id written on the `id:` line
+   * @param {string} data - Raw `data:` payload (JSON string or [DONE])
+   */
+  async append(streamId, id, data) {
+    try {
+      const key = this.listKey(streamId);
+      await this.redisClient.rpush(key, JSON.stringify({ id, data }));
+      // Refresh the TTL periodically rather than on every token
+      if (id === 1 || id % 50 === 0 || data === DONE) {
+        await this.redisClient.expire(key, this.ttlSeconds);
+        await this.redisClient.expire(this.ownerKey(streamId), this.ttlSeconds);
+      }
+    } catch (error) {
+      logger.warn('[StreamBuffer] Failed to buffer frame:', error.message);
+    }
+  }
+
+  /**
+   * Returns buffered frames with an id greater than `lastEventId`, oldest first.
+   * @returns {Promise<Array<{id: number, data: string}>>}
+   */
+  async readAfter(streamId, lastEventId = 0) {
+    try {
+      // Ids start at 1 and are appended in order, so id N sits at index N - 1
+      const raw = await this.redisClient.lrange(this.listKey(streamId), Math.max(lastEventId, 0), -1);
+      return (raw || [])
+        .map((entry) => {
+          try { return JSON.parse(entry); } catch { return null; }
+        })
+        .filter(entry => entry && entry.id > lastEventId);
+    } catch (error) {
+      logger.warn('[StreamBuffer] Failed to read buffered frames:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = new StreamBufferService();
@@ -1,127 +1,131 @@
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
 const conversationManager = require('./conversationManager.js');
+const streamBuffer = require('./streamBufferService.js');
+const costLedger = require('./costLedgerService.js');
+const documentService = require('./documentService.js');
+const comparisonService = require('./comparisonService.js');
+const routerDecisions = require('./routerDecisionService.js');
+const semanticCache = require('./semanticCacheService.js');
+const { providerRegistry } = require('./providerRegistry.js');
+const { providerHealth } = require('./providerHealthService.js');
+const { toolRegistry } = require('./toolRegistry.js');
+const { StructuredOutputService } = require('./structuredOutputService.js');
 const logger = require('../config/logger.js');
-const config = require('../config/config.js');
+const { fromOpenAIUsage, fromGeminiUsage, estimateUsage, mergeUsage } = require('../utils/tokenUsage.js');
 
-class StreamingService {
-  constructor() {
-    // Initialize Clients
-    this.clients = {};
-
-    // 1. OpenAI
-    if (config.openai.apiKey) {
-      this.clients.openai = new OpenAI({ apiKey: config.openai.apiKey });
-    } else {
-      logger.warn('OpenAI API key missing');
-    }
-
-    // 2. Gemini (Google)
-    if (config.gemini.apiKey) {
-      this.clients.gemini = new GoogleGenerativeAI(config.gemini.apiKey);
-    } else {
-      logger.warn('Gemini API key missing');
-    }
-
-    // 3. DeepSeek (OpenAI Compatible)
-    if (config.deepseek.apiKey) {
-      this.clients.deepseek = new OpenAI({
-        apiKey: config.deepseek.apiKey,
-        baseURL: 'https://api.deepseek.com'
-      });
-    }
-
-    // 4. Mistral (OpenAI Compatible or SDK)
-    if (config.mistral.apiKey) {
-      this.clients.mistral = new OpenAI({
-        apiKey: config.mistral.apiKey,
-        baseURL: 'https://api.mistral.ai/v1'
-      });
-    }
-
-    // 5. XAI (Grok)
-    if (config.xai.apiKey) {
-      this.clients.xai = new OpenAI({
-        apiKey: config.xai.apiKey,
-        baseURL: 'https://api.x.ai/v1'
-      });
-    }
-
-    // 6. Groq
-    if (config.groq.apiKey) {
-      this.clients.groq = new OpenAI({
-        apiKey: config.groq.apiKey,
-        baseURL: 'https://api.groq.com/openai/v1'
-      });
-    }
-
-    // 7. Qwen (via DashScope or compatible endpoint)
-    if (config.qwen.apiKey) {
-      this.clients.qwen = new OpenAI({
-        apiKey: config.qwen.apiKey,
-        baseURL: 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1'
-      });
-    }
+// Latency reported to the provider circuits: time to the first token, since long
+// replies take long on a healthy provider too (the whole call when nothing streamed)
+const timeToFirstToken = (attemptStart, firstTokenAt) => (firstTokenAt || Date.now()) - attemptStart;
 
+class StreamingService {
+  constructor(registry = providerRegistry, tools = toolRegistry, health = providerHealth) {
+    // Provider clients are declared in config/providers.js and created on demand
+    this.providerRegistry = registry;
+    // Per-provider circuit breakers; models of providers with an open circuit are skipped
+    this.providerHealth = health;
+    // Tools are declared in config/tools.js; models with the `tools` capability may call them
+    this.toolRegistry = tools;
+    this.maxToolSteps = parseInt(process.env.TOOL_MAX_STEPS, 10) || 4;
+    // Replies for a route with `responseFormat: { schema, name }` are validated against the schema
+    this.structuredOutput = new StructuredOutputService(registry);
     this.conversationManager = conversationManager;
-    this.resolvedGeminiModel = null;
+    this.streamBuffer = streamBuffer;
+    this.costLedger = costLedger;
+    this.documentService = documentService;
+    this.comparisonService = comparisonService;
+    this.routerDecisions = routerDecisions;
+    this.semanticCache = semanticCache;
   }
 
   /**
-   * Selects the appropriate client and adapter based on the model name.
+   * Marks `res` as a resumable stream: from now on every frame carries an `id:`
+   * and is buffered so GET /stream/:streamId/resume can replay it.
    */
-  getAdapterForModel(model) {
-    const m = model.toLowerCase();
-
-    // Gemini
-    if (m.startsWith('gemini')) {
-      return this.streamGemini.bind(this);
-    }
-
-    // DeepSeek
-    if (m.includes('deepseek')) {
-      return (params) => this.streamOpenAICompatible(params, this.clients.deepseek, 'DeepSeek');
-    }
-
-    // Mistral
-    if (m.includes('mistral') || m.includes('mixtral')) {
-      if (this.clients.mistral) return (params) => this.streamOpenAICompatible(params, this.clients.mistral, 'Mistral');
-    }
-
-    // XAI (Grok)
-    if (m.includes('grok')) {
-      return (params) => this.streamOpenAICompatible(params, this.clients.xai, 'XAI');
-    }
+  attachStream(res, streamId) {
+    res.locals = res.locals || {};
+    res.locals.sseStream = { id: streamId, seq: 0 };
+  }
 
-    // Groq (Llama, etc running on Groq)
-    if (this.clients.groq && (m.includes('llama') || m.includes('groq'))) {
-      return (params) => this.streamOpenAICompatible(params, this.clients.groq, 'Groq');
+  /**
+   * Selects the adapter for a model by resolving it through the provider registry.
+   * Unknown models throw so the caller can move on to the next fallback.
+   */
+  getAdapterForModel(model) {
+    const resolved = this.providerRegistry.resolve(model);
+    if (!resolved) {
+      throw new Error(`Model ${model} is not served by any registered provider`);
     }
 
-    // Qwen
-    if (m.includes('qwen')) {
-      return (params) => this.streamOpenAICompatible(params, this.clients.qwen, 'Qwen');
+    const { provider } = resolved;
+    if (provider.adapter === 'gemini') {
+      return this.streamGemini.bind(this);
     }
 
-    // Default to OpenAI
-    return (params) => this.streamOpenAICompatible(params, this.clients.openai, 'OpenAI');
+    return (params) => this.streamOpenAICompatible(params, this.providerRegistry.getClient(provider.id), provider.name);
   }
 
-  async streamResponse({ route, message, sessionId, userId, userPlan, res }) {
+  /**
+   * Streams a routed reply, walking the fallback chain until a model succeeds.
+   * Models whose provider circuit is open are skipped, and every attempt is
+   * reported to providerHealth.
+   * When `signal` aborts (client stop or disconnect) the running adapter saves
+   * the partial reply as truncated and no further fallbacks are tried.
+   * Adapters resolve to { text, usage }; usage is sent as a final `usage` event
+   * and priced into the cost ledger, including for stopped replies.
+   * `attachments` come from attachmentService.load (images carry base64 `data`);
+   * PDF and text attachments are ingested into the chat's document index first.
+   * `branch` ({ parentMessageId, editedFrom, userMessageId }) places the exchange in
+   * the message tree: the history is that branch and the messages are saved on it.
+   * With the semantic cache on, a cached answer to a similar prompt is replayed
+   * as a single `cache_hit` event instead (see semanticCacheService).
+   */
+  async streamResponse({ route, message, sessionId, userId, userPlan, res, signal, streamId, attachments = [], branch = {} }) {
     try {
       const conversation = await this.conversationManager.getConversation(sessionId, userId);
       const effectiveSessionId = conversation?.id || sessionId;
 
-      this.emitEvent(res, 'session', { sessionId: effectiveSessionId });
+      this.emitEvent(res, 'session', { sessionId: effectiveSessionId, streamId });
+
+      if (attachments.some(attachment => this.documentService.isDocument(attachment))) {
+        const documents = await this.documentService.ingestAttachments(userId, effectiveSessionId, attachments);
+        this.emitEvent(res, 'documents', { documents });
+      }
+
+      const cacheScope = this.semanticCache.getScope({ message, userId, conversation, attachments, branch, route });
+      if (cacheScope) {
+        // A model the user picked is only answered from its own cached replies
+        const cached = await this.semanticCache.lookup(message, cacheScope, {
+          plan: userPlan,
+          model: route.routedBy === 'user' ? route.primaryModel : null
+        });
+        if (cached) {
+          await this.replayCached({ cached, route, message, sessionId: effectiveSessionId, userId, res, branch });
+          return;
+        }
+      }
 
       let success = false;
       let currentModel = route.primaryModel;
       let fullResponseText = '';
-
-      const tryModels = [route.primaryModel, ...route.fallbackModels].filter(Boolean);
+      let usage = null;
+      let saved = null;
+      let toolSteps = [];
+      let personalized = false;
+      let firstTokenAt = null;
+
+      const candidates = [...new Set([route.primaryModel, ...route.fallbackModels].filter(Boolean))];
+      const tryModels = this.providerHealth.filterAvailable(candidates);
+      if (tryModels.length < candidates.length) {
+        logger.info(`[StreamingService] Skipping models with an open provider circuit: ${this.providerHealth.getUnavailableModels(candidates).join(', ')}`);
+      }
+      if (tryModels.length === 0) {
+        throw new Error('The AI providers for this request are temporarily unavailable. Please try again shortly.');
+      }
       const startTime = Date.now();
 
       for (const model of tryModels) {
+        if (signal?.aborted) break;
+        const attemptStart = Date.now();
         try {
           currentModel = model;
           this.emitEvent(res, 'model_selected', { model: currentModel });
@@ -129,7 +133,7 @@ class StreamingService {
           const adapter = this.getAdapterForModel(model);
 
           const effectiveRoute = { ...route, primaryModel: currentModel };
-          fullResponseText = await adapter({
+          ({ text: fullResponseText, usage, saved, toolSteps, personalized, firstTokenAt } = await adapter({
             route: effectiveRoute,
             message,
             conversation,
@@ -137,51 +141,208 @@ class StreamingService {
             sessionId: effectiveSessionId,
             userPlan,
             res,
-            startTime
-          });
+            startTime,
+            attachments,
+            branch,
+            signal
+          }));
 
+          if (!signal?.aborted) this.providerHealth.recordSuccess(model, timeToFirstToken(attemptStart, firstTokenAt));
           success = true;
           break;
         } catch (error) {
+          if (signal?.aborted) break;
           logger.warn(`Model ${model} failed:`, error.message);
-          if (route.fallbackModels.length === 0) throw error;
+          this.providerHealth.recordFailure(model, error);
+          if (tryModels.length === 1) throw error;
         }
       }
 
+      if (usage) {
+        this.emitEvent(res, 'usage', { model: currentModel, ...usage });
+        await this.costLedger.recordCompletion({
+          userId,
+          chatId: effectiveSessionId,
+          model: currentModel,
+          plan: userPlan,
+          usage
+        });
+      }
+
+      // Ratings of the reply are traced back to the routing decision through its message
+      if (route.decisionId) {
+        await this.routerDecisions.attachMessage(route.decisionId, {
+          chatId: saved?.id || effectiveSessionId,
+          messageId: saved?.assistantMessageId,
+          servedModel: success ? currentModel : null
+        });
+      }
+
+      if (signal?.aborted) {
+        logger.info(`[StreamingService] Stream stopped (${signal.reason || 'aborted'}) after ${fullResponseText.length} chars`);
+        this.emitEvent(res, 'stopped', {
+          reason: typeof signal.reason === 'string' ? signal.reason : 'aborted',
+          model: currentModel,
+          fullResponse: fullResponseText
+        });
+        return;
+      }
+
       if (!success) throw new Error('All models failed');
 
+      // Stored in the background; replies built from tool results can go stale, so they are not cached
+      if (cacheScope && fullResponseText && !toolSteps?.length) {
+        const replyScope = this.semanticCache.getReplyScope(cacheScope, { userId, personalized });
+        this.semanticCache.store(message, fullResponseText, replyScope, { plan: userPlan, model: currentModel });
+      }
+
       this.trackQuery(userId, message, route, fullResponseText, currentModel);
 
     } catch (error) {
       logger.error('Streaming service error:', error);
       this.emitEvent(res, 'error', { message: error.message });
     } finally {
-      res.write(`data: [DONE]\n\n`);
-      res.end();
+      this.endStream(res);
+    }
+  }
+
+  /**
+   * Sends a cached answer as one `cache_hit` event ({ model, score, cachedAt,
+   * fullResponse }) and saves it to the chat like a streamed reply. No model is
+   * called, so nothing is recorded in the cost ledger.
+   */
+  async replayCached({ cached, route, message, sessionId, userId, res, branch }) {
+    this.emitEvent(res, 'cache_hit', {
+      model: cached.model,
+      score: cached.score,
+      cachedAt: cached.cachedAt,
+      fullResponse: cached.text
+    });
+
+    const saved = await this.conversationManager.saveMessage(sessionId, userId, message, cached.text, cached.model, 'text', {
+      cached: { score: cached.score, cachedAt: cached.cachedAt },
+      ...branch
+    });
+
+    if (route.decisionId) {
+      await this.routerDecisions.attachMessage(route.decisionId, {
+        chatId: saved?.id || sessionId,
+        messageId: saved?.assistantMessageId,
+        servedModel: cached.model
+      });
+    }
+  }
+
+  /**
+   * Streams one prompt from several models at once over the same response.
+   * Every frame of a model's lane carries its `model`; lanes fail on their own
+   * (no fallbacks) and nothing is saved to the chat. The finished replies are
+   * kept by comparisonService until the user prefers one, and the final
+   * `comparison` event ({ comparisonId, models: [{ model, ok, error? }] }) says
+   * which lanes answered.
+   */
+  async streamComparison({ models, message, sessionId, userId, userPlan, res, signal, streamId, branch = {} }) {
+    try {
+      const conversation = await this.conversationManager.getConversation(sessionId, userId);
+      const effectiveSessionId = conversation?.id || sessionId;
+      const comparisonId = crypto.randomUUID();
+
+      this.emitEvent(res, 'session', { sessionId: effectiveSessionId, streamId, comparisonId, models });
+
+      const startTime = Date.now();
+      const results = await Promise.all(models.map(async (model) => {
+        const lane = this.createLane(res, model);
+        const attemptStart = Date.now();
+        try {
+          this.emitEvent(lane, 'model_selected', { model });
+          const adapter = this.getAdapterForModel(model);
+          const { text, usage, firstTokenAt } = await adapter({
+            route: { type: 'text', primaryModel: model, fallbackModels: [] },
+            message,
+            conversation,
+            userId,
+            sessionId: effectiveSessionId,
+            userPlan,
+            res: lane,
+            startTime,
+            attachments: [],
+            branch,
+            persist: false,
+            signal
+          });
+          if (!signal?.aborted) this.providerHealth.recordSuccess(model, timeToFirstToken(attemptStart, firstTokenAt));
+
+          if (usage) {
+            this.emitEvent(lane, 'usage', { model, ...usage });
+            await this.costLedger.recordCompletion({ userId, chatId: effectiveSessionId, model, plan: userPlan, usage });
+          }
+          return { model, text, usage, truncated: Boolean(signal?.aborted) };
+        } catch (error) {
+          logger.warn(`[StreamingService] Comparison model ${model} failed:`, error.message);
+          if (!signal?.aborted) this.providerHealth.recordFailure(model, error);
+          this.emitEvent(lane, 'error', { message: error.message });
+          return { model, error: error.message };
+        }
+      }));
+
+      const replies = results.filter(result => result.text);
+      if (replies.length > 0) {
+        await this.comparisonService.save({
+          id: comparisonId,
+          userId,
+          sessionId: effectiveSessionId,
+          message,
+          branch,
+          replies: replies.map(({ model, text, usage, truncated }) => ({ model, text, usage, truncated }))
+        });
+      }
+
+      this.emitEvent(res, 'comparison', {
+        comparisonId,
+        models: results.map(({ model, text, error }) => ({ model, ok: Boolean(text), ...(error ? { error } : {}) }))
+      });
+    } catch (error) {
+      logger.error('Comparison streaming error:', error);
+      this.emitEvent(res, 'error', { message: error.message });
+    } finally {
+      this.endStream(res);
     }
   }
 
-  // Map internal model names to provider-specific API IDs
-  MODEL_ID_MAPPING = {
-    'deepseek-v3.2': 'deepseek-chat', // Updated to working API ID
-    'codestral': 'codestral-latest',
-    'mistral-small': 'mistral-small-2506',
-    'llama-3.1-8b': 'llama-3.1-8b-instant', // Groq ID
-    'grok-4': 'grok-beta', // Updated to working API ID
-    'qwen': 'qwen-turbo', // Default Qwen model
-    'gpt-4o': 'gpt-4o',
-    'gpt-4o-mini': 'gpt-4o-mini'
-  };
+  /**
+   * A view of `res` for one model of a comparison: its frames are tagged with
+   * the model and numbered in the same sequence as the rest of the stream.
+   */
+  createLane(res, model) {
+    return {
+      locals: { ...res.locals, sseLane: model },
+      write: (chunk) => res.write(chunk),
+      flush: () => {
+        if (typeof res.flush === 'function') res.flush();
+      },
+      get writableEnded() {
+        return res.writableEnded;
+      },
+      get destroyed() {
+        return res.destroyed;
+      }
+    };
+  }
 
   // Generic handler for all OpenAI-compatible APIs
-  async streamOpenAICompatible({ route, message, conversation, userId, sessionId, userPlan, res, startTime, attachments }, client, providerName) {
+  async streamOpenAICompatible({ route, message, conversation, userId, sessionId, userPlan, res, startTime, attachments, branch = {}, persist = true, signal }, client, providerName) {
     if (!client) throw new Error(`${providerName} client not initialized (missing API key)`);
 
     const contextManager = require('./contextManager');
-    const { messages: contextMessages, contextInstructions } = await contextManager.constructContext(userId, sessionId, message, route.primaryModel);
+    const basePrompt = this.getSystemPrompt(route);
+    const formatInstructions = route.responseFormat ? this.structuredOutput.buildInstructions(route.responseFormat.schema) : '';
+    const { messages: contextMessages, contextInstructions, sources = [], personalized = false, budget } = await contextManager.constructContext(userId, sessionId, message, route.primaryModel, {
+      parentMessageId: branch.parentMessageId,
+      systemPrompt: basePrompt + formatInstructions
+    });
+    this.emitSources(res, sources);
 
-    let systemPrompt = this.getSystemPrompt(route);
-    if (contextInstructions) systemPrompt += contextInstructions;
+    const systemPrompt = basePrompt + (contextInstructions || '') + formatInstructions;
 
     // Build messages array
     const messages = [
@@ -189,8 +350,9 @@ class StreamingService {
       ...contextMessages
     ];
 
-    // Handle attachments (images)
-    if (attachments && attachments.length > 0) {
+    // Handle attachments (images); documents reach the model through the context instead
+    const images = (attachments || []).filter(attachment => attachment.type.startsWith('image/'));
+    if (images.length > 0) {
       const userMessage = {
         role: 'user',
         content: [
@@ -198,14 +360,12 @@ class StreamingService {
         ]
       };
 
-      // Add images to the message
-      for (const attachment of attachments) {
-        if (attachment.type.startsWith('image/')) {
-          userMessage.content.push({
-            type: 'image_url',
-            image_url: { url: attachment.url }
-          });
-        }
+      // Add images to the message, inline when the bytes were loaded
+      for (const attachment of images) {
+        userMessage.content.push({
+          type: 'image_url',
+          image_url: { url: attachment.data ? `data:${attachment.type};base64,${attachment.data}` : attachment.url }
+        });
       }
 
       messages.push(userMessage);
@@ -214,59 +374,232 @@ class StreamingService {
     }
 
     // Resolve the correct API model ID
-    const apiModelId = this.MODEL_ID_MAPPING[route.primaryModel] || route.primaryModel;
-
-    const stream = await client.chat.completions.create({
-      model: apiModelId,
-      messages,
-      stream: true,
-      temperature: 0.7
-    });
+    const apiModelId = this.providerRegistry.getApiModelId(route.primaryModel);
+    const capabilities = this.providerRegistry.getCapabilities(route.primaryModel);
+    // Structured replies are a single JSON answer, so no tools are offered
+    const tools = capabilities.tools && !route.responseFormat ? this.toolRegistry.toOpenAITools(userPlan) : [];
+    const toolContext = { userId, sessionId, plan: userPlan, signal };
+    const toolSteps = [];
 
     let fullResponse = '';
     let firstTokenTs = 0;
+    let usage = null;
 
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullResponse += content;
-        const ts = Date.now();
-        if (!firstTokenTs) firstTokenTs = ts;
+    try {
+      // Each step is one completion; a step that ends in tool calls runs them and loops
+      for (let step = 0; ; step++) {
+        const request = {
+          model: apiModelId,
+          messages,
+          stream: true,
+          temperature: 0.7
+        };
+        // The reply may use the room the context left for it
+        if (budget?.outputTokens) request.max_tokens = budget.outputTokens;
+        // Ask for the real token counts in a final chunk (its `choices` is empty)
+        if (capabilities.streamUsage) {
+          request.stream_options = { include_usage: true };
+        }
+        // The last step is sent without tools so the model has to answer
+        if (tools.length > 0 && step < this.maxToolSteps) {
+          request.tools = tools;
+        }
+        if (route.responseFormat && capabilities.jsonMode) {
+          const { schema, name } = route.responseFormat;
+          request.response_format = this.structuredOutput.responseFormat(route.primaryModel, schema, name);
+        }
+        const stream = await client.chat.completions.create(request, { signal });
+
+        let stepText = '';
+        const toolCalls = [];
+        for await (const chunk of stream) {
+          if (signal?.aborted) break;
+          if (chunk.usage) usage = mergeUsage(usage, fromOpenAIUsage(chunk.usage));
+          const delta = chunk.choices[0]?.delta || {};
+
+          // Tool calls arrive in pieces keyed by index: the id and name first, then argument fragments
+          for (const part of delta.tool_calls || []) {
+            const index = part.index ?? toolCalls.length;
+            if (!toolCalls[index]) toolCalls[index] = { id: null, name: '', arguments: '' };
+            const call = toolCalls[index];
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.name += part.function.name;
+            if (part.function?.arguments) call.arguments += part.function.arguments;
+          }
+
+          const content = delta.content || '';
+          if (content) {
+            stepText += content;
+            fullResponse += content;
+            const ts = Date.now();
+            if (!firstTokenTs) firstTokenTs = ts;
+
+            this.emitEvent(res, 'token', { content, fullResponse, ts });
+            try { this.conversationManager.saveIncremental(sessionId, userId, content); } catch { }
+          }
+        }
 
-        this.emitEvent(res, 'token', { content, fullResponse, ts });
-        try { this.conversationManager.saveIncremental(sessionId, userId, content); } catch { }
+        const calls = toolCalls.filter(Boolean).map((call, i) => ({ ...call, id: call.id || `call_${step}_${i}` }));
+        if (signal?.aborted || calls.length === 0) break;
+
+        messages.push({
+          role: 'assistant',
+          content: stepText || null,
+          tool_calls: calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+          }))
+        });
+        for (const call of calls) {
+          const output = await this.runToolCall(res, call, toolContext, toolSteps);
+          messages.push({ role: 'tool', tool_call_id: call.id, content: output });
+        }
       }
+    } catch (error) {
+      // An abort surfaces as an error from the SDK; keep whatever was streamed
+      if (!signal?.aborted) throw error;
     }
 
-    await this.conversationManager.saveMessage(sessionId, userId, message, fullResponse, route.primaryModel);
-    return fullResponse;
+    if (!usage) {
+      // Count only the text of multimodal messages, not inlined image data
+      const promptText = messages.map(m => {
+        if (typeof m.content === 'string') return m.content;
+        if (Array.isArray(m.content)) return m.content.map(part => part.text || '').join(' ');
+        return JSON.stringify(m.content ?? '');
+      }).join('\n');
+      usage = estimateUsage(promptText, fullResponse);
+    }
+
+    let structured;
+    if (route.responseFormat && !signal?.aborted) {
+      ({ text: fullResponse, usage, structured } = await this.enforceResponseFormat(res, route, fullResponse, usage, signal));
+    }
+
+    const saved = persist ? await this.conversationManager.saveMessage(sessionId, userId, message, fullResponse, route.primaryModel, 'text', {
+      truncated: Boolean(signal?.aborted),
+      usage,
+      toolSteps,
+      structured,
+      attachments,
+      sources,
+      ...branch
+    }) : null;
+    return { text: fullResponse, usage, saved, toolSteps, personalized, firstTokenAt: firstTokenTs || null };
+  }
+
+  /**
+   * Runs one tool call requested by the model and reports it to the client as
+   * a `tool_call` event followed by a `tool_result` event.
+   * @param {Object} call - { id, name, arguments } (arguments as JSON string or object)
+   * @param {Array} toolSteps - Collects the step for persistence with the reply
+   * @returns {Promise<string>} The result serialized for the model
+   */
+  async runToolCall(res, call, context, toolSteps) {
+    let args = call.arguments;
+    if (typeof args === 'string') {
+      try { args = JSON.parse(args || '{}'); } catch { }
+    }
+    this.emitEvent(res, 'tool_call', { id: call.id, name: call.name, arguments: args });
+
+    const outcome = await this.toolRegistry.execute(call.name, call.arguments, context);
+    const step = {
+      id: call.id,
+      name: call.name,
+      arguments: outcome.args ?? args,
+      ok: outcome.ok,
+      durationMs: outcome.durationMs,
+      ...(outcome.ok ? { result: outcome.result } : { error: outcome.error })
+    };
+    this.emitEvent(res, 'tool_result', step);
+    toolSteps.push(step);
+
+    return this.toolRegistry.formatForModel(outcome);
+  }
+
+  /**
+   * Validates a finished reply against the route's JSON Schema, giving the
+   * model one repair attempt, and reports the outcome as a `structured` event.
+   * @returns {Promise<{text: string, usage: Object, structured: Object}>}
+   */
+  async enforceResponseFormat(res, route, text, usage, signal) {
+    const { schema, name } = route.responseFormat;
+    const outcome = await this.structuredOutput.enforce({ model: route.primaryModel, schema, name, text, signal });
+    const structured = { valid: outcome.valid, repaired: outcome.repaired, errors: outcome.errors };
+
+    this.emitEvent(res, 'structured', { ...structured, data: outcome.data, fullResponse: outcome.text });
+    return { text: outcome.text, usage: mergeUsage(usage, outcome.usage), structured };
+  }
+
+  /**
+   * Tells the client which document excerpts the reply may cite.
+   */
+  emitSources(res, sources) {
+    if (!sources?.length) return;
+    this.emitEvent(res, 'sources', {
+      sources: sources.map(({ citation, fileName, page }) => ({ citation, fileName, page }))
+    });
   }
 
-  // Helper for SSE events
+  // Helper for SSE events; frames of a comparison lane also carry its model
   emitEvent(res, type, data) {
-    res.write(`data: ${JSON.stringify({ type, data })}\n\n`);
+    const lane = res.locals?.sseLane;
+    this.writeFrame(res, JSON.stringify(lane ? { type, model: lane, data } : { type, data }));
+  }
+
+  // Writes the final [DONE] frame and closes the response
+  endStream(res) {
+    this.writeFrame(res, '[DONE]');
+    if (!res.writableEnded && !res.destroyed) res.end();
+  }
+
+  writeFrame(res, data) {
+    const stream = res.locals?.sseStream;
+    let frame = `data: ${data}\n\n`;
+    if (stream) {
+      // Buffer even when the client is gone so it can resume later
+      const id = ++stream.seq;
+      frame = this.streamBuffer.formatFrame(id, data);
+      this.streamBuffer.append(stream.id, id, data);
+    }
+
+    // The client may already be gone after a disconnect
+    if (res.writableEnded || res.destroyed) return;
+    res.write(frame);
     if (typeof res.flush === 'function') {
       try { res.flush(); } catch { }
     }
   }
 
-  async streamGemini({ route, message, conversation, userId, sessionId, userPlan, res, startTime }) {
-    if (!this.clients.gemini) {
+  async streamGemini({ route, message, conversation, userId, sessionId, userPlan, res, startTime, attachments = [], branch = {}, persist = true, signal }) {
+    const resolved = this.providerRegistry.resolve(route.primaryModel);
+    const client = resolved ? this.providerRegistry.getClient(resolved.providerId) : null;
+    if (!client) {
       throw new Error(`Gemini API key is invalid or missing - cannot use model ${route.primaryModel}`);
     }
 
     try {
-      const modelId = await this.resolveGeminiModel([route.primaryModel]);
-      const generationConfig = { temperature: 0.7, maxOutputTokens: 2048 };
-      const model = this.clients.gemini.getGenerativeModel({ model: modelId, generationConfig });
-
       const contextManager = require('./contextManager');
-      const { messages: contextMessages, contextInstructions } = await contextManager.constructContext(userId, sessionId, message, route.primaryModel);
+      const basePrompt = this.getSystemPrompt(route);
+      const formatInstructions = route.responseFormat ? this.structuredOutput.buildInstructions(route.responseFormat.schema) : '';
+      const { messages: contextMessages, contextInstructions, sources = [], personalized = false, budget } = await contextManager.constructContext(userId, sessionId, message, route.primaryModel, {
+        parentMessageId: branch.parentMessageId,
+        systemPrompt: basePrompt + formatInstructions
+      });
+      this.emitSources(res, sources);
 
-      let systemPrompt = this.getSystemPrompt(route);
-      if (contextInstructions) {
-        systemPrompt += contextInstructions;
-      }
+      const modelId = resolved.apiId;
+      // The reply may use the room the context left for it
+      const generationConfig = { temperature: 0.7, ...(budget?.outputTokens ? { maxOutputTokens: budget.outputTokens } : {}) };
+      if (route.responseFormat) generationConfig.responseMimeType = 'application/json';
+      const tools = this.providerRegistry.getCapabilities(route.primaryModel).tools && !route.responseFormat
+        ? this.toolRegistry.toGeminiTools(userPlan)
+        : [];
+      const model = client.getGenerativeModel({ model: modelId, generationConfig, ...(tools.length ? { tools } : {}) });
+      const toolContext = { userId, sessionId, plan: userPlan, signal };
+      const toolSteps = [];
+
+      const systemPrompt = basePrompt + (contextInstructions || '') + formatInstructions;
 
       let historyText = '';
       if (contextMessages && contextMessages.length) {
@@ -276,71 +609,114 @@ class StreamingService {
         }
       }
       const conversationText = `${systemPrompt}\n\n${historyText}User: ${message}`;
+      const imageParts = attachments
+        .filter(attachment => attachment.data && attachment.type.startsWith('image/'))
+        .map(attachment => ({ inlineData: { mimeType: attachment.type, data: attachment.data } }));
+      const contents = [
+        { role: 'user', parts: [{ text: conversationText }, ...imageParts] }
+      ];
 
       let fullText = '';
       let firstTokenTs = 0;
       let streamedAny = false;
+      let usage = null;
       try {
-        const result = await model.generateContentStream({
-          contents: [
-            { role: 'user', parts: [{ text: conversationText }] }
-          ]
-        });
-        for await (const event of result.stream) {
-          let piece = '';
-          try {
-            const parts = event?.candidates?.[0]?.content?.parts || [];
-            piece = parts.map(p => p?.text || '').join('');
-          } catch { }
-          if (!piece && typeof event?.text === 'string') piece = event.text;
-          if (!piece) continue;
-
-          streamedAny = true;
-          fullText += piece;
-          const ts = Date.now();
-          if (!firstTokenTs) firstTokenTs = ts;
-
-          this.emitEvent(res, 'token', { content: piece, fullResponse: fullText, ts });
-          try { this.conversationManager.saveIncremental(sessionId, userId, piece); } catch { }
+        // Each step is one request; a step that ends in function calls runs them and loops
+        for (let step = 0; ; step++) {
+          const request = { contents };
+          // Past the step limit the model has to answer without calling tools
+          if (tools.length > 0 && step >= this.maxToolSteps) {
+            request.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+          }
+          const result = await model.generateContentStream(request, { signal });
+
+          let stepText = '';
+          let stepUsage = null;
+          const functionCalls = [];
+          for await (const event of result.stream) {
+            if (signal?.aborted) break;
+            // Every chunk carries the running totals of this request; the last one wins
+            if (event?.usageMetadata) stepUsage = fromGeminiUsage(event.usageMetadata);
+            let piece = '';
+            try {
+              const parts = event?.candidates?.[0]?.content?.parts || [];
+              for (const part of parts) {
+                if (part?.functionCall) functionCalls.push(part.functionCall);
+              }
+              piece = parts.map(p => p?.text || '').join('');
+            } catch { }
+            if (!piece && typeof event?.text === 'string') piece = event.text;
+            if (!piece) continue;
+
+            streamedAny = true;
+            stepText += piece;
+            fullText += piece;
+            const ts = Date.now();
+            if (!firstTokenTs) firstTokenTs = ts;
+
+            this.emitEvent(res, 'token', { content: piece, fullResponse: fullText, ts });
+            try { this.conversationManager.saveIncremental(sessionId, userId, piece); } catch { }
+          }
+          usage = mergeUsage(usage, stepUsage);
+          if (signal?.aborted || functionCalls.length === 0) break;
+
+          contents.push({
+            role: 'model',
+            parts: [
+              ...(stepText ? [{ text: stepText }] : []),
+              ...functionCalls.map(functionCall => ({ functionCall }))
+            ]
+          });
+          const responses = [];
+          for (const [i, functionCall] of functionCalls.entries()) {
+            const call = { id: `call_${step}_${i}`, name: functionCall.name, arguments: functionCall.args || {} };
+            const output = await this.runToolCall(res, call, toolContext, toolSteps);
+            responses.push({ functionResponse: { name: functionCall.name, response: { content: output } } });
+          }
+          contents.push({ role: 'function', parts: responses });
         }
       } catch (streamErr) {
-        logger.warn('Gemini SDK streaming failed; falling back to non-streaming:', streamErr?.message);
+        if (!signal?.aborted) {
+          logger.warn('Gemini SDK streaming failed; falling back to non-streaming:', streamErr?.message);
+        }
       }
 
-      if (!streamedAny) {
+      if (!streamedAny && !signal?.aborted && toolSteps.length === 0) {
         // Fallback logic (simplified for brevity but retaining core)
-        const result = await model.generateContent(conversationText);
+        const result = await model.generateContent(imageParts.length ? { contents: [contents[0]] } : conversationText, { signal });
         const response = await result.response;
         fullText = response?.text() || '';
+        usage = fromGeminiUsage(response?.usageMetadata);
 
         if (!fullText) throw new Error('Gemini returned empty response');
 
         this.emitEvent(res, 'token', { content: fullText, fullResponse: fullText, ts: Date.now() });
       }
 
-      await this.conversationManager.saveMessage(sessionId, userId, message, fullText, modelId);
-      return fullText;
+      if (!usage) usage = estimateUsage(conversationText, fullText);
+
+      let structured;
+      if (route.responseFormat && !signal?.aborted) {
+        ({ text: fullText, usage, structured } = await this.enforceResponseFormat(res, route, fullText, usage, signal));
+      }
+
+      const saved = persist ? await this.conversationManager.saveMessage(sessionId, userId, message, fullText, modelId, 'text', {
+        truncated: Boolean(signal?.aborted),
+        usage,
+        toolSteps,
+        structured,
+        attachments,
+        sources,
+        ...branch
+      }) : null;
+      return { text: fullText, usage, saved, toolSteps, personalized, firstTokenAt: firstTokenTs || null };
     } catch (error) {
       logger.warn('Gemini streaming failed:', error?.message);
       throw error;
     }
   }
 
-  async resolveGeminiModel(preferredCandidates = []) {
-    if (this.resolvedGeminiModel) return this.resolvedGeminiModel;
-    const strip = (name) => (name || '').replace(/^models\//, '');
-    const normalize = (name) => strip((name || '').replace(/-latest$/, ''));
-    const baseCandidates = [
-      ...preferredCandidates,
-      'gemini-2.5-flash',
-      'gemini-2.0-flash'
-    ].filter(Boolean);
-    const candidates = baseCandidates.map(normalize);
-    this.resolvedGeminiModel = candidates[0] || 'gemini-2.0-flash';
-    return this.resolvedGeminiModel;
-  }
-
-  async generateImage({ route, message, conversation, userId, sessionId, res }) {
+  async generateImage({ route, message, conversation, userId, sessionId, userPlan, res, branch = {} }) {
     this.emitEvent(res, 'status', { message: 'Generating image...' });
 
     const imgOptions = {
@@ -351,11 +727,23 @@ class StreamingService {
     };
     if (route.imageQuality) imgOptions.quality = route.imageQuality;
 
-    const response = await this.clients.openai.images.generate(imgOptions);
+    const openaiClient = this.providerRegistry.getClient('openai');
+    if (!openaiClient) throw new Error('OpenAI client not initialized (missing API key)');
+
+    const response = await openaiClient.images.generate(imgOptions);
     const imageUrl = response.data[0].url;
 
+    await this.costLedger.recordImage({
+      userId,
+      chatId: sessionId,
+      model: route.primaryModel,
+      plan: userPlan,
+      size: imgOptions.size,
+      quality: imgOptions.quality || 'standard'
+    });
+
     this.emitEvent(res, 'image', { url: imageUrl, prompt: message });
-    await this.conversationManager.saveMessage(sessionId, userId, message, imageUrl, route.primaryModel, 'image');
+    await this.conversationManager.saveMessage(sessionId, userId, message, imageUrl, route.primaryModel, 'image', branch);
   }
 
   getSystemPrompt(route) {
@@ -0,0 +1,154 @@
+const { providerRegistry } = require('./providerRegistry.js');
+const logger = require('../config/logger.js');
+const { validateJsonSchema, checkSchemaPatterns, parseJsonText } = require('../utils/jsonSchema.js');
+const { fromOpenAIUsage, fromGeminiUsage } = require('../utils/tokenUsage.js');
+
+const MAX_SCHEMA_BYTES = 16 * 1024;
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Structured output: replies constrained to a caller-supplied JSON Schema.
+ *
+ * Only models with the `jsonMode` capability are used; those that also have
+ * `jsonSchema` get the schema as a native response format, the rest get JSON
+ * mode plus the schema in the system prompt. The final text is validated and,
+ * if it does not match, the same model gets exactly one repair attempt.
+ */
+class StructuredOutputService {
+  constructor(registry = providerRegistry) {
+    this.providerRegistry = registry;
+  }
+
+  /**
+   * Checks a schema supplied in a request body.
+   * @returns {string|null} Error message, or null when the schema is usable
+   */
+  validateRequestSchema(schema, name) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return 'responseSchema must be a JSON Schema object';
+    }
+    if (JSON.stringify(schema).length > MAX_SCHEMA_BYTES) {
+      return `responseSchema must be smaller than ${MAX_SCHEMA_BYTES} bytes`;
+    }
+    if (name !== undefined && !SCHEMA_NAME_PATTERN.test(String(name))) {
+      return 'schemaName may only contain letters, digits, _ and - (max 64)';
+    }
+    const patternError = checkSchemaPatterns(schema);
+    if (patternError) return `responseSchema has an unusable ${patternError}`;
+    return null;
+  }
+
+  supports(model) {
+    return this.providerRegistry.hasModel(model) && Boolean(this.providerRegistry.getCapabilities(model).jsonMode);
+  }
+
+  /**
+   * Keeps `preferred` when it supports structured output, otherwise picks the
+   * first candidate with native schema support, then any JSON-mode model.
+   * @param {string} preferred - Model the router chose
+   * @param {string[]} candidates - Models the user's plan may use
+   * @returns {string|null}
+   */
+  selectModel(preferred, candidates = []) {
+    if (this.supports(preferred)) return preferred;
+    const usable = candidates.filter(model => this.supports(model));
+    return usable.find(model => this.providerRegistry.getCapabilities(model).jsonSchema) || usable[0] || null;
+  }
+
+  buildInstructions(schema) {
+    return '\n\nRespond only with JSON that matches the JSON Schema below. ' +
+      'Do not wrap it in markdown code fences and do not add any other text.\n' +
+      `JSON Schema: ${JSON.stringify(schema)}`;
+  }
+
+  /**
+   * `response_format` for an OpenAI-compatible request.
+   */
+  responseFormat(model, schema, name = 'response') {
+    if (this.providerRegistry.getCapabilities(model).jsonSchema) {
+      return { type: 'json_schema', json_schema: { name, schema, strict: false } };
+    }
+    return { type: 'json_object' };
+  }
+
+  /**
+   * Parses and validates model output. A schema the validator cannot apply is
+   * reported as an error of the output instead of thrown.
+   * @returns {{valid: boolean, data: *, errors: string[], schemaFailed?: boolean}}
+   */
+  check(text, schema) {
+    const parsed = parseJsonText(text);
+    if (!parsed.ok) return { valid: false, data: null, errors: [parsed.error] };
+    try {
+      const errors = validateJsonSchema(schema, parsed.value);
+      return { valid: errors.length === 0, data: parsed.value, errors };
+    } catch (error) {
+      logger.warn('[StructuredOutput] Schema could not be applied:', error?.message);
+      return { valid: false, data: parsed.value, errors: [`Schema could not be applied: ${error?.message}`], schemaFailed: true };
+    }
+  }
+
+  /**
+   * One non-streaming JSON completion on `model`.
+   * @param {Array<{role: string, content: string}>} messages
+   * @returns {Promise<{text: string, usage: Object|null}>}
+   */
+  async complete(model, messages, { schema, name, signal } = {}) {
+    const resolved = this.providerRegistry.resolve(model);
+    const client = resolved ? this.providerRegistry.getClient(resolved.providerId) : null;
+    if (!client) throw new Error(`Model ${model} is not available`);
+
+    if (resolved.provider.adapter === 'gemini') {
+      const geminiModel = client.getGenerativeModel({
+        model: resolved.apiId,
+        generationConfig: { temperature: 0, responseMimeType: 'application/json' }
+      });
+      const text = messages.map(m => `${m.role === 'assistant' ? 'Assistant' : m.role === 'system' ? 'System' : 'User'}: ${m.content}`).join('\n\n');
+      const result = await geminiModel.generateContent({ contents: [{ role: 'user', parts: [{ text }] }] }, { signal });
+      const response = await result.response;
+      return { text: response?.text() || '', usage: fromGeminiUsage(response?.usageMetadata) };
+    }
+
+    const request = { model: resolved.apiId, messages, temperature: 0 };
+    if (schema) request.response_format = this.responseFormat(model, schema, name);
+    const completion = await client.chat.completions.create(request, { signal });
+    return { text: completion.choices[0]?.message?.content || '', usage: fromOpenAIUsage(completion.usage) };
+  }
+
+  /**
+   * Validates `text` and, when it does not match, asks the model once to fix it.
+   * Valid results come back re-serialized so stored replies are clean JSON.
+   * @returns {Promise<{text: string, valid: boolean, repaired: boolean, data: *, errors: string[], usage: Object|null}>}
+   */
+  async enforce({ model, schema, name, text, signal }) {
+    const first = this.check(text, schema);
+    if (first.valid) {
+      return { ...first, text: JSON.stringify(first.data, null, 2), repaired: false, usage: null };
+    }
+    // A repair cannot help when the schema itself is the problem
+    if (signal?.aborted || first.schemaFailed) return { ...first, text, repaired: false, usage: null };
+
+    try {
+      const { text: fixedText, usage } = await this.complete(model, [
+        { role: 'system', content: `You repair JSON so that it matches a JSON Schema.${this.buildInstructions(schema)}` },
+        { role: 'user', content: `Output to repair:\n${text}\n\nProblems:\n- ${first.errors.join('\n- ')}` }
+      ], { schema, name, signal });
+
+      const second = this.check(fixedText, schema);
+      if (second.valid) {
+        return { ...second, text: JSON.stringify(second.data, null, 2), repaired: true, usage };
+      }
+      return { ...second, text, repaired: false, usage };
+    } catch (error) {
+      logger.warn('[StructuredOutput] Repair attempt failed:', error?.message);
+      return { ...first, text, repaired: false, usage: null };
+    }
+  }
+}
+
+const structuredOutput = new StructuredOutputService();
+
+module.exports = {
+  StructuredOutputService,
+  structuredOutput
+};
@@ -0,0 +1,245 @@
+const supabase = require('../db/supabase/admin.js');
+const logger = require('../config/logger.js');
+const { providerRegistry } = require('./providerRegistry');
+const { providerHealth } = require('./providerHealthService');
+const costLedger = require('./costLedgerService');
+const conversationManager = require('./conversationManager');
+const { SYSTEM_PROMPT, STRATEGIES } = require('./summaryStrategies');
+const { JobQueue } = require('../utils/jobQueue');
+const { activePath } = require('../utils/messageTree');
+const { fromOpenAIUsage, fromGeminiUsage } = require('../utils/tokenUsage');
+const { countTokens, truncateToTokens } = require('../utils/tokenizer');
+
+// One message is never quoted past this many tokens in a summarizer prompt
+const MAX_MESSAGE_TOKENS = 1500;
+
+const readConfig = (env = process.env) => ({
+  enabled: env.SUMMARY_ENABLED !== 'false',
+  model: env.SUMMARY_MODEL || 'gpt-4o-mini',
+  strategy: env.SUMMARY_STRATEGY || 'incremental',
+  triggerMessages: parseInt(env.SUMMARY_TRIGGER_MESSAGES, 10) || 6,
+  maxInputTokens: parseInt(env.SUMMARY_MAX_INPUT_TOKENS, 10) || 8000,
+  maxOutputTokens: parseInt(env.SUMMARY_MAX_OUTPUT_TOKENS, 10) || 400
+});
+
+/**
+ * Background chat summarization.
+ *
+ * ConversationManager.saveMessage schedules a job per chat; jobs for the same
+ * chat collapse into one (see utils/jobQueue.js) and run off the request path.
+ * A job asks the configured strategy (services/summaryStrategies.js) whether
+ * the chat's active path has moved on enough since the latest summary
+ * version, and if so has SUMMARY_MODEL write a new one. Versions are kept in
+ * chat_summaries and the newest is copied to chats.summary, which
+ * ContextManager hands to the model. Summarizer calls are billed in the cost
+ * ledger as kind 'summary'.
+ */
+class SummarizationService {
+  constructor(registry = providerRegistry, ledger = costLedger, health = providerHealth, config = readConfig()) {
+    this.providerRegistry = registry;
+    this.costLedger = ledger;
+    this.providerHealth = health;
+    this.config = config;
+    this.strategies = new Map(Object.entries(STRATEGIES));
+    this.queue = new JobQueue('summaries', payload => this.summarize(payload));
+  }
+
+  /**
+   * Adds a strategy that SUMMARY_STRATEGY can name.
+   * @param {string} name
+   * @param {Object} strategy - { description, plan(context), buildPrompt(input) }
+   */
+  registerStrategy(name, strategy) {
+    if (typeof strategy?.plan !== 'function' || typeof strategy?.buildPrompt !== 'function') {
+      throw new Error(`Summary strategy ${name} needs plan and buildPrompt`);
+    }
+    this.strategies.set(name, strategy);
+  }
+
+  getStrategy() {
+    const strategy = this.strategies.get(this.config.strategy);
+    if (strategy) return strategy;
+    logger.warn(`[Summaries] Unknown strategy ${this.config.strategy}, using incremental`);
+    return this.strategies.get('incremental');
+  }
+
+  /**
+   * Queues a summary check for a chat after a message was saved. Never throws.
+   */
+  schedule(chatId, userId) {
+    if (!this.config.enabled || !conversationManager.isValidUuid(chatId) || !userId) return false;
+    return this.queue.add(chatId, { chatId, userId });
+  }
+
+  async getLatestVersion(chatId) {
+    const { data, error } = await supabase
+      .from('chat_summaries')
+      .select('*')
+      .eq('chat_id', chatId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Summary versions of a chat, newest first.
+   */
+  async listVersions(chatId, userId) {
+    const { data, error } = await supabase
+      .from('chat_summaries')
+      .select('version, summary, strategy, model, message_count, created_at')
+      .eq('chat_id', chatId)
+      .eq('user_id', userId)
+      .order('version', { ascending: false });
+    if (error) throw error;
+    return (data || []).map(row => ({
+      version: row.version,
+      summary: row.summary,
+      strategy: row.strategy,
+      model: row.model,
+      messageCount: row.message_count,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Writes a new summary version when the strategy asks for one.
+   * Errors are thrown so the queue retries the job.
+   * @returns {Promise<Object|null>} The saved version row, null when none was due
+   */
+  async summarize({ chatId, userId }) {
+    const conversation = await conversationManager.getConversation(chatId, userId);
+    const path = activePath(conversation.messages || []).filter(message => message.role !== 'system');
+    if (path.length === 0) return null;
+
+    // A version only counts as a base when it covers a message on the current branch
+    const stored = await this.getLatestVersion(chatId);
+    const coveredAt = stored ? path.findIndex(message => message.id === stored.last_message_id) : -1;
+    const latest = coveredAt >= 0 ? stored : null;
+    const pending = path.slice(coveredAt + 1);
+
+    const strategy = this.getStrategy();
+    const plan = strategy.plan({ path, pending, latest, config: this.config });
+    if (!plan || plan.messages.length === 0) return null;
+
+    const prompt = strategy.buildPrompt({
+      previousSummary: plan.previousSummary,
+      transcript: this.formatTranscript(plan.messages, this.config.maxInputTokens - countTokens(plan.previousSummary))
+    });
+    const { text, usage } = await this.complete(prompt);
+    if (!text) throw new Error('The summarizer returned an empty summary');
+
+    const { data: version, error } = await supabase
+      .from('chat_summaries')
+      .insert({
+        chat_id: chatId,
+        user_id: userId,
+        version: (stored?.version || 0) + 1,
+        summary: text,
+        strategy: this.config.strategy,
+        model: this.config.model,
+        last_message_id: path[path.length - 1].id,
+        message_count: path.length,
+        prompt_tokens: usage?.promptTokens || 0,
+        completion_tokens: usage?.completionTokens || 0
+      })
+      .select('*')
+      .single();
+    if (error) throw error;
+
+    await conversationManager.updateSummary(chatId, text);
+    this.costLedger.recordCompletion({ userId, chatId, model: this.config.model, usage, kind: 'summary' });
+
+    logger.info('[Summaries] Chat summarized', {
+      chatId,
+      version: version.version,
+      strategy: this.config.strategy,
+      messages: plan.messages.length
+    });
+    return version;
+  }
+
+  /**
+   * "User: ..." / "Assistant: ..." lines; when they exceed `maxTokens` the
+   * oldest are left out, and a single long message is cut.
+   */
+  formatTranscript(messages, maxTokens) {
+    const lines = [];
+    let total = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const { role, content } = messages[i];
+      const line = `${role === 'assistant' ? 'Assistant' : 'User'}: ${truncateToTokens(content, MAX_MESSAGE_TOKENS)}`;
+      const tokens = countTokens(line) + 1;
+      if (lines.length > 0 && total + tokens > maxTokens) break;
+      total += tokens;
+      lines.unshift(line);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * One non-streaming call to the summarizer model.
+   * @returns {Promise<{text: string, usage: Object|null}>}
+   */
+  async complete(prompt) {
+    const { model, maxOutputTokens } = this.config;
+    const resolved = this.providerRegistry.resolve(model);
+    const client = resolved ? this.providerRegistry.getClient(resolved.providerId) : null;
+    if (!client) throw new Error(`Summary model ${model} is not available`);
+    if (!this.providerHealth.isAvailable(model)) {
+      throw new Error(`Summary model ${model} is skipped while its provider recovers`);
+    }
+
+    const start = Date.now();
+    try {
+      let result;
+      if (resolved.provider.adapter === 'gemini') {
+        const generative = client.getGenerativeModel({
+          model: resolved.apiId,
+          systemInstruction: SYSTEM_PROMPT,
+          generationConfig: { temperature: 0.2, maxOutputTokens }
+        });
+        const { response } = await generative.generateContent(prompt);
+        result = { text: response.text().trim(), usage: fromGeminiUsage(response.usageMetadata) };
+      } else {
+        const completion = await client.chat.completions.create({
+          model: resolved.apiId,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: prompt }
+          ],
+          temperature: 0.2,
+          max_tokens: maxOutputTokens
+        });
+        result = {
+          text: (completion.choices?.[0]?.message?.content || '').trim(),
+          usage: fromOpenAIUsage(completion.usage)
+        };
+      }
+      this.providerHealth.recordSuccess(model, Date.now() - start);
+      return result;
+    } catch (error) {
+      this.providerHealth.recordFailure(model, error);
+      throw error;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.config.enabled,
+      model: this.config.model,
+      strategy: this.config.strategy,
+      queue: this.queue.getStats()
+    };
+  }
+}
+
+const summarization = new SummarizationService();
+
+module.exports = {
+  SummarizationService,
+  summarization,
+  readConfig
+};
@@ -0,0 +1,47 @@
+/**
+ * Summarization strategies used by the background summarizer
+ * (services/summarizationService.js), selected with SUMMARY_STRATEGY.
+ *
+ * A strategy decides when a chat needs a new summary version and what the
+ * summarizer model is asked. `plan` receives the chat's active path, the
+ * messages on it that the latest version does not cover yet (`pending`) and
+ * that version (null when there is none or it covers another branch), and
+ * returns { previousSummary, messages } to summarize, or null to skip.
+ * `buildPrompt` turns that into the user prompt sent after SYSTEM_PROMPT.
+ */
+
+const SYSTEM_PROMPT = 'You maintain a running summary of a conversation between a user and an AI assistant. ' +
+  'The assistant reads it in later turns instead of the older messages, so keep what it needs to carry on: ' +
+  "the user's goals, facts and preferences they stated, decisions made, open questions, and names, numbers " +
+  'or code that will be referred to again. Drop small talk and anything already resolved. ' +
+  'Write in the third person, as terse prose or bullet points, in at most 250 words. ' +
+  'Output only the summary, with no preamble.';
+
+const incremental = {
+  description: 'Folds the messages since the last version into it',
+  plan({ path, pending, latest, config }) {
+    if (pending.length < config.triggerMessages) return null;
+    return latest
+      ? { previousSummary: latest.summary, messages: pending }
+      : { previousSummary: null, messages: path };
+  },
+  buildPrompt({ previousSummary, transcript }) {
+    return `Current summary:\n${previousSummary || 'None yet.'}\n\nNew messages:\n${transcript}\n\nReturn the updated summary.`;
+  }
+};
+
+const full = {
+  description: 'Summarizes the whole conversation again each time',
+  plan({ path, pending, config }) {
+    if (pending.length < config.triggerMessages) return null;
+    return { previousSummary: null, messages: path };
+  },
+  buildPrompt({ transcript }) {
+    return `Conversation:\n${transcript}\n\nReturn the summary.`;
+  }
+};
+
+module.exports = {
+  SYSTEM_PROMPT,
+  STRATEGIES: { incremental, full }
+};
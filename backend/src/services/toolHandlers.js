@@ -0,0 +1,69 @@
+const supabase = require('../db/supabase/admin.js');
+const enhancedQdrantService = require('./enhancedQdrantService.js');
+const memoryService = require('./memoryService.js');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+const SNIPPET_RADIUS = 120;
+
+const clampLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Escape LIKE wildcards so the query is matched literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+const snippetAround = (content, query) => {
+  const text = String(content || '');
+  const at = text.toLowerCase().indexOf(query.toLowerCase());
+  if (at === -1 || text.length <= SNIPPET_RADIUS * 2) return text.slice(0, SNIPPET_RADIUS * 2);
+  const start = Math.max(at - SNIPPET_RADIUS, 0);
+  const end = Math.min(at + query.length + SNIPPET_RADIUS, text.length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Executors for the tools declared in config/tools.js, keyed by tool name.
+ * Each receives validated arguments and { userId, sessionId, plan, signal }
+ * and resolves to a JSON-serializable result. Every query is scoped to the
+ * calling user.
+ */
+const toolHandlers = {
+  async search_chats({ query, limit }, { userId }) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('chat_id, role, content, created_at, chats(title)')
+      .eq('user_id', userId)
+      .ilike('content', `%${escapeLike(query)}%`)
+      .order('created_at', { ascending: false })
+      .limit(clampLimit(limit));
+    if (error) throw new Error(error.message || 'Chat search failed');
+
+    return {
+      matches: (data || []).map(row => ({
+        chatId: row.chat_id,
+        chatTitle: row.chats?.title || null,
+        role: row.role,
+        snippet: snippetAround(row.content, query),
+        createdAt: row.created_at
+      }))
+    };
+  },
+
+  async search_knowledge({ query, limit }, { userId }) {
+    const results = await enhancedQdrantService.searchSimilarQueries(userId, query, clampLimit(limit));
+    return {
+      results: (results || []).map(result => ({
+        question: result.query,
+        answer: result.context?.response || null,
+        similarity: result.similarity,
+        timestamp: result.timestamp
+      }))
+    };
+  },
+
+  // Only proposes the memory; it is used once the user approves it
+  async remember({ content }, { userId, sessionId }) {
+    return memoryService.propose(userId, content, sessionId || null);
+  }
+};
+
+module.exports = toolHandlers;
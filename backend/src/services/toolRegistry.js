@@ -0,0 +1,199 @@
+const logger = require('../config/logger.js');
+const { TOOLS } = require('../config/tools.js');
+const toolHandlers = require('./toolHandlers.js');
+
+// Keys Gemini's function declarations accept inside a schema
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required'];
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+};
+
+/**
+ * Registry of tools the assistant can call while streaming a reply.
+ *
+ * Tools are declared in config/tools.js (name, description, JSON-schema
+ * parameters, allowed plans) and executed by the handler of the same name.
+ * Execution never throws: failures come back as `{ ok: false, error }` so the
+ * model can read the error and carry on.
+ */
+class ToolRegistry {
+  constructor(tools = TOOLS, handlers = toolHandlers) {
+    this.tools = new Map();
+    this.timeoutMs = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 10000;
+    this.maxResultChars = parseInt(process.env.TOOL_MAX_RESULT_CHARS, 10) || 8000;
+
+    for (const tool of tools) {
+      this.register(tool, handlers[tool.name]);
+    }
+  }
+
+  /**
+   * Adds a tool declaration and the function that runs it.
+   * @param {Object} tool - Declaration (see config/tools.js)
+   * @param {Function} handler - async (args, context) => result
+   */
+  register(tool, handler) {
+    if (!tool || !tool.name) throw new Error('Tool declaration requires a name');
+    if (typeof handler !== 'function') throw new Error(`Tool ${tool.name} has no handler`);
+    if (this.tools.has(tool.name)) throw new Error(`Tool ${tool.name} is already registered`);
+
+    this.tools.set(tool.name, {
+      ...tool,
+      plans: tool.plans || ['free', 'plus', 'pro'],
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      handler
+    });
+  }
+
+  isAllowed(name, plan = 'free') {
+    const tool = this.tools.get(name);
+    return Boolean(tool && tool.plans.includes(plan));
+  }
+
+  /**
+   * Tools a subscription plan may use.
+   */
+  listForPlan(plan = 'free') {
+    return [...this.tools.values()].filter(tool => tool.plans.includes(plan));
+  }
+
+  /**
+   * `tools` for an OpenAI-compatible chat completion request.
+   */
+  toOpenAITools(plan) {
+    return this.listForPlan(plan).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * `tools` for a Gemini model; unsupported schema keywords are dropped.
+   */
+  toGeminiTools(plan) {
+    const declarations = this.listForPlan(plan).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: this.toGeminiSchema(tool.parameters)
+    }));
+    return declarations.length ? [{ functionDeclarations: declarations }] : [];
+  }
+
+  toGeminiSchema(schema) {
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+      if (schema[key] === undefined) continue;
+      if (key === 'properties') {
+        result.properties = Object.fromEntries(
+          Object.entries(schema.properties).map(([name, prop]) => [name, this.toGeminiSchema(prop)])
+        );
+      } else if (key === 'items') {
+        result.items = this.toGeminiSchema(schema.items);
+      } else {
+        result[key] = schema[key];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Checks arguments against a tool's parameter schema (required keys, types
+   * and enums of top-level properties).
+   * @returns {string|null} Error message, or null when the arguments are valid
+   */
+  validateArgs(tool, args) {
+    if (!matchesType(args, 'object')) return 'Arguments must be a JSON object';
+    const { properties = {}, required = [] } = tool.parameters;
+
+    for (const key of required) {
+      if (args[key] === undefined || args[key] === null || args[key] === '') {
+        return `Missing required argument "${key}"`;
+      }
+    }
+    for (const [key, value] of Object.entries(args)) {
+      const schema = properties[key];
+      if (!schema) continue;
+      if (schema.type && !matchesType(value, schema.type)) {
+        return `Argument "${key}" must be of type ${schema.type}`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `Argument "${key}" must be one of ${schema.enum.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Runs a tool call requested by the model.
+   * @param {string} name - Tool name
+   * @param {string|Object} rawArgs - JSON string (OpenAI) or object (Gemini)
+   * @param {Object} context - { userId, sessionId, plan, signal }
+   * @returns {Promise<{ok: boolean, args: Object|null, result?: *, error?: string, durationMs: number}>}
+   */
+  async execute(name, rawArgs, context = {}) {
+    const start = Date.now();
+    const fail = (error, args = null) => ({ ok: false, args, error, durationMs: Date.now() - start });
+
+    const tool = this.tools.get(name);
+    if (!tool) return fail(`Unknown tool "${name}"`);
+    if (!tool.plans.includes(context.plan || 'free')) {
+      return fail(`Tool "${name}" is not available on the ${context.plan || 'free'} plan`);
+    }
+
+    let args = rawArgs;
+    if (typeof rawArgs === 'string') {
+      try {
+        args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+      } catch {
+        return fail('Arguments are not valid JSON');
+      }
+    }
+    args = args || {};
+
+    const invalid = this.validateArgs(tool, args);
+    if (invalid) return fail(invalid, args);
+
+    let timer;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const result = await Promise.race([tool.handler(args, context), timeout]);
+      return { ok: true, args, result, durationMs: Date.now() - start };
+    } catch (error) {
+      logger.warn(`[ToolRegistry] Tool ${name} failed:`, error?.message || error);
+      return fail(error?.message || 'Tool failed', args);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Serializes an execution outcome for the model, capped at maxResultChars.
+   */
+  formatForModel(outcome) {
+    const payload = JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error });
+    if (payload.length <= this.maxResultChars) return payload;
+    return `${payload.slice(0, this.maxResultChars)}… [truncated]`;
+  }
+}
+
+const toolRegistry = new ToolRegistry();
+
+module.exports = {
+  ToolRegistry,
+  toolRegistry
+};
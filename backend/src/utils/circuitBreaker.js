@@ -0,0 +1,143 @@
+/**
+ * Circuit breaker for calls to an upstream service (see
+ * frontend/src/utils/circuitBreaker.ts for the client-side counterpart).
+ *
+ * Failures are counted over a sliding window rather than reset by the next
+ * success, so a provider that fails every other request still trips it.
+ * Besides errors it understands rate limits (honouring Retry-After) and slow
+ * calls, which count as failures once they exceed `slowCallThreshold`.
+ */
+
+const CircuitState = {
+  CLOSED: 'CLOSED',       // Normal operation
+  OPEN: 'OPEN',           // Requests are skipped until the recovery timeout
+  HALF_OPEN: 'HALF_OPEN'  // Requests go through to test whether the service recovered
+};
+
+const FAILURE_KINDS = ['error', 'rate_limit', 'slow'];
+
+const DEFAULT_CONFIG = {
+  failureThreshold: 5,      // Failures within the monitoring period that open the circuit
+  recoveryTimeout: 30000,   // Time to wait before trying again (ms)
+  monitoringPeriod: 60000,  // Time window for counting failures (ms)
+  successThreshold: 2,      // Successes needed to close the circuit from half-open
+  slowCallThreshold: 30000, // Calls slower than this count as failures (ms)
+  latencySamples: 20        // Recent latencies kept for the average
+};
+
+class CircuitBreaker {
+  constructor(config = {}, now = Date.now) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.now = now;
+    this.reset();
+  }
+
+  /**
+   * Current state; an open circuit becomes half-open once its recovery
+   * timeout has passed.
+   */
+  getState() {
+    if (this.state === CircuitState.OPEN && this.now() >= this.retryAt) {
+      this.state = CircuitState.HALF_OPEN;
+      this.successCount = 0;
+    }
+    return this.state;
+  }
+
+  canRequest() {
+    return this.getState() !== CircuitState.OPEN;
+  }
+
+  /**
+   * Records a completed call. Calls slower than `slowCallThreshold` are
+   * recorded as `slow` failures instead.
+   * @param {number} [latencyMs]
+   */
+  onSuccess(latencyMs) {
+    if (Number.isFinite(latencyMs)) {
+      this.latencies = [...this.latencies, latencyMs].slice(-this.config.latencySamples);
+      if (latencyMs >= this.config.slowCallThreshold) {
+        this.onFailure('slow', { message: `Call took ${latencyMs}ms` });
+        return;
+      }
+    }
+
+    this.totals.successes++;
+    if (this.getState() === CircuitState.HALF_OPEN) {
+      this.successCount++;
+      if (this.successCount >= this.config.successThreshold) {
+        this.state = CircuitState.CLOSED;
+        this.successCount = 0;
+        this.failures = [];
+        this.openedAt = null;
+        this.retryAt = 0;
+      }
+    }
+  }
+
+  /**
+   * Records a failed call. A failure while half-open reopens the circuit; a
+   * rate limit with a Retry-After opens it for at least that long.
+   * @param {string} [kind] - 'error', 'rate_limit' or 'slow'
+   * @param {Object} [details] - { message, retryAfterMs }
+   */
+  onFailure(kind = 'error', { message = null, retryAfterMs = 0 } = {}) {
+    const at = this.now();
+    this.failures = this.failures.filter(failure => at - failure.at < this.config.monitoringPeriod);
+    this.failures.push({ at, kind });
+    this.lastFailure = { at, kind, message };
+    this.totals[kind] = (this.totals[kind] || 0) + 1;
+
+    const state = this.getState();
+    if (
+      state === CircuitState.HALF_OPEN ||
+      this.failures.length >= this.config.failureThreshold ||
+      (kind === 'rate_limit' && retryAfterMs > 0)
+    ) {
+      this.state = CircuitState.OPEN;
+      this.successCount = 0;
+      this.openedAt = at;
+      this.retryAt = Math.max(this.retryAt, at + Math.max(this.config.recoveryTimeout, retryAfterMs));
+    }
+  }
+
+  getStats() {
+    const at = this.now();
+    const recent = this.failures.filter(failure => at - failure.at < this.config.monitoringPeriod);
+    const failuresByKind = Object.fromEntries(FAILURE_KINDS.map(kind => [
+      kind,
+      recent.filter(failure => failure.kind === kind).length
+    ]));
+
+    return {
+      state: this.getState(),
+      failureCount: recent.length,
+      failuresByKind,
+      successCount: this.successCount,
+      openedAt: this.openedAt,
+      retryAt: this.state === CircuitState.CLOSED ? null : this.retryAt,
+      lastFailure: this.lastFailure,
+      avgLatencyMs: this.latencies.length
+        ? Math.round(this.latencies.reduce((sum, latency) => sum + latency, 0) / this.latencies.length)
+        : null,
+      totals: { ...this.totals }
+    };
+  }
+
+  reset() {
+    this.state = CircuitState.CLOSED;
+    this.successCount = 0;
+    this.failures = [];
+    this.latencies = [];
+    this.openedAt = null;
+    this.retryAt = 0;
+    this.lastFailure = null;
+    this.totals = { successes: 0, error: 0, rate_limit: 0, slow: 0 };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitState,
+  DEFAULT_CONFIG
+};
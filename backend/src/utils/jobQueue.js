@@ -0,0 +1,153 @@
+/**
+ * In-process background job queue.
+ *
+ * Jobs are keyed: adding a job whose key is already waiting replaces its
+ * payload instead of queueing a second run, so a burst of triggers (e.g. one
+ * per saved message) collapses into one job. A key that is running when it is
+ * added again runs once more after it finishes. Failed jobs are retried with
+ * exponential backoff. Jobs live in memory only; a restart drops the ones
+ * still waiting, so handlers must be safe to skip.
+ */
+
+const logger = require('../config/logger.js');
+
+const DEFAULT_CONFIG = {
+  concurrency: 1,       // Jobs run at the same time
+  maxAttempts: 3,       // Runs of a job before it is dropped
+  retryDelayMs: 2000,   // Delay before the first retry, doubled on each one
+  maxPending: 1000      // Waiting jobs kept; new keys beyond this are dropped
+};
+
+class JobQueue {
+  /**
+   * @param {string} name - For logs
+   * @param {Function} handler - async (payload) => result
+   * @param {Object} [config] - See DEFAULT_CONFIG
+   */
+  constructor(name, handler, config = {}) {
+    this.name = name;
+    this.handler = handler;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.pending = new Map();  // key -> { payload, attempt }
+    this.running = new Set();
+    this.rerun = new Map();    // key -> payload added while the key was running
+    this.timers = new Set();
+    this.idleWaiters = [];
+    this.stats = { added: 0, coalesced: 0, completed: 0, failed: 0, retried: 0, dropped: 0 };
+  }
+
+  /**
+   * Queues a job. Never throws.
+   * @returns {boolean} false when the queue is full and the job was dropped
+   */
+  add(key, payload) {
+    this.stats.added++;
+    if (this.running.has(key)) {
+      if (this.rerun.has(key)) this.stats.coalesced++;
+      this.rerun.set(key, payload);
+      return true;
+    }
+    if (this.pending.has(key)) {
+      this.stats.coalesced++;
+      this.pending.get(key).payload = payload;
+      return true;
+    }
+    if (this.pending.size >= this.config.maxPending) {
+      this.stats.dropped++;
+      logger.warn(`[JobQueue:${this.name}] Queue full, dropping job ${key}`);
+      return false;
+    }
+    this.pending.set(key, { payload, attempt: 1 });
+    this.schedule();
+    return true;
+  }
+
+  schedule() {
+    setImmediate(() => this.next());
+  }
+
+  next() {
+    while (this.running.size < this.config.concurrency) {
+      const entry = [...this.pending.entries()].find(([key]) => !this.running.has(key));
+      if (!entry) break;
+      const [key, job] = entry;
+      this.pending.delete(key);
+      this.run(key, job);
+    }
+    this.notifyIfIdle();
+  }
+
+  async run(key, job) {
+    this.running.add(key);
+    try {
+      await this.handler(job.payload);
+      this.stats.completed++;
+    } catch (error) {
+      if (job.attempt < this.config.maxAttempts && !this.rerun.has(key)) {
+        this.stats.retried++;
+        const delay = this.config.retryDelayMs * 2 ** (job.attempt - 1);
+        logger.warn(`[JobQueue:${this.name}] Job ${key} failed (attempt ${job.attempt}), retrying in ${delay}ms:`, error?.message || error);
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          if (!this.pending.has(key)) this.pending.set(key, { payload: job.payload, attempt: job.attempt + 1 });
+          this.next();
+        }, delay);
+        if (typeof timer.unref === 'function') timer.unref();
+        this.timers.add(timer);
+      } else {
+        this.stats.failed++;
+        logger.error(`[JobQueue:${this.name}] Job ${key} failed after ${job.attempt} attempt(s):`, error?.message || error);
+      }
+    } finally {
+      this.running.delete(key);
+      if (this.rerun.has(key)) {
+        this.pending.set(key, { payload: this.rerun.get(key), attempt: 1 });
+        this.rerun.delete(key);
+      }
+      this.next();
+    }
+  }
+
+  isIdle() {
+    return this.pending.size === 0 && this.running.size === 0 && this.timers.size === 0;
+  }
+
+  notifyIfIdle() {
+    if (!this.isIdle()) return;
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Resolves once no job is waiting, running or due for a retry.
+   */
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      pending: this.pending.size,
+      running: this.running.size,
+      retrying: this.timers.size,
+      ...this.stats
+    };
+  }
+
+  // Drops waiting jobs and retries; running jobs finish
+  clear() {
+    this.pending.clear();
+    this.rerun.clear();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.notifyIfIdle();
+  }
+}
+
+module.exports = {
+  JobQueue,
+  DEFAULT_CONFIG
+};
@@ -0,0 +1,172 @@
+/**
+ * JSON Schema Utilities
+ * A small validator for the subset of JSON Schema used for structured output:
+ * type (incl. type arrays and "null"), enum, const, properties, required,
+ * additionalProperties, items, min/maxItems, min/maxLength, pattern,
+ * minimum/maximum, anyOf and oneOf. Unknown keywords are ignored.
+ */
+
+const MAX_PATTERN_LENGTH = 256;
+
+// A repeated group that itself contains a repetition, e.g. (a+)+ or (\w+\s?)*,
+// can backtrack exponentially on a non-matching string
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[*+]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,\d*\})/;
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {string} [path='$'] - Location used in error messages
+ * @returns {string[]} Error messages; empty when the value is valid
+ */
+const validateJsonSchema = (schema, value, path = '$') => {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be of type ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(properties[key], child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(schema.additionalProperties, child, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(option, value, path).length === 0)) {
+    errors.push(`${path} must match at least one allowed schema`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(option => validateJsonSchema(option, value, path).length === 0).length !== 1) {
+    errors.push(`${path} must match exactly one allowed schema`);
+  }
+
+  return errors;
+};
+
+// Schemas nested in `schema` that validateJsonSchema descends into
+const subschemas = (schema) => [
+  ...(schema.properties && typeof schema.properties === 'object' ? Object.values(schema.properties) : []),
+  ...(schema.additionalProperties && typeof schema.additionalProperties === 'object' ? [schema.additionalProperties] : []),
+  ...(schema.items ? [schema.items] : []),
+  ...(Array.isArray(schema.anyOf) ? schema.anyOf : []),
+  ...(Array.isArray(schema.oneOf) ? schema.oneOf : [])
+];
+
+/**
+ * Checks every `pattern` in a schema, nested ones included, before the schema
+ * is used: each must compile, stay under MAX_PATTERN_LENGTH characters and
+ * not nest quantifiers, since model output is matched against it.
+ * @param {Object} schema - JSON Schema
+ * @returns {string|null} Error message, or null when every pattern is usable
+ */
+const checkSchemaPatterns = (schema) => {
+  if (!schema || typeof schema !== 'object') return null;
+
+  if (schema.pattern !== undefined) {
+    const { pattern } = schema;
+    if (typeof pattern !== 'string') return 'pattern must be a string';
+    if (pattern.length > MAX_PATTERN_LENGTH) return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+    try {
+      new RegExp(pattern);
+    } catch {
+      return `pattern ${JSON.stringify(pattern)} is not a valid regular expression`;
+    }
+    if (NESTED_QUANTIFIER.test(pattern)) return `pattern ${JSON.stringify(pattern)} must not nest quantifiers`;
+  }
+
+  for (const child of subschemas(schema)) {
+    const error = checkSchemaPatterns(child);
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Extracts JSON from model output, tolerating a ```json fence or prose around
+ * a single top-level object/array.
+ * @returns {{ok: boolean, value?: *, error?: string}}
+ */
+const parseJsonText = (text) => {
+  const raw = String(text || '').trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1].trim() : raw];
+
+  const start = raw.search(/[{[]/);
+  const end = Math.max(raw.lastIndexOf('}'), raw.lastIndexOf(']'));
+  if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch { }
+  }
+  return { ok: false, error: 'Response is not valid JSON' };
+};
+
+module.exports = {
+  validateJsonSchema,
+  checkSchemaPatterns,
+  parseJsonText
+};
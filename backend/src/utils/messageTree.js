@@ -0,0 +1,109 @@
+/**
+ * Message Tree Utilities
+ * chat_messages form a tree through parent_message_id: a user message points at
+ * the assistant reply it follows (null for the first message), an assistant
+ * reply at the user message it answers. Editing a user message or regenerating
+ * a reply adds a sibling instead of overwriting, so every branch is kept.
+ *
+ * The active path is the path to the newest message: sending into a branch
+ * makes it the one a chat opens on. Messages whose parent is not in the list
+ * (older pages) are treated as roots.
+ */
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+/**
+ * @param {Array} messages - Rows with id, parent_message_id and created_at
+ * @returns {{byId: Map, children: Map}} `children` maps a parent id (null for roots) to its children, oldest first
+ */
+const indexMessages = (messages = []) => {
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const children = new Map();
+  for (const message of [...messages].sort(byCreatedAt)) {
+    const parentId = byId.has(message.parent_message_id) ? message.parent_message_id : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(message);
+  }
+  return { byId, children };
+};
+
+/**
+ * Messages from the root down to `messageId` (inclusive).
+ * @returns {Array} Empty when the message is unknown
+ */
+const pathTo = (messages, messageId, index = indexMessages(messages)) => {
+  const path = [];
+  const seen = new Set();
+  let current = index.byId.get(messageId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current);
+    current = index.byId.get(current.parent_message_id);
+  }
+  return path;
+};
+
+/**
+ * Newest message in the subtree of `messageId` (or in the whole chat), which
+ * is always a leaf since children are created after their parents.
+ */
+const newestDescendant = (messages, messageId = null, index = indexMessages(messages)) => {
+  let newest = messageId ? index.byId.get(messageId) : null;
+  const pending = [...(index.children.get(messageId) || [])];
+  while (pending.length) {
+    const message = pending.pop();
+    if (!newest || byCreatedAt(message, newest) > 0) newest = message;
+    pending.push(...(index.children.get(message.id) || []));
+  }
+  return newest;
+};
+
+/**
+ * The conversation shown for a chat: the path to the newest message, or to the
+ * newest message below `fromId` when a branch was picked.
+ * Rows without ids (conversations cached before branching) are returned as is.
+ */
+const activePath = (messages = [], fromId = null) => {
+  if (!messages.every(message => message.id)) return messages;
+  const index = indexMessages(messages);
+  const leaf = newestDescendant(messages, fromId && index.byId.has(fromId) ? fromId : null, index);
+  return leaf ? pathTo(messages, leaf.id, index) : [];
+};
+
+/**
+ * Adds `siblingIds`, `branchIndex` (0-based) and `branchCount` to each message,
+ * for "< 2/3 >" controls.
+ */
+const withBranchInfo = (path, messages) => {
+  const index = indexMessages(messages);
+  return path.map(message => {
+    const parentId = index.byId.has(message.parent_message_id) ? message.parent_message_id : null;
+    const siblingIds = (index.children.get(parentId) || []).map(sibling => sibling.id);
+    return {
+      ...message,
+      siblingIds,
+      branchIndex: Math.max(siblingIds.indexOf(message.id), 0),
+      branchCount: Math.max(siblingIds.length, 1)
+    };
+  });
+};
+
+/**
+ * Flat tree: every message with the ids of its children.
+ */
+const buildTree = (messages = []) => {
+  const index = indexMessages(messages);
+  return [...messages].sort(byCreatedAt).map(message => ({
+    ...message,
+    children: (index.children.get(message.id) || []).map(child => child.id)
+  }));
+};
+
+module.exports = {
+  indexMessages,
+  pathTo,
+  newestDescendant,
+  activePath,
+  withBranchInfo,
+  buildTree
+};
@@ -0,0 +1,200 @@
+/**
+ * Router Evaluation
+ * Replays a labelled dataset through the model routers and scores their picks
+ * (used by scripts/evaluate-router.js).
+ *
+ * The dataset is JSONL, one case per line:
+ *   { "query": "Fix this stack trace", "expected": ["codestral", "qwen"], "plan": "free",
+ *     "routerReply": "{\"model\":\"qwen\"}", "completionTokens": 600 }
+ * `expected` lists the acceptable models. `routerReply` is what the stubbed
+ * router LLM answers for the case (e.g. copied from production logs); cases
+ * without one get the stub's default answer. Costs are estimates from
+ * config/pricing.js: the reply (chars/4 prompt, `completionTokens` output)
+ * plus, for the LLM router, its own routing call.
+ */
+
+const { getTokenPrice } = require('../config/pricing.js');
+const { estimateUsage } = require('./tokenUsage.js');
+
+const DEFAULT_COMPLETION_TOKENS = 400;
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * @param {string} text - JSONL contents; blank lines are skipped
+ * @returns {Array<{query: string, expected: string[], plan: string, routerReply?: string, completionTokens?: number}>}
+ * @throws {Error} With the line number of the first invalid case
+ */
+const parseDataset = (text) => {
+  const cases = [];
+  String(text || '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${index + 1}: invalid JSON`);
+    }
+    const expected = Array.isArray(entry.expected) ? entry.expected : [entry.expected];
+    if (typeof entry.query !== 'string' || !entry.query.trim()) {
+      throw new Error(`Line ${index + 1}: "query" must be a non-empty string`);
+    }
+    if (!expected.length || expected.some(model => typeof model !== 'string' || !model)) {
+      throw new Error(`Line ${index + 1}: "expected" must be a model name or a list of them`);
+    }
+    cases.push({
+      query: entry.query,
+      expected,
+      plan: String(entry.plan || 'free').toLowerCase(),
+      routerReply: typeof entry.routerReply === 'string' ? entry.routerReply : undefined,
+      completionTokens: Number.isFinite(entry.completionTokens) ? entry.completionTokens : undefined
+    });
+  });
+  return cases;
+};
+
+/**
+ * Provider registry stand-in for EnhancedRouterService: every model resolves
+ * to an in-process client that answers the router prompt without a network call.
+ * @param {Object} options
+ * @param {Map<string, string>} options.replies - Query -> raw router answer
+ * @param {string} options.defaultModel - Picked for queries without a reply
+ * @param {number} [options.latencyMs] - Simulated response time of the router LLM
+ */
+const createStubRegistry = ({ replies = new Map(), defaultModel, latencyMs = 0 }) => {
+  const client = {
+    chat: {
+      completions: {
+        create: async (request) => {
+          if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+          const query = request.messages.find(message => message.role === 'user')?.content || '';
+          const content = replies.get(query) ?? JSON.stringify({ model: defaultModel });
+          const usage = estimateUsage(request.messages.map(message => message.content).join('\n'), content);
+          return {
+            choices: [{ message: { role: 'assistant', content } }],
+            usage: {
+              prompt_tokens: usage.promptTokens,
+              completion_tokens: usage.completionTokens,
+              total_tokens: usage.totalTokens
+            }
+          };
+        }
+      }
+    }
+  };
+
+  return {
+    resolve: (model) => ({ id: model, providerId: 'stub', apiId: model, capabilities: { jsonMode: true } }),
+    getClient: () => client,
+    listModels: () => [],
+    hasModel: () => true
+  };
+};
+
+/**
+ * Reply cost of a pick: prompt estimated from the query, fixed completion length.
+ * @returns {number|null} USD, null for a model without a price
+ */
+const estimateAnswerCost = (model, query, completionTokens = DEFAULT_COMPLETION_TOKENS) => {
+  const price = getTokenPrice(model);
+  if (!price) return null;
+  const { promptTokens } = estimateUsage(query, '');
+  return roundUsd((promptTokens * price.input + completionTokens * price.output) / 1e6);
+};
+
+/**
+ * Runs every case through every router.
+ * @param {Array} cases - From parseDataset
+ * @param {Array<{name: string, route: Function}>} routers - `route(query, plan)` resolves to
+ *   { model, routerCostUsd? }
+ * @returns {Promise<Array<{router: string, query: string, expected: string[], model: string,
+ *   correct: boolean, latencyMs: number, costUsd: number|null}>>}
+ */
+const evaluate = async (cases, routers) => {
+  const results = [];
+  for (const testCase of cases) {
+    for (const router of routers) {
+      const start = process.hrtime.bigint();
+      const { model, routerCostUsd = 0 } = await router.route(testCase.query, testCase.plan);
+      const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const answerCost = estimateAnswerCost(model, testCase.query, testCase.completionTokens);
+      results.push({
+        router: router.name,
+        query: testCase.query,
+        expected: testCase.expected,
+        model,
+        correct: testCase.expected.includes(model),
+        latencyMs,
+        costUsd: answerCost === null ? null : roundUsd(answerCost + routerCostUsd)
+      });
+    }
+  }
+  return results;
+};
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const summarizeGroup = (rows) => {
+  const priced = rows.filter(row => row.costUsd !== null);
+  const latencies = rows.map(row => row.latencyMs);
+  return {
+    cases: rows.length,
+    correct: rows.filter(row => row.correct).length,
+    accuracy: rows.length ? rows.filter(row => row.correct).length / rows.length : 0,
+    costUsd: roundUsd(priced.reduce((sum, row) => sum + row.costUsd, 0)),
+    // Picks of models missing from config/pricing.js are left out of costUsd
+    unpriced: rows.length - priced.length,
+    avgLatencyMs: latencies.reduce((sum, value) => sum + value, 0) / (latencies.length || 1),
+    p95LatencyMs: percentile(latencies, 95)
+  };
+};
+
+/**
+ * Accuracy, cost and latency per router, and per model each router picked
+ * (the model's accuracy is the share of its picks that were acceptable).
+ */
+const summarize = (results) => {
+  const routerNames = [...new Set(results.map(row => row.router))];
+  return routerNames.map(router => {
+    const rows = results.filter(row => row.router === router);
+    const models = [...new Set(rows.map(row => row.model))]
+      .map(model => ({ model, ...summarizeGroup(rows.filter(row => row.model === model)) }))
+      .sort((a, b) => b.cases - a.cases);
+    return { router, ...summarizeGroup(rows), models };
+  });
+};
+
+const formatReport = (summary) => {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  const lines = [];
+  for (const router of summary) {
+    lines.push(
+      `${router.router}: ${router.correct}/${router.cases} correct (${percent(router.accuracy)}), ` +
+      `$${router.costUsd.toFixed(6)} total, ${router.avgLatencyMs.toFixed(1)} ms avg / ${router.p95LatencyMs.toFixed(1)} ms p95` +
+      (router.unpriced ? `, ${router.unpriced} unpriced` : '')
+    );
+    lines.push(`  ${'model'.padEnd(24)}${'picks'.padStart(7)}${'accuracy'.padStart(10)}${'cost USD'.padStart(12)}${'avg ms'.padStart(10)}`);
+    for (const model of router.models) {
+      lines.push(
+        `  ${model.model.padEnd(24)}${String(model.cases).padStart(7)}${percent(model.accuracy).padStart(10)}` +
+        `${(model.unpriced === model.cases ? 'n/a' : model.costUsd.toFixed(6)).padStart(12)}${model.avgLatencyMs.toFixed(1).padStart(10)}`
+      );
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  DEFAULT_COMPLETION_TOKENS,
+  parseDataset,
+  createStubRegistry,
+  estimateAnswerCost,
+  evaluate,
+  summarize,
+  formatReport
+};
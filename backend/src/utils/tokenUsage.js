@@ -0,0 +1,84 @@
+/**
+ * Token Usage Utilities
+ * Normalizes provider usage payloads into one shape:
+ * { promptTokens, completionTokens, totalTokens, source }
+ * where source is 'provider' for reported numbers and 'estimate' otherwise.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Normalize an OpenAI-compatible `usage` object (also sent as the last stream
+ * chunk when `stream_options.include_usage` is set)
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object|null} Normalized usage or null if missing
+ */
+const fromOpenAIUsage = (usage) => {
+  if (!usage) return null;
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? promptTokens + completionTokens,
+    source: 'provider'
+  };
+};
+
+/**
+ * Normalize a Gemini `usageMetadata` object
+ * @param {Object} metadata - { promptTokenCount, candidatesTokenCount, totalTokenCount }
+ * @returns {Object|null} Normalized usage or null if missing
+ */
+const fromGeminiUsage = (metadata) => {
+  if (!metadata) return null;
+  const promptTokens = metadata.promptTokenCount || 0;
+  const completionTokens = metadata.candidatesTokenCount || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: metadata.totalTokenCount ?? promptTokens + completionTokens,
+    source: 'provider'
+  };
+};
+
+/**
+ * Rough chars/4 estimate, used only when the provider reported nothing
+ * (e.g. the stream was stopped before the final usage chunk)
+ * @param {string} promptText - Everything sent to the model
+ * @param {string} completionText - The generated reply
+ * @returns {Object} Normalized usage marked as an estimate
+ */
+const estimateUsage = (promptText, completionText) => {
+  const promptTokens = Math.ceil(String(promptText || '').length / CHARS_PER_TOKEN);
+  const completionTokens = Math.ceil(String(completionText || '').length / CHARS_PER_TOKEN);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    source: 'estimate'
+  };
+};
+
+/**
+ * Adds two normalized usages, e.g. the requests of a multi-step tool loop.
+ * The sum is only 'provider' when both parts are.
+ * @returns {Object|null} Combined usage, or whichever side is present
+ */
+const mergeUsage = (a, b) => {
+  if (!a) return b || null;
+  if (!b) return a;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    completionTokens: a.completionTokens + b.completionTokens,
+    totalTokens: a.totalTokens + b.totalTokens,
+    source: a.source === 'provider' && b.source === 'provider' ? 'provider' : 'estimate'
+  };
+};
+
+module.exports = {
+  fromOpenAIUsage,
+  fromGeminiUsage,
+  estimateUsage,
+  mergeUsage
+};
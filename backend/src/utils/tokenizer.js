@@ -0,0 +1,81 @@
+/**
+ * Tokenizer Utilities
+ * Counts LLM tokens with the o200k_base BPE encoding (js-tiktoken). Counts are
+ * exact for current OpenAI models and a close approximation for the other
+ * providers, which is what context budgets need. The encoding is loaded on
+ * first use; if it cannot be loaded, counts fall back to chars/4.
+ */
+
+const logger = require('../config/logger.js');
+
+const CHARS_PER_TOKEN = 4;
+// Chat formats wrap every message in a few tokens (role and separators)
+const TOKENS_PER_MESSAGE = 4;
+// BPE is quadratic in the length of a run without whitespace (pasted base64,
+// minified code); such runs are encoded in slices of this many characters
+const MAX_RUN_CHARS = 64;
+const LONG_RUN = new RegExp(`(\\S{${MAX_RUN_CHARS}})`);
+
+let encoder;
+
+const getEncoder = () => {
+  if (encoder !== undefined) return encoder;
+  try {
+    const { Tiktoken } = require('js-tiktoken/lite');
+    encoder = new Tiktoken(require('js-tiktoken/ranks/o200k_base'));
+  } catch (error) {
+    logger.warn('[Tokenizer] o200k_base encoding unavailable, estimating chars/4:', error.message);
+    encoder = null;
+  }
+  return encoder;
+};
+
+const encode = (tiktoken, text) => text
+  .split(LONG_RUN)
+  .flatMap(part => (part ? tiktoken.encode(part) : []));
+
+/**
+ * @param {string} text
+ * @returns {number} Tokens in the text
+ */
+const countTokens = (text) => {
+  const value = String(text || '');
+  if (!value) return 0;
+  const tiktoken = getEncoder();
+  return tiktoken ? encode(tiktoken, value).length : Math.ceil(value.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Tokens a chat message takes in a request, including its framing. Only text
+ * parts of multi-part content are counted.
+ * @param {Object} message - { role, content }
+ */
+const countMessageTokens = (message) => {
+  const content = Array.isArray(message.content)
+    ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : message.content;
+  return TOKENS_PER_MESSAGE + countTokens(content);
+};
+
+/**
+ * The longest prefix of `text` that fits in `maxTokens`, with an ellipsis when cut.
+ * @returns {string} '' when nothing fits
+ */
+const truncateToTokens = (text, maxTokens) => {
+  const value = String(text || '');
+  if (maxTokens <= 0) return '';
+  if (countTokens(value) <= maxTokens) return value;
+
+  const tiktoken = getEncoder();
+  const prefix = tiktoken
+    ? tiktoken.decode(encode(tiktoken, value).slice(0, Math.max(maxTokens - 1, 0)))
+    : value.slice(0, Math.max(maxTokens - 1, 0) * CHARS_PER_TOKEN);
+  return prefix ? `${prefix}…` : '';
+};
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  TOKENS_PER_MESSAGE
+};
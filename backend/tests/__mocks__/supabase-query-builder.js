@@ -0,0 +1,60 @@
+/**
+ * Chainable Supabase query builder for service unit tests.
+ *
+ * Every query resolves to the next result queued for its table in `results`
+ * (a list is used up in order, a single result is reused) and every builder
+ * call is recorded in `calls`. Use it as the admin client from a jest.mock
+ * factory; the variable must start with `mock` to be usable there:
+ *
+ *   const mockSupabase = require('../../__mocks__/supabase-query-builder').createSupabaseMock();
+ *   jest.mock('../../../src/db/supabase/admin.js', () => mockSupabase.client);
+ */
+
+const QUERY_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'not', 'is', 'in', 'contains',
+  'order', 'range', 'limit', 'single', 'maybeSingle'
+];
+const WRITE_METHODS = ['insert', 'update', 'upsert', 'delete'];
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.emptyResult] - What a query resolves to when nothing is queued for its table
+ */
+const createSupabaseMock = ({ emptyResult } = {}) => {
+  const results = {};
+  const calls = [];
+
+  const builder = (table) => {
+    const query = {};
+    for (const method of QUERY_METHODS) {
+      query[method] = jest.fn((...args) => {
+        calls.push({ table, method, args });
+        return query;
+      });
+    }
+    query.then = (resolve, reject) => {
+      const result = Array.isArray(results[table]) ? results[table].shift() : results[table];
+      return Promise.resolve(result === undefined ? emptyResult : result).then(resolve, reject);
+    };
+    return query;
+  };
+
+  return {
+    results,
+    calls,
+    builder,
+    client: { from: jest.fn(table => builder(table)) },
+    callsOn: (table, method) => calls.filter(call => call.table === table && call.method === method),
+    // Inserts, updates, upserts and deletes as { table, method, values }
+    writes: () => calls
+      .filter(call => WRITE_METHODS.includes(call.method))
+      .map(({ table, method, args }) => ({ table, method, values: args[0] })),
+    reset: () => {
+      calls.length = 0;
+      for (const table of Object.keys(results)) delete results[table];
+    }
+  };
+};
+
+module.exports = { createSupabaseMock };
@@ -0,0 +1,164 @@
+/**
+ * Qdrant Mock Client Unit Tests
+ * Tests the in-memory vector store used under NODE_ENV=test (similarity scores,
+ * thresholds, filters, payload selection, scroll and deletes) and RAG lookups
+ * that run end to end on it: past-query history, the semantic cache and
+ * document chunks
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/conversationManager', () => ({}));
+jest.mock('../../../src/services/documentService', () => ({}));
+
+const qdrant = require('../../../src/db/qdrant/mockClient');
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService');
+const contextManager = require('../../../src/services/contextManager');
+const semanticCache = require('../../../src/services/semanticCacheService');
+
+const seed = async (distance = 'Cosine') => {
+  await qdrant.createCollection('docs', { vectors: { size: 2, distance } });
+  await qdrant.upsert('docs', {
+    points: [
+      { id: 1, vector: [1, 0], payload: { lang: 'en', tags: ['a', 'b'], meta: { year: 2020 } } },
+      { id: 2, vector: [0.8, 0.6], payload: { lang: 'fr', tags: ['b'], meta: { year: 2023 } } },
+      { id: 3, vector: [0, 1], payload: { lang: 'en', tags: [], meta: { year: 2024 } } }
+    ]
+  });
+};
+
+// Bag-of-words embedding so related prompts land close together
+const VOCABULARY_SIZE = enhancedQdrantService.vectorConfig.size;
+const embed = (text) => {
+  const vector = new Array(VOCABULARY_SIZE).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) % VOCABULARY_SIZE;
+    vector[hash] += 1;
+  }
+  return vector;
+};
+
+describe('Qdrant mock client', () => {
+  beforeEach(() => {
+    qdrant.reset();
+  });
+
+  it('ranks by cosine similarity and honours score_threshold', async () => {
+    await seed();
+
+    const results = await qdrant.search('docs', { vector: [1, 0], limit: 3, score_threshold: 0.5 });
+
+    expect(results.map(result => result.id)).toEqual([1, 2]);
+    expect(results[1].score).toBeCloseTo(0.8);
+    expect(results[0].payload).toBeNull();
+  });
+
+  it('ranks dot products and euclidean distances', async () => {
+    await seed('Dot');
+    expect((await qdrant.search('docs', { vector: [0, 2] })).map(result => result.score)).toEqual([2, 1.2, 0]);
+
+    qdrant.reset();
+    await seed('Euclid');
+    const nearest = await qdrant.search('docs', { vector: [0, 1], score_threshold: 1 });
+    expect(nearest.map(result => result.id)).toEqual([3, 2]);
+  });
+
+  it('applies must, should and must_not filters on nested and array payloads', async () => {
+    await seed();
+    const ids = async (filter) => (await qdrant.search('docs', { vector: [1, 1], filter })).map(result => result.id).sort();
+
+    expect(await ids({ must: [{ key: 'lang', match: { value: 'en' } }] })).toEqual([1, 3]);
+    expect(await ids({ must: [{ key: 'tags', match: { any: ['b'] } }], must_not: [{ key: 'lang', match: { value: 'fr' } }] })).toEqual([1]);
+    expect(await ids({ should: [{ key: 'meta.year', range: { gte: 2024 } }, { has_id: [2] }] })).toEqual([2, 3]);
+    expect(await ids({ must: [{ is_empty: { key: 'tags' } }] })).toEqual([3]);
+  });
+
+  it('selects payload fields and returns vectors on request', async () => {
+    await seed();
+
+    const [first] = await qdrant.search('docs', { vector: [1, 0], limit: 1, with_payload: ['lang'], with_vector: true });
+    const [second] = await qdrant.retrieve('docs', { ids: [2], with_payload: { exclude: ['tags', 'meta'] } });
+
+    expect(first).toEqual({ id: 1, version: 0, score: 1, payload: { lang: 'en' }, vector: [1, 0] });
+    expect(second.payload).toEqual({ lang: 'fr' });
+  });
+
+  it('scrolls in pages, counts and deletes by id or filter', async () => {
+    await seed();
+
+    const page = await qdrant.scroll('docs', { limit: 2 });
+    expect(page.points.map(point => point.id)).toEqual([1, 2]);
+    expect((await qdrant.scroll('docs', { limit: 2, offset: page.next_page_offset })).next_page_offset).toBeNull();
+
+    await qdrant.delete('docs', { points: [1] });
+    await qdrant.delete('docs', { filter: { must: [{ key: 'lang', match: { value: 'fr' } }] } });
+    expect(await qdrant.count('docs', {})).toEqual({ count: 1 });
+    expect((await qdrant.scroll('docs', { offset: 2 })).points.map(point => point.id)).toEqual([3]);
+    expect((await qdrant.scroll('docs', { offset: 4 })).points).toEqual([]);
+    expect((await qdrant.getCollection('docs')).points_count).toBe(1);
+  });
+
+  it('rejects what Qdrant rejects', async () => {
+    await seed();
+
+    await expect(qdrant.getCollection('missing')).rejects.toMatchObject({ status: 404 });
+    await expect(qdrant.createCollection('docs', { vectors: { size: 2, distance: 'Cosine' } })).rejects.toMatchObject({ status: 409 });
+    await expect(qdrant.upsert('docs', { points: [{ id: 9, vector: [1, 2, 3] }] })).rejects.toMatchObject({ status: 400 });
+    await expect(qdrant.upsert('docs', { points: [{ id: 'user_1', vector: [1, 2] }] })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('RAG on the Qdrant mock', () => {
+  beforeEach(() => {
+    qdrant.reset();
+    enhancedQdrantService.initialized = false;
+    jest.spyOn(enhancedQdrantService, 'generateEmbedding').mockImplementation(async text => embed(text));
+  });
+
+  it('finds the relevant past queries of the user only', async () => {
+    await enhancedQdrantService.storeQueryContext('u1', 'How do I sort a list in Python?', { response: 'Use sorted(list).' });
+    await enhancedQdrantService.storeQueryContext('u1', 'Best pizza dough recipe', { response: 'Flour, water, salt, yeast.' });
+    await enhancedQdrantService.storeQueryContext('u2', 'Sort a Python list in place', { response: 'Use list.sort().' });
+    contextManager.config.ragResultsCount = 1;
+
+    const history = await contextManager.getRelevantHistory('u1', 'python sort list descending');
+
+    expect(history).toBe('Q: How do I sort a list in Python?\nA: Use sorted(list).');
+  });
+
+  it('replays a cached answer for a close prompt within the scope', async () => {
+    semanticCache.config = { ...semanticCache.config, threshold: 0.8 };
+    await semanticCache.store('What is the capital of France?', 'Paris.', { scope: 'global' }, { plan: 'free', model: 'gpt-4o-mini' });
+
+    const hit = await semanticCache.lookup('what is the capital of france', { scope: 'global' }, { plan: 'free' });
+    const otherPlan = await semanticCache.lookup('What is the capital of France?', { scope: 'global' }, { plan: 'pro' });
+    const unrelated = await semanticCache.lookup('How tall is Mount Everest?', { scope: 'global' }, { plan: 'free' });
+
+    expect(hit).toEqual(expect.objectContaining({ text: 'Paris.', model: 'gpt-4o-mini' }));
+    expect(hit.score).toBeCloseTo(1);
+    expect(otherPlan).toBeNull();
+    expect(unrelated).toBeNull();
+  });
+
+  it('replaces the chunks of a document that is stored again', async () => {
+    const document = { documentId: 'a'.repeat(32), userId: 'u1', chatId: 'chat-1', fileName: 'notes.txt', path: 'u1/notes.txt' };
+    const chunks = [
+      { text: 'Check-in is at 3pm.', page: 1, index: 0 },
+      { text: 'Breakfast is served until 10am.', page: 1, index: 1 }
+    ];
+
+    await enhancedQdrantService.storeDocumentChunks(document, chunks);
+    await enhancedQdrantService.storeDocumentChunks(document, chunks);
+
+    const filter = { must: [{ key: 'documentId', match: { value: document.documentId } }] };
+    expect(await qdrant.count(enhancedQdrantService.collections.documentChunks, { filter })).toEqual({ count: 2 });
+  });
+});
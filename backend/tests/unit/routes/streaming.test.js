@@ -0,0 +1,208 @@
+/**
+ * Streaming Routes Unit Tests
+ * Tests stream resumption from the SSE buffer, stop authorization, branch checks,
+ * comparison requests, model entitlements and the routing event
+ */
+
+const { describe, it, expect, beforeAll } = require('@jest/globals');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/middlewares/authMiddleware.js', () => ({
+  requireAuth: (req, res, next) => {
+    req.user = { id: req.headers['x-test-user'] || 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../../../src/services/enhancedRouter.js', () => ({
+  modelRouter: { routeQuery: jest.fn(), routeToModel: jest.fn() }
+}));
+
+jest.mock('../../../src/services/modelEntitlementService.js', () => ({
+  resolve: jest.fn(),
+  getCatalog: jest.fn()
+}));
+
+jest.mock('../../../src/services/conversationManager.js', () => ({
+  getMessage: jest.fn()
+}));
+
+jest.mock('../../../src/services/costLedgerService.js', () => ({}));
+
+jest.mock('../../../src/services/routerDecisionService.js', () => ({
+  record: jest.fn().mockResolvedValue('decision-1'),
+  markRegenerated: jest.fn()
+}));
+
+const conversationManager = require('../../../src/services/conversationManager.js');
+const { modelRouter } = require('../../../src/services/enhancedRouter.js');
+const modelEntitlements = require('../../../src/services/modelEntitlementService.js');
+const streamBuffer = require('../../../src/services/streamBufferService');
+const contextManager = require('../../../src/services/contextManager');
+const StreamingService = require('../../../src/services/streamingService');
+const streamingRoutes = require('../../../src/routes/streamingChatRoutes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/streaming', streamingRoutes);
+
+const frame = (type, data) => JSON.stringify({ type, data });
+
+describe('Streaming routes', () => {
+  beforeAll(async () => {
+    await streamBuffer.open('stream-1', 'user-1');
+    await streamBuffer.append('stream-1', 1, frame('session', { sessionId: 'chat-1', streamId: 'stream-1' }));
+    await streamBuffer.append('stream-1', 2, frame('token', { content: 'Hel', fullResponse: 'Hel' }));
+    await streamBuffer.append('stream-1', 3, frame('token', { content: 'lo', fullResponse: 'Hello' }));
+    await streamBuffer.append('stream-1', 4, '[DONE]');
+  });
+
+  describe('GET /stream/:streamId/resume', () => {
+    it('should replay frames after Last-Event-ID with their original ids', async () => {
+      const res = await request(app)
+        .get('/api/streaming/stream/stream-1/resume')
+        .set('Last-Event-ID', '2');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+      expect(res.text).toBe(
+        `id: 3\ndata: ${frame('token', { content: 'lo', fullResponse: 'Hello' })}\n\n` +
+        'id: 4\ndata: [DONE]\n\n'
+      );
+    });
+
+    it('should accept the cursor as a query parameter', async () => {
+      const res = await request(app).get('/api/streaming/stream/stream-1/resume?lastEventId=3');
+
+      expect(res.text).toBe('id: 4\ndata: [DONE]\n\n');
+    });
+
+    it('should not let another user resume the stream', async () => {
+      const res = await request(app)
+        .get('/api/streaming/stream/stream-1/resume')
+        .set('x-test-user', 'user-2');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 404 for expired or unknown streams', async () => {
+      const res = await request(app).get('/api/streaming/stream/missing/resume');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /stream/:streamId/stop', () => {
+    it('should return 404 when the stream is not running', async () => {
+      const res = await request(app).post('/api/streaming/stream/stream-1/stop');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /stream branches', () => {
+    const question = { id: 'msg-user', chat_id: 'chat-1', role: 'user', content: 'Hi', parent_message_id: null, metadata: {} };
+
+    it('should reject editing a message from another chat before streaming', async () => {
+      conversationManager.getMessage.mockResolvedValueOnce({ ...question, chat_id: 'chat-2' });
+
+      const res = await request(app)
+        .post('/api/streaming/stream')
+        .send({ sessionId: 'chat-1', message: 'Hello', editMessageId: 'msg-user' });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: 'Message not found' });
+      expect(conversationManager.getMessage).toHaveBeenCalledWith('msg-user', 'user-1');
+      expect(modelRouter.routeQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only regenerate assistant replies', async () => {
+      conversationManager.getMessage.mockResolvedValueOnce(question);
+
+      const res = await request(app)
+        .post('/api/streaming/stream')
+        .send({ sessionId: 'chat-1', regenerateMessageId: 'msg-user' });
+
+      expect(res.status).toBe(404);
+      expect(modelRouter.routeQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /compare', () => {
+    it('should reject a comparison with a single model before streaming', async () => {
+      const res = await request(app)
+        .post('/api/streaming/compare')
+        .send({ message: 'Hello', models: ['gpt-4o-mini'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'models must list 2 to 3 models' });
+    });
+
+    it('should reject models outside the plan', async () => {
+      const res = await request(app)
+        .post('/api/streaming/compare')
+        .send({ message: 'Hello', models: ['gpt-4o-mini', 'gpt-4o'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Model gpt-4o is not available on your plan' });
+    });
+  });
+
+  describe('POST /stream model choice', () => {
+    it('should end the stream with upgradeRequired when the plan does not include the model', async () => {
+      modelEntitlements.resolve.mockResolvedValueOnce({
+        status: 403,
+        error: 'grok-4 requires the Plus plan',
+        upgradeRequired: true,
+        requiredPlan: 'plus',
+        model: 'grok-4'
+      });
+
+      const res = await request(app)
+        .post('/api/streaming/stream')
+        .send({ message: 'Hello', model: 'grok-4' });
+
+      expect(res.status).toBe(200);
+      expect(modelEntitlements.resolve).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', requestedModel: 'grok-4' }));
+      expect(res.text).toContain(frame('error', {
+        message: 'grok-4 requires the Plus plan',
+        upgradeRequired: true,
+        requiredPlan: 'plus',
+        model: 'grok-4'
+      }));
+      expect(modelRouter.routeQuery).not.toHaveBeenCalled();
+      expect(modelRouter.routeToModel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /stream routing event', () => {
+    it('should report the model that answers and its budget after a capability switch', async () => {
+      modelEntitlements.resolve.mockResolvedValueOnce({ model: null });
+      modelRouter.routeQuery.mockResolvedValueOnce({ allowed: true, primaryModel: 'no-such-model', type: 'text', routedBy: 'llm' });
+      const streamResponse = jest.spyOn(StreamingService.prototype, 'streamResponse').mockImplementation(async function ({ res }) {
+        this.endStream(res);
+      });
+
+      const res = await request(app)
+        .post('/api/streaming/stream')
+        .send({ message: 'List three colors', responseSchema: { type: 'array', items: { type: 'string' } } });
+
+      const served = streamResponse.mock.calls[0][0].route.primaryModel;
+      expect(served).not.toBe('no-such-model');
+      const routing = res.text.split('\n')
+        .filter(line => line.startsWith('data: {'))
+        .map(line => JSON.parse(line.slice(6)))
+        .find(event => event.type === 'routing');
+      expect(routing.data).toEqual(expect.objectContaining({ primaryModel: served, budget: contextManager.getBudget(served) }));
+      streamResponse.mockRestore();
+    });
+  });
+});
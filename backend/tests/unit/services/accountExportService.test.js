@@ -0,0 +1,99 @@
+/**
+ * Account Export Service Unit Tests
+ * Tests the "export all my data" archive: which files it holds, tables that
+ * cannot be read, one export at a time and the zip itself
+ */
+
+const { PassThrough } = require('stream');
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Admin client whose queries resolve to the results queued per table
+const mockSupabase = require('../../__mocks__/supabase-query-builder').createSupabaseMock({ emptyResult: { data: [], error: null } });
+jest.mock('../../../src/db/supabase/admin.js', () => mockSupabase.client);
+
+const accountExport = require('../../../src/services/accountExportService');
+
+const user = { id: 'user-1', email: 'ada@example.com' };
+const chats = [
+  { id: '6f1c1f3e-2b1a-4c55-9d2e-0a7b8c9d0e1f', title: 'Trip planning', created_at: '2026-03-01T09:00:00Z', tags: [] },
+  { id: '0a7b8c9d-2b1a-4c55-9d2e-6f1c1f3e0e1f', title: 'Recipes', created_at: '2026-03-02T09:00:00Z', tags: [] }
+];
+const messages = [
+  { id: 'm1', chat_id: chats[0].id, role: 'user', content: 'Where to?', metadata: {}, parent_message_id: null, created_at: '2026-03-01T09:00:00Z' },
+  { id: 'm2', chat_id: chats[0].id, role: 'assistant', content: 'Kyoto.', model_used: 'gpt-4o', metadata: {}, parent_message_id: 'm1', created_at: '2026-03-01T09:01:00Z' },
+  { id: 'm3', chat_id: chats[1].id, role: 'user', content: 'Pancakes?', metadata: {}, parent_message_id: null, created_at: '2026-03-02T09:00:00Z' }
+];
+
+const entryNamed = (entries, name) => entries.find(entry => entry.name === name);
+
+describe('AccountExportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSupabase.reset();
+    mockSupabase.results.profiles = { data: { id: 'user-1', full_name: 'Ada' }, error: null };
+    mockSupabase.results.chats = { data: chats, error: null };
+    mockSupabase.results.chat_messages = { data: messages, error: null };
+    mockSupabase.results.user_memories = { data: [{ id: 'mem-1', content: 'Vegetarian' }], error: null };
+  });
+
+  it('writes the account, each chat as Markdown and JSON, and the other tables', async () => {
+    const { fileName, entries } = await accountExport.exportAccount(user);
+
+    expect(fileName).toMatch(/^account-export-\d{4}-\d{2}-\d{2}\.zip$/);
+    expect(JSON.parse(entryNamed(entries, 'account.json').content)).toEqual({
+      id: 'user-1',
+      email: 'ada@example.com',
+      profile: { id: 'user-1', full_name: 'Ada' }
+    });
+    expect(entryNamed(entries, 'chats/trip-planning-6f1c1f3e.md').content).toContain('Kyoto.');
+    expect(JSON.parse(entryNamed(entries, 'chats/recipes-0a7b8c9d.json').content).messages).toHaveLength(1);
+    expect(JSON.parse(entryNamed(entries, 'data/memories.json').content)).toEqual([{ id: 'mem-1', content: 'Vegetarian' }]);
+    expect(JSON.parse(entryNamed(entries, 'manifest.json').content)).toEqual(expect.objectContaining({
+      chats: 2,
+      messages: 3,
+      unavailable: []
+    }));
+  });
+
+  it('filters every table by the user', async () => {
+    await accountExport.exportAccount(user);
+
+    const filters = mockSupabase.calls.filter(call => call.method === 'eq');
+    expect(filters.every(call => call.args[1] === 'user-1')).toBe(true);
+    expect(filters.find(call => call.table === 'shared_chats').args[0]).toBe('owner_id');
+  });
+
+  it('lists tables it could not read instead of failing', async () => {
+    mockSupabase.results.router_decisions = { data: null, error: { message: 'relation does not exist' } };
+
+    const { entries } = await accountExport.exportAccount(user);
+
+    expect(entryNamed(entries, 'data/routing_decisions.json')).toBeUndefined();
+    expect(JSON.parse(entryNamed(entries, 'manifest.json').content).unavailable).toEqual(['routing_decisions']);
+  });
+
+  it('runs one export per user at a time', async () => {
+    const first = accountExport.exportAccount(user);
+
+    expect(await accountExport.exportAccount(user)).toEqual({ status: 429, error: 'Your data export is already being prepared' });
+    await first;
+    expect((await accountExport.exportAccount(user)).entries).toBeDefined();
+  });
+
+  it('streams the entries as a zip', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    await accountExport.writeArchive([{ name: 'README.txt', content: 'hello' }], output);
+
+    expect(Buffer.concat(chunks).subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  });
+});
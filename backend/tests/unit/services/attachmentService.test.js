@@ -0,0 +1,80 @@
+/**
+ * Attachment Service Unit Tests
+ * Tests ownership checks, image loading and signed URLs for history
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/fileStorageService.js', () => ({
+  downloadFile: jest.fn(),
+  createSignedUrl: jest.fn()
+}));
+
+const { downloadFile, createSignedUrl } = require('../../../src/services/fileStorageService.js');
+const attachmentService = require('../../../src/services/attachmentService');
+
+const photo = { path: 'u1/1-cat.png', name: 'cat.png', type: 'image/png', size: 3, url: 'https://signed/old' };
+const notes = { path: 'u1/2-notes.txt', name: 'notes.txt', type: 'text/plain', size: 10 };
+
+describe('AttachmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validate', () => {
+    it('should accept the sender\'s own uploads', () => {
+      expect(attachmentService.validate('u1', [photo, notes])).toBeNull();
+      expect(attachmentService.validate('u1', undefined)).toBeNull();
+    });
+
+    it('should reject files outside the sender\'s folder', () => {
+      expect(attachmentService.validate('u1', [{ ...photo, path: 'u2/1-cat.png' }])).toBe('Attachment not found');
+      expect(attachmentService.validate('u1', [{ ...photo, path: 'u1/../u2/cat.png' }])).toBe('Attachment not found');
+    });
+
+    it('should reject unsupported types and too many files', () => {
+      expect(attachmentService.validate('u1', [{ ...photo, type: 'application/zip' }])).toMatch('Unsupported attachment type');
+      expect(attachmentService.validate('u1', new Array(6).fill(photo))).toMatch('At most 5');
+      expect(attachmentService.validate('u1', photo)).toBe('attachments must be an array');
+    });
+  });
+
+  it('should inline images and leave other files as metadata', async () => {
+    downloadFile.mockResolvedValue({ success: true, buffer: Buffer.from('png') });
+
+    const loaded = await attachmentService.load([photo, notes]);
+
+    expect(downloadFile).toHaveBeenCalledTimes(1);
+    expect(downloadFile).toHaveBeenCalledWith('u1/1-cat.png');
+    expect(loaded).toEqual([
+      { path: 'u1/1-cat.png', name: 'cat.png', type: 'image/png', size: 3, data: 'cG5n' },
+      notes
+    ]);
+  });
+
+  it('should fail when an image cannot be read', async () => {
+    downloadFile.mockResolvedValue({ success: false, error: 'not found' });
+
+    await expect(attachmentService.load([photo])).rejects.toThrow('Could not read attachment cat.png');
+  });
+
+  it('should sign stored attachments when history is read', async () => {
+    createSignedUrl.mockResolvedValue({ success: true, url: 'https://signed/new' });
+    const plain = { id: 'm2', metadata: { type: 'text' } };
+
+    const [withFile, untouched] = await attachmentService.withUrls([
+      { id: 'm1', metadata: { type: 'text', attachments: [attachmentService.toMetadata([photo])[0]] } },
+      plain
+    ]);
+
+    expect(withFile.metadata.attachments[0].url).toBe('https://signed/new');
+    expect(untouched).toBe(plain);
+  });
+});
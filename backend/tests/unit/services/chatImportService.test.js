@@ -0,0 +1,288 @@
+/**
+ * Chat Import Service Unit Tests
+ * Tests reading ChatGPT, Claude and our own exports (JSON or zip), turning a
+ * conversation into chat_messages rows with its branches, and the background
+ * job's progress, skipping and embedding backfill
+ */
+
+const { zipSync, strToU8 } = require('fflate');
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/enhancedQdrantService.js', () => ({
+  storeQueryContext: jest.fn().mockResolvedValue({ success: true }),
+  storeChatMessage: jest.fn().mockResolvedValue({ success: true }),
+  searchChatMessages: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../src/redis/redisHelpers.js', () => ({
+  invalidateCache: jest.fn().mockResolvedValue(undefined)
+}));
+
+// Admin client whose queries resolve to the results queued per table
+const mockSupabase = require('../../__mocks__/supabase-query-builder').createSupabaseMock({ emptyResult: { data: [], error: null } });
+jest.mock('../../../src/db/supabase/admin.js', () => mockSupabase.client);
+
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService.js');
+const chatExport = require('../../../src/services/chatExportService');
+const { ChatImportService } = require('../../../src/services/chatImportService');
+
+const IMPORT_ID = '6f1c1f3e-2b1a-4c55-9d2e-0a7b8c9d0e1f';
+const toBuffer = value => Buffer.from(JSON.stringify(value));
+
+// A ChatGPT conversation: hidden system prompt, a Python tool call between two
+// parts of the answer, and a regenerated answer on a second branch
+const chatGptConversation = {
+  id: 'conv-1',
+  title: 'Primes',
+  create_time: 1767225600,
+  default_model_slug: 'gpt-4o',
+  mapping: {
+    root: { id: 'root', message: null, parent: null, children: ['sys'] },
+    sys: {
+      id: 'sys',
+      parent: 'root',
+      message: { author: { role: 'system' }, content: { content_type: 'text', parts: [''] }, metadata: { is_visually_hidden_from_conversation: true } }
+    },
+    q: {
+      id: 'q',
+      parent: 'sys',
+      message: { author: { role: 'user' }, create_time: 1767225601, content: { content_type: 'text', parts: ['Is 97 prime?'] }, recipient: 'all' }
+    },
+    code: {
+      id: 'code',
+      parent: 'q',
+      message: { author: { role: 'assistant' }, create_time: 1767225602, content: { content_type: 'code', language: 'python', text: 'print(97 % 2)' }, recipient: 'python', metadata: { model_slug: 'gpt-4o' } }
+    },
+    out: {
+      id: 'out',
+      parent: 'code',
+      message: { author: { role: 'tool' }, create_time: 1767225603, content: { content_type: 'execution_output', text: '1' }, recipient: 'all' }
+    },
+    a1: {
+      id: 'a1',
+      parent: 'out',
+      message: { author: { role: 'assistant' }, create_time: 1767225604, content: { content_type: 'text', parts: ['Yes, 97 is prime.'] }, recipient: 'all', metadata: { model_slug: 'gpt-4o' } }
+    },
+    a2: {
+      id: 'a2',
+      parent: 'q',
+      message: { author: { role: 'assistant' }, create_time: 1767225700, content: { content_type: 'text', parts: ['97 is prime.'] }, recipient: 'all', metadata: { model_slug: 'o3' } }
+    }
+  }
+};
+
+const claudeConversation = {
+  uuid: 'claude-1',
+  name: 'Haiku',
+  created_at: '2026-01-02T10:00:00Z',
+  chat_messages: [
+    { uuid: 'c1', sender: 'human', text: 'Write a haiku', content: [{ type: 'text', text: 'Write a haiku' }], created_at: '2026-01-02T10:00:00Z' },
+    { uuid: 'c2', sender: 'assistant', text: '', content: [{ type: 'text', text: 'Autumn moonlight' }, { type: 'tool_use', name: 'x' }], created_at: '2026-01-02T10:00:05Z' }
+  ]
+};
+
+describe('ChatImportService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSupabase.reset();
+    service = new ChatImportService({ maxFileBytes: 1024 * 1024, backfillEmbeddings: true });
+  });
+
+  describe('parseFile', () => {
+    it('recognizes ChatGPT, Claude and our own exports', () => {
+      const own = chatExport.toJson(chatExport.buildExport({ id: 'chat-1', title: 'Mine', created_at: '2026-01-01T00:00:00Z' }, [
+        { id: 'm1', role: 'user', content: 'Hi', metadata: {}, parent_message_id: null, created_at: '2026-01-01T00:00:00Z' }
+      ]));
+
+      expect(service.parseFile(toBuffer([chatGptConversation])).source).toBe('chatgpt');
+      expect(service.parseFile(toBuffer([claudeConversation])).source).toBe('claude');
+      expect(service.parseFile(toBuffer(own))).toEqual(expect.objectContaining({
+        source: 'native',
+        conversations: [expect.objectContaining({ externalId: 'chat-1', title: 'Mine' })]
+      }));
+    });
+
+    it('reads conversations.json and chat exports from a zip', () => {
+      const zip = Buffer.from(zipSync({
+        'export/conversations.json': strToU8(JSON.stringify([claudeConversation])),
+        'export/users.json': strToU8('[]')
+      }));
+
+      const parsed = service.parseFile(zip, 'claude.zip');
+
+      expect(parsed.source).toBe('claude');
+      expect(parsed.conversations).toHaveLength(1);
+    });
+
+    it('keeps exported images only when they point at a trusted host', () => {
+      chatExport.config.imageHosts = ['images.example.com'];
+      const own = (content) => ({
+        format: 'chat-export',
+        version: 1,
+        chat: { id: 'chat-1', title: 'Cats' },
+        messages: [{ id: 'a', parentId: null, role: 'assistant', type: 'image', content }]
+      });
+
+      expect(service.parseFile(toBuffer(own('https://images.example.com/cat.png'))).conversations[0].messages[0].type).toBe('image');
+      expect(service.parseFile(toBuffer(own('http://169.254.169.254/latest/meta-data/'))).conversations[0].messages[0].type).toBe('text');
+    });
+
+    it('limits how much a zip may unpack to and how many files it may hold', () => {
+      const padded = strToU8(`${' '.repeat(600 * 1024)}[]`);
+      const large = Buffer.from(zipSync({ 'a/conversations.json': padded, 'b/conversations.json': padded }));
+      const crowded = Object.fromEntries(Array.from({ length: 50001 }, (_, i) => [`f${i}.txt`, new Uint8Array(0)]));
+
+      expect(service.parseFile(large)).toEqual({ status: 400, error: "The archive's conversations unpack to more than 1 MB" });
+      expect(service.parseFile(Buffer.from(zipSync(crowded)))).toEqual({ status: 400, error: 'The archive has more than 50000 files' });
+    });
+
+    it('rejects files it cannot read', () => {
+      expect(service.parseFile(Buffer.from('{nope'))).toEqual({ status: 400, error: 'The file is not valid JSON or a zip archive' });
+      expect(service.parseFile(toBuffer({ hello: 'world' })).error).toMatch(/^Unrecognized file/);
+      expect(service.parseFile(toBuffer({ format: 'chat-export', version: 99, chat: {}, messages: [] })).error).toMatch(/newer version/);
+      expect(service.parseFile(Buffer.from(zipSync({ 'readme.txt': strToU8('hi') }))).error).toMatch(/no conversations\.json/);
+    });
+  });
+
+  describe('buildMessageRows', () => {
+    it('keeps branches and timestamps, drops hidden and tool messages and joins a split answer', () => {
+      const [conversation] = service.parseFile(toBuffer([chatGptConversation])).conversations;
+      const rows = service.buildMessageRows('user-1', 'chat-1', conversation);
+
+      expect(rows.map(row => [row.role, row.content])).toEqual([
+        ['user', 'Is 97 prime?'],
+        ['assistant', '```python\nprint(97 % 2)\n```\n\nYes, 97 is prime.'],
+        ['assistant', '97 is prime.']
+      ]);
+      const [question, first, second] = rows;
+      expect(question.parent_message_id).toBeNull();
+      expect(first.parent_message_id).toBe(question.id);
+      expect(second.parent_message_id).toBe(question.id);
+      expect(question.created_at).toBe('2026-01-01T00:00:01.000Z');
+      expect(second).toEqual(expect.objectContaining({ model_used: 'o3', user_id: 'user-1', chat_id: 'chat-1' }));
+      expect(question.model_used).toBeNull();
+    });
+
+    it('chains Claude messages without parent ids in order', () => {
+      const [conversation] = service.parseFile(toBuffer([claudeConversation])).conversations;
+      const rows = service.buildMessageRows('user-1', 'chat-1', conversation);
+
+      expect(rows.map(row => [row.role, row.content])).toEqual([['user', 'Write a haiku'], ['assistant', 'Autumn moonlight']]);
+      expect(rows[1].parent_message_id).toBe(rows[0].id);
+    });
+
+    it('keeps generated images from our exports and fills missing timestamps', () => {
+      const rows = service.buildMessageRows('user-1', 'chat-1', {
+        createdAt: '2026-01-01T00:00:00.000Z',
+        messages: [
+          { externalId: 'u', parentId: null, role: 'user', type: 'text', content: 'A cat', createdAt: null },
+          { externalId: 'a', parentId: 'u', role: 'assistant', type: 'image', content: 'https://images.example.com/cat.png', model: 'dall-e-3', createdAt: null }
+        ]
+      });
+
+      expect(rows[1].metadata).toEqual({ type: 'image', imported: true });
+      expect(rows[0].created_at).toBe('2026-01-01T00:00:00.000Z');
+      expect(rows[1].created_at).toBe('2026-01-01T00:00:00.001Z');
+    });
+  });
+
+  describe('run', () => {
+    const payload = () => ({
+      importId: IMPORT_ID,
+      userId: 'user-1',
+      source: 'chatgpt',
+      conversations: service.parseFile(toBuffer([chatGptConversation, { ...chatGptConversation, id: 'conv-old' }])).conversations
+    });
+
+    it('imports new conversations, skips imported ones and reports the counts', async () => {
+      mockSupabase.results.chats = [{ data: [{ import_external_id: 'conv-old' }], error: null }, { error: null }];
+      service.active.set('user-1', IMPORT_ID);
+
+      await service.run(payload());
+
+      const [chatInsert] = mockSupabase.callsOn('chats', 'insert');
+      expect(chatInsert.args[0]).toEqual(expect.objectContaining({
+        title: 'Primes',
+        created_at: '2026-01-01T00:00:00.000Z',
+        last_message_at: '2026-01-01T00:01:40.000Z',
+        total_messages: 3,
+        import_source: 'chatgpt',
+        import_external_id: 'conv-1'
+      }));
+      expect(mockSupabase.callsOn('chat_messages', 'insert')[0].args[0]).toHaveLength(3);
+      expect(mockSupabase.callsOn('chat_imports', 'update').pop().args[0]).toEqual(expect.objectContaining({
+        status: 'completed',
+        processed_chats: 2,
+        imported_chats: 1,
+        skipped_chats: 1,
+        imported_messages: 3
+      }));
+      expect(service.active.has('user-1')).toBe(false);
+    });
+
+    it('embeds each question with its answers for relevant history and search', async () => {
+      mockSupabase.results.chats = [{ data: [], error: null }, { error: null }, { error: null }];
+
+      await service.run({ ...payload(), conversations: payload().conversations.slice(0, 1) });
+
+      expect(enhancedQdrantService.storeQueryContext).toHaveBeenCalledTimes(2);
+      expect(enhancedQdrantService.storeQueryContext).toHaveBeenCalledWith('user-1', 'Is 97 prime?', expect.objectContaining({
+        response: '97 is prime.',
+        model: 'o3',
+        imported: true
+      }));
+      expect(enhancedQdrantService.storeChatMessage).toHaveBeenCalledTimes(3);
+    });
+
+    it('removes a chat whose messages could not be saved and carries on', async () => {
+      mockSupabase.results.chats = [{ data: [], error: null }, { error: null }, { error: null }, { error: null }];
+      mockSupabase.results.chat_messages = [{ error: { message: 'insert failed' } }, { error: null }];
+
+      await service.run(payload());
+
+      expect(mockSupabase.callsOn('chats', 'delete')).toHaveLength(1);
+      expect(mockSupabase.callsOn('chat_imports', 'update').pop().args[0]).toEqual(expect.objectContaining({
+        status: 'completed',
+        imported_chats: 1,
+        failed_chats: 1
+      }));
+    });
+  });
+
+  describe('startImport', () => {
+    it('queues the file and allows one import per user at a time', async () => {
+      mockSupabase.results.chat_imports = { data: { id: IMPORT_ID, source: 'claude', status: 'queued', total_chats: 1 }, error: null };
+      service.queue.add = jest.fn(() => true);
+
+      const result = await service.startImport('user-1', { buffer: toBuffer([claudeConversation]), originalname: 'conversations.json' });
+
+      expect(result.import).toEqual(expect.objectContaining({ id: IMPORT_ID, status: 'queued', totalChats: 1 }));
+      expect(service.queue.add).toHaveBeenCalledWith(IMPORT_ID, expect.objectContaining({ source: 'claude', userId: 'user-1' }));
+      expect(await service.startImport('user-1', { buffer: toBuffer([claudeConversation]) })).toEqual({
+        status: 429,
+        error: 'An import is already running; wait for it to finish'
+      });
+    });
+  });
+
+  describe('getImport', () => {
+    it('marks imports abandoned by a restart as failed', async () => {
+      mockSupabase.results.chat_imports = { data: { id: IMPORT_ID, user_id: 'user-1', status: 'running', updated_at: '2026-01-01T00:00:00Z' }, error: null };
+
+      const result = await service.getImport('user-1', IMPORT_ID);
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toMatch(/interrupted/);
+      expect(await service.getImport('user-1', 'not-a-uuid')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Chat Organization Service Unit Tests
+ * Tests pinning, archiving, tags and folders: what a chat update may contain,
+ * the sidebar listing filters and folder management
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Admin client whose queries resolve to the results queued per table
+const mockSupabase = require('../../__mocks__/supabase-query-builder').createSupabaseMock();
+jest.mock('../../../src/db/supabase/admin.js', () => mockSupabase.client);
+
+const chatOrganization = require('../../../src/services/chatOrganizationService');
+
+const FOLDER_ID = '6f1c1f3e-2b1a-4c55-9d2e-0a7b8c9d0e1f';
+
+describe('ChatOrganizationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSupabase.reset();
+    mockSupabase.results.chats = { data: { id: 'chat-1' }, error: null };
+    mockSupabase.results.chat_folders = { data: { id: FOLDER_ID, name: 'Work' }, error: null };
+  });
+
+  describe('parseChatUpdate', () => {
+    it('maps pin, archive, tags and folder to columns with timestamps', () => {
+      const { update } = chatOrganization.parseChatUpdate({
+        title: '  Trip  ',
+        pinned: true,
+        archived: false,
+        tags: [' Travel ', 'travel', 'Japan'],
+        folderId: null
+      });
+
+      expect(update).toEqual({
+        title: 'Trip',
+        is_pinned: true,
+        pinned_at: expect.any(String),
+        is_archived: false,
+        archived_at: null,
+        tags: ['travel', 'japan'],
+        folder_id: null,
+        updated_at: expect.any(String)
+      });
+    });
+
+    it('rejects bad values and empty updates', () => {
+      expect(chatOrganization.parseChatUpdate({ title: 3 })).toEqual({ error: 'Title must be a string' });
+      expect(chatOrganization.parseChatUpdate({ pinned: 'yes' }).error).toBe('pinned must be true or false');
+      expect(chatOrganization.parseChatUpdate({ tags: 'travel' }).error).toBe('tags must be an array of strings');
+      expect(chatOrganization.parseChatUpdate({ tags: Array.from({ length: 11 }, (_, i) => `t${i}`) }).error).toMatch(/at most 10 tags/);
+      expect(chatOrganization.parseChatUpdate({ folderId: 'work' }).error).toBe('folderId must be a folder id or null');
+      expect(chatOrganization.parseChatUpdate({})).toEqual({ error: 'Nothing to update' });
+    });
+  });
+
+  describe('updateChat', () => {
+    it('only moves a chat into a folder of the same user', async () => {
+      mockSupabase.results.chat_folders = { data: null, error: null };
+
+      expect(await chatOrganization.updateChat('u1', 'chat-1', { folderId: FOLDER_ID }))
+        .toEqual({ status: 404, error: 'Folder not found' });
+      expect(mockSupabase.callsOn('chats', 'update')).toHaveLength(0);
+    });
+
+    it('returns the updated chat, or 404 when it is not the user\'s', async () => {
+      expect(await chatOrganization.updateChat('u1', 'chat-1', { archived: true })).toEqual({ chat: { id: 'chat-1' } });
+      expect(mockSupabase.callsOn('chats', 'eq').map(call => call.args)).toEqual([['id', 'chat-1'], ['user_id', 'u1']]);
+
+      mockSupabase.results.chats = { data: null, error: null };
+      expect(await chatOrganization.updateChat('u2', 'chat-1', { archived: true })).toEqual({ status: 404, error: 'Chat not found' });
+    });
+  });
+
+  describe('list filters', () => {
+    it('hides archived chats unless asked for them', () => {
+      const { filters } = chatOrganization.parseListFilters({});
+      chatOrganization.applyListFilters(mockSupabase.builder('chats'), filters);
+
+      expect(mockSupabase.calls.map(call => [call.method, ...call.args])).toEqual([['not', 'is_archived', 'is', true]]);
+    });
+
+    it('combines archive, pin, folder and tag filters', () => {
+      const { filters } = chatOrganization.parseListFilters({ archived: 'all', pinned: 'false', folder: FOLDER_ID, tags: 'Work,urgent' });
+      chatOrganization.applyListFilters(mockSupabase.builder('chats'), filters);
+
+      expect(mockSupabase.calls.map(call => [call.method, ...call.args])).toEqual([
+        ['not', 'is_pinned', 'is', true],
+        ['eq', 'folder_id', FOLDER_ID],
+        ['contains', 'tags', ['work', 'urgent']]
+      ]);
+    });
+
+    it('rejects unknown filter values', () => {
+      expect(chatOrganization.parseListFilters({ archived: 'yes' }).error).toBe('archived must be true, false or all');
+      expect(chatOrganization.parseListFilters({ folder: 'work' }).error).toBe('folder must be a folder id or none');
+    });
+  });
+
+  it('counts tags across chats, most used first', async () => {
+    mockSupabase.results.chats = { data: [{ tags: ['work', 'japan'] }, { tags: ['work'] }, { tags: null }], error: null };
+
+    expect(await chatOrganization.listTags('u1')).toEqual([{ tag: 'work', count: 2 }, { tag: 'japan', count: 1 }]);
+  });
+
+  describe('folders', () => {
+    it('lists folders with their unarchived chat counts', async () => {
+      mockSupabase.results.chat_folders = { data: [{ id: 'f1', name: 'Work', position: 0 }, { id: 'f2', name: 'Home', position: 1 }], error: null };
+      mockSupabase.results.chats = { data: [{ folder_id: 'f1' }, { folder_id: 'f1' }], error: null };
+
+      const folders = await chatOrganization.listFolders('u1');
+
+      expect(folders.map(folder => [folder.name, folder.chatCount])).toEqual([['Work', 2], ['Home', 0]]);
+    });
+
+    it('creates a folder at the end and reports duplicate names', async () => {
+      mockSupabase.results.chat_folders = [
+        { count: 2, error: null },
+        { data: { id: FOLDER_ID, name: 'Work', position: 2 }, error: null },
+        { count: 3, error: null },
+        { data: null, error: { code: '23505', message: 'duplicate key' } }
+      ];
+
+      const { folder } = await chatOrganization.createFolder('u1', { name: ' Work ', color: '#4f46e5' });
+      expect(folder).toEqual(expect.objectContaining({ id: FOLDER_ID, position: 2 }));
+      expect(mockSupabase.callsOn('chat_folders', 'insert')[0].args[0]).toEqual({ user_id: 'u1', name: 'Work', color: '#4f46e5', position: 2 });
+
+      expect(await chatOrganization.createFolder('u1', { name: 'work' })).toEqual({ status: 409, error: 'A folder with this name already exists' });
+    });
+
+    it('validates folder fields', async () => {
+      expect((await chatOrganization.createFolder('u1', { name: '  ' })).status).toBe(400);
+      expect((await chatOrganization.createFolder('u1', { name: 'Work', color: 'blue' })).error).toMatch(/hex color/);
+      expect((await chatOrganization.updateFolder('u1', FOLDER_ID, { position: -1 })).status).toBe(400);
+      expect(await chatOrganization.updateFolder('u1', FOLDER_ID, {})).toEqual({ status: 400, error: 'Nothing to update' });
+    });
+
+    it('does not delete another user\'s folder', async () => {
+      mockSupabase.results.chat_folders = { data: null, error: null };
+
+      expect(await chatOrganization.deleteFolder('u2', FOLDER_ID)).toEqual({ status: 404, error: 'Folder not found' });
+      expect(mockSupabase.callsOn('chat_folders', 'delete')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Chat Search Service Unit Tests
+ * Tests search across a user's chats: parameter checks, merging full-text and
+ * semantic hits, highlighted snippets, filters, and background indexing
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// rpc() resolves to mockResults.rpc; table queries to the result queued for their table
+const mockResults = {};
+jest.mock('../../../src/db/supabase/admin.js', () => ({
+  rpc: jest.fn(() => Promise.resolve(mockResults.rpc)),
+  from: jest.fn((table) => {
+    const builder = {};
+    for (const method of ['select', 'eq', 'in']) {
+      builder[method] = jest.fn(() => builder);
+    }
+    builder.then = (resolve, reject) => Promise.resolve(mockResults[table]).then(resolve, reject);
+    return builder;
+  })
+}));
+
+jest.mock('../../../src/services/enhancedQdrantService.js', () => ({
+  searchChatMessages: jest.fn(),
+  storeChatMessage: jest.fn()
+}));
+
+const supabase = require('../../../src/db/supabase/admin.js');
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService.js');
+const chatSearchService = require('../../../src/services/chatSearchService');
+
+const textRow = (id, headline, extra = {}) => ({
+  message_id: id,
+  chat_id: 'chat-1',
+  chat_title: 'Trip planning',
+  chat_tags: [],
+  role: 'assistant',
+  model_used: 'gpt-4o',
+  created_at: '2026-03-01T10:00:00.000Z',
+  headline,
+  rank: 0.5,
+  ...extra
+});
+
+const semanticHit = (messageId, text, extra = {}) => ({
+  messageId,
+  chatId: 'chat-2',
+  role: 'user',
+  model: 'gpt-4o-mini',
+  text,
+  createdAt: '2026-02-01T10:00:00.000Z',
+  score: 0.8,
+  ...extra
+});
+
+describe('ChatSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResults.rpc = { data: [], error: null };
+    mockResults.chats = { data: [{ id: 'chat-2', title: 'Packing', tags: ['travel'] }], error: null };
+    enhancedQdrantService.searchChatMessages.mockResolvedValue([]);
+  });
+
+  it('rejects a missing query and bad dates', async () => {
+    expect(await chatSearchService.search('u1', {})).toEqual({ status: 400, error: '`q` is required' });
+    expect((await chatSearchService.search('u1', { q: 'kyoto', from: 'soon' })).status).toBe(400);
+    expect((await chatSearchService.search('u1', { q: 'kyoto', from: '2026-02-01', to: '2026-01-01' })).error)
+      .toBe('`from` must be before `to`');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('turns full-text headlines into snippets with highlight ranges', async () => {
+    mockResults.rpc = { data: [textRow('m1', 'Spring is the best time for \u0002Kyoto\u0003 temples')], error: null };
+
+    const { results } = await chatSearchService.search('u1', { q: 'kyoto' });
+
+    expect(results).toEqual([expect.objectContaining({
+      chatId: 'chat-1',
+      chatTitle: 'Trip planning',
+      messageId: 'm1',
+      snippet: 'Spring is the best time for Kyoto temples',
+      highlights: [{ start: 28, end: 33 }],
+      matchedBy: ['text']
+    })]);
+  });
+
+  it('passes filters to both searches', async () => {
+    await chatSearchService.search('u1', {
+      q: 'kyoto',
+      from: '2026-01-01',
+      to: '2026-02-01',
+      model: 'gpt-4o',
+      tags: 'travel, work',
+      limit: '5'
+    });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('search_chat_messages', {
+      p_user_id: 'u1',
+      p_query: 'kyoto',
+      p_from: '2026-01-01T00:00:00.000Z',
+      p_to: '2026-02-01T00:00:00.000Z',
+      p_model: 'gpt-4o',
+      p_tags: ['travel', 'work'],
+      p_limit: 5
+    });
+    expect(enhancedQdrantService.searchChatMessages).toHaveBeenCalledWith('u1', 'kyoto', expect.objectContaining({
+      limit: 5,
+      model: 'gpt-4o',
+      from: new Date('2026-01-01'),
+      to: new Date('2026-02-01')
+    }));
+  });
+
+  it('ranks messages found both ways first and keeps semantic-only hits with their own highlights', async () => {
+    mockResults.rpc = {
+      data: [textRow('m1', '\u0002Kyoto\u0003 in spring'), textRow('m2', 'Flights to \u0002Kyoto\u0003', { chat_id: 'chat-2' })],
+      error: null
+    };
+    enhancedQdrantService.searchChatMessages.mockResolvedValue([
+      semanticHit('m2', 'Flights to Kyoto'),
+      semanticHit('m3', 'What should I pack for a temple visit in kyoto?')
+    ]);
+
+    const { results } = await chatSearchService.search('u1', { q: 'kyoto temples' });
+
+    expect(results.map(result => [result.messageId, result.matchedBy])).toEqual([
+      ['m2', ['text', 'semantic']],
+      ['m1', ['text']],
+      ['m3', ['semantic']]
+    ]);
+    const semanticOnly = results[2];
+    expect(semanticOnly.chatTitle).toBe('Packing');
+    expect(semanticOnly.highlights.map(({ start, end }) => semanticOnly.snippet.slice(start, end))).toEqual(['temple', 'kyoto']);
+  });
+
+  it('drops semantic hits from deleted chats or chats without the requested tags', async () => {
+    enhancedQdrantService.searchChatMessages.mockResolvedValue([
+      semanticHit('m3', 'Packing list'),
+      semanticHit('m4', 'Old chat', { chatId: 'deleted-chat' })
+    ]);
+
+    expect((await chatSearchService.search('u1', { q: 'packing' })).results.map(result => result.messageId)).toEqual(['m3']);
+    expect((await chatSearchService.search('u1', { q: 'packing', tags: 'work' })).results).toEqual([]);
+  });
+
+  it('still returns full-text results when semantic search fails', async () => {
+    mockResults.rpc = { data: [textRow('m1', '\u0002Kyoto\u0003')], error: null };
+    enhancedQdrantService.searchChatMessages.mockResolvedValue([semanticHit('m3', 'x')]);
+    mockResults.chats = { data: null, error: new Error('Connection reset') };
+
+    const { results } = await chatSearchService.search('u1', { q: 'kyoto' });
+
+    expect(results.map(result => result.messageId)).toEqual(['m1']);
+  });
+
+  it('indexes saved text messages in the background', async () => {
+    chatSearchService.index('chat-1', 'u1', [
+      { id: 'm1', role: 'user', content: 'Plan a trip to Kyoto', model: 'gpt-4o' },
+      { id: 'm2', role: 'assistant', content: '   ', model: 'gpt-4o' },
+      { id: null, role: 'assistant', content: 'Unsaved', model: 'gpt-4o' }
+    ]);
+    await chatSearchService.queue.onIdle();
+
+    expect(enhancedQdrantService.storeChatMessage).toHaveBeenCalledTimes(1);
+    expect(enhancedQdrantService.storeChatMessage).toHaveBeenCalledWith(expect.objectContaining({
+      messageId: 'm1',
+      userId: 'u1',
+      chatId: 'chat-1',
+      role: 'user',
+      model: 'gpt-4o',
+      text: 'Plan a trip to Kyoto'
+    }));
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Comparison Service Unit Tests
+ * Tests model validation and saving the preferred answer with its vote
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mockInsert = jest.fn();
+jest.mock('../../../src/db/supabase/admin.js', () => ({
+  from: jest.fn(() => ({ insert: mockInsert }))
+}));
+
+jest.mock('../../../src/services/conversationManager.js', () => ({
+  saveMessage: jest.fn()
+}));
+
+const supabase = require('../../../src/db/supabase/admin.js');
+const conversationManager = require('../../../src/services/conversationManager.js');
+const comparisonService = require('../../../src/services/comparisonService');
+
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async key => store.get(key) || null),
+    setex: jest.fn(async (key, ttl, value) => { store.set(key, value); })
+  };
+};
+
+const comparison = {
+  id: 'cmp-1',
+  userId: 'u1',
+  sessionId: 'chat-1',
+  message: 'Which is faster?',
+  branch: { parentMessageId: 'msg-a1' },
+  replies: [
+    { model: 'gpt-4o', text: 'Answer A', usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } },
+    { model: 'gemini-pro', text: 'Answer B', usage: null }
+  ]
+};
+
+describe('ComparisonService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    comparisonService.redisClient = createRedis();
+    mockInsert.mockResolvedValue({ error: null });
+    conversationManager.saveMessage.mockResolvedValue({ id: 'chat-1', userMessageId: 'msg-u2', assistantMessageId: 'msg-a2' });
+  });
+
+  describe('validateModels', () => {
+    const available = ['gpt-4o', 'gemini-pro', 'deepseek-v3.2'];
+
+    it('should accept two or three different models from the plan', () => {
+      expect(comparisonService.validateModels(['gpt-4o', 'gemini-pro'], available)).toBeNull();
+      expect(comparisonService.validateModels(available, available)).toBeNull();
+    });
+
+    it('should reject too few, too many, repeated or unavailable models', () => {
+      expect(comparisonService.validateModels(['gpt-4o'], available)).toBe('models must list 2 to 3 models');
+      expect(comparisonService.validateModels([...available, 'grok-4'], available)).toBe('models must list 2 to 3 models');
+      expect(comparisonService.validateModels(['gpt-4o', 'gpt-4o'], available)).toBe('models must be different');
+      expect(comparisonService.validateModels(['gpt-4o', 'grok-4'], available)).toBe('Model grok-4 is not available on your plan');
+    });
+  });
+
+  describe('prefer', () => {
+    it('should save the preferred reply on its branch and record the vote', async () => {
+      await comparisonService.save(comparison);
+
+      const result = await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u1', model: 'gpt-4o' });
+
+      expect(result).toEqual({ chatId: 'chat-1', model: 'gpt-4o', userMessageId: 'msg-u2', assistantMessageId: 'msg-a2' });
+      expect(conversationManager.saveMessage).toHaveBeenCalledWith('chat-1', 'u1', 'Which is faster?', 'Answer A', 'gpt-4o', 'text', expect.objectContaining({
+        parentMessageId: 'msg-a1',
+        usage: comparison.replies[0].usage,
+        comparison: { comparisonId: 'cmp-1', models: ['gpt-4o', 'gemini-pro'] }
+      }));
+      expect(supabase.from).toHaveBeenCalledWith('model_comparison_votes');
+      expect(mockInsert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'u1',
+        comparison_id: 'cmp-1',
+        models: ['gpt-4o', 'gemini-pro'],
+        preferred_model: 'gpt-4o'
+      }));
+    });
+
+    it('should only let one answer be chosen', async () => {
+      await comparisonService.save(comparison);
+      await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u1', model: 'gpt-4o' });
+
+      const second = await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u1', model: 'gemini-pro' });
+
+      expect(second).toEqual({ status: 409, error: 'An answer was already chosen' });
+      expect(conversationManager.saveMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hide comparisons from other users and reject models that did not answer', async () => {
+      await comparisonService.save(comparison);
+
+      expect((await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u2', model: 'gpt-4o' })).status).toBe(404);
+      expect((await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u1', model: 'grok-4' })).status).toBe(400);
+      expect(conversationManager.saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should let the user choose again when saving the reply fails', async () => {
+      await comparisonService.save(comparison);
+      conversationManager.saveMessage.mockResolvedValueOnce({ id: 'chat-1', error: 'db down' });
+
+      expect((await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u1', model: 'gpt-4o' })).status).toBe(500);
+      expect(await comparisonService.prefer({ comparisonId: 'cmp-1', userId: 'u1', model: 'gpt-4o' })).toEqual(expect.objectContaining({ chatId: 'chat-1' }));
+      expect(mockInsert).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Context Manager Unit Tests
+ * Tests per-model token budgets and how the prompt is filled by priority:
+ * memories, summary, retrieved passages, then as many recent turns as fit
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/conversationManager', () => ({
+  getConversation: jest.fn(),
+  updateSummary: jest.fn()
+}));
+
+jest.mock('../../../src/services/enhancedQdrantService', () => ({
+  searchSimilarQueries: jest.fn()
+}));
+
+jest.mock('../../../src/services/documentService', () => ({
+  search: jest.fn(),
+  formatCitation: jest.fn(chunk => `${chunk.fileName}, p. ${chunk.page}`)
+}));
+
+jest.mock('../../../src/services/memoryService', () => ({
+  getForContext: jest.fn(),
+  formatInstructions: jest.fn(contents => (contents.length ? `\n\nRemember:\n${contents.map(c => `- ${c}`).join('\n')}` : ''))
+}));
+
+const conversationManager = require('../../../src/services/conversationManager');
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService');
+const documentService = require('../../../src/services/documentService');
+const memoryService = require('../../../src/services/memoryService');
+const contextManager = require('../../../src/services/contextManager');
+const { countTokens } = require('../../../src/utils/tokenizer');
+
+const words = (count, word = 'lorem') => Array.from({ length: count }, () => word).join(' ');
+
+// A linear chat of `count` messages, alternating user and assistant
+const chat = (count, length = 10) => Array.from({ length: count }, (_, i) => ({
+  id: `m${i}`,
+  parent_message_id: i === 0 ? null : `m${i - 1}`,
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `turn ${i} ${words(length)}`,
+  created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+}));
+
+describe('ContextManager', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    contextManager.config = { ...contextManager.config, maxInputTokens: 32000, outputReserveTokens: 4096, maxHistoryMessages: 50 };
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(5), summary: null });
+    enhancedQdrantService.searchSimilarQueries.mockResolvedValue([]);
+    documentService.search.mockResolvedValue([]);
+    memoryService.getForContext.mockResolvedValue([]);
+  });
+
+  describe('getBudget', () => {
+    it('reserves room for the reply out of each model\'s context length', () => {
+      expect(contextManager.getBudget('gpt-4o')).toEqual({ model: 'gpt-4o', contextLength: 128000, outputTokens: 4096, inputTokens: 32000 });
+      expect(contextManager.getBudget('deepseek-v3.2')).toEqual(expect.objectContaining({ contextLength: 64000, inputTokens: 32000 }));
+      // Unknown models get the default 8k context, a quarter of it for the reply
+      expect(contextManager.getBudget('unknown-model')).toEqual({ model: 'unknown-model', contextLength: 8192, outputTokens: 2048, inputTokens: 6144 });
+    });
+  });
+
+  it('keeps the whole history of a long-context model instead of six messages', async () => {
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(21), summary: null });
+
+    const { messages, budget } = await contextManager.constructContext('u1', 'chat-1', 'Next?', 'gpt-4o');
+
+    expect(messages).toHaveLength(21);
+    expect(budget).toEqual(expect.objectContaining({ inputTokens: 32000, historyMessages: 21, droppedMessages: 0 }));
+  });
+
+  it('fills by priority and drops the oldest turns when the budget runs out', async () => {
+    contextManager.config.maxInputTokens = 400;
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(11, 40), summary: 'The user is planning a trip to Japan.' });
+    memoryService.getForContext.mockResolvedValue(['Name is Sam']);
+    enhancedQdrantService.searchSimilarQueries.mockResolvedValue([
+      { query: 'Best time to visit Kyoto?', context: { response: 'Spring or autumn.' } }
+    ]);
+
+    const systemPrompt = 'You are a helpful assistant.';
+    const { messages, contextInstructions, budget, personalized } = await contextManager.constructContext('u1', 'chat-1', 'What should I pack?', 'gpt-4o', { systemPrompt });
+
+    expect(personalized).toBe(true);
+    expect(contextInstructions).toContain('- Name is Sam');
+    expect(contextInstructions).toContain('Previous conversation summary: The user is planning a trip to Japan.');
+    expect(contextInstructions).toContain('Q: Best time to visit Kyoto?');
+    // Only the newest turns, without gaps
+    expect(messages.length).toBeGreaterThan(0);
+    expect(messages.length).toBeLessThan(11);
+    expect(messages[messages.length - 1].content).toMatch(/^turn 10 /);
+    expect(messages[0].content).toMatch(new RegExp(`^turn ${11 - messages.length} `));
+    expect(budget.droppedMessages).toBe(11 - messages.length);
+    expect(budget.usedTokens).toBeLessThanOrEqual(400);
+    expect(budget.sections.memory).toBe(countTokens('\n\nRemember:\n- Name is Sam'));
+  });
+
+  it('leaves out passages that do not fit and only returns the excerpts it quoted', async () => {
+    contextManager.config.maxInputTokens = 200;
+    documentService.search.mockResolvedValue([
+      { fileName: 'big.pdf', page: 1, text: words(500), score: 0.9 },
+      { fileName: 'small.pdf', page: 2, text: 'Check-in is at 3pm.', score: 0.8 }
+    ]);
+
+    const { sources, contextInstructions, personalized } = await contextManager.constructContext('u1', 'chat-1', 'When is check-in?', 'gpt-4o');
+
+    // Excerpts of the chat's documents are not about the user
+    expect(personalized).toBe(false);
+    expect(sources.map(source => source.citation)).toEqual(['small.pdf, p. 2']);
+    expect(contextInstructions).toContain('[small.pdf, p. 2]\nCheck-in is at 3pm.');
+  });
+
+  it('caps recent turns at maxHistoryMessages', async () => {
+    contextManager.config.maxHistoryMessages = 4;
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(9), summary: null });
+
+    const { messages } = await contextManager.constructContext('u1', 'chat-1', 'Next?', 'gpt-4o');
+
+    expect(messages.map(message => message.content.split(' ')[1])).toEqual(['5', '6', '7', '8']);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Cost Ledger Service Unit Tests
+ * Tests pricing, ledger writes, spend reports and plan margins
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/db/supabase/admin.js', () => ({
+  from: jest.fn(),
+  rpc: jest.fn()
+}));
+
+const supabase = require('../../../src/db/supabase/admin.js');
+const costLedger = require('../../../src/services/costLedgerService');
+const EnhancedRouterService = require('../../../src/services/enhancedRouterService');
+const { getTokenPrice } = require('../../../src/config/pricing');
+
+const CHAT_ID = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+
+describe('CostLedgerService pricing', () => {
+  it('should have a price for every model the router can pick', () => {
+    const missing = EnhancedRouterService.PAID_MODELS.filter(model => !getTokenPrice(model));
+    expect(missing).toEqual([]);
+  });
+
+  it('should price completions per million input and output tokens', () => {
+    const cost = costLedger.calculateCompletionCost('gpt-4o', { promptTokens: 1000, completionTokens: 500 });
+    expect(cost).toBeCloseTo(0.0075, 6);
+  });
+
+  it('should treat self-hosted and unknown models as free', () => {
+    expect(costLedger.calculateCompletionCost('local/llama3', { promptTokens: 1e6, completionTokens: 1e6 })).toBe(0);
+    expect(costLedger.calculateCompletionCost('mystery-model', { promptTokens: 1e6, completionTokens: 0 })).toBe(0);
+  });
+
+  it('should price images by size and quality', () => {
+    expect(costLedger.calculateImageCost('dall-e-3', { size: '1024x1024', quality: 'standard' })).toBe(0.04);
+    expect(costLedger.calculateImageCost('dall-e-3', { size: '1792x1024', quality: 'hd' })).toBe(0.12);
+    expect(costLedger.calculateImageCost('dall-e-2', { size: '512x512', count: 2 })).toBe(0.036);
+  });
+});
+
+describe('CostLedgerService ledger', () => {
+  let insert;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    insert = jest.fn().mockResolvedValue({ error: null });
+    supabase.from.mockImplementation(() => ({ insert }));
+  });
+
+  it('should write a completion entry with its cost', async () => {
+    await costLedger.recordCompletion({
+      userId: 'u1',
+      chatId: CHAT_ID,
+      model: 'gpt-4o-mini',
+      plan: 'plus',
+      usage: { promptTokens: 2000, completionTokens: 1000, source: 'provider' }
+    });
+
+    expect(supabase.from).toHaveBeenCalledWith('cost_ledger');
+    expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'u1',
+      chat_id: CHAT_ID,
+      model: 'gpt-4o-mini',
+      kind: 'completion',
+      subscription_plan: 'plus',
+      prompt_tokens: 2000,
+      completion_tokens: 1000,
+      usage_source: 'provider',
+      cost_usd: 0.0009
+    }));
+  });
+
+  it('should drop chat ids that are not UUIDs', async () => {
+    await costLedger.recordCompletion({
+      userId: 'u1', chatId: 'new-chat', model: 'qwen', plan: 'free', usage: { promptTokens: 1, completionTokens: 1 }
+    });
+
+    expect(insert.mock.calls[0][0].chat_id).toBeNull();
+  });
+
+  it('should never throw when the insert fails', async () => {
+    insert.mockResolvedValue({ error: { message: 'relation does not exist' } });
+
+    await expect(costLedger.recordImage({ userId: 'u1', model: 'dall-e-3', plan: 'pro' })).resolves.toBeNull();
+  });
+});
+
+describe('CostLedgerService reports', () => {
+  const from = new Date('2026-01-01T00:00:00Z');
+  const to = new Date('2026-01-31T00:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should aggregate spend through the database function', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: [
+        { group_key: 'gpt-4o', request_count: '3', prompt_tokens: '100', completion_tokens: '50', image_count: '0', cost_usd: '0.5' },
+        { group_key: 'dall-e-3', request_count: '1', prompt_tokens: '0', completion_tokens: '0', image_count: '1', cost_usd: '0.04' }
+      ],
+      error: null
+    });
+
+    const spend = await costLedger.getSpend({ from, to, groupBy: 'model' });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_cost_spend', {
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+      p_group_by: 'model',
+      p_user_id: null
+    });
+    expect(spend.rows[0]).toEqual({ key: 'gpt-4o', requests: 3, promptTokens: 100, completionTokens: 50, images: 0, costUsd: 0.5 });
+    expect(spend.totalUsd).toBe(0.54);
+  });
+
+  it('should reject unknown groupings', async () => {
+    await expect(costLedger.getSpend({ from, to, groupBy: 'day' })).rejects.toThrow('groupBy');
+  });
+
+  it('should compare prorated plan revenue with ledger cost', async () => {
+    const plans = [
+      { name: 'Free', price: '0', billing_interval: 'monthly' },
+      { name: 'Plus', price: '15', billing_interval: 'monthly' }
+    ];
+    const subscribers = { free: 100, plus: 4 };
+    supabase.from.mockImplementation((table) => {
+      if (table === 'plans') {
+        return { select: () => ({ eq: () => Promise.resolve({ data: plans, error: null }) }) };
+      }
+      return {
+        select: () => ({ eq: (column, plan) => Promise.resolve({ count: subscribers[plan], error: null }) })
+      };
+    });
+    supabase.rpc.mockResolvedValue({
+      data: [
+        { group_key: 'free', request_count: 40, cost_usd: 2 },
+        { group_key: 'plus', request_count: 10, cost_usd: 12 }
+      ],
+      error: null
+    });
+
+    const margins = await costLedger.getPlanMargins({ from, to });
+
+    expect(margins).toEqual([
+      expect.objectContaining({ plan: 'free', subscribers: 100, revenueUsd: 0, costUsd: 2, marginUsd: -2, marginPercent: null }),
+      expect.objectContaining({ plan: 'plus', subscribers: 4, revenueUsd: 60, costUsd: 12, marginUsd: 48, marginPercent: 80 })
+    ]);
+  });
+
+  it('should default to the last 30 days and reject inverted ranges', () => {
+    const range = costLedger.resolveRange(undefined, '2026-02-01T00:00:00Z');
+    expect(range.from.toISOString()).toBe('2026-01-02T00:00:00.000Z');
+    expect(() => costLedger.resolveRange('2026-02-01', '2026-01-01')).toThrow();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Document Service Unit Tests
+ * Tests text extraction, chunking, ingestion and chat-scoped retrieval
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/fileStorageService.js', () => ({
+  downloadFile: jest.fn()
+}));
+
+// pdf.js needs dynamic imports, which jest's module sandbox does not run
+jest.mock('pdf-parse', () => ({
+  PDFParse: jest.fn().mockImplementation(() => ({
+    getText: jest.fn().mockResolvedValue({ total: 2, pages: [{ num: 1, text: 'Revenue grew' }, { num: 2, text: 'Costs fell' }] }),
+    destroy: jest.fn().mockResolvedValue()
+  }))
+}));
+
+jest.mock('../../../src/services/enhancedQdrantService.js', () => ({
+  storeDocumentChunks: jest.fn().mockResolvedValue({ success: true }),
+  searchDocumentChunks: jest.fn()
+}));
+
+const { PDFParse } = require('pdf-parse');
+const { downloadFile } = require('../../../src/services/fileStorageService.js');
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService.js');
+const documentService = require('../../../src/services/documentService');
+
+describe('DocumentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documentService.config.chunkChars = 1500;
+    documentService.config.overlapChars = 200;
+  });
+
+  describe('extractPages', () => {
+    it('should read text files as a single page without a number', async () => {
+      expect(await documentService.extractPages(Buffer.from('hello'), 'text/plain')).toEqual([{ page: null, text: 'hello' }]);
+    });
+
+    it('should read PDFs page by page', async () => {
+      const buffer = Buffer.from('%PDF-1.4');
+      const pages = await documentService.extractPages(buffer, 'application/pdf');
+
+      expect(PDFParse).toHaveBeenCalledWith({ data: buffer });
+      expect(pages).toEqual([{ page: 1, text: 'Revenue grew' }, { page: 2, text: 'Costs fell' }]);
+      expect(PDFParse.mock.results[0].value.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('chunkPages', () => {
+    it('should split long pages on word boundaries with overlap', () => {
+      documentService.config.chunkChars = 40;
+      documentService.config.overlapChars = 10;
+      const text = 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu';
+
+      const chunks = documentService.chunkPages([{ page: 2, text }]);
+
+      // The second chunk repeats the tail of the first
+      expect(chunks).toEqual([
+        { page: 2, index: 0, text: 'alpha beta gamma delta epsilon zeta eta' },
+        { page: 2, index: 1, text: 'zeta eta theta iota kappa lambda mu' }
+      ]);
+    });
+
+    it('should never merge text from different pages', () => {
+      const chunks = documentService.chunkPages([{ page: 1, text: 'one' }, { page: 2, text: '' }, { page: 3, text: 'three' }]);
+
+      expect(chunks).toEqual([{ page: 1, index: 0, text: 'one' }, { page: 3, index: 1, text: 'three' }]);
+    });
+  });
+
+  describe('ingestAttachments', () => {
+    it('should store the chunks of each document for the chat', async () => {
+      downloadFile.mockResolvedValue({ success: true, buffer: Buffer.from('Quarterly notes') });
+
+      const results = await documentService.ingestAttachments('u1', 'chat-1', [
+        { path: 'u1/1-notes.txt', name: 'notes.txt', type: 'text/plain' },
+        { path: 'u1/2-cat.png', name: 'cat.png', type: 'image/png' }
+      ]);
+
+      expect(results).toEqual([expect.objectContaining({ fileName: 'notes.txt', pages: 1, chunks: 1 })]);
+      const [document, chunks] = enhancedQdrantService.storeDocumentChunks.mock.calls[0];
+      expect(document).toEqual(expect.objectContaining({ userId: 'u1', chatId: 'chat-1', fileName: 'notes.txt' }));
+      expect(chunks).toEqual([{ page: null, index: 0, text: 'Quarterly notes' }]);
+    });
+
+    it('should report unreadable documents without throwing', async () => {
+      downloadFile.mockResolvedValue({ success: true, buffer: Buffer.from('   ') });
+
+      const results = await documentService.ingestAttachments('u1', 'chat-1', [
+        { path: 'u1/1-empty.txt', name: 'empty.txt', type: 'text/plain' }
+      ]);
+
+      expect(results).toEqual([{ fileName: 'empty.txt', error: 'No text found in empty.txt' }]);
+      expect(enhancedQdrantService.storeDocumentChunks).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should only search documents of the given chat', async () => {
+    enhancedQdrantService.searchDocumentChunks.mockResolvedValue([]);
+
+    await documentService.search('u1', 'chat-1', 'what grew?');
+    expect(await documentService.search('u1', null, 'what grew?')).toEqual([]);
+
+    expect(enhancedQdrantService.searchDocumentChunks).toHaveBeenCalledTimes(1);
+    expect(enhancedQdrantService.searchDocumentChunks).toHaveBeenCalledWith('u1', 'what grew?', expect.objectContaining({ chatId: 'chat-1' }));
+  });
+
+  it('should cite pages only when the document has them', () => {
+    expect(documentService.formatCitation({ fileName: 'report.pdf', page: 3 })).toBe('report.pdf, p. 3');
+    expect(documentService.formatCitation({ fileName: 'notes.txt', page: null })).toBe('notes.txt');
+  });
+});
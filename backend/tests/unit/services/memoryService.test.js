@@ -0,0 +1,138 @@
+/**
+ * Memory Service Unit Tests
+ * Tests per-user memories: the on/off switch, what the user and the assistant can
+ * add, approval, and the system prompt section the model sees
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Admin client whose queries resolve to the results queued per table
+const mockSupabase = require('../../__mocks__/supabase-query-builder').createSupabaseMock();
+jest.mock('../../../src/db/supabase/admin.js', () => mockSupabase.client);
+
+const memoryService = require('../../../src/services/memoryService');
+
+const row = (content, status = 'approved', extra = {}) => ({
+  id: `m-${content.length}`,
+  content,
+  status,
+  source: status === 'approved' ? 'user' : 'assistant',
+  chat_id: null,
+  created_at: '2026-01-01T00:00:00.000Z',
+  updated_at: '2026-01-01T00:00:00.000Z',
+  ...extra
+});
+
+describe('MemoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSupabase.reset();
+    memoryService.maxMemories = 3;
+    memoryService.maxChars = 100;
+    mockSupabase.results.settings = { data: null, error: null };
+    mockSupabase.results.user_memories = { data: [], error: null };
+  });
+
+  it('is on unless the user turned it off', async () => {
+    expect(await memoryService.isEnabled('u1')).toBe(true);
+
+    mockSupabase.results.settings = { data: { preferences: { memory: { enabled: false } } }, error: null };
+    expect(await memoryService.isEnabled('u1')).toBe(false);
+  });
+
+  it('uses no memories and saves none when the setting cannot be read', async () => {
+    mockSupabase.results.user_memories = { data: [row('Name is Sam')], error: null };
+    mockSupabase.results.settings = { data: null, error: new Error('settings unavailable') };
+
+    await expect(memoryService.isEnabled('u1')).rejects.toThrow('settings unavailable');
+    expect(await memoryService.getForContext('u1')).toEqual([]);
+    await expect(memoryService.propose('u1', 'Lives in Berlin')).rejects.toThrow('settings unavailable');
+    expect(mockSupabase.writes()).toEqual([]);
+  });
+
+  it('keeps other preferences when switching memory off', async () => {
+    mockSupabase.results.settings = { data: { preferences: { ai: { default_model: 'gpt-4o' } } }, error: null };
+
+    await memoryService.setEnabled('u1', false);
+
+    expect(mockSupabase.writes()).toEqual([{
+      table: 'settings',
+      method: 'upsert',
+      values: expect.objectContaining({
+        user_id: 'u1',
+        preferences: { ai: { default_model: 'gpt-4o' }, memory: { enabled: false } }
+      })
+    }]);
+  });
+
+  it('validates what the user adds and stops at the limit', async () => {
+    expect(await memoryService.create('u1', '  ')).toEqual({ status: 400, error: 'content is required' });
+    expect((await memoryService.create('u1', 'x'.repeat(101))).status).toBe(400);
+
+    mockSupabase.results.user_memories = { data: [row('a'), row('bb'), row('ccc')], error: null };
+    expect((await memoryService.create('u1', 'Lives in Lyon')).status).toBe(409);
+    expect(mockSupabase.writes()).toEqual([]);
+  });
+
+  it('approves a pending suggestion when the user adds the same fact', async () => {
+    mockSupabase.results.user_memories = { data: [row('Prefers metric units', 'proposed')], error: null };
+
+    await memoryService.create('u1', 'prefers  METRIC units');
+
+    expect(mockSupabase.writes()).toEqual([{ table: 'user_memories', method: 'update', values: expect.objectContaining({ status: 'approved' }) }]);
+  });
+
+  describe('propose', () => {
+    it('records suggestions from the assistant as pending', async () => {
+      mockSupabase.results.user_memories = { data: [], error: null };
+
+      await memoryService.propose('u1', ' Works as a  nurse ', 'chat-1');
+
+      expect(mockSupabase.writes()[0]).toEqual({
+        table: 'user_memories',
+        method: 'insert',
+        values: { user_id: 'u1', content: 'Works as a nurse', status: 'proposed', source: 'assistant', chat_id: 'chat-1' }
+      });
+    });
+
+    it('tells the model why nothing was saved', async () => {
+      mockSupabase.results.user_memories = { data: [row('Works as a nurse')], error: null };
+      expect(await memoryService.propose('u1', 'works as a nurse')).toEqual(expect.objectContaining({
+        proposed: false,
+        reason: 'Already remembered'
+      }));
+
+      mockSupabase.results.settings = { data: { preferences: { memory: { enabled: false } } }, error: null };
+      expect((await memoryService.propose('u1', 'Has two cats')).proposed).toBe(false);
+      expect(mockSupabase.writes()).toEqual([]);
+    });
+  });
+
+  describe('getInstructions', () => {
+    it('lists approved memories for the system prompt', async () => {
+      mockSupabase.results.user_memories = { data: [row('Name is Sam'), row('Prefers short answers')], error: null };
+
+      expect(await memoryService.getInstructions('u1')).toBe(
+        '\n\nThings the user asked you to remember (use them when relevant, do not recite them):\n' +
+        '- Name is Sam\n- Prefers short answers'
+      );
+    });
+
+    it('is empty when memory is off or cannot be loaded', async () => {
+      mockSupabase.results.user_memories = { data: [row('Name is Sam')], error: null };
+      mockSupabase.results.settings = { data: { preferences: { memory: { enabled: false } } }, error: null };
+      expect(await memoryService.getInstructions('u1')).toBe('');
+
+      mockSupabase.results.settings = { data: null, error: null };
+      mockSupabase.results.user_memories = { data: null, error: new Error('relation does not exist') };
+      expect(await memoryService.getInstructions('u1')).toBe('');
+    });
+  });
+});
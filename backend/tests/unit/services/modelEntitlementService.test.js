@@ -0,0 +1,115 @@
+/**
+ * Model Entitlement Service Unit Tests
+ * Tests plan entitlements and which model a user chose for a message
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Every query resolves to the result queued for its table
+const mockResults = {};
+jest.mock('../../../src/db/supabase/admin.js', () => ({
+  from: jest.fn((table) => {
+    const builder = {};
+    for (const method of ['select', 'update', 'eq', 'order', 'maybeSingle']) {
+      builder[method] = jest.fn(() => builder);
+    }
+    builder.then = (resolve, reject) => Promise.resolve(mockResults[table]).then(resolve, reject);
+    return builder;
+  })
+}));
+
+jest.mock('../../../src/services/conversationManager.js', () => ({
+  isValidUuid: jest.fn(id => typeof id === 'string' && id.startsWith('chat-'))
+}));
+
+jest.mock('../../../src/services/enhancedRouterService.js', () => ({
+  getAvailableModels: jest.fn(isPaid => (isPaid ? ['gpt-4o', 'grok-4', 'gpt-4o-mini'] : ['gpt-4o-mini']))
+}));
+
+jest.mock('../../../src/services/providerRegistry.js', () => ({
+  providerRegistry: { hasModel: jest.fn(model => ['gpt-4o', 'grok-4', 'gpt-4o-mini'].includes(model)) }
+}));
+
+const modelEntitlements = require('../../../src/services/modelEntitlementService');
+
+describe('ModelEntitlementService', () => {
+  beforeEach(() => {
+    modelEntitlements.cache = null;
+    mockResults.plans = {
+      data: [
+        { name: 'Free', price: 0, allowed_models: null },
+        { name: 'Plus', price: 10, allowed_models: ['gpt-4o', 'gpt-4o-mini'] },
+        { name: 'Pro', price: 20, allowed_models: null }
+      ],
+      error: null
+    };
+    mockResults.chats = { data: null, error: null };
+    mockResults.settings = { data: null, error: null };
+  });
+
+  describe('checkModel', () => {
+    it('allows models on the plan', async () => {
+      expect(await modelEntitlements.checkModel('gpt-4o', 'plus')).toBeNull();
+    });
+
+    it('names the cheapest plan that includes the model', async () => {
+      expect(await modelEntitlements.checkModel('gpt-4o', 'free')).toEqual({
+        status: 403,
+        error: 'gpt-4o requires the Plus plan',
+        upgradeRequired: true,
+        requiredPlan: 'plus',
+        model: 'gpt-4o'
+      });
+      // Plus lists its models, so grok-4 needs Pro
+      expect((await modelEntitlements.checkModel('grok-4', 'plus')).requiredPlan).toBe('pro');
+    });
+
+    it('rejects unknown models', async () => {
+      expect(await modelEntitlements.checkModel('gpt-9', 'pro')).toEqual({ status: 400, error: 'Unknown model gpt-9' });
+    });
+  });
+
+  describe('resolve', () => {
+    it('prefers the requested model and lets auto skip the pinned one', async () => {
+      mockResults.chats = { data: { pinned_model: 'gpt-4o' }, error: null };
+
+      expect(await modelEntitlements.resolve({ userId: 'u1', chatId: 'chat-1', requestedModel: 'gpt-4o-mini', plan: 'plus' }))
+        .toEqual({ model: 'gpt-4o-mini', source: 'request' });
+      expect(await modelEntitlements.resolve({ userId: 'u1', chatId: 'chat-1', requestedModel: 'auto', plan: 'plus' }))
+        .toEqual({ model: null, source: null });
+      expect(await modelEntitlements.resolve({ userId: 'u1', chatId: 'chat-1', plan: 'plus' }))
+        .toEqual({ model: 'gpt-4o', source: 'pinned' });
+    });
+
+    it('requires an upgrade for a pinned model the plan no longer includes', async () => {
+      mockResults.chats = { data: { pinned_model: 'gpt-4o' }, error: null };
+
+      const result = await modelEntitlements.resolve({ userId: 'u1', chatId: 'chat-1', plan: 'free' });
+
+      expect(result.upgradeRequired).toBe(true);
+      expect(result.requiredPlan).toBe('plus');
+    });
+
+    it('ignores a default model outside the plan', async () => {
+      mockResults.settings = { data: { preferences: { ai: { default_model: 'gpt-4o' } } }, error: null };
+
+      expect(await modelEntitlements.resolve({ userId: 'u1', chatId: 'chat-1', plan: 'free' })).toEqual({ model: null, source: null });
+      expect(await modelEntitlements.resolve({ userId: 'u1', chatId: 'chat-1', plan: 'pro' })).toEqual({ model: 'gpt-4o', source: 'preference' });
+    });
+  });
+
+  it('lists every model with the plan that unlocks it', async () => {
+    expect(await modelEntitlements.getCatalog('free')).toEqual([
+      { model: 'gpt-4o-mini', allowed: true, requiredPlan: null },
+      { model: 'gpt-4o', allowed: false, requiredPlan: 'plus' },
+      { model: 'grok-4', allowed: false, requiredPlan: 'pro' }
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Provider Health Service Unit Tests
+ * Tests the per-provider circuit breakers: opening on errors, rate limits and
+ * slow calls, recovery through half-open, and what health checks report
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { ProviderRegistry } = require('../../../src/services/providerRegistry');
+const { ProviderHealthService } = require('../../../src/services/providerHealthService');
+
+const providers = [
+  { id: 'alpha', name: 'Alpha', adapter: 'openai', requiresApiKey: false, models: { 'alpha-chat': {}, 'alpha-mini': {} } },
+  { id: 'beta', name: 'Beta', adapter: 'openai', requiresApiKey: false, models: { 'beta-chat': {} } }
+];
+
+const CONFIG = {
+  failureThreshold: 3,
+  recoveryTimeout: 10000,
+  monitoringPeriod: 60000,
+  successThreshold: 2,
+  slowCallThreshold: 5000
+};
+
+const failure = (status, message = 'Upstream error', headers) => Object.assign(new Error(message), { status, headers });
+
+describe('ProviderHealthService', () => {
+  let clock;
+  let health;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clock = 1000000;
+    health = new ProviderHealthService(new ProviderRegistry(providers), CONFIG, () => clock);
+  });
+
+  it('opens the provider circuit after repeated errors within the window', () => {
+    health.recordFailure('alpha-chat', failure(500));
+    clock += 70000;
+    health.recordFailure('alpha-chat', failure(502));
+    health.recordFailure('alpha-mini', failure(503));
+    expect(health.isAvailable('alpha-chat')).toBe(true);
+
+    health.recordFailure('alpha-chat', failure(500));
+
+    // The circuit belongs to the provider, so all of its models are skipped
+    expect(health.filterAvailable(['alpha-chat', 'alpha-mini', 'beta-chat'])).toEqual(['beta-chat']);
+  });
+
+  it('ignores request errors and models of unknown providers', () => {
+    for (let i = 0; i < 5; i++) {
+      health.recordFailure('alpha-chat', failure(400, 'context length exceeded'));
+      health.recordFailure('gpt-9', failure(500));
+    }
+
+    expect(health.isAvailable('alpha-chat')).toBe(true);
+    expect(health.isAvailable('gpt-9')).toBe(true);
+  });
+
+  it('opens on a rate limit for as long as Retry-After asks', () => {
+    health.recordFailure('beta-chat', failure(429, 'Too many requests', { 'retry-after': '45' }));
+
+    expect(health.isAvailable('beta-chat')).toBe(false);
+    clock += 30000;
+    expect(health.isAvailable('beta-chat')).toBe(false);
+    clock += 15000;
+    expect(health.isAvailable('beta-chat')).toBe(true);
+  });
+
+  it('counts slow calls as failures', () => {
+    health.recordSuccess('alpha-chat', 6000);
+    health.recordSuccess('alpha-chat', 7000);
+    health.recordSuccess('alpha-chat', 8000);
+
+    const alpha = health.getStatus().find(status => status.providerId === 'alpha');
+    expect(alpha.state).toBe('OPEN');
+    expect(alpha.failuresByKind).toEqual({ error: 0, rate_limit: 0, slow: 3 });
+    expect(alpha.avgLatencyMs).toBe(7000);
+  });
+
+  it('closes again after enough successes while half-open, and reopens on a failure', () => {
+    for (let i = 0; i < 3; i++) health.recordFailure('alpha-chat', failure(500));
+    clock += 10000;
+
+    expect(health.getStatus()[0].state).toBe('HALF_OPEN');
+    health.recordSuccess('alpha-chat', 200);
+    health.recordFailure('alpha-chat', failure(500));
+    expect(health.isAvailable('alpha-chat')).toBe(false);
+
+    clock += 10000;
+    health.recordSuccess('alpha-chat', 200);
+    health.recordSuccess('alpha-chat', 300);
+    expect(health.getStatus()[0]).toEqual(expect.objectContaining({ state: 'CLOSED', failureCount: 0, retryAt: null }));
+  });
+
+  it('reports every provider and raises alerts for circuits that are not closed', () => {
+    for (let i = 0; i < 3; i++) health.recordFailure('alpha-chat', failure(500, 'Bad gateway'));
+
+    expect(health.getStatus().map(({ providerId, state }) => ({ providerId, state }))).toEqual([
+      { providerId: 'alpha', state: 'OPEN' },
+      { providerId: 'beta', state: 'CLOSED' }
+    ]);
+    expect(health.getAlerts()).toEqual([{
+      type: 'provider_circuit',
+      severity: 'critical',
+      provider: 'alpha',
+      message: `Alpha circuit is open after 3 failure(s) (last: Bad gateway); retrying at ${new Date(clock + 10000).toISOString()}`,
+      threshold: '3 failures in 60s'
+    }]);
+
+    clock += 10000;
+    expect(health.getAlerts()[0].severity).toBe('warning');
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Provider Registry Unit Tests
+ * Tests exact model resolution, capability lookup and lazy client creation
+ */
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { ProviderRegistry } = require('../../../src/services/providerRegistry');
+const { buildLocalProvider } = require('../../../src/config/providers');
+const StreamingService = require('../../../src/services/streamingService');
+
+const testProviders = [
+  {
+    id: 'alpha',
+    name: 'Alpha',
+    adapter: 'openai',
+    baseURL: 'https://alpha.example.com/v1',
+    apiKeyEnv: 'ALPHA_TEST_KEY',
+    capabilities: { jsonMode: true, maxContext: 32000 },
+    models: {
+      'alpha-large': { apiId: 'alpha-large-2025', capabilities: { vision: true } },
+      'alpha-small': {}
+    }
+  },
+  {
+    id: 'beta',
+    name: 'Beta',
+    adapter: 'gemini',
+    apiKeyEnv: 'BETA_TEST_KEY',
+    models: {
+      'beta-flash': {}
+    }
+  }
+];
+
+describe('ProviderRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    process.env.ALPHA_TEST_KEY = 'alpha-key';
+    delete process.env.BETA_TEST_KEY;
+    registry = new ProviderRegistry(testProviders);
+  });
+
+  afterEach(() => {
+    delete process.env.ALPHA_TEST_KEY;
+  });
+
+  describe('resolve', () => {
+    it('should resolve a model to its provider and API ID', () => {
+      const resolved = registry.resolve('alpha-large');
+
+      expect(resolved.providerId).toBe('alpha');
+      expect(resolved.apiId).toBe('alpha-large-2025');
+      expect(resolved.provider.name).toBe('Alpha');
+    });
+
+    it('should default the API ID to the model name', () => {
+      expect(registry.getApiModelId('alpha-small')).toBe('alpha-small');
+    });
+
+    it('should not match models by substring', () => {
+      expect(registry.resolve('alpha')).toBeNull();
+      expect(registry.resolve('alpha-large-v2')).toBeNull();
+    });
+  });
+
+  describe('capabilities', () => {
+    it('should merge defaults, provider and model capabilities', () => {
+      expect(registry.getCapabilities('alpha-large')).toEqual({
+        vision: true,
+        jsonMode: true,
+        jsonSchema: false,
+        maxContext: 32000,
+        streamUsage: true,
+        tools: false
+      });
+      expect(registry.getCapabilities('beta-flash').jsonMode).toBe(false);
+    });
+
+    it('should filter listed models by capability', () => {
+      expect(registry.listModels({ capability: 'vision' })).toEqual(['alpha-large']);
+      expect(registry.listModels({ providerId: 'beta' })).toEqual(['beta-flash']);
+    });
+  });
+
+  describe('register', () => {
+    it('should reject a model already served by another provider', () => {
+      expect(() => registry.register({
+        id: 'gamma',
+        adapter: 'openai',
+        models: { 'alpha-small': {} }
+      })).toThrow('already served by provider alpha');
+    });
+
+    it('should reject unsupported adapters', () => {
+      expect(() => registry.register({ id: 'delta', adapter: 'soap', models: {} }))
+        .toThrow('unsupported adapter');
+    });
+  });
+
+  describe('getClient', () => {
+    it('should create a client once and reuse it', () => {
+      const first = registry.getClient('alpha');
+      const second = registry.getClient('alpha');
+
+      expect(first).toBeDefined();
+      expect(first).toBe(second);
+    });
+
+    it('should return null when the provider has no API key', () => {
+      expect(registry.isConfigured('beta')).toBe(false);
+      expect(registry.getClient('beta')).toBeNull();
+    });
+  });
+});
+
+describe('Local OpenAI-compatible provider', () => {
+  const env = {
+    LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1/',
+    LOCAL_LLM_MODELS: 'llama3.1, qwen2.5-coder'
+  };
+
+  it('should not be declared without a base URL', () => {
+    expect(buildLocalProvider({})).toBeNull();
+  });
+
+  it('should prefix configured models and keep the raw API ID', () => {
+    const registry = new ProviderRegistry([buildLocalProvider(env)]);
+
+    expect(registry.getProvider('local').baseURL).toBe('http://localhost:11434/v1');
+    expect(registry.resolve('local/llama3.1').apiId).toBe('llama3.1');
+    expect(registry.listModels({ tiers: ['free'] })).toEqual(['local/llama3.1', 'local/qwen2.5-coder']);
+    expect(registry.isConfigured('local')).toBe(true);
+  });
+
+  it('should only expose paid-tier local models to paid plans', () => {
+    const registry = new ProviderRegistry([buildLocalProvider({ ...env, LOCAL_LLM_TIER: 'paid' })]);
+
+    expect(registry.listModels({ tiers: ['free'] })).toEqual([]);
+    expect(registry.listModels({ tiers: ['free', 'paid'] })).toHaveLength(2);
+  });
+
+  it('should register models discovered through /v1/models', async () => {
+    const registry = new ProviderRegistry([buildLocalProvider(env)]);
+    registry.clients.set('local', {
+      models: {
+        list: jest.fn().mockResolvedValue({ data: [{ id: 'llama3.1' }, { id: 'mistral-nemo' }] })
+      }
+    });
+
+    const discovered = await registry.discoverModels('local');
+
+    expect(discovered).toEqual(['local/llama3.1', 'local/mistral-nemo']);
+    expect(registry.resolve('local/mistral-nemo').apiId).toBe('mistral-nemo');
+  });
+
+  it('should report an unreachable endpoint in the health probe', async () => {
+    const registry = new ProviderRegistry([buildLocalProvider(env)]);
+    registry.clients.set('local', {
+      models: { list: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) }
+    });
+
+    const result = await registry.probe('local');
+
+    expect(result.status).toBe('error');
+    expect(result.error).toContain('ECONNREFUSED');
+  });
+});
+
+describe('StreamingService adapter selection', () => {
+  let registry;
+  let service;
+
+  beforeEach(() => {
+    process.env.ALPHA_TEST_KEY = 'alpha-key';
+    registry = new ProviderRegistry(testProviders);
+    service = new StreamingService(registry);
+  });
+
+  it('should use the Gemini adapter for gemini providers', () => {
+    const streamGemini = jest.spyOn(service, 'streamGemini').mockResolvedValue('ok');
+    const adapter = service.getAdapterForModel('beta-flash');
+
+    adapter({ route: { primaryModel: 'beta-flash' } });
+    expect(streamGemini).toHaveBeenCalled();
+  });
+
+  it('should pass the provider client to the OpenAI-compatible adapter', () => {
+    const streamOpenAI = jest.spyOn(service, 'streamOpenAICompatible').mockResolvedValue('ok');
+    const adapter = service.getAdapterForModel('alpha-small');
+
+    adapter({ route: { primaryModel: 'alpha-small' } });
+    expect(streamOpenAI).toHaveBeenCalledWith(
+      { route: { primaryModel: 'alpha-small' } },
+      registry.getClient('alpha'),
+      'Alpha'
+    );
+  });
+
+  it('should throw for models no provider serves', () => {
+    expect(() => service.getAdapterForModel('unknown-model')).toThrow('not served by any registered provider');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Router Decision Service Unit Tests
+ * Tests logging routing decisions and rating the replies they produced
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Records every query builder call; awaiting a builder resolves to `mockResult`
+let mockResult;
+const mockCalls = [];
+jest.mock('../../../src/db/supabase/admin.js', () => ({
+  from: jest.fn((table) => {
+    const builder = {};
+    for (const method of ['insert', 'update', 'select', 'eq', 'single']) {
+      builder[method] = jest.fn((...args) => {
+        mockCalls.push({ table, method, args });
+        return builder;
+      });
+    }
+    builder.then = (resolve, reject) => Promise.resolve(mockResult).then(resolve, reject);
+    return builder;
+  })
+}));
+
+jest.mock('../../../src/services/conversationManager.js', () => ({
+  isValidUuid: jest.fn(id => typeof id === 'string' && id.startsWith('chat-')),
+  getMessage: jest.fn()
+}));
+
+const conversationManager = require('../../../src/services/conversationManager.js');
+const routerDecisions = require('../../../src/services/routerDecisionService');
+
+const callsTo = (table, method) => mockCalls.filter(call => call.table === table && call.method === method);
+
+describe('RouterDecisionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCalls.length = 0;
+    mockResult = { data: null, error: null };
+  });
+
+  describe('record', () => {
+    it('should store the query as a hash with the chosen model', async () => {
+      mockResult = { data: { id: 'decision-1' }, error: null };
+
+      const id = await routerDecisions.record({
+        userId: 'u1', chatId: 'chat-1', query: 'Write a sort function', routerModel: 'gpt-4o-mini',
+        chosenModel: 'codestral', plan: 'Free', latencyMs: 41.6
+      });
+
+      expect(id).toBe('decision-1');
+      const [row] = callsTo('router_decisions', 'insert')[0].args;
+      expect(row).toEqual({
+        user_id: 'u1',
+        chat_id: 'chat-1',
+        query_hash: routerDecisions.hashQuery('Write a sort function'),
+        router: 'llm',
+        router_model: 'gpt-4o-mini',
+        chosen_model: 'codestral',
+        plan: 'free',
+        latency_ms: 42
+      });
+      expect(JSON.stringify(row)).not.toContain('sort function');
+    });
+
+    it('should not throw when the insert fails', async () => {
+      mockResult = { data: null, error: { message: 'offline' } };
+
+      await expect(routerDecisions.record({ userId: 'u1', query: 'hi', chosenModel: 'qwen' })).resolves.toBeNull();
+    });
+  });
+
+  describe('rate', () => {
+    const reply = { id: 'msg-a1', chat_id: 'chat-1', role: 'assistant', metadata: { usage: { totalTokens: 5 } } };
+
+    it('should keep the rating on the message and its decision', async () => {
+      conversationManager.getMessage.mockResolvedValue(reply);
+
+      const result = await routerDecisions.rate({ userId: 'u1', chatId: 'chat-1', messageId: 'msg-a1', rating: 'down' });
+
+      expect(result).toEqual({ messageId: 'msg-a1', rating: 'down' });
+      expect(callsTo('chat_messages', 'update')[0].args[0]).toEqual({ metadata: { usage: { totalTokens: 5 }, rating: 'down' } });
+      expect(callsTo('router_decisions', 'update')[0].args[0]).toEqual(expect.objectContaining({ rating: -1 }));
+      expect(callsTo('router_decisions', 'eq').map(call => call.args)).toEqual([['message_id', 'msg-a1'], ['user_id', 'u1']]);
+    });
+
+    it('should reject unknown ratings, other chats and user messages', async () => {
+      conversationManager.getMessage.mockResolvedValue(reply);
+
+      expect(await routerDecisions.rate({ userId: 'u1', chatId: 'chat-1', messageId: 'msg-a1', rating: 'meh' })).toEqual(expect.objectContaining({ status: 400 }));
+      expect(await routerDecisions.rate({ userId: 'u1', chatId: 'chat-2', messageId: 'msg-a1', rating: 'up' })).toEqual(expect.objectContaining({ status: 404 }));
+
+      conversationManager.getMessage.mockResolvedValue({ ...reply, role: 'user' });
+      expect(await routerDecisions.rate({ userId: 'u1', chatId: 'chat-1', messageId: 'msg-a1', rating: 'up' })).toEqual(expect.objectContaining({ status: 400 }));
+      expect(callsTo('router_decisions', 'update')).toHaveLength(0);
+    });
+  });
+
+  it('should flag the decision of a regenerated reply', async () => {
+    await routerDecisions.markRegenerated('u1', 'msg-a1');
+
+    expect(callsTo('router_decisions', 'update')[0].args[0]).toEqual({ regenerated: true });
+    expect(callsTo('router_decisions', 'eq').map(call => call.args)).toEqual([['message_id', 'msg-a1'], ['user_id', 'u1']]);
+  });
+});
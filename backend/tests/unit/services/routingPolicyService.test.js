@@ -0,0 +1,207 @@
+/**
+ * Routing Policy Service Unit Tests
+ * Tests admin routing rules and how the model router applies them before the LLM router,
+ * skipping models whose provider circuit is open
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/db/supabase/admin.js', () => ({ from: jest.fn() }));
+
+jest.mock('../../../src/services/enhancedRouterService', () => ({
+  getAvailableModels: jest.fn(isPaid => (isPaid
+    ? ['gpt-4o', 'gemini-pro', 'grok-4', 'gemini-2.5-flash', 'gpt-4o-mini', 'codestral']
+    : ['gemini-2.5-flash', 'gpt-4o-mini', 'codestral'])),
+  detectType: jest.fn(() => 'coding'),
+  routeQuery: jest.fn()
+}));
+
+const routingPolicies = require('../../../src/services/routingPolicyService');
+const enhancedRouterService = require('../../../src/services/enhancedRouterService');
+const { EnhancedModelRouter } = require('../../../src/services/enhancedRouter');
+
+const FREE_MODELS = ['gemini-2.5-flash', 'gpt-4o-mini', 'codestral'];
+const PAID_MODELS = ['gpt-4o', 'gemini-pro', 'grok-4', ...FREE_MODELS];
+
+const POLICIES = [
+  {
+    id: 'p1',
+    name: 'Code to codestral',
+    priority: 10,
+    conditions: { hasCodeBlock: true },
+    action: { type: 'route', model: 'codestral' }
+  },
+  {
+    id: 'p2',
+    name: 'Long prompts to gemini-pro',
+    priority: 20,
+    conditions: { minTokens: 8000 },
+    action: { type: 'route', model: 'gemini-pro' }
+  },
+  {
+    id: 'p3',
+    name: 'No grok-4 on free',
+    priority: 30,
+    conditions: { plans: ['free'] },
+    action: { type: 'block', models: ['grok-4'] }
+  }
+];
+
+describe('RoutingPolicyService', () => {
+  describe('evaluate', () => {
+    it('routes to the first matching rule and explains why', () => {
+      const result = routingPolicies.evaluate(POLICIES, {
+        query: 'Why does this fail?\n```js\nfoo()\n```',
+        plan: 'pro',
+        availableModels: PAID_MODELS
+      });
+
+      expect(result.model).toBe('codestral');
+      expect(result.policy).toEqual({ id: 'p1', name: 'Code to codestral' });
+      expect(result.blockedModels).toEqual([]);
+      expect(result.explanation).toBe('Rule "Code to codestral" routed to codestral: the message contains a code block.');
+    });
+
+    it('skips a route rule whose model is not on the plan and applies block rules', () => {
+      const result = routingPolicies.evaluate(POLICIES, {
+        query: 'x'.repeat(40000),
+        plan: 'free',
+        availableModels: FREE_MODELS
+      });
+
+      expect(result.model).toBeNull();
+      expect(result.blockedModels).toEqual(['grok-4']);
+      expect(result.rules.map(rule => rule.effect)).toEqual(['block', 'skipped']);
+      expect(result.explanation).toContain('gemini-pro is not available on the free plan');
+    });
+
+    it('never routes to a blocked model', () => {
+      const policies = [
+        { id: 'a', name: 'Grok for news', priority: 1, conditions: { pattern: 'news' }, action: { type: 'route', model: 'grok-4' } },
+        { id: 'b', name: 'No grok', priority: 2, conditions: {}, action: { type: 'block', models: ['grok-4'] } }
+      ];
+
+      const result = routingPolicies.evaluate(policies, { query: 'Latest NEWS?', plan: 'pro', availableModels: PAID_MODELS });
+
+      expect(result.model).toBeNull();
+      expect(result.rules[1].reason).toBe('Rule "Grok for news" was skipped: grok-4 is excluded by another rule.');
+    });
+
+    it('returns no decision when nothing matches', () => {
+      const result = routingPolicies.evaluate(POLICIES, { query: 'Hello', plan: 'plus', availableModels: PAID_MODELS });
+
+      expect(result).toEqual({ model: null, policy: null, blockedModels: [], rules: [], explanation: '' });
+    });
+  });
+
+  describe('validatePolicy', () => {
+    it('accepts a valid policy', () => {
+      expect(routingPolicies.validatePolicy(POLICIES[0], PAID_MODELS)).toBeNull();
+    });
+
+    it('rejects unknown models, conditions and bad patterns', () => {
+      expect(routingPolicies.validatePolicy({ name: 'x', action: { type: 'route', model: 'gpt-9' } }, PAID_MODELS))
+        .toBe('Unknown model gpt-9');
+      expect(routingPolicies.validatePolicy({ name: 'x', conditions: { weekday: 1 }, action: { type: 'block', models: ['grok-4'] } }, PAID_MODELS))
+        .toBe('Unknown condition weekday');
+      expect(routingPolicies.validatePolicy({ name: 'x', conditions: { pattern: '(' }, action: { type: 'block', models: ['grok-4'] } }, PAID_MODELS))
+        .toBe('pattern is not a valid regular expression');
+      expect(routingPolicies.validatePolicy({ name: 'x', conditions: { plans: ['team'] }, action: { type: 'block', models: ['grok-4'] } }, PAID_MODELS))
+        .toBe('plans must list plans from free, plus, pro');
+      expect(routingPolicies.validatePolicy({ name: '', action: { type: 'route', model: 'gpt-4o' } }, PAID_MODELS))
+        .toBe('name is required');
+    });
+  });
+});
+
+describe('EnhancedModelRouter with routing policies', () => {
+  let router;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    router = new EnhancedModelRouter();
+    router.routingPolicies = {
+      decide: jest.fn((query, context) => Promise.resolve(routingPolicies.evaluate(POLICIES, { ...context, query })))
+    };
+  });
+
+  it('uses the policy decision without calling the LLM router', async () => {
+    const route = await router.routeQuery('```py\nprint(1)\n```', { subscriptionPlan: 'free' });
+
+    expect(enhancedRouterService.routeQuery).not.toHaveBeenCalled();
+    expect(route.primaryModel).toBe('codestral');
+    expect(route.routedBy).toBe('policy');
+    expect(route.policy).toEqual({ id: 'p1', name: 'Code to codestral' });
+    expect(route.explanation).toContain('Rule "Code to codestral" routed to codestral');
+  });
+
+  it('falls back to the LLM router without the blocked models', async () => {
+    enhancedRouterService.routeQuery.mockResolvedValue({
+      primaryModel: 'gpt-4o-mini',
+      type: 'text',
+      difficulty: 'dynamic',
+      routerModel: 'gpt-4o-mini',
+      latencyMs: 12
+    });
+
+    const route = await router.routeQuery('Hello there', 'free');
+
+    expect(enhancedRouterService.routeQuery).toHaveBeenCalledWith('Hello there', expect.objectContaining({
+      subscriptionPlan: 'free',
+      excludedModels: ['grok-4']
+    }));
+    expect(route.routedBy).toBe('llm');
+    expect(route.blockedModels).toEqual(['grok-4']);
+    expect(route.explanation).toBe(
+      'Rule "No grok-4 on free" excluded grok-4: plan is free. No routing rule picked a model; the AI router selected gpt-4o-mini.'
+    );
+  });
+
+  it('leaves models with an open provider circuit out of rules and the LLM router', async () => {
+    router.providerHealth = {
+      getUnavailableModels: jest.fn(models => models.filter(model => model === 'codestral')),
+      isAvailable: jest.fn(model => model !== 'codestral')
+    };
+    enhancedRouterService.routeQuery.mockResolvedValue({ primaryModel: 'gemini-2.5-flash', type: 'coding', difficulty: 'dynamic' });
+
+    const route = await router.routeQuery('```py\nprint(1)\n```', 'pro');
+
+    expect(enhancedRouterService.routeQuery).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      excludedModels: ['codestral']
+    }));
+    expect(route.routedBy).toBe('llm');
+    expect(route.explanation).toBe(
+      'Rule "Code to codestral" was skipped: codestral is paused while its provider recovers. ' +
+      'Models whose provider is recovering were skipped: codestral. No routing rule picked a model; the AI router selected gemini-2.5-flash.'
+    );
+  });
+
+  it('keeps a model the user chose unless a policy blocks it', async () => {
+    const pinned = await router.routeToModel('Hello', { model: 'gpt-4o-mini', source: 'pinned', subscriptionPlan: 'free' });
+    const blocked = await router.routeToModel('Hello', { model: 'grok-4', source: 'request', subscriptionPlan: 'free' });
+
+    expect(enhancedRouterService.routeQuery).not.toHaveBeenCalled();
+    expect(pinned).toEqual(expect.objectContaining({
+      primaryModel: 'gpt-4o-mini',
+      routedBy: 'user',
+      allowed: true,
+      explanation: 'gpt-4o-mini is pinned to this chat.'
+    }));
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.explanation).toContain('grok-4 is disabled by a routing policy');
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Semantic Cache Service Unit Tests
+ * Tests which prompts may be cached, how lookups and stored replies are scoped,
+ * how expired replies are replaced and the hit-rate metrics
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/enhancedQdrantService.js', () => ({
+  searchSemanticCache: jest.fn(),
+  storeSemanticCache: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService.js');
+const semanticCache = require('../../../src/services/semanticCacheService');
+
+const firstMessage = (message, extra = {}) => ({
+  message,
+  userId: 'u1',
+  conversation: { id: 'chat-1', messages: [] },
+  route: { type: 'text' },
+  ...extra
+});
+
+// Cache entries in memory by point key, returned in store order when they match a lookup's filter
+const useInMemoryCache = () => {
+  const entries = new Map();
+  const matches = (entry, { key, match, range }) => {
+    const value = key === 'timestamp' ? entry.timestamp : entry.metadata[key.replace('metadata.', '')];
+    return match ? value === match.value : value >= range.gte;
+  };
+  enhancedQdrantService.storeSemanticCache.mockImplementation(async (prompt, response, metadata) => {
+    entries.set(metadata.cacheKey, { response, metadata, timestamp: Date.now() });
+    return { success: true };
+  });
+  enhancedQdrantService.searchSemanticCache.mockImplementation(async (prompt, { filter }) =>
+    [...entries.values()].find(entry => filter.must.every(condition => matches(entry, condition))) || null);
+  return entries;
+};
+
+describe('SemanticCacheService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    semanticCache.config = { enabled: true, threshold: 0.9, ttlMs: 60000, maxPromptChars: 2000 };
+    semanticCache.resetStats();
+  });
+
+  describe('getScope', () => {
+    it('caches general prompts globally and personal prompts per user', () => {
+      expect(semanticCache.getScope(firstMessage('What is the capital of France?'))).toEqual({ scope: 'global' });
+      expect(semanticCache.getScope(firstMessage('Write a cover letter for my job application'))).toEqual({ scope: 'user', userId: 'u1' });
+    });
+
+    it('skips prompts that depend on the conversation', () => {
+      const skipped = [
+        firstMessage('Explain recursion', { conversation: { id: 'chat-1', messages: [{ role: 'user', content: 'hi' }] } }),
+        firstMessage('Explain recursion', { branch: { parentMessageId: 'msg-1' } }),
+        firstMessage('Summarize the file', { attachments: [{ type: 'text/plain' }] }),
+        firstMessage('List three colors', { route: { type: 'text', responseFormat: { schema: {} } } }),
+        firstMessage('Draw a cat', { route: { type: 'image' } }),
+        firstMessage('And what about Spain?'),
+        firstMessage('Explain the previous answer in simpler words')
+      ];
+
+      expect(skipped.map(request => semanticCache.getScope(request))).toEqual(skipped.map(() => null));
+      expect(semanticCache.getStats().skipped).toBe(skipped.length);
+    });
+
+    it('does nothing while disabled', () => {
+      semanticCache.config.enabled = false;
+
+      expect(semanticCache.getScope(firstMessage('What is the capital of France?'))).toBeNull();
+      expect(semanticCache.getStats().skipped).toBe(0);
+    });
+  });
+
+  describe('lookup', () => {
+    it('filters global entries by plan and a chosen model', async () => {
+      enhancedQdrantService.searchSemanticCache.mockResolvedValue({
+        response: 'Paris.',
+        metadata: { model: 'gpt-4o-mini', cachedAt: '2026-01-01T00:00:00.000Z' },
+        score: 0.95
+      });
+
+      const hit = await semanticCache.lookup('Capital of France?', { scope: 'global' }, { plan: 'plus', model: 'gpt-4o-mini' });
+
+      expect(hit).toEqual({ text: 'Paris.', model: 'gpt-4o-mini', score: 0.95, cachedAt: '2026-01-01T00:00:00.000Z' });
+      expect(enhancedQdrantService.searchSemanticCache).toHaveBeenCalledWith('Capital of France?', {
+        threshold: 0.9,
+        filter: {
+          must: [
+            { key: 'metadata.scope', match: { value: 'global' } },
+            { key: 'metadata.plan', match: { value: 'plus' } },
+            { key: 'metadata.model', match: { value: 'gpt-4o-mini' } },
+            { key: 'timestamp', range: { gte: expect.any(Number) } }
+          ]
+        }
+      });
+    });
+
+    it('limits user entries to their owner', async () => {
+      enhancedQdrantService.searchSemanticCache.mockResolvedValue(null);
+
+      expect(await semanticCache.lookup('My plans?', { scope: 'user', userId: 'u1' }, { plan: 'free' })).toBeNull();
+      expect(enhancedQdrantService.searchSemanticCache.mock.calls[0][1].filter.must).toEqual([
+        { key: 'metadata.scope', match: { value: 'user' } },
+        { key: 'metadata.userId', match: { value: 'u1' } },
+        { key: 'timestamp', range: { gte: expect.any(Number) } }
+      ]);
+    });
+
+    it('returns a fresh reply over an expired one for the same prompt', async () => {
+      const entries = useInMemoryCache();
+      const prompt = 'Capital of France?';
+      entries.set('expired', {
+        response: 'Paris, as of last year.',
+        metadata: { scope: 'global', plan: 'free', model: 'gpt-4o' },
+        timestamp: Date.now() - 120000
+      });
+
+      expect(await semanticCache.lookup(prompt, { scope: 'global' }, { plan: 'free' })).toBeNull();
+
+      await semanticCache.store(prompt, 'Paris.', { scope: 'global' }, { plan: 'free', model: 'gpt-4o' });
+      await semanticCache.store(prompt, 'Paris!', { scope: 'global' }, { plan: 'free', model: 'gpt-4o' });
+
+      expect(await semanticCache.lookup(prompt, { scope: 'global' }, { plan: 'free' })).toEqual(expect.objectContaining({ text: 'Paris!' }));
+      expect(entries.size).toBe(2);
+    });
+
+    it('reports the hit rate over lookups', async () => {
+      enhancedQdrantService.searchSemanticCache
+        .mockResolvedValueOnce({ response: 'Paris.', metadata: {}, score: 0.97 })
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new Error('Qdrant down'));
+
+      await semanticCache.lookup('a', { scope: 'global' }, { plan: 'free' });
+      await semanticCache.lookup('b', { scope: 'global' }, { plan: 'free' });
+      await semanticCache.lookup('c', { scope: 'global' }, { plan: 'free' });
+
+      expect(semanticCache.getStats()).toEqual(expect.objectContaining({
+        hits: 1,
+        misses: 2,
+        errors: 1,
+        lookups: 3,
+        hitRate: '33.33%'
+      }));
+    });
+  });
+
+  describe('getReplyScope', () => {
+    it('keeps replies built on user context for that user', () => {
+      expect(semanticCache.getReplyScope({ scope: 'global' }, { userId: 'u1', personalized: true })).toEqual({ scope: 'user', userId: 'u1' });
+      expect(semanticCache.getReplyScope({ scope: 'global' }, { userId: 'u1', personalized: false })).toEqual({ scope: 'global' });
+      expect(semanticCache.getReplyScope({ scope: 'user', userId: 'u1' }, { userId: 'u1', personalized: true })).toEqual({ scope: 'user', userId: 'u1' });
+    });
+
+    it('never serves a reply built on memories to another user', async () => {
+      useInMemoryCache();
+
+      const prompt = 'Suggest a dinner recipe';
+      const scope = semanticCache.getScope(firstMessage(prompt));
+      expect(scope).toEqual({ scope: 'global' });
+      await semanticCache.store(prompt, 'A vegan curry, as you avoid meat.', semanticCache.getReplyScope(scope, { userId: 'u1', personalized: true }), { plan: 'free', model: 'gpt-4o' });
+
+      const otherScope = semanticCache.getScope(firstMessage(prompt, { userId: 'u2' }));
+      expect(await semanticCache.lookup(prompt, otherScope, { plan: 'free' })).toBeNull();
+      expect(await semanticCache.lookup(prompt, { scope: 'user', userId: 'u2' }, { plan: 'free' })).toBeNull();
+      expect(await semanticCache.lookup(prompt, { scope: 'user', userId: 'u1' }, { plan: 'free' })).toEqual(expect.objectContaining({ text: 'A vegan curry, as you avoid meat.' }));
+    });
+  });
+
+  it('stores replies with their scope, plan, model and TTL', async () => {
+    await semanticCache.store('My plans?', 'You have none.', { scope: 'user', userId: 'u1' }, { plan: 'pro', model: 'gpt-4o' });
+
+    expect(enhancedQdrantService.storeSemanticCache).toHaveBeenCalledWith('My plans?', 'You have none.', expect.objectContaining({
+      scope: 'user',
+      userId: 'u1',
+      plan: 'pro',
+      model: 'gpt-4o',
+      ttl: 60000
+    }));
+    expect(semanticCache.getStats().stores).toBe(1);
+  });
+});
@@ -0,0 +1,724 @@
+/**
+ * Streaming Service Unit Tests
+ * Tests cancellation, truncated persistence, token usage, tool calling,
+ * structured output, attachments, document sources, branches, comparisons, routing
+ * decisions, provider circuit breakers, the semantic cache and resumable frames
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/conversationManager', () => ({
+  getConversation: jest.fn().mockResolvedValue({ id: 'chat-1' }),
+  saveIncremental: jest.fn(),
+  saveMessage: jest.fn().mockResolvedValue({ id: 'chat-1' })
+}));
+
+jest.mock('../../../src/services/contextManager', () => ({
+  constructContext: jest.fn().mockResolvedValue({ messages: [], contextInstructions: '' })
+}));
+
+jest.mock('../../../src/services/documentService', () => ({
+  isDocument: jest.fn(attachment => ['application/pdf', 'text/plain'].includes(attachment.type)),
+  ingestAttachments: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../src/services/comparisonService', () => ({
+  save: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../../src/services/routerDecisionService', () => ({
+  attachMessage: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../../src/services/costLedgerService', () => ({
+  recordCompletion: jest.fn().mockResolvedValue(null),
+  recordImage: jest.fn().mockResolvedValue(null)
+}));
+
+const conversationManager = require('../../../src/services/conversationManager');
+const costLedger = require('../../../src/services/costLedgerService');
+const contextManager = require('../../../src/services/contextManager');
+const documentService = require('../../../src/services/documentService');
+const comparisonService = require('../../../src/services/comparisonService');
+const routerDecisions = require('../../../src/services/routerDecisionService');
+const streamBuffer = require('../../../src/services/streamBufferService');
+const { ProviderRegistry } = require('../../../src/services/providerRegistry');
+const { ProviderHealthService } = require('../../../src/services/providerHealthService');
+const { ToolRegistry } = require('../../../src/services/toolRegistry');
+const StreamingService = require('../../../src/services/streamingService');
+
+const providers = [
+  {
+    id: 'alpha',
+    name: 'Alpha',
+    adapter: 'openai',
+    requiresApiKey: false,
+    models: { 'alpha-chat': {}, 'alpha-backup': {} }
+  }
+];
+
+const createResponse = () => {
+  const events = [];
+  return {
+    events,
+    writableEnded: false,
+    destroyed: false,
+    write: jest.fn((chunk) => {
+      const payload = chunk.replace(/^data: /, '').trim();
+      events.push(payload === '[DONE]' ? '[DONE]' : JSON.parse(payload));
+    }),
+    end: jest.fn(function () { this.writableEnded = true; })
+  };
+};
+
+// Yields chunks one at a time and aborts the controller after `stopAfter` chunks
+const createStream = (pieces, controller, stopAfter) => ({
+  async *[Symbol.asyncIterator]() {
+    for (let i = 0; i < pieces.length; i++) {
+      if (i === stopAfter) controller.abort('client_stop');
+      yield { choices: [{ delta: { content: pieces[i] } }] };
+    }
+  }
+});
+
+describe('StreamingService cancellation', () => {
+  let registry;
+  let service;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ProviderRegistry(providers);
+    create = jest.fn();
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    service = new StreamingService(registry);
+  });
+
+  const route = { type: 'text', primaryModel: 'alpha-chat', fallbackModels: ['alpha-backup'] };
+
+  it('should stop streaming, save the partial reply as truncated and emit stopped', async () => {
+    const controller = new AbortController();
+    create.mockResolvedValue(createStream(['Hello', ' there', ' friend'], controller, 2));
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res, signal: controller.signal, streamId: 's1' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ model: 'alpha-chat' }), { signal: controller.signal });
+    expect(conversationManager.saveMessage).toHaveBeenCalledWith(
+      'chat-1', 'u1', 'hi', 'Hello there', 'alpha-chat', 'text', expect.objectContaining({ truncated: true })
+    );
+    expect(costLedger.recordCompletion).toHaveBeenCalledWith(expect.objectContaining({ model: 'alpha-chat' }));
+    const stopped = res.events.find(e => e.type === 'stopped');
+    expect(stopped.data).toEqual({ reason: 'client_stop', model: 'alpha-chat', fullResponse: 'Hello there' });
+    expect(res.events[res.events.length - 1]).toBe('[DONE]');
+  });
+
+  it('should not try fallback models once the stream is aborted', async () => {
+    const controller = new AbortController();
+    create.mockImplementation(async () => {
+      controller.abort('client_disconnect');
+      throw new Error('Request was aborted.');
+    });
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res, signal: controller.signal });
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(res.events.some(e => e.type === 'error')).toBe(false);
+    expect(res.events.find(e => e.type === 'stopped').data.reason).toBe('client_disconnect');
+  });
+
+  it('should save complete replies without the truncated flag', async () => {
+    create.mockResolvedValue(createStream(['Done'], new AbortController(), -1));
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res, signal: new AbortController().signal });
+
+    expect(conversationManager.saveMessage).toHaveBeenCalledWith(
+      'chat-1', 'u1', 'hi', 'Done', 'alpha-chat', 'text', expect.objectContaining({ truncated: false })
+    );
+    expect(res.events.some(e => e.type === 'stopped')).toBe(false);
+  });
+
+  it('should skip writes once the client connection is gone', async () => {
+    const res = createResponse();
+    res.destroyed = true;
+
+    service.emitEvent(res, 'token', { content: 'x' });
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
+
+describe('StreamingService token usage', () => {
+  let registry;
+  let service;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ProviderRegistry(providers);
+    create = jest.fn();
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    service = new StreamingService(registry);
+  });
+
+  const route = { type: 'text', primaryModel: 'alpha-chat', fallbackModels: [] };
+
+  it('should request and record the usage reported in the final chunk', async () => {
+    create.mockResolvedValue({
+      async *[Symbol.asyncIterator]() {
+        yield { choices: [{ delta: { content: 'Hi' } }] };
+        yield { choices: [], usage: { prompt_tokens: 42, completion_tokens: 7, total_tokens: 49 } };
+      }
+    });
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res });
+
+    const expected = { promptTokens: 42, completionTokens: 7, totalTokens: 49, source: 'provider' };
+    expect(create.mock.calls[0][0].stream_options).toEqual({ include_usage: true });
+    expect(conversationManager.saveMessage).toHaveBeenCalledWith(
+      'chat-1', 'u1', 'hi', 'Hi', 'alpha-chat', 'text', { truncated: false, usage: expected, toolSteps: [], attachments: [], sources: [] }
+    );
+    expect(res.events.find(e => e.type === 'usage').data).toEqual({ model: 'alpha-chat', ...expected });
+    expect(costLedger.recordCompletion).toHaveBeenCalledWith({
+      userId: 'u1', chatId: 'chat-1', model: 'alpha-chat', plan: undefined, usage: expected
+    });
+  });
+
+  it('should cap the reply at the output tokens the context budget reserved', async () => {
+    contextManager.constructContext.mockResolvedValueOnce({ messages: [], contextInstructions: '', budget: { outputTokens: 2048 } });
+    create.mockResolvedValue(createStream(['Hi'], new AbortController(), -1));
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res: createResponse() });
+
+    expect(create.mock.calls[0][0].max_tokens).toBe(2048);
+  });
+
+  it('should fall back to an estimate when the provider reports nothing', async () => {
+    create.mockResolvedValue(createStream(['12345678'], new AbortController(), -1));
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res });
+
+    const usage = res.events.find(e => e.type === 'usage').data;
+    expect(usage.source).toBe('estimate');
+    expect(usage.completionTokens).toBe(2);
+  });
+
+  it('should not send stream_options to providers that reject it', async () => {
+    registry = new ProviderRegistry([{ ...providers[0], capabilities: { streamUsage: false } }]);
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    service = new StreamingService(registry);
+    create.mockResolvedValue(createStream(['ok'], new AbortController(), -1));
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res: createResponse() });
+
+    expect(create.mock.calls[0][0]).not.toHaveProperty('stream_options');
+  });
+});
+
+describe('StreamingService tool calling', () => {
+  const lookupTool = {
+    name: 'lookup',
+    description: 'Looks things up',
+    parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] }
+  };
+  const route = { type: 'text', primaryModel: 'alpha-chat', fallbackModels: [] };
+  let lookup;
+  let tools;
+
+  const chunks = (items) => ({
+    async *[Symbol.asyncIterator]() {
+      for (const item of items) yield item;
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    lookup = jest.fn().mockResolvedValue({ answer: 42 });
+    tools = new ToolRegistry([lookupTool], { lookup });
+  });
+
+  it('should run OpenAI tool calls and feed the results back to the model', async () => {
+    const registry = new ProviderRegistry([{ ...providers[0], capabilities: { tools: true } }]);
+    const create = jest.fn()
+      .mockResolvedValueOnce(chunks([
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_a', function: { name: 'lookup', arguments: '{"que' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ry":"meaning"}' } }] } }] }
+      ]))
+      .mockResolvedValueOnce(chunks([{ choices: [{ delta: { content: 'It is 42' } }] }]));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    const service = new StreamingService(registry, tools);
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res });
+
+    expect(create.mock.calls[0][0].tools[0].function.name).toBe('lookup');
+    expect(lookup).toHaveBeenCalledWith({ query: 'meaning' }, expect.objectContaining({ userId: 'u1', plan: 'free' }));
+
+    const followUp = create.mock.calls[1][0].messages.slice(-2);
+    expect(followUp[0]).toEqual(expect.objectContaining({ role: 'assistant', tool_calls: [expect.objectContaining({ id: 'call_a' })] }));
+    expect(followUp[1]).toEqual({ role: 'tool', tool_call_id: 'call_a', content: '{"answer":42}' });
+
+    expect(res.events.find(e => e.type === 'tool_call').data).toEqual({ id: 'call_a', name: 'lookup', arguments: { query: 'meaning' } });
+    expect(res.events.find(e => e.type === 'tool_result').data).toEqual(expect.objectContaining({ id: 'call_a', ok: true, result: { answer: 42 } }));
+    expect(conversationManager.saveMessage).toHaveBeenCalledWith(
+      'chat-1', 'u1', 'hi', 'It is 42', 'alpha-chat', 'text',
+      expect.objectContaining({ toolSteps: [expect.objectContaining({ name: 'lookup', ok: true })] })
+    );
+  });
+
+  it('should stop offering tools after the step limit', async () => {
+    const registry = new ProviderRegistry([{ ...providers[0], capabilities: { tools: true } }]);
+    const toolCall = { choices: [{ delta: { tool_calls: [{ index: 0, id: 'c', function: { name: 'lookup', arguments: '{"query":"x"}' } }] } }] };
+    const create = jest.fn()
+      .mockResolvedValueOnce(chunks([toolCall]))
+      .mockResolvedValueOnce(chunks([{ choices: [{ delta: { content: 'done' } }] }]));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    const service = new StreamingService(registry, tools);
+    service.maxToolSteps = 1;
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res: createResponse() });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[1][0]).not.toHaveProperty('tools');
+  });
+
+  it('should not offer tools to models without the capability', async () => {
+    const registry = new ProviderRegistry(providers);
+    const create = jest.fn().mockResolvedValue(chunks([{ choices: [{ delta: { content: 'ok' } }] }]));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+
+    await new StreamingService(registry, tools).streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res: createResponse() });
+
+    expect(create.mock.calls[0][0]).not.toHaveProperty('tools');
+  });
+
+  it('should answer Gemini function calls with function responses', async () => {
+    const registry = new ProviderRegistry([{
+      id: 'gem', name: 'Gem', adapter: 'gemini', requiresApiKey: false, capabilities: { tools: true }, models: { 'gem-flash': {} }
+    }]);
+    const generateContentStream = jest.fn()
+      .mockResolvedValueOnce({ stream: chunks([{ candidates: [{ content: { parts: [{ functionCall: { name: 'lookup', args: { query: 'q' } } }] } }] }]) })
+      .mockResolvedValueOnce({ stream: chunks([{ candidates: [{ content: { parts: [{ text: 'Found it' }] } }] }]) });
+    const getGenerativeModel = jest.fn(() => ({ generateContentStream }));
+    registry.clients.set('gem', { getGenerativeModel });
+    const service = new StreamingService(registry, tools);
+    const res = createResponse();
+
+    await service.streamResponse({
+      route: { type: 'text', primaryModel: 'gem-flash', fallbackModels: [] },
+      message: 'hi', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res
+    });
+
+    expect(getGenerativeModel.mock.calls[0][0].tools[0].functionDeclarations[0].name).toBe('lookup');
+    const contents = generateContentStream.mock.calls[1][0].contents;
+    expect(contents[contents.length - 1]).toEqual({
+      role: 'function',
+      parts: [{ functionResponse: { name: 'lookup', response: { content: '{"answer":42}' } } }]
+    });
+    expect(res.events.filter(e => e.type === 'token').map(e => e.data.content)).toEqual(['Found it']);
+    expect(res.events.some(e => e.type === 'tool_result')).toBe(true);
+  });
+});
+
+describe('StreamingService structured output', () => {
+  const schema = { type: 'object', properties: { score: { type: 'integer' } }, required: ['score'] };
+  const route = {
+    type: 'text',
+    primaryModel: 'alpha-chat',
+    fallbackModels: [],
+    responseFormat: { schema, name: 'rating' }
+  };
+  let registry;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ProviderRegistry([{ ...providers[0], capabilities: { jsonMode: true, jsonSchema: true, tools: true } }]);
+    create = jest.fn();
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+  });
+
+  it('should send the schema as the response format and store clean JSON', async () => {
+    create.mockResolvedValue(createStream(['{"score":', ' 4}'], new AbortController(), -1));
+    const res = createResponse();
+
+    await new StreamingService(registry).streamResponse({ route, message: 'rate it', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res });
+
+    const request = create.mock.calls[0][0];
+    expect(request.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'rating', schema, strict: false } });
+    expect(request).not.toHaveProperty('tools');
+    expect(request.messages[0].content).toMatch('JSON Schema:');
+    expect(res.events.find(e => e.type === 'structured').data).toEqual(expect.objectContaining({ valid: true, repaired: false, data: { score: 4 } }));
+    expect(conversationManager.saveMessage).toHaveBeenCalledWith(
+      'chat-1', 'u1', 'rate it', '{\n  "score": 4\n}', 'alpha-chat', 'text',
+      expect.objectContaining({ structured: { valid: true, repaired: false, errors: [] } })
+    );
+  });
+
+  it('should repair a reply that does not match the schema once', async () => {
+    create
+      .mockResolvedValueOnce(createStream(['{"score": "four"}'], new AbortController(), -1))
+      .mockResolvedValueOnce({ choices: [{ message: { content: '{"score": 4}' } }], usage: null });
+    const res = createResponse();
+
+    await new StreamingService(registry).streamResponse({ route, message: 'rate it', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[1][0].messages[1].content).toMatch('$.score must be of type integer');
+    expect(res.events.find(e => e.type === 'structured').data).toEqual(expect.objectContaining({ valid: true, repaired: true }));
+  });
+});
+
+describe('StreamingService image attachments', () => {
+  const image = { path: 'u1/1-cat.png', name: 'cat.png', type: 'image/png', size: 3, data: 'cG5n' };
+  const notes = { path: 'u1/2-notes.txt', name: 'notes.txt', type: 'text/plain', size: 10 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should send images inline to OpenAI-compatible models and store the metadata', async () => {
+    const registry = new ProviderRegistry(providers);
+    const create = jest.fn().mockResolvedValue(createStream(['A cat'], new AbortController(), -1));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+
+    await new StreamingService(registry).streamResponse({
+      route: { type: 'text', primaryModel: 'alpha-chat', fallbackModels: [] },
+      message: 'What is this?', sessionId: 'chat-1', userId: 'u1', res: createResponse(), attachments: [image, notes]
+    });
+
+    const userMessage = create.mock.calls[0][0].messages.slice(-1)[0];
+    expect(userMessage.content).toEqual([
+      { type: 'text', text: 'What is this?' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,cG5n' } }
+    ]);
+    expect(conversationManager.saveMessage.mock.calls[0][6].attachments).toEqual([image, notes]);
+  });
+
+  it('should send images to Gemini as inline data parts', async () => {
+    const registry = new ProviderRegistry([{
+      id: 'gem', name: 'Gem', adapter: 'gemini', requiresApiKey: false, models: { 'gem-flash': {} }
+    }]);
+    const generateContentStream = jest.fn().mockResolvedValue({
+      stream: {
+        async *[Symbol.asyncIterator]() {
+          yield { candidates: [{ content: { parts: [{ text: 'A cat' }] } }] };
+        }
+      }
+    });
+    registry.clients.set('gem', { getGenerativeModel: jest.fn(() => ({ generateContentStream })) });
+
+    await new StreamingService(registry).streamResponse({
+      route: { type: 'text', primaryModel: 'gem-flash', fallbackModels: [] },
+      message: 'What is this?', sessionId: 'chat-1', userId: 'u1', res: createResponse(), attachments: [image]
+    });
+
+    const [{ parts }] = generateContentStream.mock.calls[0][0].contents;
+    expect(parts[1]).toEqual({ inlineData: { mimeType: 'image/png', data: 'cG5n' } });
+  });
+});
+
+describe('StreamingService documents', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should ingest attached documents for the chat and report the cited sources', async () => {
+    const registry = new ProviderRegistry(providers);
+    const create = jest.fn().mockResolvedValue(createStream(['Revenue grew [report.pdf, p. 2]'], new AbortController(), -1));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    const report = { path: 'u1/1-report.pdf', name: 'report.pdf', type: 'application/pdf', size: 100 };
+    const source = { citation: 'report.pdf, p. 2', fileName: 'report.pdf', page: 2, text: 'Revenue grew 5%', score: 0.8 };
+    documentService.ingestAttachments.mockResolvedValueOnce([{ fileName: 'report.pdf', pages: 3, chunks: 4 }]);
+    contextManager.constructContext.mockResolvedValueOnce({
+      messages: [],
+      contextInstructions: '\n\nExcerpts: [report.pdf, p. 2] Revenue grew 5%',
+      sources: [source]
+    });
+    const res = createResponse();
+
+    await new StreamingService(registry).streamResponse({
+      route: { type: 'text', primaryModel: 'alpha-chat', fallbackModels: [] },
+      message: 'How did revenue do?', sessionId: 'chat-1', userId: 'u1', res, attachments: [report]
+    });
+
+    expect(documentService.ingestAttachments).toHaveBeenCalledWith('u1', 'chat-1', [report]);
+    expect(res.events.find(e => e.type === 'documents').data.documents[0]).toEqual(expect.objectContaining({ chunks: 4 }));
+    expect(res.events.find(e => e.type === 'sources').data).toEqual({
+      sources: [{ citation: 'report.pdf, p. 2', fileName: 'report.pdf', page: 2 }]
+    });
+    // Documents are not sent as message parts
+    expect(create.mock.calls[0][0].messages.slice(-1)[0]).toEqual({ role: 'user', content: 'How did revenue do?' });
+    expect(conversationManager.saveMessage.mock.calls[0][6].sources).toEqual([source]);
+  });
+});
+
+describe('StreamingService branches', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should answer from the branch history and save the reply on that branch', async () => {
+    const registry = new ProviderRegistry(providers);
+    const create = jest.fn().mockResolvedValue(createStream(['Another answer'], new AbortController(), -1));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    const branch = { parentMessageId: 'msg-a1', userMessageId: 'msg-u2' };
+
+    await new StreamingService(registry).streamResponse({
+      route: { type: 'text', primaryModel: 'alpha-chat', fallbackModels: [] },
+      message: 'Try again', sessionId: 'chat-1', userId: 'u1', res: createResponse(), branch
+    });
+
+    expect(contextManager.constructContext).toHaveBeenCalledWith('u1', 'chat-1', 'Try again', 'alpha-chat', { parentMessageId: 'msg-a1', systemPrompt: expect.any(String) });
+    expect(conversationManager.saveMessage.mock.calls[0][6]).toEqual(expect.objectContaining(branch));
+  });
+});
+
+describe('StreamingService comparison', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should stream every model tagged by lane and keep the replies unsaved', async () => {
+    const registry = new ProviderRegistry(providers);
+    const create = jest.fn(async (request) => {
+      if (request.model === 'alpha-backup') throw new Error('Provider down');
+      return createStream(['Answer', ' A'], new AbortController(), -1);
+    });
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    const res = createResponse();
+
+    await new StreamingService(registry).streamComparison({
+      models: ['alpha-chat', 'alpha-backup'], message: 'Compare this', sessionId: 'chat-1', userId: 'u1', res
+    });
+
+    const session = res.events[0];
+    expect(session.type).toBe('session');
+    expect(session.data).toEqual(expect.objectContaining({ sessionId: 'chat-1', models: ['alpha-chat', 'alpha-backup'] }));
+    const tokens = res.events.filter(e => e.type === 'token');
+    expect(tokens.length).toBeGreaterThan(0);
+    expect(tokens.every(e => e.model === 'alpha-chat')).toBe(true);
+    expect(res.events.find(e => e.type === 'error')).toEqual({ type: 'error', model: 'alpha-backup', data: { message: 'Provider down' } });
+
+    expect(conversationManager.saveMessage).not.toHaveBeenCalled();
+    expect(costLedger.recordCompletion).toHaveBeenCalledWith(expect.objectContaining({ model: 'alpha-chat' }));
+    expect(comparisonService.save).toHaveBeenCalledWith(expect.objectContaining({
+      id: session.data.comparisonId,
+      message: 'Compare this',
+      replies: [expect.objectContaining({ model: 'alpha-chat', text: 'Answer A', truncated: false })]
+    }));
+
+    const summary = res.events.find(e => e.type === 'comparison');
+    expect(summary.data).toEqual({
+      comparisonId: session.data.comparisonId,
+      models: [{ model: 'alpha-chat', ok: true }, { model: 'alpha-backup', ok: false, error: 'Provider down' }]
+    });
+    expect(res.events[res.events.length - 1]).toBe('[DONE]');
+  });
+});
+
+describe('StreamingService routing decisions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should link the decision to the saved reply and the model that served it', async () => {
+    const registry = new ProviderRegistry(providers);
+    const create = jest.fn(async (request) => {
+      if (request.model === 'alpha-chat') throw new Error('Provider down');
+      return createStream(['Fallback answer'], new AbortController(), -1);
+    });
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    conversationManager.saveMessage.mockResolvedValueOnce({ id: 'chat-1', userMessageId: 'msg-u1', assistantMessageId: 'msg-a1' });
+
+    await new StreamingService(registry).streamResponse({
+      route: { type: 'text', primaryModel: 'alpha-chat', fallbackModels: ['alpha-backup'], decisionId: 'decision-1' },
+      message: 'Hello', sessionId: 'chat-1', userId: 'u1', res: createResponse()
+    });
+
+    expect(routerDecisions.attachMessage).toHaveBeenCalledWith('decision-1', {
+      chatId: 'chat-1',
+      messageId: 'msg-a1',
+      servedModel: 'alpha-backup'
+    });
+  });
+});
+
+describe('StreamingService provider circuits', () => {
+  const twoProviders = [
+    ...providers,
+    { id: 'beta', name: 'Beta', adapter: 'openai', requiresApiKey: false, models: { 'beta-chat': {} } }
+  ];
+  const route = { type: 'text', primaryModel: 'alpha-chat', fallbackModels: ['beta-chat'] };
+  let registry;
+  let health;
+  let alpha;
+  let beta;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ProviderRegistry(twoProviders);
+    health = new ProviderHealthService(registry, { failureThreshold: 2, recoveryTimeout: 60000 });
+    alpha = jest.fn(async () => { throw Object.assign(new Error('Service unavailable'), { status: 503 }); });
+    beta = jest.fn(async () => createStream(['Beta answer'], new AbortController(), -1));
+    registry.clients.set('alpha', { chat: { completions: { create: alpha } } });
+    registry.clients.set('beta', { chat: { completions: { create: beta } } });
+  });
+
+  const send = (service) => service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res: createResponse() });
+
+  it('should stop calling a provider once its circuit opens', async () => {
+    const service = new StreamingService(registry, undefined, health);
+
+    await send(service);
+    await send(service);
+    await send(service);
+
+    expect(alpha).toHaveBeenCalledTimes(2);
+    expect(beta).toHaveBeenCalledTimes(3);
+    expect(health.isAvailable('alpha-chat')).toBe(false);
+    expect(health.getStatus().find(status => status.providerId === 'beta').totals.successes).toBe(3);
+  });
+
+  it('should judge slow calls by the time to the first token', async () => {
+    health = new ProviderHealthService(registry, { failureThreshold: 1, recoveryTimeout: 60000, slowCallThreshold: 40 });
+    const service = new StreamingService(registry, undefined, health);
+    // Answers at once, then keeps streaming for longer than the threshold
+    alpha.mockImplementation(async () => ({
+      async *[Symbol.asyncIterator]() {
+        yield { choices: [{ delta: { content: 'A long' } }] };
+        await new Promise(resolve => setTimeout(resolve, 80));
+        yield { choices: [{ delta: { content: ' answer' } }] };
+      }
+    }));
+
+    await send(service);
+
+    expect(beta).not.toHaveBeenCalled();
+    expect(health.isAvailable('alpha-chat')).toBe(true);
+    expect(health.getStatus().find(status => status.providerId === 'alpha').totals.successes).toBe(1);
+  });
+
+  it('should fail fast when every provider of the route is open', async () => {
+    const service = new StreamingService(registry, undefined, health);
+    health.recordFailure('alpha-chat', Object.assign(new Error('Too many requests'), { status: 429, headers: { 'retry-after': '30' } }));
+    health.recordFailure('beta-chat', Object.assign(new Error('Too many requests'), { status: 429, headers: { 'retry-after': '30' } }));
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'hi', sessionId: 'chat-1', userId: 'u1', res });
+
+    expect(alpha).not.toHaveBeenCalled();
+    expect(beta).not.toHaveBeenCalled();
+    expect(res.events.find(e => e.type === 'error').data.message).toContain('temporarily unavailable');
+  });
+});
+
+describe('StreamingService semantic cache', () => {
+  let registry;
+  let service;
+  let create;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ProviderRegistry(providers);
+    create = jest.fn(async () => createStream(['Fresh answer'], new AbortController(), -1));
+    registry.clients.set('alpha', { chat: { completions: { create } } });
+    service = new StreamingService(registry);
+    service.semanticCache = {
+      getScope: jest.fn(() => ({ scope: 'global' })),
+      lookup: jest.fn().mockResolvedValue(null),
+      store: jest.fn().mockResolvedValue(undefined),
+      getReplyScope: jest.fn((scope, { userId, personalized }) => (personalized ? { scope: 'user', userId } : scope))
+    };
+  });
+
+  const route = { type: 'text', primaryModel: 'alpha-chat', fallbackModels: [], decisionId: 'decision-1' };
+
+  it('should replay a cached answer without calling a model', async () => {
+    service.semanticCache.lookup.mockResolvedValue({ text: 'Cached answer', model: 'alpha-backup', score: 0.96, cachedAt: '2026-01-01T00:00:00.000Z' });
+    conversationManager.saveMessage.mockResolvedValueOnce({ id: 'chat-1', assistantMessageId: 'msg-a1' });
+    const res = createResponse();
+
+    await service.streamResponse({ route, message: 'What is 2+2?', sessionId: 'chat-1', userId: 'u1', userPlan: 'free', res });
+
+    expect(create).not.toHaveBeenCalled();
+    expect(costLedger.recordCompletion).not.toHaveBeenCalled();
+    expect(res.events.find(e => e.type === 'cache_hit').data).toEqual({
+      model: 'alpha-backup',
+      score: 0.96,
+      cachedAt: '2026-01-01T00:00:00.000Z',
+      fullResponse: 'Cached answer'
+    });
+    expect(conversationManager.saveMessage).toHaveBeenCalledWith(
+      'chat-1', 'u1', 'What is 2+2?', 'Cached answer', 'alpha-backup', 'text',
+      expect.objectContaining({ cached: { score: 0.96, cachedAt: '2026-01-01T00:00:00.000Z' } })
+    );
+    expect(routerDecisions.attachMessage).toHaveBeenCalledWith('decision-1', { chatId: 'chat-1', messageId: 'msg-a1', servedModel: 'alpha-backup' });
+    expect(res.events[res.events.length - 1]).toBe('[DONE]');
+  });
+
+  it('should store a fresh answer after a miss', async () => {
+    await service.streamResponse({ route, message: 'What is 2+2?', sessionId: 'chat-1', userId: 'u1', userPlan: 'plus', res: createResponse() });
+
+    expect(service.semanticCache.lookup).toHaveBeenCalledWith('What is 2+2?', { scope: 'global' }, { plan: 'plus', model: null });
+    expect(service.semanticCache.store).toHaveBeenCalledWith('What is 2+2?', 'Fresh answer', { scope: 'global' }, { plan: 'plus', model: 'alpha-chat' });
+  });
+
+  it('should store a reply built on the user\'s memories for that user only', async () => {
+    contextManager.constructContext.mockResolvedValueOnce({ messages: [], contextInstructions: '\n\nRemember:\n- Vegan', personalized: true });
+
+    await service.streamResponse({ route, message: 'Suggest a dinner recipe', sessionId: 'chat-1', userId: 'u1', userPlan: 'plus', res: createResponse() });
+
+    expect(service.semanticCache.getReplyScope).toHaveBeenCalledWith({ scope: 'global' }, { userId: 'u1', personalized: true });
+    expect(service.semanticCache.store).toHaveBeenCalledWith('Suggest a dinner recipe', 'Fresh answer', { scope: 'user', userId: 'u1' }, { plan: 'plus', model: 'alpha-chat' });
+  });
+
+  it('should not look up prompts that are not cacheable', async () => {
+    service.semanticCache.getScope.mockReturnValue(null);
+
+    await service.streamResponse({ route, message: 'And then?', sessionId: 'chat-1', userId: 'u1', res: createResponse() });
+
+    expect(service.semanticCache.lookup).not.toHaveBeenCalled();
+    expect(service.semanticCache.store).not.toHaveBeenCalled();
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('StreamingService resumable frames', () => {
+  it('should number and buffer frames once a stream is attached', async () => {
+    const service = new StreamingService(new ProviderRegistry([]));
+    const res = { locals: {}, write: jest.fn(), end: jest.fn(), writableEnded: false, destroyed: false };
+
+    service.attachStream(res, 'stream-frames');
+    service.emitEvent(res, 'token', { content: 'Hi' });
+    service.endStream(res);
+
+    expect(res.write).toHaveBeenNthCalledWith(1, `id: 1\ndata: ${JSON.stringify({ type: 'token', data: { content: 'Hi' } })}\n\n`);
+    expect(res.write).toHaveBeenNthCalledWith(2, 'id: 2\ndata: [DONE]\n\n');
+    expect(res.end).toHaveBeenCalled();
+
+    const buffered = await streamBuffer.readAfter('stream-frames', 1);
+    expect(buffered).toEqual([{ id: 2, data: '[DONE]' }]);
+  });
+
+  it('should keep buffering after the client disconnects', async () => {
+    const service = new StreamingService(new ProviderRegistry([]));
+    const res = { locals: {}, write: jest.fn(), end: jest.fn(), writableEnded: false, destroyed: true };
+
+    service.attachStream(res, 'stream-gone');
+    service.emitEvent(res, 'token', { content: 'later' });
+
+    expect(res.write).not.toHaveBeenCalled();
+    expect(await streamBuffer.readAfter('stream-gone')).toHaveLength(1);
+  });
+});
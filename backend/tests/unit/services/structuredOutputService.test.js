@@ -0,0 +1,154 @@
+/**
+ * Structured Output Service Unit Tests
+ * Tests schema validation, pattern checks, JSON extraction, model selection and the repair retry
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { ProviderRegistry } = require('../../../src/services/providerRegistry');
+const { StructuredOutputService } = require('../../../src/services/structuredOutputService');
+const { validateJsonSchema, checkSchemaPatterns, parseJsonText } = require('../../../src/utils/jsonSchema');
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    status: { enum: ['open', 'closed'] }
+  },
+  required: ['title'],
+  additionalProperties: false
+};
+
+describe('validateJsonSchema', () => {
+  it('should accept matching values', () => {
+    expect(validateJsonSchema(schema, { title: 'Bug', tags: ['ui'], status: 'open' })).toEqual([]);
+  });
+
+  it('should report every problem with its path', () => {
+    expect(validateJsonSchema(schema, { tags: ['a', 1, 'c'], status: 'done', extra: true })).toEqual([
+      '$.title is required',
+      '$.tags must have at most 2 items',
+      '$.tags[1] must be of type string',
+      '$.status must be one of "open", "closed"',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  it('should treat integers as numbers but not the other way round', () => {
+    expect(validateJsonSchema({ type: 'number' }, 3)).toEqual([]);
+    expect(validateJsonSchema({ type: 'integer' }, 3.5)).toEqual(['$ must be of type integer']);
+  });
+});
+
+describe('checkSchemaPatterns', () => {
+  it('should accept schemas whose patterns are safe', () => {
+    expect(checkSchemaPatterns(schema)).toBeNull();
+    expect(checkSchemaPatterns({ properties: { code: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' } } })).toBeNull();
+  });
+
+  it('should find invalid, long and backtracking patterns at any depth', () => {
+    const nested = (pattern) => ({ type: 'object', properties: { list: { type: 'array', items: { anyOf: [{ type: 'string', pattern }] } } } });
+
+    expect(checkSchemaPatterns(nested('(unclosed'))).toMatch('not a valid regular expression');
+    expect(checkSchemaPatterns(nested('a'.repeat(300)))).toMatch('at most 256 characters');
+    expect(checkSchemaPatterns(nested('^(a+)+$'))).toMatch('must not nest quantifiers');
+    expect(checkSchemaPatterns(nested('^(\\w+\\s?)*$'))).toMatch('must not nest quantifiers');
+    expect(checkSchemaPatterns({ additionalProperties: { pattern: 5 } })).toBe('pattern must be a string');
+  });
+});
+
+describe('parseJsonText', () => {
+  it('should read JSON inside a markdown fence or surrounding prose', () => {
+    expect(parseJsonText('```json\n{"a": 1}\n```').value).toEqual({ a: 1 });
+    expect(parseJsonText('Here you go: [1, 2] Hope it helps!').value).toEqual([1, 2]);
+  });
+
+  it('should fail on text without JSON', () => {
+    expect(parseJsonText('no json here')).toEqual({ ok: false, error: 'Response is not valid JSON' });
+  });
+});
+
+describe('StructuredOutputService', () => {
+  let registry;
+  let service;
+  let create;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry([
+      { id: 'plain', name: 'Plain', adapter: 'openai', requiresApiKey: false, models: { 'plain-chat': {} } },
+      { id: 'json', name: 'Json', adapter: 'openai', requiresApiKey: false, capabilities: { jsonMode: true }, models: { 'json-chat': {} } },
+      { id: 'native', name: 'Native', adapter: 'openai', requiresApiKey: false, capabilities: { jsonMode: true, jsonSchema: true }, models: { 'native-chat': {} } }
+    ]);
+    create = jest.fn();
+    registry.clients.set('native', { chat: { completions: { create } } });
+    service = new StructuredOutputService(registry);
+  });
+
+  it('should reject unusable request schemas', () => {
+    expect(service.validateRequestSchema(schema, 'issue')).toBeNull();
+    expect(service.validateRequestSchema([], undefined)).toMatch('JSON Schema object');
+    expect(service.validateRequestSchema(schema, 'has spaces')).toMatch('schemaName');
+    expect(service.validateRequestSchema({ properties: { id: { type: 'string', pattern: '[' } } })).toMatch('responseSchema has an unusable pattern');
+  });
+
+  it('should keep a capable model and otherwise prefer native schema support', () => {
+    expect(service.selectModel('json-chat', ['native-chat'])).toBe('json-chat');
+    expect(service.selectModel('plain-chat', ['plain-chat', 'json-chat', 'native-chat'])).toBe('native-chat');
+    expect(service.selectModel('plain-chat', ['plain-chat'])).toBeNull();
+  });
+
+  it('should fall back to JSON mode for models without native schemas', () => {
+    expect(service.responseFormat('json-chat', schema, 'issue')).toEqual({ type: 'json_object' });
+    expect(service.responseFormat('native-chat', schema, 'issue').json_schema.name).toBe('issue');
+  });
+
+  it('should return valid output re-serialized without a repair call', async () => {
+    const outcome = await service.enforce({ model: 'native-chat', schema, text: '```json\n{"title":"Bug"}\n```' });
+
+    expect(outcome).toEqual(expect.objectContaining({ valid: true, repaired: false, text: '{\n  "title": "Bug"\n}' }));
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should make exactly one repair attempt', async () => {
+    create.mockResolvedValue({
+      choices: [{ message: { content: '{"title":""}' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    });
+
+    const outcome = await service.enforce({ model: 'native-chat', schema, text: 'not json' });
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0].response_format.type).toBe('json_schema');
+    expect(outcome).toEqual(expect.objectContaining({
+      valid: false,
+      repaired: false,
+      text: 'not json',
+      errors: ['$.title must be at least 1 characters']
+    }));
+    expect(outcome.usage.totalTokens).toBe(15);
+  });
+
+  it('should report a schema the validator cannot apply instead of throwing', async () => {
+    const outcome = await service.enforce({ model: 'native-chat', schema: { type: 'string', pattern: '(' }, text: '"abc"' });
+
+    expect(outcome).toEqual(expect.objectContaining({ valid: false, repaired: false, text: '"abc"', usage: null }));
+    expect(outcome.errors[0]).toMatch(/^Schema could not be applied: /);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should keep the original output when the repair call fails', async () => {
+    create.mockRejectedValue(new Error('rate limited'));
+
+    const outcome = await service.enforce({ model: 'native-chat', schema, text: '{}' });
+
+    expect(outcome).toEqual(expect.objectContaining({ valid: false, text: '{}', errors: ['$.title is required'], usage: null }));
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Summarization Service Unit Tests
+ * Tests background chat summaries: when a strategy asks for a new version, what
+ * the summarizer model is sent, and how versions are stored and billed
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Admin client whose queries resolve to the results queued per table
+const mockSupabase = require('../../__mocks__/supabase-query-builder').createSupabaseMock();
+jest.mock('../../../src/db/supabase/admin.js', () => mockSupabase.client);
+
+jest.mock('../../../src/services/conversationManager', () => ({
+  isValidUuid: jest.fn(() => true),
+  getConversation: jest.fn(),
+  updateSummary: jest.fn()
+}));
+
+const conversationManager = require('../../../src/services/conversationManager');
+const { ProviderRegistry } = require('../../../src/services/providerRegistry');
+const { SummarizationService, readConfig } = require('../../../src/services/summarizationService');
+const { SYSTEM_PROMPT } = require('../../../src/services/summaryStrategies');
+
+const providers = [
+  { id: 'alpha', name: 'Alpha', adapter: 'openai', requiresApiKey: false, models: { 'alpha-mini': { apiId: 'alpha-mini-2026' } } }
+];
+
+// A linear chat of `count` messages, alternating user and assistant
+const chat = count => Array.from({ length: count }, (_, i) => ({
+  id: `m${i}`,
+  parent_message_id: i === 0 ? null : `m${i - 1}`,
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `turn ${i}`,
+  created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+}));
+
+describe('SummarizationService', () => {
+  let create;
+  let ledger;
+  let health;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSupabase.reset();
+    mockSupabase.results.chat_summaries = [{ data: null, error: null }, { data: { version: 1 }, error: null }];
+
+    const registry = new ProviderRegistry(providers);
+    create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: ' The user is planning a trip. ' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 8 }
+    });
+    registry.getClient = jest.fn(() => ({ chat: { completions: { create } } }));
+    ledger = { recordCompletion: jest.fn() };
+    health = { isAvailable: jest.fn(() => true), recordSuccess: jest.fn(), recordFailure: jest.fn() };
+    const config = { ...readConfig({}), model: 'alpha-mini', triggerMessages: 4 };
+    service = new SummarizationService(registry, ledger, health, config);
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(4), summary: null });
+  });
+
+  it('waits until enough messages are not covered by a summary', async () => {
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(3), summary: null });
+
+    expect(await service.summarize({ chatId: 'chat-1', userId: 'u1' })).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('writes the first version with the summarizer model and bills it as a summary', async () => {
+    await service.summarize({ chatId: 'chat-1', userId: 'u1' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'alpha-mini-2026',
+      max_tokens: 400,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: expect.stringContaining('User: turn 0\nAssistant: turn 1\nUser: turn 2\nAssistant: turn 3') }
+      ]
+    }));
+    expect(mockSupabase.writes()).toEqual([{
+      table: 'chat_summaries',
+      method: 'insert',
+      values: expect.objectContaining({
+        chat_id: 'chat-1',
+        version: 1,
+        summary: 'The user is planning a trip.',
+        strategy: 'incremental',
+        last_message_id: 'm3',
+        message_count: 4,
+        prompt_tokens: 120,
+        completion_tokens: 8
+      })
+    }]);
+    expect(conversationManager.updateSummary).toHaveBeenCalledWith('chat-1', 'The user is planning a trip.');
+    expect(ledger.recordCompletion).toHaveBeenCalledWith(expect.objectContaining({ model: 'alpha-mini', kind: 'summary' }));
+    expect(health.recordSuccess).toHaveBeenCalled();
+  });
+
+  it('folds only the new messages into the latest version', async () => {
+    conversationManager.getConversation.mockResolvedValue({ id: 'chat-1', messages: chat(8), summary: 'Earlier.' });
+    mockSupabase.results.chat_summaries = [{ data: { version: 2, summary: 'Earlier.', last_message_id: 'm3' }, error: null }, { data: { version: 3 }, error: null }];
+
+    await service.summarize({ chatId: 'chat-1', userId: 'u1' });
+
+    const prompt = create.mock.calls[0][0].messages[1].content;
+    expect(prompt).toContain('Current summary:\nEarlier.');
+    expect(prompt).toContain('User: turn 4');
+    expect(prompt).not.toContain('turn 3');
+    expect(mockSupabase.writes()[0].values).toEqual(expect.objectContaining({ version: 3, last_message_id: 'm7' }));
+  });
+
+  it('starts over when the latest version covers another branch', async () => {
+    mockSupabase.results.chat_summaries = [{ data: { version: 1, summary: 'Other branch.', last_message_id: 'gone' }, error: null }, { data: { version: 2 }, error: null }];
+
+    await service.summarize({ chatId: 'chat-1', userId: 'u1' });
+
+    const prompt = create.mock.calls[0][0].messages[1].content;
+    expect(prompt).toContain('Current summary:\nNone yet.');
+    expect(mockSupabase.writes()[0].values).toEqual(expect.objectContaining({ version: 2, message_count: 4 }));
+  });
+
+  it('does not call a summarizer whose provider is unavailable', async () => {
+    health.isAvailable.mockReturnValue(false);
+
+    await expect(service.summarize({ chatId: 'chat-1', userId: 'u1' })).rejects.toThrow('skipped');
+    expect(create).not.toHaveBeenCalled();
+    expect(mockSupabase.writes()).toEqual([]);
+  });
+
+  it('uses a registered strategy when SUMMARY_STRATEGY names it', async () => {
+    service.registerStrategy('every-turn', {
+      plan: ({ path }) => ({ previousSummary: null, messages: path.slice(-1) }),
+      buildPrompt: ({ transcript }) => `Latest:\n${transcript}`
+    });
+    service.config.strategy = 'every-turn';
+
+    await service.summarize({ chatId: 'chat-1', userId: 'u1' });
+
+    expect(create.mock.calls[0][0].messages[1].content).toBe('Latest:\nAssistant: turn 3');
+    expect(() => service.registerStrategy('broken', {})).toThrow();
+  });
+
+  it('only schedules jobs for saved chats while enabled', () => {
+    service.queue.add = jest.fn(() => true);
+
+    expect(service.schedule('chat-1', 'u1')).toBe(true);
+    conversationManager.isValidUuid.mockReturnValueOnce(false);
+    expect(service.schedule('temp-1', 'u1')).toBe(false);
+    service.config.enabled = false;
+    expect(service.schedule('chat-1', 'u1')).toBe(false);
+    expect(service.queue.add).toHaveBeenCalledTimes(1);
+  });
+});
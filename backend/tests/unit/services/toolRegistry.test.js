@@ -0,0 +1,175 @@
+/**
+ * Tool Registry Unit Tests
+ * Tests tool declarations, per-plan permissions, argument validation and execution
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/db/supabase/admin.js', () => ({
+  from: jest.fn()
+}));
+
+jest.mock('../../../src/services/enhancedQdrantService.js', () => ({
+  searchSimilarQueries: jest.fn()
+}));
+
+const supabase = require('../../../src/db/supabase/admin.js');
+const enhancedQdrantService = require('../../../src/services/enhancedQdrantService.js');
+const { ToolRegistry, toolRegistry } = require('../../../src/services/toolRegistry');
+
+const tools = [
+  {
+    name: 'lookup',
+    description: 'Looks things up',
+    plans: ['free', 'pro'],
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look up' },
+        limit: { type: 'integer', minimum: 1 },
+        mode: { type: 'string', enum: ['fast', 'deep'] }
+      },
+      required: ['query']
+    }
+  },
+  { name: 'premium', description: 'Pro only', plans: ['pro'] }
+];
+
+describe('ToolRegistry', () => {
+  let registry;
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      lookup: jest.fn(async ({ query }) => ({ found: query })),
+      premium: jest.fn(async () => 'ok')
+    };
+    registry = new ToolRegistry(tools, handlers);
+  });
+
+  describe('register', () => {
+    it('should reject tools without a handler', () => {
+      expect(() => registry.register({ name: 'orphan' })).toThrow('has no handler');
+    });
+
+    it('should reject duplicate names', () => {
+      expect(() => registry.register({ name: 'lookup' }, jest.fn())).toThrow('already registered');
+    });
+  });
+
+  describe('definitions', () => {
+    it('should only offer tools the plan may use', () => {
+      expect(registry.toOpenAITools('free').map(t => t.function.name)).toEqual(['lookup']);
+      expect(registry.toOpenAITools('pro').map(t => t.function.name)).toEqual(['lookup', 'premium']);
+      expect(registry.toOpenAITools('plus')).toEqual([]);
+    });
+
+    it('should drop schema keywords Gemini does not accept', () => {
+      const [{ functionDeclarations }] = registry.toGeminiTools('free');
+      expect(functionDeclarations[0].parameters.properties.limit).toEqual({ type: 'integer' });
+      expect(functionDeclarations[0].parameters.required).toEqual(['query']);
+    });
+
+    it('should return no Gemini tools when none are allowed', () => {
+      expect(registry.toGeminiTools('plus')).toEqual([]);
+    });
+  });
+
+  describe('execute', () => {
+    const context = { userId: 'u1', plan: 'free' };
+
+    it('should parse JSON arguments and pass the context to the handler', async () => {
+      const outcome = await registry.execute('lookup', '{"query":"cats"}', context);
+
+      expect(outcome).toEqual(expect.objectContaining({ ok: true, args: { query: 'cats' }, result: { found: 'cats' } }));
+      expect(handlers.lookup).toHaveBeenCalledWith({ query: 'cats' }, context);
+    });
+
+    it('should refuse tools outside the plan', async () => {
+      const outcome = await registry.execute('premium', {}, context);
+
+      expect(outcome.ok).toBe(false);
+      expect(outcome.error).toMatch('not available on the free plan');
+      expect(handlers.premium).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid arguments instead of running the tool', async () => {
+      expect((await registry.execute('lookup', '{oops', context)).error).toBe('Arguments are not valid JSON');
+      expect((await registry.execute('lookup', {}, context)).error).toBe('Missing required argument "query"');
+      expect((await registry.execute('lookup', { query: 'x', limit: 1.5 }, context)).error).toMatch('type integer');
+      expect((await registry.execute('lookup', { query: 'x', mode: 'slow' }, context)).error).toMatch('one of fast, deep');
+      expect(handlers.lookup).not.toHaveBeenCalled();
+    });
+
+    it('should turn handler failures and timeouts into errors', async () => {
+      handlers.lookup.mockRejectedValueOnce(new Error('database down'));
+      expect((await registry.execute('lookup', { query: 'x' }, context)).error).toBe('database down');
+
+      registry.timeoutMs = 10;
+      handlers.lookup.mockImplementationOnce(() => new Promise(() => {}));
+      expect((await registry.execute('lookup', { query: 'x' }, context)).error).toMatch('timed out');
+    });
+
+    it('should report unknown tools', async () => {
+      expect((await registry.execute('missing', {}, context)).error).toBe('Unknown tool "missing"');
+    });
+  });
+
+  it('should cap results passed back to the model', () => {
+    registry.maxResultChars = 20;
+    expect(registry.formatForModel({ ok: true, result: 'a'.repeat(50) })).toMatch(/\[truncated\]$/);
+    expect(registry.formatForModel({ ok: false, error: 'bad' })).toBe('{"error":"bad"}');
+  });
+});
+
+describe('Built-in tools', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should keep knowledge search to paid plans', () => {
+    expect(toolRegistry.listForPlan('free').map(t => t.name)).toEqual(['search_chats', 'remember']);
+    expect(toolRegistry.listForPlan('pro').map(t => t.name)).toEqual(['search_chats', 'search_knowledge', 'remember']);
+  });
+
+  it('should search only the calling user\'s messages and match wildcards literally', async () => {
+    const query = {
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      ilike: jest.fn().mockReturnThis(),
+      order: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue({
+        data: [{ chat_id: 'c1', role: 'user', content: 'about 100% coverage', created_at: 't', chats: { title: 'Tests' } }],
+        error: null
+      })
+    };
+    supabase.from.mockReturnValue(query);
+
+    const outcome = await toolRegistry.execute('search_chats', { query: '100%', limit: 50 }, { userId: 'u1', plan: 'free' });
+
+    expect(query.eq).toHaveBeenCalledWith('user_id', 'u1');
+    expect(query.ilike).toHaveBeenCalledWith('content', '%100\\%%');
+    expect(query.limit).toHaveBeenCalledWith(10);
+    expect(outcome.result.matches).toEqual([
+      { chatId: 'c1', chatTitle: 'Tests', role: 'user', snippet: 'about 100% coverage', createdAt: 't' }
+    ]);
+  });
+
+  it('should run knowledge search through Qdrant for the calling user', async () => {
+    enhancedQdrantService.searchSimilarQueries.mockResolvedValue([
+      { query: 'What is RAG?', context: { response: 'Retrieval augmented generation' }, similarity: 0.9, timestamp: 1 }
+    ]);
+
+    const outcome = await toolRegistry.execute('search_knowledge', { query: 'rag' }, { userId: 'u1', plan: 'plus' });
+
+    expect(enhancedQdrantService.searchSimilarQueries).toHaveBeenCalledWith('u1', 'rag', 5);
+    expect(outcome.result.results[0]).toEqual(expect.objectContaining({ question: 'What is RAG?', answer: 'Retrieval augmented generation' }));
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Job Queue Unit Tests
+ * Tests keyed background jobs: coalescing bursts, re-running a key added while
+ * it runs, retries with backoff, and the pending limit
+ */
+
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { JobQueue } = require('../../../src/utils/jobQueue');
+
+describe('JobQueue', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+  });
+
+  it('runs a burst of jobs for the same key once, with the last payload', async () => {
+    const queue = new JobQueue('test', async payload => { calls.push(payload); });
+
+    queue.add('chat-1', 1);
+    queue.add('chat-1', 2);
+    queue.add('chat-2', 'a');
+    await queue.onIdle();
+
+    expect(calls).toEqual([2, 'a']);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ added: 3, coalesced: 1, completed: 2, pending: 0 }));
+  });
+
+  it('runs a key again when it was added while running', async () => {
+    let release;
+    const queue = new JobQueue('test', async (payload) => {
+      calls.push(payload);
+      if (payload === 1) await new Promise(resolve => { release = resolve; });
+    });
+
+    queue.add('chat-1', 1);
+    await new Promise(resolve => setImmediate(resolve));
+    queue.add('chat-1', 2);
+    queue.add('chat-1', 3);
+    release();
+    await queue.onIdle();
+
+    expect(calls).toEqual([1, 3]);
+  });
+
+  it('retries failed jobs with backoff and gives up after maxAttempts', async () => {
+    const queue = new JobQueue('test', async (payload) => {
+      calls.push(payload);
+      throw new Error('Provider down');
+    }, { maxAttempts: 3, retryDelayMs: 1 });
+
+    queue.add('chat-1', 'x');
+    await queue.onIdle();
+
+    expect(calls).toEqual(['x', 'x', 'x']);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ retried: 2, failed: 1, completed: 0 }));
+  });
+
+  it('drops new keys once maxPending jobs are waiting', async () => {
+    const queue = new JobQueue('test', async payload => { calls.push(payload); }, { maxPending: 2 });
+
+    expect(queue.add('a', 1)).toBe(true);
+    expect(queue.add('b', 2)).toBe(true);
+    expect(queue.add('c', 3)).toBe(false);
+    // Coalescing into a waiting key still works
+    expect(queue.add('a', 4)).toBe(true);
+    await queue.onIdle();
+
+    expect(calls).toEqual([4, 2]);
+    expect(queue.getStats().dropped).toBe(1);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Message Tree Unit Tests
+ * Tests active paths, branch info and the flat tree view
+ */
+
+const { describe, it, expect } = require('@jest/globals');
+const { pathTo, activePath, withBranchInfo, buildTree } = require('../../../src/utils/messageTree');
+
+const at = minute => `2025-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`;
+
+// u1 -> a1 -> u2 -> a2
+//             u2 (edited) -> a3     (u3)
+//       a1 regenerated: a4
+const messages = [
+  { id: 'u1', role: 'user', parent_message_id: null, created_at: at(1) },
+  { id: 'a1', role: 'assistant', parent_message_id: 'u1', created_at: at(2) },
+  { id: 'u2', role: 'user', parent_message_id: 'a1', created_at: at(3) },
+  { id: 'a2', role: 'assistant', parent_message_id: 'u2', created_at: at(4) },
+  { id: 'u3', role: 'user', parent_message_id: 'a1', created_at: at(5) },
+  { id: 'a3', role: 'assistant', parent_message_id: 'u3', created_at: at(6) },
+  { id: 'a4', role: 'assistant', parent_message_id: 'u1', created_at: at(7) }
+];
+const ids = list => list.map(message => message.id);
+
+describe('messageTree', () => {
+  it('should follow parents from the root down to a message', () => {
+    expect(ids(pathTo(messages, 'a2'))).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(pathTo(messages, 'missing')).toEqual([]);
+  });
+
+  it('should make the path to the newest message active', () => {
+    expect(ids(activePath(messages))).toEqual(['u1', 'a4']);
+  });
+
+  it('should follow the newest message below a picked branch', () => {
+    expect(ids(activePath(messages, 'a1'))).toEqual(['u1', 'a1', 'u3', 'a3']);
+    expect(ids(activePath(messages, 'u2'))).toEqual(['u1', 'a1', 'u2', 'a2']);
+  });
+
+  it('should treat messages whose parent is not loaded as roots', () => {
+    const page = messages.filter(message => !['u1', 'a4'].includes(message.id));
+
+    expect(ids(activePath(page))).toEqual(['a1', 'u3', 'a3']);
+  });
+
+  it('should leave rows without ids in their original order', () => {
+    const legacy = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }];
+
+    expect(activePath(legacy)).toBe(legacy);
+  });
+
+  it('should number each message among its siblings', () => {
+    const path = withBranchInfo(activePath(messages, 'u3'), messages);
+
+    expect(path.map(({ id, branchIndex, branchCount }) => [id, branchIndex, branchCount])).toEqual([
+      ['u1', 0, 1],
+      ['a1', 0, 2],
+      ['u3', 1, 2],
+      ['a3', 0, 1]
+    ]);
+    expect(path[2].siblingIds).toEqual(['u2', 'u3']);
+  });
+
+  it('should list the children of every message', () => {
+    const tree = buildTree(messages);
+
+    expect(tree.find(message => message.id === 'u1').children).toEqual(['a1', 'a4']);
+    expect(tree.find(message => message.id === 'a2').children).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Router Evaluation Unit Tests
+ * Tests dataset parsing, the stubbed router LLM and the accuracy/cost/latency report
+ */
+
+const { describe, it, expect } = require('@jest/globals');
+const {
+  parseDataset,
+  createStubRegistry,
+  estimateAnswerCost,
+  evaluate,
+  summarize,
+  formatReport
+} = require('../../../src/utils/routerEvaluation');
+
+describe('routerEvaluation', () => {
+  describe('parseDataset', () => {
+    it('should read one case per line with defaults', () => {
+      const cases = parseDataset([
+        '{"query": "hi", "expected": "qwen"}',
+        '',
+        '{"query": "Fix my code", "expected": ["qwen", "codestral"], "plan": "Pro", "routerReply": "{}", "completionTokens": 300}'
+      ].join('\n'));
+
+      expect(cases).toEqual([
+        { query: 'hi', expected: ['qwen'], plan: 'free', routerReply: undefined, completionTokens: undefined },
+        { query: 'Fix my code', expected: ['qwen', 'codestral'], plan: 'pro', routerReply: '{}', completionTokens: 300 }
+      ]);
+    });
+
+    it('should report the line of an invalid case', () => {
+      expect(() => parseDataset('{"query": "hi", "expected": "qwen"}\nnot json')).toThrow('Line 2: invalid JSON');
+      expect(() => parseDataset('{"query": "", "expected": "qwen"}')).toThrow('Line 1: "query" must be a non-empty string');
+      expect(() => parseDataset('{"query": "hi", "expected": []}')).toThrow('Line 1: "expected"');
+    });
+  });
+
+  describe('createStubRegistry', () => {
+    it('should answer the recorded reply for a query, otherwise the default model', async () => {
+      const registry = createStubRegistry({ replies: new Map([['hi', '{"model":"qwen"}']]), defaultModel: 'gpt-4o-mini' });
+      const client = registry.getClient(registry.resolve('gpt-4o-mini').providerId);
+      const ask = (content) => client.chat.completions.create({
+        messages: [{ role: 'system', content: 'Route' }, { role: 'user', content }]
+      });
+
+      const recorded = await ask('hi');
+      expect(recorded.choices[0].message.content).toBe('{"model":"qwen"}');
+      expect(recorded.usage.total_tokens).toBeGreaterThan(0);
+      expect((await ask('other')).choices[0].message.content).toBe('{"model":"gpt-4o-mini"}');
+    });
+  });
+
+  describe('evaluate and summarize', () => {
+    const cases = [
+      { query: 'a', expected: ['qwen'], plan: 'free' },
+      { query: 'b', expected: ['gpt-4o'], plan: 'pro' },
+      { query: 'c', expected: ['qwen'], plan: 'free' }
+    ];
+    const routers = [
+      { name: 'always-qwen', route: async () => ({ model: 'qwen', routerCostUsd: 0.001 }) },
+      { name: 'legacy', route: async () => ({ model: 'gemini-1.5-flash' }) }
+    ];
+
+    it('should score accuracy, cost and latency per router and picked model', async () => {
+      const results = await evaluate(cases, routers);
+      const [llm, legacy] = summarize(results);
+
+      expect(results).toHaveLength(6);
+      expect(llm).toEqual(expect.objectContaining({ router: 'always-qwen', cases: 3, correct: 2, unpriced: 0 }));
+      expect(llm.accuracy).toBeCloseTo(2 / 3);
+      expect(llm.costUsd).toBeCloseTo(3 * (estimateAnswerCost('qwen', 'a') + 0.001));
+      expect(llm.models).toEqual([expect.objectContaining({ model: 'qwen', cases: 3, correct: 2 })]);
+      expect(legacy).toEqual(expect.objectContaining({ correct: 0, costUsd: 0, unpriced: 3 }));
+      expect(llm.p95LatencyMs).toBeGreaterThanOrEqual(0);
+
+      const report = formatReport([llm, legacy]);
+      expect(report).toContain('always-qwen: 2/3 correct (66.7%)');
+      expect(report).toContain('legacy: 0/3 correct (0.0%)');
+      expect(report).toContain('3 unpriced');
+    });
+  });
+});
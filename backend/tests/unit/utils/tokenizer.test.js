@@ -0,0 +1,48 @@
+/**
+ * Tokenizer Unit Tests
+ * Tests token counts with the o200k_base encoding, message framing and truncation
+ */
+
+const { describe, it, expect } = require('@jest/globals');
+
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { countTokens, countMessageTokens, truncateToTokens, TOKENS_PER_MESSAGE } = require('../../../src/utils/tokenizer');
+
+describe('tokenizer', () => {
+  it('counts BPE tokens rather than characters', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens(null)).toBe(0);
+    expect(countTokens('Hello world, how are you?')).toBe(7);
+    expect(countTokens('internationalization')).toBeLessThan('internationalization'.length / 4);
+  });
+
+  it('counts long runs without whitespace in slices, quickly', () => {
+    const start = Date.now();
+    const tokens = countTokens('x'.repeat(40000));
+
+    expect(tokens).toBeGreaterThan(1000);
+    expect(Date.now() - start).toBeLessThan(5000);
+  });
+
+  it('adds message framing and counts only the text parts of multi-part content', () => {
+    expect(countMessageTokens({ role: 'user', content: 'Hello world, how are you?' })).toBe(7 + TOKENS_PER_MESSAGE);
+    expect(countMessageTokens({
+      role: 'user',
+      content: [{ type: 'text', text: 'Hello world, how are you?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }]
+    })).toBe(7 + TOKENS_PER_MESSAGE);
+  });
+
+  it('truncates to a token budget with an ellipsis', () => {
+    const text = 'The quick brown fox jumps over the lazy dog';
+
+    expect(truncateToTokens(text, 100)).toBe(text);
+    expect(truncateToTokens(text, 5)).toBe('The quick brown fox…');
+    expect(truncateToTokens(text, 0)).toBe('');
+  });
+});
@@ -22,6 +22,8 @@ const EnhancedStreamingChat = lazy(() => import('./components/EnhancedStreamingC
 const ManageUsers = lazy(() => import('./pages/admin/ManageUsers'));
 const ManageBackgroundImages = lazy(() => import('./pages/admin/ManageBackgroundImages'));
 const SystemSettings = lazy(() => import('./pages/admin/SystemSettings'));
+const CostAnalytics = lazy(() => import('./pages/admin/CostAnalytics'));
+const RoutingPolicies = lazy(() => import('./pages/admin/RoutingPolicies'));
 
 // Debug page imports
 const SessionDebug = lazy(() => import('./pages/debug/SessionDebug'));
@@ -376,6 +378,8 @@ function App() {
               <Route path="/admin/users" element={<ManageUsers />} />
               <Route path="/admin/background-images" element={<ManageBackgroundImages />} />
               <Route path="/admin/system-settings" element={<SystemSettings />} />
+              <Route path="/admin/analytics" element={<CostAnalytics />} />
+              <Route path="/admin/routing-policies" element={<RoutingPolicies />} />
             </Route>
               
             {/* Debug routes with persistent layout */}
@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { useToast } from '@/components/ui/use-toast';
+import { Loader2, Upload } from 'lucide-react';
+import importService from '@/services/importService';
+import { refreshSidebar } from '@/hooks/useRecentChats';
+import type { ChatImport, ChatImportSource } from '@/types/imports';
+
+const POLL_INTERVAL_MS = 2000;
+
+const SOURCE_LABELS: Record<ChatImportSource, string> = {
+  native: 'chat export',
+  chatgpt: 'ChatGPT',
+  claude: 'Claude',
+};
+
+const isRunning = (item: ChatImport | null) => item?.status === 'queued' || item?.status === 'running';
+
+const describeImport = (item: ChatImport) => {
+  const parts = [`${item.importedChats} of ${item.totalChats} chats imported from ${SOURCE_LABELS[item.source]}`];
+  if (item.skippedChats > 0) parts.push(`${item.skippedChats} skipped`);
+  if (item.failedChats > 0) parts.push(`${item.failedChats} failed`);
+  return parts.join(', ');
+};
+
+/**
+ * Settings → Data & Privacy: import chats from ChatGPT's conversations.json,
+ * a Claude export or one of our own chat exports. The file is imported in the
+ * background; progress is polled until it finishes, also after reopening.
+ */
+export function ChatImportSettings() {
+  const { toast } = useToast();
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [uploading, setUploading] = useState(false);
+  const [current, setCurrent] = useState<ChatImport | null>(null);
+
+  // Shows the latest import, and keeps following it when it is still running
+  useEffect(() => {
+    importService.getImports()
+      .then(({ imports }) => setCurrent(imports[0] || null))
+      .catch(error => console.error('Error loading imports:', error));
+  }, []);
+
+  // Each poll stores a new object, which schedules the next one until the import is final
+  useEffect(() => {
+    if (!current || !isRunning(current)) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { import: latest } = await importService.getImport(current.id);
+        if (cancelled) return;
+        setCurrent(latest);
+        if (latest.status === 'completed') {
+          refreshSidebar();
+          toast({ title: 'Import finished', description: describeImport(latest) });
+        } else if (latest.status === 'failed') {
+          refreshSidebar();
+          toast({ title: 'Import failed', description: latest.error || describeImport(latest), variant: 'destructive' });
+        }
+      } catch (error) {
+        console.error('Error checking import progress:', error);
+        if (!cancelled) setCurrent(previous => (previous ? { ...previous } : previous));
+      }
+    }, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [current, toast]);
+
+  const running = isRunning(current);
+
+  const handleFileSelect = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const { import: started } = await importService.startImport(file);
+      setCurrent(started);
+    } catch (error) {
+      console.error('Error starting import:', error);
+      toast({
+        title: 'Error',
+        description: (error as { message?: string })?.message || 'Failed to import the file. Please try again.',
+        variant: 'destructive',
+      });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const percent = current && current.totalChats > 0
+    ? Math.round((current.processedChats / current.totalChats) * 100)
+    : 0;
+
+  return (
+    <div className="space-y-2">
+      <Label>Import Chats</Label>
+      <p className="text-sm text-muted-foreground">
+        Bring your history over from ChatGPT (conversations.json or the export zip), Claude, or a chat exported from here.
+      </p>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.zip,application/json,application/zip"
+        className="hidden"
+        onChange={handleFileSelect}
+      />
+      <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={uploading || running}>
+        {uploading || running ? (
+          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+        ) : (
+          <Upload className="mr-2 h-4 w-4" />
+        )}
+        {uploading ? 'Uploading...' : running ? 'Importing...' : 'Import Chats'}
+      </Button>
+
+      {current && running && (
+        <div className="space-y-1">
+          <Progress value={percent} className="h-2" />
+          <p className="text-xs text-muted-foreground">
+            {current.status === 'queued'
+              ? 'Waiting to start...'
+              : `${current.processedChats} of ${current.totalChats} chats processed (${percent}%)`}
+          </p>
+        </div>
+      )}
+      {current && !running && (
+        <p className="text-xs text-muted-foreground">
+          Last import: {describeImport(current)}
+          {current.status === 'failed' && current.error ? `. ${current.error}` : ''}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,400 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Loader2, Check, X, Wrench, Braces, FileText, BookOpen, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { toast } from 'sonner';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
+import { cn } from '@/lib/utils';
+import memoryService from '@/services/memoryService';
+import type { ToolStep } from '@/types/tools';
+import type { RememberResult } from '@/types/memory';
+import type { StructuredResult } from '@/types/structuredOutput';
+import type { ChatAttachment } from '@/types/attachments';
+import type { DocumentSource, IngestedDocument } from '@/types/documents';
+
+// Human-friendly labels for the built-in tools (see backend config/tools.js)
+const TOOL_LABELS: Record<string, string> = {
+  search_chats: 'Searched your chats',
+  search_knowledge: 'Searched your knowledge base',
+  remember: 'Suggested a memory'
+};
+
+const formatJson = (value: unknown) => {
+  if (value === undefined) return '';
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+};
+
+const summarizeArguments = (args: unknown) => {
+  if (!args || typeof args !== 'object') return '';
+  const { query, content } = args as Record<string, unknown>;
+  const text = query ?? content;
+  return typeof text === 'string' ? `“${text}”` : '';
+};
+
+// Approve or dismiss a memory the assistant suggested with the `remember` tool
+const MemoryProposal: React.FC<{ memoryId: string }> = ({ memoryId }) => {
+  const [state, setState] = useState<'pending' | 'saving' | 'approved' | 'dismissed'>('pending');
+
+  const decide = async (approve: boolean) => {
+    setState('saving');
+    try {
+      if (approve) {
+        await memoryService.approveMemory(memoryId);
+      } else {
+        await memoryService.deleteMemory(memoryId);
+      }
+      setState(approve ? 'approved' : 'dismissed');
+    } catch (decideError) {
+      console.error('Failed to update the memory:', decideError);
+      toast.error('Could not update the memory. Manage memories in Settings → Memory.');
+      setState('pending');
+    }
+  };
+
+  if (state === 'approved' || state === 'dismissed') {
+    return (
+      <span className="ml-5 text-xs text-gray-500 dark:text-gray-400">
+        {state === 'approved' ? 'Remembered' : 'Dismissed'}
+      </span>
+    );
+  }
+
+  return (
+    <div className="ml-5 flex items-center gap-1 text-xs">
+      <button
+        type="button"
+        disabled={state === 'saving'}
+        onClick={() => decide(true)}
+        className="inline-flex items-center gap-1 rounded-md px-1.5 py-0.5 text-green-700 hover:bg-green-50 disabled:opacity-50 dark:text-green-400 dark:hover:bg-green-900/30"
+      >
+        <Check className="h-3 w-3" />
+        Remember
+      </button>
+      <button
+        type="button"
+        disabled={state === 'saving'}
+        onClick={() => decide(false)}
+        className="inline-flex items-center gap-1 rounded-md px-1.5 py-0.5 text-gray-500 hover:bg-gray-100 disabled:opacity-50 dark:text-gray-400 dark:hover:bg-gray-800"
+      >
+        <X className="h-3 w-3" />
+        Dismiss
+      </button>
+    </div>
+  );
+};
+
+const ToolStepItem: React.FC<{ step: ToolStep }> = ({ step }) => {
+  const [open, setOpen] = useState(false);
+  const running = step.ok === undefined;
+  const proposedMemory = step.name === 'remember' && step.ok ? (step.result as RememberResult | undefined) : undefined;
+
+  return (
+    <Collapsible open={open} onOpenChange={setOpen}>
+      <CollapsibleTrigger className="flex w-full items-center gap-1.5 rounded-md px-1.5 py-1 text-left text-xs text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-800">
+        <ChevronRight className={cn('h-3.5 w-3.5 shrink-0 transition-transform duration-200', open && 'rotate-90')} />
+        {running ? (
+          <Loader2 className="h-3.5 w-3.5 shrink-0 animate-spin" />
+        ) : step.ok ? (
+          <Check className="h-3.5 w-3.5 shrink-0 text-green-600" />
+        ) : (
+          <X className="h-3.5 w-3.5 shrink-0 text-red-500" />
+        )}
+        <span className="font-medium">{TOOL_LABELS[step.name] || step.name}</span>
+        <span className="truncate">{summarizeArguments(step.arguments)}</span>
+        {typeof step.durationMs === 'number' && (
+          <span className="ml-auto shrink-0 tabular-nums">{(step.durationMs / 1000).toFixed(1)}s</span>
+        )}
+      </CollapsibleTrigger>
+      <CollapsibleContent>
+        <div className="ml-5 mt-1 space-y-2 rounded-md border border-gray-200 bg-white/60 p-2 text-xs dark:border-gray-700 dark:bg-gray-900/40">
+          <div>
+            <div className="mb-0.5 font-medium text-gray-500 dark:text-gray-400">Input</div>
+            <pre className="max-h-40 overflow-auto whitespace-pre-wrap break-words font-mono">{formatJson(step.arguments)}</pre>
+          </div>
+          {!running && (
+            <div>
+              <div className="mb-0.5 font-medium text-gray-500 dark:text-gray-400">{step.ok ? 'Result' : 'Error'}</div>
+              <pre className={cn('max-h-60 overflow-auto whitespace-pre-wrap break-words font-mono', !step.ok && 'text-red-600 dark:text-red-400')}>
+                {step.ok ? formatJson(step.result) : step.error}
+              </pre>
+            </div>
+          )}
+        </div>
+      </CollapsibleContent>
+      {proposedMemory?.proposed && proposedMemory.memory && <MemoryProposal memoryId={proposedMemory.memory.id} />}
+    </Collapsible>
+  );
+};
+
+interface ToolStepsProps {
+  steps?: ToolStep[];
+  className?: string;
+}
+
+// Collapsible list of the tool calls an assistant message made, shown above its text
+export const ToolSteps: React.FC<ToolStepsProps> = ({ steps, className }) => {
+  if (!steps || steps.length === 0) return null;
+
+  return (
+    <div className={cn('mb-1.5 space-y-0.5', className)}>
+      <div className="flex items-center gap-1 px-1.5 text-[11px] uppercase tracking-wide text-gray-400 dark:text-gray-500">
+        <Wrench className="h-3 w-3" />
+        {steps.length === 1 ? '1 step' : `${steps.length} steps`}
+      </div>
+      {steps.map(step => (
+        <ToolStepItem key={step.id} step={step} />
+      ))}
+    </div>
+  );
+};
+
+interface StructuredOutputProps {
+  result: StructuredResult;
+  content: string;
+  className?: string;
+}
+
+// JSON reply to a request with a response schema: pretty-printed, with whether it matched
+export const StructuredOutput: React.FC<StructuredOutputProps> = ({ result, content, className }) => {
+  let body = content;
+  try {
+    body = JSON.stringify(result.data !== undefined ? result.data : JSON.parse(content), null, 2);
+  } catch {
+    // Invalid replies are shown as the model wrote them
+  }
+
+  return (
+    <div className={cn('space-y-1.5', className)}>
+      <div className="flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400">
+        <Braces className="h-3.5 w-3.5" />
+        <span className="font-medium">JSON</span>
+        {result.valid ? (
+          <span className="rounded-full bg-green-100 px-1.5 py-0.5 text-green-700 dark:bg-green-900/40 dark:text-green-400">
+            {result.repaired ? 'Matches schema (repaired)' : 'Matches schema'}
+          </span>
+        ) : (
+          <span className="rounded-full bg-red-100 px-1.5 py-0.5 text-red-700 dark:bg-red-900/40 dark:text-red-400">
+            Does not match schema
+          </span>
+        )}
+      </div>
+      <pre className="max-h-[32rem] overflow-auto whitespace-pre rounded-md bg-white/70 p-3 font-mono text-xs dark:bg-gray-900/60">{body}</pre>
+      {!result.valid && result.errors.length > 0 && (
+        <ul className="list-disc pl-5 text-xs text-red-600 dark:text-red-400">
+          {result.errors.map(error => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+interface MessageAttachmentsProps {
+  attachments?: ChatAttachment[];
+  // Shown as a remove button on each item (pending attachments in the composer)
+  onRemove?: (attachment: ChatAttachment) => void;
+  className?: string;
+}
+
+// Images as thumbnails, other files as name chips; links open the file while its URL is valid
+export const MessageAttachments: React.FC<MessageAttachmentsProps> = ({ attachments, onRemove, className }) => {
+  if (!attachments || attachments.length === 0) return null;
+
+  return (
+    <div className={cn('flex flex-wrap gap-2', className)}>
+      {attachments.map(attachment => {
+        const isImage = attachment.type.startsWith('image/') && attachment.url;
+        const item = isImage ? (
+          <img src={attachment.url} alt={attachment.name} className="h-20 w-20 rounded-lg object-cover" />
+        ) : (
+          <span className="flex max-w-[12rem] items-center gap-1.5 rounded-lg bg-white/80 px-2 py-1.5 text-xs text-gray-700 dark:bg-gray-800/80 dark:text-gray-200">
+            <FileText className="h-4 w-4 shrink-0" />
+            <span className="truncate">{attachment.name}</span>
+          </span>
+        );
+
+        return (
+          <div key={attachment.path} className="relative">
+            {attachment.url ? (
+              <a href={attachment.url} target="_blank" rel="noopener noreferrer" title={attachment.name}>{item}</a>
+            ) : item}
+            {onRemove && (
+              <button
+                type="button"
+                onClick={() => onRemove(attachment)}
+                className="absolute -right-1.5 -top-1.5 rounded-full bg-gray-700 p-0.5 text-white hover:bg-gray-900"
+                aria-label={`Remove ${attachment.name}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+interface DocumentSourcesProps {
+  sources?: DocumentSource[];
+  // Attached documents that could not be read for this reply
+  errors?: IngestedDocument[];
+  className?: string;
+}
+
+// Document pages the reply was grounded on, matching the [file, p. N] citations in its text
+export const DocumentSources: React.FC<DocumentSourcesProps> = ({ sources, errors, className }) => {
+  if ((!sources || sources.length === 0) && (!errors || errors.length === 0)) return null;
+
+  return (
+    <div className={cn('mt-1.5 space-y-1 px-1 text-xs text-gray-500 dark:text-gray-400', className)}>
+      {sources && sources.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <BookOpen className="h-3.5 w-3.5" />
+          <span className="font-medium">Sources</span>
+          {sources.map(source => (
+            <span key={source.citation} className="rounded-full bg-gray-100 px-2 py-0.5 dark:bg-gray-800">
+              {source.citation}
+            </span>
+          ))}
+        </div>
+      )}
+      {errors?.map(error => (
+        <p key={error.fileName} className="text-red-600 dark:text-red-400">{error.error}</p>
+      ))}
+    </div>
+  );
+};
+
+interface BranchSwitcherProps {
+  // Ids of the message and its siblings (other edits or regenerations), oldest first
+  siblingIds?: string[];
+  branchIndex?: number;
+  onSelect: (messageId: string) => void;
+  disabled?: boolean;
+  className?: string;
+}
+
+// "< 2/3 >" between the versions of a message; hidden while there is only one
+export const BranchSwitcher: React.FC<BranchSwitcherProps> = ({ siblingIds, branchIndex = 0, onSelect, disabled, className }) => {
+  if (!siblingIds || siblingIds.length < 2) return null;
+
+  const buttonClass = 'rounded p-0.5 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent dark:hover:bg-gray-700';
+  return (
+    <div className={cn('flex items-center gap-0.5 text-xs tabular-nums text-gray-500 dark:text-gray-400', className)}>
+      <button
+        type="button"
+        className={buttonClass}
+        disabled={disabled || branchIndex === 0}
+        onClick={() => onSelect(siblingIds[branchIndex - 1])}
+        aria-label="Previous version"
+      >
+        <ChevronLeft className="h-3.5 w-3.5" />
+      </button>
+      <span>{branchIndex + 1}/{siblingIds.length}</span>
+      <button
+        type="button"
+        className={buttonClass}
+        disabled={disabled || branchIndex === siblingIds.length - 1}
+        onClick={() => onSelect(siblingIds[branchIndex + 1])}
+        aria-label="Next version"
+      >
+        <ChevronRight className="h-3.5 w-3.5" />
+      </button>
+    </div>
+  );
+};
+
+export type MessageRatingValue = 'up' | 'down' | null;
+
+interface MessageRatingProps {
+  rating?: MessageRatingValue;
+  // Called with the new rating; clicking the active thumb clears it (null)
+  onRate: (rating: MessageRatingValue) => void;
+  disabled?: boolean;
+  className?: string;
+}
+
+// Thumbs up/down on a reply; the ratings tell how well the router picked its model
+export const MessageRating: React.FC<MessageRatingProps> = ({ rating = null, onRate, disabled, className }) => {
+  const buttonClass = 'flex items-center px-2 py-1 rounded-md border border-transparent hover:border-gray-300 dark:hover:border-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200 disabled:opacity-50';
+  return (
+    <div className={cn('flex items-center', className)}>
+      <button
+        type="button"
+        className={buttonClass}
+        disabled={disabled}
+        onClick={() => onRate(rating === 'up' ? null : 'up')}
+        aria-label="Good response"
+        aria-pressed={rating === 'up'}
+      >
+        <ThumbsUp className={cn('h-4 w-4', rating === 'up' ? 'fill-current text-gray-900 dark:text-gray-100' : 'text-gray-600 dark:text-gray-300')} />
+      </button>
+      <button
+        type="button"
+        className={buttonClass}
+        disabled={disabled}
+        onClick={() => onRate(rating === 'down' ? null : 'down')}
+        aria-label="Bad response"
+        aria-pressed={rating === 'down'}
+      >
+        <ThumbsDown className={cn('h-4 w-4', rating === 'down' ? 'fill-current text-gray-900 dark:text-gray-100' : 'text-gray-600 dark:text-gray-300')} />
+      </button>
+    </div>
+  );
+};
+
+interface MessageEditorProps {
+  initialValue: string;
+  // Sends the edited text as a new version of the message
+  onSave: (value: string) => void;
+  onCancel: () => void;
+}
+
+// Inline editor for an earlier user message
+export const MessageEditor: React.FC<MessageEditorProps> = ({ initialValue, onSave, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  const trimmed = value.trim();
+
+  return (
+    <div className="w-full rounded-2xl border border-gray-300 bg-white p-2 dark:border-gray-600 dark:bg-gray-800">
+      <textarea
+        value={value}
+        onChange={event => setValue(event.target.value)}
+        onKeyDown={event => {
+          if (event.key === 'Escape') onCancel();
+          if (event.key === 'Enter' && !event.shiftKey && trimmed) {
+            event.preventDefault();
+            onSave(trimmed);
+          }
+        }}
+        rows={Math.min(Math.max(value.split('\n').length, 2), 10)}
+        className="w-full resize-none bg-transparent px-2 py-1 text-sm text-gray-900 outline-none dark:text-gray-100"
+        autoFocus
+      />
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="rounded-full px-3 py-1 text-xs text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onSave(trimmed)}
+          disabled={!trimmed || trimmed === initialValue.trim()}
+          className="rounded-full bg-blue-600 px-3 py-1 text-xs text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ToolSteps;
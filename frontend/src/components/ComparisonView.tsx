@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { Check, Loader2, Square, X } from 'lucide-react';
+import { ModelIcon } from '@/components/ui/ModelIcon';
+import { cn } from '@/lib/utils';
+import type { ComparisonState } from '@/types/comparison';
+
+interface ComparisonViewProps {
+  comparison: ComparisonState;
+  isComparing: boolean;
+  error?: string | null;
+  onPrefer: (model: string) => void | Promise<unknown>;
+  onStop: () => void;
+  onClose: () => void;
+}
+
+// The answers of a comparison side by side; preferring one keeps it in the chat
+export const ComparisonView: React.FC<ComparisonViewProps> = ({ comparison, isComparing, error, onPrefer, onStop, onClose }) => {
+  const [savingModel, setSavingModel] = useState<string | null>(null);
+
+  const prefer = async (model: string) => {
+    setSavingModel(model);
+    try {
+      await onPrefer(model);
+    } finally {
+      setSavingModel(null);
+    }
+  };
+
+  return (
+    <div className="w-full space-y-2">
+      <div className="flex justify-end">
+        <div className="max-w-[85%] whitespace-pre-wrap break-words rounded-2xl bg-blue-600 px-4 py-3 text-white shadow-sm">
+          {comparison.prompt}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 px-1 text-xs text-gray-500 dark:text-gray-400">
+        <span className="font-medium">
+          {isComparing ? 'Comparing models…' : comparison.preferredModel ? 'Answer saved' : 'Pick the better answer'}
+        </span>
+        <div className="ml-auto flex items-center gap-1">
+          {isComparing && (
+            <button
+              type="button"
+              onClick={onStop}
+              className="flex items-center gap-1 rounded-md px-2 py-1 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <Square className="h-3 w-3 fill-current" /> Stop
+            </button>
+          )}
+          {!isComparing && (
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-md p-1 hover:bg-gray-100 dark:hover:bg-gray-700"
+              aria-label="Close comparison"
+            >
+              <X className="h-3.5 w-3.5" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className={cn('grid gap-3', comparison.lanes.length === 3 ? 'md:grid-cols-3' : 'md:grid-cols-2')}>
+        {comparison.lanes.map(lane => {
+          const preferred = comparison.preferredModel === lane.model;
+          return (
+            <div
+              key={lane.model}
+              className={cn(
+                'flex min-w-0 flex-col rounded-2xl border bg-gray-100 p-3 dark:bg-gray-800',
+                preferred ? 'border-green-500' : 'border-transparent'
+              )}
+            >
+              <div className="mb-2 flex items-center gap-1.5 text-xs font-medium text-gray-500 dark:text-gray-400">
+                <ModelIcon model={lane.model} className="h-4 w-4" />
+                <span className="truncate">{lane.model}</span>
+                {lane.isStreaming && <Loader2 className="ml-auto h-3.5 w-3.5 animate-spin" />}
+              </div>
+              {lane.error ? (
+                <p className="text-sm text-red-600 dark:text-red-400">{lane.error}</p>
+              ) : (
+                <div className="prose prose-sm max-h-[28rem] flex-1 overflow-y-auto break-words text-gray-900 dark:prose-invert dark:text-gray-100">
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>{lane.content}</ReactMarkdown>
+                </div>
+              )}
+              <div className="mt-2 flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                {lane.usage && <span className="tabular-nums">{lane.usage.totalTokens} tokens</span>}
+                {preferred ? (
+                  <span className="ml-auto flex items-center gap-1 text-green-600">
+                    <Check className="h-3.5 w-3.5" /> Preferred
+                  </span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => prefer(lane.model)}
+                    disabled={isComparing || !comparison.comparisonId || !!comparison.preferredModel || !!lane.error || !lane.content || savingModel !== null}
+                    className="ml-auto rounded-full border border-gray-300 px-3 py-1 hover:bg-white disabled:opacity-40 disabled:hover:bg-transparent dark:border-gray-600 dark:hover:bg-gray-700"
+                  >
+                    {savingModel === lane.model ? 'Saving…' : 'Prefer this answer'}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {error && <p className="px-1 text-xs text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ComparisonView;
@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { Switch } from '@/components/ui/switch';
+import { useToast } from '@/components/ui/use-toast';
+import { Check, Edit, Loader2, Plus, Sparkles, Trash2, X } from 'lucide-react';
+import memoryService from '@/services/memoryService';
+import type { Memory } from '@/types/memory';
+
+const MAX_CHARS = 500;
+
+/**
+ * Settings → Memory: the facts the assistant remembers across chats. Users add,
+ * edit and delete memories, approve or dismiss the ones the assistant suggested,
+ * and can turn the feature off (nothing is remembered or suggested while off).
+ */
+export function MemorySettings() {
+  const { toast } = useToast();
+  const [loading, setLoading] = useState(true);
+  const [enabled, setEnabled] = useState(true);
+  const [memories, setMemories] = useState<Memory[]>([]);
+  const [proposals, setProposals] = useState<Memory[]>([]);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editedContent, setEditedContent] = useState('');
+
+  const showError = useCallback((description: string, error: unknown) => {
+    console.error(description, error);
+    toast({ title: 'Error', description, variant: 'destructive' });
+  }, [toast]);
+
+  useEffect(() => {
+    memoryService.getMemory()
+      .then(state => {
+        setEnabled(state.enabled);
+        setMemories(state.memories || []);
+        setProposals(state.proposals || []);
+      })
+      .catch(error => showError('Failed to load your memories', error))
+      .finally(() => setLoading(false));
+  }, [showError]);
+
+  const handleToggle = async (checked: boolean) => {
+    setEnabled(checked);
+    try {
+      await memoryService.setEnabled(checked);
+    } catch (error) {
+      setEnabled(!checked);
+      showError('Failed to update the memory setting', error);
+    }
+  };
+
+  const handleAdd = async () => {
+    const content = draft.trim();
+    if (!content) return;
+    setSaving(true);
+    try {
+      const { memory } = await memoryService.addMemory(content);
+      setMemories(current => [...current.filter(item => item.id !== memory.id), memory]);
+      setProposals(current => current.filter(item => item.id !== memory.id));
+      setDraft('');
+    } catch (error) {
+      showError('Failed to save the memory', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveEdit = async (id: string) => {
+    const content = editedContent.trim();
+    if (!content) return;
+    try {
+      const { memory } = await memoryService.updateMemory(id, content);
+      setMemories(current => current.map(item => (item.id === id ? memory : item)));
+      setEditingId(null);
+    } catch (error) {
+      showError('Failed to update the memory', error);
+    }
+  };
+
+  const handleApprove = async (id: string) => {
+    try {
+      const { memory } = await memoryService.approveMemory(id);
+      setProposals(current => current.filter(item => item.id !== id));
+      setMemories(current => [...current, memory]);
+    } catch (error) {
+      showError('Failed to approve the memory', error);
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await memoryService.deleteMemory(id);
+      setMemories(current => current.filter(item => item.id !== id));
+      setProposals(current => current.filter(item => item.id !== id));
+    } catch (error) {
+      showError('Failed to delete the memory', error);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Forget everything the assistant remembers about you?')) return;
+    try {
+      await memoryService.clearMemories();
+      setMemories([]);
+      setProposals([]);
+    } catch (error) {
+      showError('Failed to delete your memories', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="space-y-0.5">
+          <Label>Remember things across chats</Label>
+          <p className="text-sm text-muted-foreground">
+            The assistant uses these facts in every chat and can suggest new ones for you to approve.
+          </p>
+        </div>
+        <Switch checked={enabled} onCheckedChange={handleToggle} />
+      </div>
+
+      {proposals.length > 0 && (
+        <>
+          <Separator />
+          <div className="space-y-2">
+            <Label className="flex items-center gap-1.5">
+              <Sparkles className="h-4 w-4" />
+              Suggested by the assistant
+            </Label>
+            {proposals.map(proposal => (
+              <div key={proposal.id} className="flex items-center gap-2 rounded-md border border-dashed p-2">
+                <p className="flex-1 text-sm">{proposal.content}</p>
+                <Button size="sm" variant="ghost" onClick={() => handleApprove(proposal.id)} title="Remember">
+                  <Check className="h-4 w-4" />
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => handleDelete(proposal.id)} title="Dismiss">
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <Separator />
+      <div className="space-y-2">
+        <Label>Memories</Label>
+        {memories.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Nothing remembered yet.</p>
+        ) : (
+          memories.map(memory => (
+            <div key={memory.id} className="flex items-center gap-2 rounded-md border p-2">
+              {editingId === memory.id ? (
+                <>
+                  <Input
+                    value={editedContent}
+                    maxLength={MAX_CHARS}
+                    onChange={(e) => setEditedContent(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleSaveEdit(memory.id);
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className="flex-1"
+                    autoFocus
+                  />
+                  <Button size="sm" variant="ghost" onClick={() => handleSaveEdit(memory.id)} disabled={!editedContent.trim()}>
+                    <Check className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => setEditingId(null)}>
+                    <X className="h-4 w-4" />
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <p className="flex-1 text-sm">{memory.content}</p>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => {
+                      setEditingId(memory.id);
+                      setEditedContent(memory.content);
+                    }}
+                    title="Edit"
+                  >
+                    <Edit className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleDelete(memory.id)} title="Delete">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </>
+              )}
+            </div>
+          ))
+        )}
+        <div className="flex gap-2">
+          <Input
+            value={draft}
+            maxLength={MAX_CHARS}
+            placeholder="e.g. I prefer answers with code examples in TypeScript"
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleAdd();
+            }}
+          />
+          <Button onClick={handleAdd} disabled={saving || !draft.trim()}>
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+            Add
+          </Button>
+        </div>
+      </div>
+
+      {(memories.length > 0 || proposals.length > 0) && (
+        <>
+          <Separator />
+          <Button variant="destructive" onClick={handleClear}>
+            Forget everything
+          </Button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Check, ChevronDown, Lock, Sparkles } from 'lucide-react';
+import { ModelIcon } from '@/components/ui/ModelIcon';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+import { AUTO_MODEL, type ModelOption } from '@/types/models';
+
+interface ModelPickerProps {
+  models: ModelOption[];
+  value: string;
+  onChange: (model: string) => void;
+  disabled?: boolean;
+}
+
+// Header dropdown for answering with a specific model instead of the router's pick
+export const ModelPicker: React.FC<ModelPickerProps> = ({ models, value, onChange, disabled }) => {
+  const isAuto = value === AUTO_MODEL;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <button
+          type="button"
+          disabled={disabled}
+          className="flex items-center gap-1.5 rounded-full px-3 h-9 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50"
+          title="Model for this chat"
+        >
+          {isAuto ? <Sparkles className="h-4 w-4" /> : <ModelIcon model={value} className="h-4 w-4" />}
+          <span>{isAuto ? 'Auto' : value}</span>
+          <ChevronDown className="h-3.5 w-3.5" />
+        </button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="start" className="w-64 max-h-96 overflow-y-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+        <DropdownMenuItem onClick={() => onChange(AUTO_MODEL)} className="flex items-start gap-2">
+          <Sparkles className="mt-0.5 h-4 w-4 shrink-0" />
+          <div className="flex-1">
+            <div>Auto</div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">Picks the best model for each message</div>
+          </div>
+          {isAuto && <Check className="h-4 w-4" />}
+        </DropdownMenuItem>
+        <DropdownMenuSeparator />
+        {models.map(option => (
+          <DropdownMenuItem
+            key={option.model}
+            onClick={() => onChange(option.model)}
+            className={`flex items-center gap-2 ${option.allowed ? '' : 'text-gray-400 dark:text-gray-500'}`}
+          >
+            <ModelIcon model={option.model} className="h-4 w-4 shrink-0" />
+            <span className="flex-1 truncate">{option.model}</span>
+            {!option.allowed && (
+              <span className="flex items-center gap-1 text-xs capitalize">
+                <Lock className="h-3 w-3" />
+                {option.requiredPlan}
+              </span>
+            )}
+            {value === option.model && <Check className="h-4 w-4" />}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default ModelPicker;
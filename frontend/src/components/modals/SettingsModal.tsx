@@ -12,13 +12,16 @@ import { Separator } from '@/components/ui/separator';
 import { Switch } from '@/components/ui/switch';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { useAuthStore } from '@/stores/authStore';
-import { User, Bell, Shield, Palette, Download, Edit, Camera, Trash2, Loader2, X, Monitor, Sun, Moon, Image as ImageIcon, Check } from 'lucide-react';
+import { User, Bell, Shield, Palette, Download, Edit, Camera, Trash2, Loader2, X, Monitor, Sun, Moon, Image as ImageIcon, Check, Brain } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import profileService from '@/services/profileService';
+import exportService from '@/services/exportService';
 import supabase from '@/services/supabaseClient';
 import { useToast } from '@/components/ui/use-toast';
 import { useTheme } from '@/hooks/useTheme';
 import { useSafeBackground } from '@/hooks/useSafeBackground';
+import { MemorySettings } from '@/components/MemorySettings';
+import { ChatImportSettings } from '@/components/ChatImportSettings';
 
 interface BackgroundImage {
   id: string;
@@ -30,7 +33,7 @@ interface BackgroundImage {
   tier_required: 'free' | 'plus' | 'pro';
 }
 
-type SettingsTab = 'profile' | 'notifications' | 'appearance' | 'security' | 'privacy';
+type SettingsTab = 'profile' | 'notifications' | 'appearance' | 'memory' | 'security' | 'privacy';
 
 const settingsTabs = [
   {
@@ -48,6 +51,11 @@ const settingsTabs = [
     label: 'Appearance',
     icon: Palette,
   },
+  {
+    id: 'memory' as SettingsTab,
+    label: 'Memory',
+    icon: Brain,
+  },
   {
     id: 'security' as SettingsTab,
     label: 'Security',
@@ -119,6 +127,7 @@ export function SettingsModal({ open, onOpenChange }: SettingsModalProps) {
   const [isUpdatingName, setIsUpdatingName] = useState(false);
   const [isUploadingAvatar, setIsUploadingAvatar] = useState(false);
   const [isDeletingAvatar, setIsDeletingAvatar] = useState(false);
+  const [isExportingData, setIsExportingData] = useState(false);
   
   // Background image states
   const [backgroundImages, setBackgroundImages] = useState<BackgroundImage[]>([]);
@@ -348,6 +357,28 @@ export function SettingsModal({ open, onOpenChange }: SettingsModalProps) {
     }
   };
 
+  const handleDataExport = async () => {
+    setIsExportingData(true);
+    try {
+      await exportService.exportAccount();
+      toast({
+        title: "Success",
+        description: "Your data export has been downloaded",
+      });
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      toast({
+        title: "Error",
+        description: error?.statusCode === 429
+          ? "Your data export is already being prepared"
+          : "Failed to export your data. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsExportingData(false);
+    }
+  };
+
   // Background image functions
   const fetchBackgroundImages = async () => {
     setLoadingBackgrounds(true);
@@ -720,6 +751,9 @@ export function SettingsModal({ open, onOpenChange }: SettingsModalProps) {
           </div>
         );
 
+      case 'memory':
+        return <MemorySettings />;
+
       case 'security':
         return (
           <div className="space-y-4">
@@ -749,9 +783,18 @@ export function SettingsModal({ open, onOpenChange }: SettingsModalProps) {
               <p className="text-sm text-muted-foreground">
                 Download a copy of your chat history and data.
               </p>
-              <Button variant="outline">Export Data</Button>
+              <Button variant="outline" onClick={handleDataExport} disabled={isExportingData}>
+                {isExportingData ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Download className="mr-2 h-4 w-4" />
+                )}
+                {isExportingData ? "Preparing export..." : "Export Data"}
+              </Button>
             </div>
             <Separator />
+            <ChatImportSettings />
+            <Separator />
             <div className="space-y-2">
               <Label>Delete Account</Label>
               <p className="text-sm text-muted-foreground">
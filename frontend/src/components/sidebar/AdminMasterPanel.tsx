@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { ChevronDown, ChevronRight, Users, Image, Settings, BarChart3, Shield, Database } from 'lucide-react';
+import { ChevronDown, ChevronRight, Users, Image, Settings, BarChart3, Shield, Database, Route } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
@@ -45,7 +45,14 @@ const adminMenuItems: AdminMenuItem[] = [
     label: 'Analytics',
     icon: BarChart3,
     path: '/admin/analytics',
-    description: 'Usage and performance metrics'
+    description: 'Model spend and plan margins'
+  },
+  {
+    id: 'routing-policies',
+    label: 'Routing Policies',
+    icon: Route,
+    path: '/admin/routing-policies',
+    description: 'Rules for model routing'
   },
   {
     id: 'system',
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import { X } from "lucide-react";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+
+// Same limits as the backend (services/chatOrganizationService.js)
+const MAX_TAGS = 10;
+const MAX_TAG_CHARS = 32;
+
+interface ChatTagsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  chatTitle: string;
+  initialTags: string[];
+  // Tags already used on other chats, offered as one-click additions
+  suggestions: string[];
+  onSave: (tags: string[]) => Promise<void>;
+}
+
+const normalizeTag = (text: string) => text.trim().replace(/\s+/g, " ").toLowerCase().slice(0, MAX_TAG_CHARS);
+
+export function ChatTagsDialog({ open, onOpenChange, chatTitle, initialTags, suggestions, onSave }: ChatTagsDialogProps) {
+  const [tags, setTags] = useState<string[]>(initialTags);
+  const [draft, setDraft] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const addTags = (text: string) => {
+    const added = text.split(",").map(normalizeTag).filter(Boolean);
+    setTags(prev => [...new Set([...prev, ...added])].slice(0, MAX_TAGS));
+    setDraft("");
+  };
+
+  const save = async () => {
+    const pending = draft.split(",").map(normalizeTag).filter(Boolean);
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave([...new Set([...tags, ...pending])].slice(0, MAX_TAGS));
+      onOpenChange(false);
+    } catch (err) {
+      console.error("Error saving chat tags:", err);
+      setError("Failed to save tags. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unusedSuggestions = suggestions.filter(tag => !tags.includes(tag)).slice(0, 12);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md bg-white dark:bg-[#2f2f2f] text-foreground">
+        <DialogHeader>
+          <DialogTitle className="truncate">Tags for "{chatTitle}"</DialogTitle>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-1.5 min-h-[28px]">
+            {tags.length === 0 && <span className="text-sm text-muted-foreground">No tags yet</span>}
+            {tags.map(tag => (
+              <span key={tag} className="inline-flex items-center gap-1 rounded-full bg-gray-100 dark:bg-[#3a3a3a] px-2.5 py-0.5 text-xs">
+                {tag}
+                <button
+                  type="button"
+                  aria-label={`Remove tag ${tag}`}
+                  className="text-muted-foreground hover:text-foreground"
+                  onClick={() => setTags(prev => prev.filter(existing => existing !== tag))}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+
+          <Input
+            value={draft}
+            placeholder={tags.length >= MAX_TAGS ? `At most ${MAX_TAGS} tags` : "Add a tag and press Enter"}
+            disabled={tags.length >= MAX_TAGS}
+            onChange={(e) => {
+              const value = e.target.value;
+              if (value.includes(",")) addTags(value);
+              else setDraft(value);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && draft.trim()) {
+                e.preventDefault();
+                addTags(draft);
+              } else if (e.key === "Backspace" && !draft && tags.length > 0) {
+                setTags(prev => prev.slice(0, -1));
+              }
+            }}
+          />
+
+          {unusedSuggestions.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {unusedSuggestions.map(tag => (
+                <button
+                  key={tag}
+                  type="button"
+                  disabled={tags.length >= MAX_TAGS}
+                  className="rounded-full border border-gray-200 dark:border-gray-600 px-2.5 py-0.5 text-xs text-muted-foreground hover:text-foreground disabled:opacity-50"
+                  onClick={() => addTags(tag)}
+                >
+                  + {tag}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={save} disabled={saving}>
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+
+const MAX_FOLDER_NAME_CHARS = 60;
+
+interface FolderNameDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  // "New folder" or "Rename folder"
+  title: string;
+  initialName?: string;
+  submitLabel: string;
+  onSubmit: (name: string) => Promise<void>;
+}
+
+export function FolderNameDialog({ open, onOpenChange, title, initialName = "", submitLabel, onSubmit }: FolderNameDialogProps) {
+  const [name, setName] = useState(initialName);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const submit = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit(trimmed);
+      onOpenChange(false);
+    } catch (err) {
+      // e.g. 409 when another folder already has this name
+      setError((err as { message?: string })?.message || "Failed to save folder");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-sm bg-white dark:bg-[#2f2f2f] text-foreground">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+        </DialogHeader>
+        <form
+          className="space-y-3"
+          onSubmit={(e) => {
+            e.preventDefault();
+            submit();
+          }}
+        >
+          <Input
+            autoFocus
+            value={name}
+            maxLength={MAX_FOLDER_NAME_CHARS}
+            placeholder="Folder name"
+            onChange={(e) => setName(e.target.value)}
+          />
+          {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving || !name.trim()}>
+              {saving ? "Saving..." : submitLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,13 +1,27 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, type DragEvent, type ReactNode } from "react";
 import { NavLink, useNavigate, useLocation } from "react-router-dom";
-import { MessageSquare, MoreHorizontal, Trash2, Edit, Share2 } from "lucide-react";
+import {
+  MessageSquare, MoreHorizontal, Trash2, Edit, Share2, Pin, PinOff, Archive, ArchiveRestore,
+  Tag, Folder, FolderPlus, FolderInput, ChevronRight, ChevronDown, X, Download
+} from "lucide-react";
+import { toast } from "sonner";
 import { SidebarMenu, SidebarMenuItem, SidebarMenuButton } from "@/components/ui/sidebar";
-import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import {
+  DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger, DropdownMenuSeparator,
+  DropdownMenuSub, DropdownMenuSubTrigger, DropdownMenuSubContent
+} from "@/components/ui/dropdown-menu";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import chatsService from "@/services/chatsService";
+import exportService, { CHAT_EXPORT_FORMATS, type ChatExportFormat } from "@/services/exportService";
 import { useRecentChats, setGlobalRefreshSidebar } from "@/hooks/useRecentChats";
+import { useChatOrganization } from "@/hooks/useChatOrganization";
+import type { CachedChat } from "@/lib/localStorageUtils";
+import type { ChatFolder, ChatOrganizationUpdate } from "@/types/folders";
 import type { User } from "@supabase/supabase-js";
 import { createPortal } from "react-dom";
 import ShareChatModal from "@/components/modals/ShareChatModal";
+import { ChatTagsDialog } from "@/components/sidebar/ChatTagsDialog";
+import { FolderNameDialog } from "@/components/sidebar/FolderNameDialog";
 
 interface Chat {
   id: string;
@@ -22,6 +36,11 @@ interface RecentChatsPanelProps {
   user: User | null;
 }
 
+// Chat rows are dragged onto folders (or onto Recent to take them out of one)
+const CHAT_DRAG_TYPE = "application/x-chat-id";
+const ALL_TAGS = "all";
+const MAX_ROW_TAGS = 3;
+
 export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
   // Use the new hook instead of manual state management
   const {
@@ -32,6 +51,22 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
     updateChat,
     removeChat
   } = useRecentChats();
+  const {
+    folders,
+    tags,
+    pinnedChats,
+    folderChats,
+    archivedChats,
+    taggedChats,
+    refreshOrganization,
+    loadFolderChats,
+    loadArchivedChats,
+    loadTaggedChats,
+    updateChatOrganization,
+    createFolder,
+    renameFolder,
+    deleteFolder
+  } = useChatOrganization();
 
   // Add this here (moved up)
   const [openMenuChatId, setOpenMenuChatId] = useState<string | null>(null);
@@ -43,6 +78,13 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
   const [deleteConfirmChat, setDeleteConfirmChat] = useState<{ id: string; title: string } | null>(null);
   // Share modal state
   const [shareModalChat, setShareModalChat] = useState<{ id: string; title: string } | null>(null);
+  // Organization: tag editing, folder dialogs, open folders, archive view, tag filter, drop target
+  const [tagsDialogChat, setTagsDialogChat] = useState<CachedChat | null>(null);
+  const [folderDialog, setFolderDialog] = useState<{ folder?: ChatFolder; moveChat?: CachedChat } | null>(null);
+  const [expandedFolders, setExpandedFolders] = useState<Set<string>>(new Set());
+  const [showArchived, setShowArchived] = useState(false);
+  const [tagFilter, setTagFilter] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<string | null>(null);
 
   // Click-away to commit edits
   useEffect(() => {
@@ -130,18 +172,20 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
   useEffect(() => {
     if (user) {
       refreshChats();
+      refreshOrganization();
     }
-  }, [user, refreshChats]);
+  }, [user, refreshChats, refreshOrganization]);
 
   // Register global sidebar refresh to allow hooks to trigger instant updates
   useEffect(() => {
     setGlobalRefreshSidebar(() => {
       refreshChats();
+      refreshOrganization();
     });
     return () => {
       setGlobalRefreshSidebar(() => {});
     };
-  }, [refreshChats]);
+  }, [refreshChats, refreshOrganization]);
 
   // Enhanced click handler with proper state management
   const handleChatClick = (chatId: string, chatTitle: string) => {
@@ -184,6 +228,12 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
     return safe.substring(0, maxLength) + '...';
   };
 
+  // A chat shown in any section (recent, pinned, a folder, the archive or a tag filter)
+  const findChat = (chatId: string): CachedChat | undefined =>
+    [chats, pinnedChats, ...Object.values(folderChats), archivedChats || [], taggedChats || []]
+      .flat()
+      .find((c) => c.id === chatId);
+
   // Start inline edit for a specific chat
   const startInlineEdit = (chat: Chat) => {
     // Close the dropdown first
@@ -198,7 +248,7 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
   // Commit rename (optimistic update + backend persistence)
   const commitInlineEdit = async () => {
     if (!editingChatId) return;
-    const chat = chats.find((c) => c.id === editingChatId);
+    const chat = findChat(editingChatId);
     if (!chat) {
       setEditingChatId(null);
       setEditingTitle("");
@@ -222,6 +272,7 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
       await chatsService.updateChatSession(chat.id, { title: trimmed });
       // Sync from backend to ensure consistency
       await refreshChats(true);
+      refreshOrganization();
     } catch (err) {
       console.error('Error renaming chat:', err);
       // Rollback on failure
@@ -250,12 +301,470 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
     removeChat(id);
     setOpenMenuChatId(null);
     await refreshChats(true);
+    refreshOrganization();
     if (location.pathname === `/chat/${id}`) {
       navigate('/');
     }
     setDeleteConfirmChat(null);
   };
 
+  const exportChat = async (chat: CachedChat, format: ChatExportFormat) => {
+    setOpenMenuChatId(null);
+    try {
+      await exportService.exportChat(chat.id, format);
+    } catch (err) {
+      console.error('Error exporting chat:', err);
+      toast.error('Failed to export chat. Please try again.');
+    }
+  };
+
+  // Pin, archive, restore, tag or move a chat, then sync every section
+  const organizeChat = async (chat: CachedChat, update: ChatOrganizationUpdate, successMessage?: string) => {
+    setOpenMenuChatId(null);
+    try {
+      const updated = await updateChatOrganization(chat.id, update);
+      if (updated.is_archived) {
+        removeChat(chat.id);
+      } else if (chats.some((c) => c.id === chat.id)) {
+        updateChat({
+          ...chat,
+          is_pinned: updated.is_pinned,
+          tags: updated.tags,
+          folder_id: updated.folder_id
+        });
+      }
+      await refreshChats(true);
+      if (successMessage) toast.success(successMessage);
+    } catch (err) {
+      console.error('Error updating chat:', err);
+      toast.error('Failed to update chat. Please try again.');
+    }
+  };
+
+  const toggleFolder = (folderId: string) => {
+    const opening = !expandedFolders.has(folderId);
+    setExpandedFolders((prev) => {
+      const next = new Set(prev);
+      if (opening) next.add(folderId);
+      else next.delete(folderId);
+      return next;
+    });
+    if (opening) {
+      loadFolderChats(folderId).catch((err) => console.warn('Failed to load folder chats:', err));
+    }
+  };
+
+  const submitFolderDialog = async (name: string) => {
+    if (folderDialog?.folder) {
+      await renameFolder(folderDialog.folder.id, name);
+      return;
+    }
+    const folder = await createFolder(name);
+    if (folderDialog?.moveChat) {
+      await organizeChat(folderDialog.moveChat, { folderId: folder.id }, `Moved to ${folder.name}`);
+    }
+  };
+
+  const confirmDeleteFolder = async (folder: ChatFolder) => {
+    if (!window.confirm(`Delete the folder '${folder.name}'? Its chats are kept.`)) return;
+    try {
+      await deleteFolder(folder.id);
+      await refreshChats(true);
+    } catch (err) {
+      console.error('Error deleting folder:', err);
+      toast.error('Failed to delete folder. Please try again.');
+    }
+  };
+
+  const openArchive = (open: boolean) => {
+    setShowArchived(open);
+    if (open) {
+      loadArchivedChats().catch((err) => console.warn('Failed to load archived chats:', err));
+    }
+  };
+
+  const filterByTag = (tag: string | null) => {
+    setTagFilter(tag);
+    loadTaggedChats(tag).catch((err) => console.warn('Failed to load tagged chats:', err));
+  };
+
+  // Drop target handlers; folderId null takes the chat out of its folder
+  const dropTargetProps = (target: string, folderId: string | null) => ({
+    onDragOver: (e: DragEvent) => {
+      if (!e.dataTransfer.types.includes(CHAT_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(target);
+    },
+    onDragLeave: (e: DragEvent) => {
+      if (!e.currentTarget.contains(e.relatedTarget as Node | null)) {
+        setDropTarget((prev) => (prev === target ? null : prev));
+      }
+    },
+    onDrop: (e: DragEvent) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const chat = findChat(e.dataTransfer.getData(CHAT_DRAG_TYPE));
+      if (!chat || (chat.folder_id ?? null) === folderId) return;
+      const folder = folders.find((f) => f.id === folderId);
+      organizeChat(chat, { folderId }, folder ? `Moved to ${folder.name}` : 'Removed from folder');
+    }
+  });
+
+  const dropHighlight = (target: string) =>
+    dropTarget === target ? 'ring-2 ring-blue-500/60 bg-blue-50/60 dark:bg-blue-900/20 rounded-xl' : '';
+
+  const renderSectionLabel = (label: string, action?: ReactNode) => (
+    <div className="flex items-center justify-between px-2 pt-3 pb-1 text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">
+      <span>{label}</span>
+      {action}
+    </div>
+  );
+
+  const renderChatRow = (chat: CachedChat) => (
+    <SidebarMenuItem key={chat.id}>
+      <SidebarMenuButton asChild>
+        <div
+          className="relative group/chat !p-0 hover:bg-transparent focus-visible:ring-0"
+          draggable={editingChatId !== chat.id && !chat.is_archived}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(CHAT_DRAG_TYPE, chat.id);
+            e.dataTransfer.effectAllowed = 'move';
+          }}
+          onDragEnd={() => setDropTarget(null)}
+        >
+          
+          {/* Chat Row */}
+          {editingChatId === chat.id ? (
+            <div
+              className={`flex w-full items-center justify-between gap-3 px-2 py-2 rounded-xl transition-all duration-200 group-hover/chat:pr-12 ${openMenuChatId === chat.id ? 'pr-12' : ''}
+                 hover:bg-gray-100 dark:hover:bg-[#242424]
+                 ${location.pathname === `/chat/${chat.id}` ? "bg-gray-200 dark:bg-[#212121] shadow-sm font-medium" : ""}`}
+              onMouseDown={(e) => {
+                // Prevent any default anchor-like behavior while editing
+                e.preventDefault();
+                e.stopPropagation();
+              }}
+            >
+              {/* Left: Title & Last Message */}
+              <div className="flex min-w-0 grow flex-col gap-1">
+                <div className="flex items-center justify-between gap-2">
+                  {/* Inline edit input */}
+                  <input
+                    ref={editInputRef}
+                    autoFocus
+                    value={editingTitle}
+                    onChange={(e) => setEditingTitle(e.target.value)}
+                    onFocus={(e) => {
+                      const el = e.currentTarget;
+                      try {
+                        const len = el.value?.length ?? 0;
+                        el.setSelectionRange(0, len);
+                      } catch {
+                        try { el.select(); } catch {}
+                      }
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        commitInlineEdit();
+                      } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        cancelInlineEdit();
+                      }
+                    }}
+                    onClick={(e) => { e.stopPropagation(); }}
+                    onMouseDown={(e) => { e.stopPropagation(); }}
+                    className="w-full min-w-0 text-sm font-medium text-gray-900 dark:text-gray-100 bg-gray-100 dark:bg-[#2a2a2a] rounded px-1 py-0.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {chat.last_message_at && (
+                    <span className={`inline-flex items-center text-xs text-gray-400 whitespace-nowrap transition-transform duration-200 group-hover/chat:mr-0.1 ${openMenuChatId === chat.id ? 'mr-0.1' : ''}`}>
+                      {formatTimestamp(chat.last_message_at)}
+                    </span>
+                  )}
+                </div>
+                {chat.last_message && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {truncateText(chat.last_message, 40)}
+                  </span>
+                )}
+              </div>
+
+              {/* Right: Unread Badge */}
+              {chat.unread_count > 0 && (
+                <div className="flex h-5 w-5 items-center justify-center rounded-full 
+                                bg-gradient-to-r from-blue-500 to-purple-500 text-[11px] text-white 
+                                font-semibold shadow-sm flex-shrink-0">
+                  {chat.unread_count}
+                </div>
+              )}
+            </div>
+          ) : (
+            <NavLink
+              to={`/chat/${chat.id}`}
+              onMouseDown={(e) => {
+                // Prevent anchor from grabbing focus or triggering navigation while editing this row
+                if (editingChatId === chat.id) {
+                  e.preventDefault();
+                  e.stopPropagation();
+                }
+              }}
+              onClick={(e) => {
+                if (editingChatId === chat.id) {
+                  // Prevent navigation while editing
+                  e.preventDefault();
+                  e.stopPropagation();
+                  return;
+                }
+                handleChatClick(chat.id, chat.title);
+              }}
+              className={({ isActive }) =>
+                `flex w-full items-center justify-between gap-3 px-2 py-2 rounded-xl transition-all duration-200 group-hover/chat:pr-12 ${openMenuChatId === chat.id ? 'pr-12' : ''}
+                 hover:bg-gray-100 dark:hover:bg-[#242424]
+                 ${isActive ? "bg-gray-200 dark:bg-[#212121] shadow-sm font-medium" : ""}`
+              }
+            >
+              {/* Left: Title & Last Message */}
+              <div className="flex min-w-0 grow flex-col gap-1">
+                <div className="flex items-center justify-between gap-2">
+                  <span
+                    className="font-medium text-gray-900 dark:text-gray-100 truncate "
+                    onMouseDown={(e) => {
+                      // Prevent anchor focus and navigation before we enter edit mode
+                      const isActiveRow = location.pathname === `/chat/${chat.id}`;
+                      if (isActiveRow && editingChatId !== chat.id) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        startInlineEdit(chat);
+                      }
+                    }}
+                    onDoubleClick={(e) => {
+                      // Start inline edit on double-click like desktop file rename
+                      e.preventDefault();
+                      e.stopPropagation();
+                      startInlineEdit(chat);
+                    }}
+                    onClick={(e) => {
+                      // Fallback: if already active, allow single-click to start editing
+                      const isActiveRow = location.pathname === `/chat/${chat.id}`;
+                      if (isActiveRow && editingChatId !== chat.id) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        startInlineEdit(chat);
+                      }
+                    }}
+                  >
+                    {chat.is_pinned && <Pin className="inline mr-1 h-3 w-3 -rotate-45 text-gray-400" aria-label="Pinned" />}
+                    {truncateText(chat.title, 24)}
+                  </span>
+                  {chat.last_message_at && (
+                    <span className={`inline-flex items-center text-xs text-gray-400 whitespace-nowrap transition-transform duration-200 group-hover/chat:mr-0.1 ${openMenuChatId === chat.id ? 'mr-0.1' : ''}`}>
+                      {formatTimestamp(chat.last_message_at)}
+                    </span>
+                  )}
+                </div>
+                {chat.last_message && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {truncateText(chat.last_message, 40)}
+                  </span>
+                )}
+                {chat.tags && chat.tags.length > 0 && (
+                  <div className="flex min-w-0 gap-1 overflow-hidden">
+                    {chat.tags.slice(0, MAX_ROW_TAGS).map((tag) => (
+                      <span key={tag} className="truncate rounded-full bg-gray-100 dark:bg-[#2a2a2a] px-1.5 text-[10px] leading-4 text-gray-500 dark:text-gray-400">
+                        {tag}
+                      </span>
+                    ))}
+                    {chat.tags.length > MAX_ROW_TAGS && (
+                      <span className="text-[10px] leading-4 text-gray-400">+{chat.tags.length - MAX_ROW_TAGS}</span>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Right: Unread Badge */}
+              {chat.unread_count > 0 && (
+                <div className="flex h-5 w-5 items-center justify-center rounded-full 
+                                bg-gradient-to-r from-blue-500 to-purple-500 text-[11px] text-white 
+                                font-semibold shadow-sm flex-shrink-0">
+                  {chat.unread_count}
+                </div>
+              )}
+            </NavLink>
+          )}
+
+          {/* 3-dot Options Dropdown */}
+          <DropdownMenu
+            open={openMenuChatId === chat.id}
+            onOpenChange={(open) => setOpenMenuChatId(open ? chat.id : null)}
+          >
+            <DropdownMenuTrigger asChild>
+              <button
+                className={`absolute right-2 top-1/2 -translate-y-1/2
+                            ${openMenuChatId === chat.id ? 'opacity-100' : 'opacity-0 group-hover/chat:opacity-100'}
+                            transition-all duration-100
+                            p-2 rounded-full
+                            text-white hover:text-white
+                            `}
+                aria-label="Open conversation options"
+                type="button"
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                }}
+              >
+                <MoreHorizontal className="h-4 w-4" />
+              </button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end" className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+              <DropdownMenuItem
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  setShareModalChat({ id: chat.id, title: chat.title || "" });
+                  setOpenMenuChatId(null);
+                }}
+              >
+                <Share2 className="mr-2 h-4 w-4" />
+                Share chat
+              </DropdownMenuItem>
+              <DropdownMenuSub>
+                <DropdownMenuSubTrigger>
+                  <Download className="mr-2 h-4 w-4" />
+                  Export
+                </DropdownMenuSubTrigger>
+                <DropdownMenuSubContent className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+                  {CHAT_EXPORT_FORMATS.map(({ format, label }) => (
+                    <DropdownMenuItem
+                      key={format}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        exportChat(chat, format);
+                      }}
+                    >
+                      {label}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuSubContent>
+              </DropdownMenuSub>
+              <DropdownMenuItem
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  // Start inline editing immediately so the next click is guarded by editing state
+                  startInlineEdit(chat);
+                }}
+              >
+                <Edit className="mr-2 h-4 w-4" />
+                Rename
+              </DropdownMenuItem>
+              <DropdownMenuSeparator />
+              {!chat.is_archived && (
+                <DropdownMenuItem
+                  onClick={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    organizeChat(chat, { pinned: !chat.is_pinned });
+                  }}
+                >
+                  {chat.is_pinned ? <PinOff className="mr-2 h-4 w-4" /> : <Pin className="mr-2 h-4 w-4" />}
+                  {chat.is_pinned ? "Unpin" : "Pin"}
+                </DropdownMenuItem>
+              )}
+              {!chat.is_archived && (
+                <DropdownMenuSub>
+                  <DropdownMenuSubTrigger>
+                    <FolderInput className="mr-2 h-4 w-4" />
+                    Move to folder
+                  </DropdownMenuSubTrigger>
+                  <DropdownMenuSubContent className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 max-h-72 overflow-y-auto">
+                    {folders.map((folder) => (
+                      <DropdownMenuItem
+                        key={folder.id}
+                        disabled={chat.folder_id === folder.id}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          organizeChat(chat, { folderId: folder.id }, `Moved to ${folder.name}`);
+                        }}
+                      >
+                        <Folder className="mr-2 h-4 w-4" style={folder.color ? { color: folder.color } : undefined} />
+                        <span className="truncate">{folder.name}</span>
+                      </DropdownMenuItem>
+                    ))}
+                    {chat.folder_id && (
+                      <DropdownMenuItem
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          organizeChat(chat, { folderId: null }, 'Removed from folder');
+                        }}
+                      >
+                        <X className="mr-2 h-4 w-4" />
+                        Remove from folder
+                      </DropdownMenuItem>
+                    )}
+                    {(folders.length > 0 || chat.folder_id) && <DropdownMenuSeparator />}
+                    <DropdownMenuItem
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setOpenMenuChatId(null);
+                        setFolderDialog({ moveChat: chat });
+                      }}
+                    >
+                      <FolderPlus className="mr-2 h-4 w-4" />
+                      New folder...
+                    </DropdownMenuItem>
+                  </DropdownMenuSubContent>
+                </DropdownMenuSub>
+              )}
+              <DropdownMenuItem
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  setTagsDialogChat(chat);
+                  setOpenMenuChatId(null);
+                }}
+              >
+                <Tag className="mr-2 h-4 w-4" />
+                Edit tags
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  organizeChat(
+                    chat,
+                    { archived: !chat.is_archived },
+                    chat.is_archived ? 'Chat restored' : 'Chat archived'
+                  );
+                }}
+              >
+                {chat.is_archived ? <ArchiveRestore className="mr-2 h-4 w-4" /> : <Archive className="mr-2 h-4 w-4" />}
+                {chat.is_archived ? "Restore" : "Archive"}
+              </DropdownMenuItem>
+              <DropdownMenuSeparator />
+              <DropdownMenuItem
+                onClick={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  // Open custom delete confirmation modal
+                  setDeleteConfirmChat({ id: chat.id, title: chat.title || "" });
+                  // Close the dropdown menu after opening modal
+                  setOpenMenuChatId(null);
+                }}
+                className="text-red-600 dark:text-red-400 focus:text-red-600 dark:focus:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 focus:bg-red-50 dark:focus:bg-red-900/20"
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete chat
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </SidebarMenuButton>
+    </SidebarMenuItem>
+  );
+
   if (isLoading) {
     return (
       <div>
@@ -272,238 +781,172 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
     );
   }
 
-  if (!chats || chats.length === 0) {
-    return (
-      <div>
-        {collapsed ? "No chats" : "No recent chats"}
-      </div>
-    );
-  }
-
   return (
     <div className="flex flex-col h-full">
   <div className="h-full overflow-y-auto custom-scrollbar px-2 py-2">
-    <SidebarMenu>
-      {chats.map((chat) => (
-        <SidebarMenuItem key={chat.id}>
-          <SidebarMenuButton asChild>
-            <div className="relative group/chat !p-0 hover:bg-transparent focus-visible:ring-0">
-              
-              {/* Chat Row */}
-              {editingChatId === chat.id ? (
-                <div
-                  className={`flex w-full items-center justify-between gap-3 px-2 py-2 rounded-xl transition-all duration-200 group-hover/chat:pr-12 ${openMenuChatId === chat.id ? 'pr-12' : ''}
-                     hover:bg-gray-100 dark:hover:bg-[#242424]
-                     ${location.pathname === `/chat/${chat.id}` ? "bg-gray-200 dark:bg-[#212121] shadow-sm font-medium" : ""}`}
-                  onMouseDown={(e) => {
-                    // Prevent any default anchor-like behavior while editing
-                    e.preventDefault();
-                    e.stopPropagation();
-                  }}
-                >
-                  {/* Left: Title & Last Message */}
-                  <div className="flex min-w-0 grow flex-col gap-1">
-                    <div className="flex items-center justify-between gap-2">
-                      {/* Inline edit input */}
-                      <input
-                        ref={editInputRef}
-                        autoFocus
-                        value={editingTitle}
-                        onChange={(e) => setEditingTitle(e.target.value)}
-                        onFocus={(e) => {
-                          const el = e.currentTarget;
-                          try {
-                            const len = el.value?.length ?? 0;
-                            el.setSelectionRange(0, len);
-                          } catch {
-                            try { el.select(); } catch {}
-                          }
-                        }}
-                        onKeyDown={(e) => {
-                          if (e.key === 'Enter') {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            commitInlineEdit();
-                          } else if (e.key === 'Escape') {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            cancelInlineEdit();
-                          }
-                        }}
-                        onClick={(e) => { e.stopPropagation(); }}
-                        onMouseDown={(e) => { e.stopPropagation(); }}
-                        className="w-full min-w-0 text-sm font-medium text-gray-900 dark:text-gray-100 bg-gray-100 dark:bg-[#2a2a2a] rounded px-1 py-0.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      />
-                      {chat.last_message_at && (
-                        <span className={`inline-flex items-center text-xs text-gray-400 whitespace-nowrap transition-transform duration-200 group-hover/chat:mr-0.1 ${openMenuChatId === chat.id ? 'mr-0.1' : ''}`}>
-                          {formatTimestamp(chat.last_message_at)}
-                        </span>
-                      )}
-                    </div>
-                    {chat.last_message && (
-                      <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
-                        {truncateText(chat.last_message, 40)}
-                      </span>
-                    )}
-                  </div>
+    {/* Toolbar: tag filter, new folder, archive */}
+    {!collapsed && (
+      <div className="flex items-center gap-1 px-1 pb-1">
+        {tags.length > 0 && !showArchived && (
+          <Select value={tagFilter ?? ALL_TAGS} onValueChange={(value) => filterByTag(value === ALL_TAGS ? null : value)}>
+            <SelectTrigger className="h-7 grow min-w-0 text-xs" aria-label="Filter chats by tag">
+              <SelectValue placeholder="All tags" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_TAGS}>All tags</SelectItem>
+              {tags.map(({ tag, count }) => (
+                <SelectItem key={tag} value={tag}>{tag} ({count})</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+        <div className="ml-auto flex items-center">
+          <button
+            type="button"
+            className="p-1.5 rounded-md text-gray-500 hover:text-gray-900 hover:bg-gray-100 dark:hover:text-gray-100 dark:hover:bg-[#242424]"
+            aria-label="New folder"
+            title="New folder"
+            onClick={() => setFolderDialog({})}
+          >
+            <FolderPlus className="h-4 w-4" />
+          </button>
+          <button
+            type="button"
+            className={`p-1.5 rounded-md hover:bg-gray-100 dark:hover:bg-[#242424] ${showArchived ? 'text-blue-600 dark:text-blue-400' : 'text-gray-500 hover:text-gray-900 dark:hover:text-gray-100'}`}
+            aria-label={showArchived ? "Back to chats" : "Archived chats"}
+            aria-pressed={showArchived}
+            title={showArchived ? "Back to chats" : "Archived chats"}
+            onClick={() => openArchive(!showArchived)}
+          >
+            <Archive className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    )}
 
-                  {/* Right: Unread Badge */}
-                  {chat.unread_count > 0 && (
-                    <div className="flex h-5 w-5 items-center justify-center rounded-full 
-                                    bg-gradient-to-r from-blue-500 to-purple-500 text-[11px] text-white 
-                                    font-semibold shadow-sm flex-shrink-0">
-                      {chat.unread_count}
-                    </div>
-                  )}
-                </div>
-              ) : (
-                <NavLink
-                  to={`/chat/${chat.id}`}
-                  onMouseDown={(e) => {
-                    // Prevent anchor from grabbing focus or triggering navigation while editing this row
-                    if (editingChatId === chat.id) {
-                      e.preventDefault();
-                      e.stopPropagation();
-                    }
-                  }}
-                  onClick={(e) => {
-                    if (editingChatId === chat.id) {
-                      // Prevent navigation while editing
-                      e.preventDefault();
-                      e.stopPropagation();
-                      return;
-                    }
-                    handleChatClick(chat.id, chat.title);
-                  }}
-                  className={({ isActive }) =>
-                    `flex w-full items-center justify-between gap-3 px-2 py-2 rounded-xl transition-all duration-200 group-hover/chat:pr-12 ${openMenuChatId === chat.id ? 'pr-12' : ''}
-                     hover:bg-gray-100 dark:hover:bg-[#242424]
-                     ${isActive ? "bg-gray-200 dark:bg-[#212121] shadow-sm font-medium" : ""}`
-                  }
-                >
-                  {/* Left: Title & Last Message */}
-                  <div className="flex min-w-0 grow flex-col gap-1">
-                    <div className="flex items-center justify-between gap-2">
-                      <span
-                        className="font-medium text-gray-900 dark:text-gray-100 truncate "
-                        onMouseDown={(e) => {
-                          // Prevent anchor focus and navigation before we enter edit mode
-                          const isActiveRow = location.pathname === `/chat/${chat.id}`;
-                          if (isActiveRow && editingChatId !== chat.id) {
-                            e.preventDefault();
+    {showArchived ? (
+      <>
+        {renderSectionLabel('Archived')}
+        <SidebarMenu>
+          {(archivedChats || []).map(renderChatRow)}
+        </SidebarMenu>
+        {archivedChats && archivedChats.length === 0 && (
+          <div className="px-2 py-2 text-xs text-gray-500 dark:text-gray-400">No archived chats</div>
+        )}
+      </>
+    ) : tagFilter ? (
+      <>
+        {renderSectionLabel(`Tagged "${tagFilter}"`, (
+          <button type="button" className="hover:text-gray-900 dark:hover:text-gray-100" aria-label="Clear tag filter" onClick={() => filterByTag(null)}>
+            <X className="h-3.5 w-3.5" />
+          </button>
+        ))}
+        <SidebarMenu>
+          {(taggedChats || []).map(renderChatRow)}
+        </SidebarMenu>
+        {taggedChats && taggedChats.length === 0 && (
+          <div className="px-2 py-2 text-xs text-gray-500 dark:text-gray-400">No chats with this tag</div>
+        )}
+      </>
+    ) : (
+      <>
+        {pinnedChats.length > 0 && (
+          <>
+            {renderSectionLabel('Pinned')}
+            <SidebarMenu>
+              {pinnedChats.map(renderChatRow)}
+            </SidebarMenu>
+          </>
+        )}
+
+        {folders.length > 0 && (
+          <>
+            {renderSectionLabel('Folders')}
+            {folders.map((folder) => {
+              const expanded = expandedFolders.has(folder.id);
+              const folderItems = folderChats[folder.id];
+              return (
+                <div key={folder.id} className={dropHighlight(`folder:${folder.id}`)} {...dropTargetProps(`folder:${folder.id}`, folder.id)}>
+                  <div
+                    role="button"
+                    tabIndex={0}
+                    aria-expanded={expanded}
+                    className="group/folder flex items-center gap-1.5 px-2 py-1.5 rounded-xl cursor-pointer text-sm text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-[#242424]"
+                    onClick={() => toggleFolder(folder.id)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        toggleFolder(folder.id);
+                      }
+                    }}
+                  >
+                    {expanded ? <ChevronDown className="h-3.5 w-3.5 shrink-0" /> : <ChevronRight className="h-3.5 w-3.5 shrink-0" />}
+                    <Folder className="h-4 w-4 shrink-0" style={folder.color ? { color: folder.color } : undefined} />
+                    <span className="truncate grow">{folder.name}</span>
+                    <span className="text-xs text-gray-400 group-hover/folder:hidden">{folder.chatCount}</span>
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <button
+                          type="button"
+                          className="hidden group-hover/folder:inline-flex p-0.5 rounded text-gray-500 hover:text-gray-900 dark:hover:text-gray-100"
+                          aria-label={`Folder options for ${folder.name}`}
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <MoreHorizontal className="h-4 w-4" />
+                        </button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end" className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+                        <DropdownMenuItem
+                          onClick={(e) => {
                             e.stopPropagation();
-                            startInlineEdit(chat);
-                          }
-                        }}
-                        onDoubleClick={(e) => {
-                          // Start inline edit on double-click like desktop file rename
-                          e.preventDefault();
-                          e.stopPropagation();
-                          startInlineEdit(chat);
-                        }}
-                        onClick={(e) => {
-                          // Fallback: if already active, allow single-click to start editing
-                          const isActiveRow = location.pathname === `/chat/${chat.id}`;
-                          if (isActiveRow && editingChatId !== chat.id) {
-                            e.preventDefault();
+                            setFolderDialog({ folder });
+                          }}
+                        >
+                          <Edit className="mr-2 h-4 w-4" />
+                          Rename folder
+                        </DropdownMenuItem>
+                        <DropdownMenuItem
+                          onClick={(e) => {
                             e.stopPropagation();
-                            startInlineEdit(chat);
-                          }
-                        }}
-                      >
-                        {truncateText(chat.title, 24)}
-                      </span>
-                      {chat.last_message_at && (
-                        <span className={`inline-flex items-center text-xs text-gray-400 whitespace-nowrap transition-transform duration-200 group-hover/chat:mr-0.1 ${openMenuChatId === chat.id ? 'mr-0.1' : ''}`}>
-                          {formatTimestamp(chat.last_message_at)}
-                        </span>
-                      )}
-                    </div>
-                    {chat.last_message && (
-                      <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
-                        {truncateText(chat.last_message, 40)}
-                      </span>
-                    )}
+                            confirmDeleteFolder(folder);
+                          }}
+                          className="text-red-600 dark:text-red-400 focus:text-red-600 dark:focus:text-red-400"
+                        >
+                          <Trash2 className="mr-2 h-4 w-4" />
+                          Delete folder
+                        </DropdownMenuItem>
+                      </DropdownMenuContent>
+                    </DropdownMenu>
                   </div>
-
-                  {/* Right: Unread Badge */}
-                  {chat.unread_count > 0 && (
-                    <div className="flex h-5 w-5 items-center justify-center rounded-full 
-                                    bg-gradient-to-r from-blue-500 to-purple-500 text-[11px] text-white 
-                                    font-semibold shadow-sm flex-shrink-0">
-                      {chat.unread_count}
+                  {expanded && (
+                    <div className="pl-3">
+                      <SidebarMenu>
+                        {(folderItems || []).map(renderChatRow)}
+                      </SidebarMenu>
+                      {folderItems && folderItems.length === 0 && (
+                        <div className="px-2 py-1.5 text-xs text-gray-500 dark:text-gray-400">Drag chats here</div>
+                      )}
                     </div>
                   )}
-                </NavLink>
-              )}
+                </div>
+              );
+            })}
+          </>
+        )}
 
-              {/* 3-dot Options Dropdown */}
-              <DropdownMenu
-                open={openMenuChatId === chat.id}
-                onOpenChange={(open) => setOpenMenuChatId(open ? chat.id : null)}
-              >
-                <DropdownMenuTrigger asChild>
-                  <button
-                    className={`absolute right-2 top-1/2 -translate-y-1/2
-                                ${openMenuChatId === chat.id ? 'opacity-100' : 'opacity-0 group-hover/chat:opacity-100'}
-                                transition-all duration-100
-                                p-2 rounded-full
-                                text-white hover:text-white
-                                `}
-                    aria-label="Open conversation options"
-                    type="button"
-                    onClick={(e) => {
-                      e.preventDefault();
-                      e.stopPropagation();
-                    }}
-                  >
-                    <MoreHorizontal className="h-4 w-4" />
-                  </button>
-                </DropdownMenuTrigger>
-                <DropdownMenuContent align="end" className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
-                  <DropdownMenuItem
-                    onClick={(e) => {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      setShareModalChat({ id: chat.id, title: chat.title || "" });
-                      setOpenMenuChatId(null);
-                    }}
-                  >
-                    <Share2 className="mr-2 h-4 w-4" />
-                    Share chat
-                  </DropdownMenuItem>
-                  <DropdownMenuItem
-                    onClick={(e) => {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      // Start inline editing immediately so the next click is guarded by editing state
-                      startInlineEdit(chat);
-                    }}
-                  >
-                    <Edit className="mr-2 h-4 w-4" />
-                    Rename
-                  </DropdownMenuItem>
-                  <DropdownMenuItem
-                    onClick={(e) => {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      // Open custom delete confirmation modal
-                      setDeleteConfirmChat({ id: chat.id, title: chat.title || "" });
-                      // Close the dropdown menu after opening modal
-                      setOpenMenuChatId(null);
-                    }}
-                    className="text-red-600 dark:text-red-400 focus:text-red-600 dark:focus:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 focus:bg-red-50 dark:focus:bg-red-900/20"
-                  >
-                    <Trash2 className="mr-2 h-4 w-4" />
-                    Delete chat
-                  </DropdownMenuItem>
-                </DropdownMenuContent>
-              </DropdownMenu>
+        <div className={`min-h-[3rem] ${dropHighlight('recent')}`} {...dropTargetProps('recent', null)}>
+          {(pinnedChats.length > 0 || folders.length > 0) && renderSectionLabel('Recent')}
+          <SidebarMenu>
+            {chats.filter((chat) => !chat.is_pinned && !chat.folder_id).map(renderChatRow)}
+          </SidebarMenu>
+          {chats.length === 0 && (
+            <div>
+              {collapsed ? "No chats" : "No recent chats"}
             </div>
-          </SidebarMenuButton>
-        </SidebarMenuItem>
-      ))}
-    </SidebarMenu>
+          )}
+        </div>
+      </>
+    )}
   </div>
 
   {/* Delete Confirmation Modal */}
@@ -552,6 +995,40 @@ export function RecentChatsPanel({ collapsed, user }: RecentChatsPanelProps) {
       chatTitle={shareModalChat.title}
     />
   )}
+
+  {/* Chat Tags Dialog */}
+  {tagsDialogChat && (
+    <ChatTagsDialog
+      key={tagsDialogChat.id}
+      open={!!tagsDialogChat}
+      onOpenChange={(open) => {
+        if (!open) setTagsDialogChat(null);
+      }}
+      chatTitle={tagsDialogChat.title || ""}
+      initialTags={tagsDialogChat.tags || []}
+      suggestions={tags.map(({ tag }) => tag)}
+      onSave={async (nextTags) => {
+        const updated = await updateChatOrganization(tagsDialogChat.id, { tags: nextTags });
+        if (chats.some((c) => c.id === tagsDialogChat.id)) {
+          updateChat({ ...tagsDialogChat, tags: updated.tags });
+        }
+      }}
+    />
+  )}
+
+  {/* New / Rename Folder Dialog */}
+  {folderDialog && (
+    <FolderNameDialog
+      open={!!folderDialog}
+      onOpenChange={(open) => {
+        if (!open) setFolderDialog(null);
+      }}
+      title={folderDialog.folder ? "Rename folder" : "New folder"}
+      initialName={folderDialog.folder?.name || ""}
+      submitLabel={folderDialog.folder ? "Rename" : "Create"}
+      onSubmit={submitFolderDialog}
+    />
+  )}
 </div>
 
   );
@@ -1,5 +1,5 @@
-import { useState, useEffect } from "react";
-import { Search, MessageCircle, X } from "lucide-react";
+import { useState, useEffect, Fragment, type ReactNode } from "react";
+import { Search, MessageCircle, X, Sparkles } from "lucide-react";
 import {
   Dialog,
   DialogContent,
@@ -8,9 +8,19 @@ import {
 } from "@/components/ui/dialog";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { NavLink } from "react-router-dom";
 import chatsService from "@/services/chatsService";
+import { apiClient } from "@/utils/apiClient";
 import { getCachedRecentChats, setCachedRecentChats } from "@/lib/localStorageUtils";
+import type { ModelOption } from "@/types/models";
+import type { ChatSearchFilters, ChatSearchResponse, ChatSearchResult } from "@/types/search";
 
 interface Chat {
   id: string;
@@ -24,11 +34,51 @@ interface SearchChatModalProps {
   onOpenChange: (open: boolean) => void;
 }
 
+// Messages are searched on the server once the query has this many characters
+const MIN_MESSAGE_QUERY = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+const ANY = "any";
+
+const DATE_RANGES: Record<string, { label: string; days?: number }> = {
+  [ANY]: { label: "Any time" },
+  week: { label: "Past week", days: 7 },
+  month: { label: "Past month", days: 30 },
+  year: { label: "Past year", days: 365 },
+};
+
+const parseTags = (text: string) => text.split(",").map(tag => tag.trim()).filter(Boolean);
+
+// The snippet with the ranges that matched the query marked
+function HighlightedSnippet({ snippet, highlights }: Pick<ChatSearchResult, "snippet" | "highlights">) {
+  const parts: ReactNode[] = [];
+  let position = 0;
+  [...highlights].sort((a, b) => a.start - b.start).forEach(({ start, end }, index) => {
+    if (start < position) return;
+    parts.push(<Fragment key={`t${index}`}>{snippet.slice(position, start)}</Fragment>);
+    parts.push(
+      <mark key={`m${index}`} className="bg-yellow-200/70 dark:bg-yellow-500/30 text-foreground rounded-sm px-0.5">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(<Fragment key="rest">{snippet.slice(position)}</Fragment>);
+  return <p className="text-sm text-muted-foreground line-clamp-2 break-words">{parts}</p>;
+}
+
 export function SearchChatModal({ open, onOpenChange }: SearchChatModalProps) {
   const [searchQuery, setSearchQuery] = useState("");
   const [chats, setChats] = useState<Chat[]>([]);
   const [filteredChats, setFilteredChats] = useState<Chat[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  // Messages found across all chats by GET /api/chat/search
+  const [messageResults, setMessageResults] = useState<ChatSearchResult[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const [dateRange, setDateRange] = useState(ANY);
+  const [modelFilter, setModelFilter] = useState(ANY);
+  const [tagsText, setTagsText] = useState("");
+  const [models, setModels] = useState<string[]>([]);
 
   // Fetch chats when modal opens
   useEffect(() => {
@@ -50,6 +100,53 @@ export function SearchChatModal({ open, onOpenChange }: SearchChatModalProps) {
     }
   }, [searchQuery, chats]);
 
+  // Models offered in the filter
+  useEffect(() => {
+    if (!open || models.length > 0) return;
+    apiClient.get<{ models: ModelOption[] }>('/api/streaming/models', { context: 'SearchChatModal.loadModels' })
+      .then(response => setModels((response.models || []).map(option => option.model)))
+      .catch(loadError => console.error('Failed to load models for search filters:', loadError));
+  }, [open, models.length]);
+
+  // Search message contents on the server as the query or filters change
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!open || query.length < MIN_MESSAGE_QUERY) {
+      setMessageResults([]);
+      setIsSearching(false);
+      setSearchError(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const days = DATE_RANGES[dateRange]?.days;
+    const filters: ChatSearchFilters = {
+      ...(days ? { from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() } : {}),
+      ...(modelFilter !== ANY ? { model: modelFilter } : {}),
+      tags: parseTags(tagsText),
+    };
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response: ChatSearchResponse = await chatsService.searchMessages(query, filters, { signal: controller.signal });
+        setMessageResults(response.results || []);
+        setSearchError(null);
+      } catch (searchFailure) {
+        if (controller.signal.aborted) return;
+        console.error('Failed to search messages:', searchFailure);
+        setMessageResults([]);
+        setSearchError('Message search is unavailable right now');
+      } finally {
+        if (!controller.signal.aborted) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [open, searchQuery, dateRange, modelFilter, tagsText]);
+
   const fetchChats = async () => {
     try {
       setIsLoading(true);
@@ -129,6 +226,8 @@ export function SearchChatModal({ open, onOpenChange }: SearchChatModalProps) {
     setSearchQuery("");
   };
 
+  const hasMessageQuery = searchQuery.trim().length >= MIN_MESSAGE_QUERY;
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
       <DialogContent className="max-w-2xl max-h-[70vh] flex flex-col bg-white dark:bg-[#2f2f2f] text-foreground">
@@ -143,13 +242,57 @@ export function SearchChatModal({ open, onOpenChange }: SearchChatModalProps) {
           <div className="relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
             <Input
-              placeholder="Search conversations..."
+              placeholder="Search chats and messages..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="pl-10 bg-transparent border-none shadow-none outline-none focus:outline-none focus:ring-0 focus-visible:ring-0 focus:border-none focus-visible:border-none focus-visible:ring-offset-0 focus:ring-offset-0 focus:shadow-none focus-visible:shadow-none"
               autoFocus
             />
           </div>
+          {/* Filters for the message search */}
+          {hasMessageQuery && (
+            <div className="flex flex-wrap items-center gap-2">
+              <Select value={dateRange} onValueChange={setDateRange}>
+                <SelectTrigger className="h-8 w-[130px] text-xs" aria-label="Date range">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(DATE_RANGES).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value} className="text-xs">{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={modelFilter} onValueChange={setModelFilter}>
+                <SelectTrigger className="h-8 w-[160px] text-xs" aria-label="Model">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY} className="text-xs">Any model</SelectItem>
+                  {models.map(model => (
+                    <SelectItem key={model} value={model} className="text-xs">{model}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                placeholder="Tags, comma-separated"
+                value={tagsText}
+                onChange={(e) => setTagsText(e.target.value)}
+                className="h-8 w-[180px] text-xs"
+                aria-label="Tags"
+              />
+              {(dateRange !== ANY || modelFilter !== ANY || tagsText) && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-8 px-2 text-xs"
+                  onClick={() => { setDateRange(ANY); setModelFilter(ANY); setTagsText(""); }}
+                >
+                  <X className="h-3.5 w-3.5 mr-1" />
+                  Clear filters
+                </Button>
+              )}
+            </div>
+          )}
           {/* Divider between search input and recent chats */}
           <div className="border-t border-border/60" />
           
@@ -167,8 +310,11 @@ export function SearchChatModal({ open, onOpenChange }: SearchChatModalProps) {
                   </div>
                 ))}
               </div>
-            ) : filteredChats.length > 0 ? (
+            ) : filteredChats.length > 0 || hasMessageQuery ? (
               <div className="space-y-2">
+                {hasMessageQuery && filteredChats.length > 0 && (
+                  <h4 className="px-2.5 pt-1 text-xs font-medium text-muted-foreground">Chats</h4>
+                )}
                 {filteredChats.map((chat) => (
                   <NavLink
                     key={chat.id}
@@ -194,6 +340,42 @@ export function SearchChatModal({ open, onOpenChange }: SearchChatModalProps) {
                     </div>
                   </NavLink>
                 ))}
+                {hasMessageQuery && (
+                  <>
+                    <h4 className="px-2.5 pt-3 text-xs font-medium text-muted-foreground">Messages</h4>
+                    {isSearching && messageResults.length === 0 ? (
+                      <p className="px-2.5 text-sm text-muted-foreground">Searching messages…</p>
+                    ) : searchError ? (
+                      <p className="px-2.5 text-sm text-muted-foreground">{searchError}</p>
+                    ) : messageResults.length === 0 ? (
+                      <p className="px-2.5 text-sm text-muted-foreground">No messages match</p>
+                    ) : (
+                      messageResults.map(result => (
+                        <NavLink
+                          key={result.messageId}
+                          to={`/chat/${result.chatId}?message=${encodeURIComponent(result.messageId)}`}
+                          onClick={handleChatClick}
+                          className="group flex items-start space-x-3 p-2.5 rounded-md hover:bg-muted/40 transition-colors duration-150 ease-out"
+                        >
+                          <div className="h-6 px-2 rounded-2xl bg-transparent flex items-center justify-center flex-shrink-0 transition-colors">
+                            {result.matchedBy.includes('text')
+                              ? <Search className="h-3.5 w-3.5 text-muted-foreground" />
+                              : <Sparkles className="h-3.5 w-3.5 text-muted-foreground" aria-label="Similar meaning" />}
+                          </div>
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center justify-between mb-1">
+                              <span className="font-medium truncate">{result.chatTitle || 'Untitled Chat'}</span>
+                              <span className="text-xs text-muted-foreground flex-shrink-0 ml-2">
+                                {result.role === 'user' ? 'You' : result.model || 'Assistant'} · {formatTimestamp(result.createdAt)}
+                              </span>
+                            </div>
+                            <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                          </div>
+                        </NavLink>
+                      ))
+                    )}
+                  </>
+                )}
               </div>
             ) : (
               <div className="flex flex-col items-center justify-center py-12 text-center">
@@ -273,7 +273,8 @@ export function useActiveChat(): UseActiveChatReturn {
               title: chatData.title || 'Untitled Chat',
               created_at: chatData.created_at,
               last_message_at: chatData.last_message_at,
-              total_messages: chatData.total_messages
+              total_messages: chatData.total_messages,
+              pinned_model: chatData.pinned_model ?? null
             };
             setCurrentChat(chatInfo);
 
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { apiClient } from '@/utils/apiClient';
+import chatsService from '@/services/chatsService';
+import { AUTO_MODEL, type ModelOption } from '@/types/models';
+
+const planLabel = (plan: string) => plan.charAt(0).toUpperCase() + plan.slice(1);
+
+/**
+ * The model picker of a chat: the models the user can choose and the one
+ * chosen. Picking a model pins it to the chat; a model picked before the chat
+ * exists is pinned once the first reply creates it. Models outside the plan
+ * offer an upgrade instead.
+ */
+export function useChatModel(chatId: string | null, pinnedModel: string | null) {
+  const navigate = useNavigate();
+  const [models, setModels] = useState<ModelOption[]>([]);
+  const [selectedModel, setSelectedModel] = useState<string>(AUTO_MODEL);
+  const selectedRef = useRef(selectedModel);
+  selectedRef.current = selectedModel;
+  const previousChatIdRef = useRef(chatId);
+
+  useEffect(() => {
+    apiClient.get<{ models: ModelOption[] }>('/api/streaming/models', { context: 'useChatModel.loadModels' })
+      .then(response => setModels(response.models || []))
+      .catch(loadError => console.error('Failed to load models:', loadError));
+  }, []);
+
+  const pin = useCallback(async (targetChatId: string, model: string) => {
+    try {
+      await chatsService.pinModel(targetChatId, model === AUTO_MODEL ? null : model);
+    } catch (pinError) {
+      console.error('Failed to pin model:', pinError);
+      toast.error('Could not save the model for this chat');
+    }
+  }, []);
+
+  // A new chat keeps the model picked before it existed; other chats start on auto
+  // until their pinned model has loaded
+  useEffect(() => {
+    const previousChatId = previousChatIdRef.current;
+    previousChatIdRef.current = chatId;
+    if (previousChatId === chatId) return;
+    if (!previousChatId && chatId && selectedRef.current !== AUTO_MODEL) {
+      pin(chatId, selectedRef.current);
+      return;
+    }
+    setSelectedModel(AUTO_MODEL);
+  }, [chatId, pin]);
+
+  useEffect(() => {
+    if (pinnedModel) setSelectedModel(pinnedModel);
+  }, [chatId, pinnedModel]);
+
+  const promptUpgrade = useCallback((model: string, requiredPlan?: string | null) => {
+    toast(requiredPlan ? `${model} needs the ${planLabel(requiredPlan)} plan` : `${model} is not available on your plan`, {
+      action: { label: 'Upgrade', onClick: () => navigate('/subscriptions') }
+    });
+  }, [navigate]);
+
+  const selectModel = useCallback((model: string) => {
+    const option = models.find(candidate => candidate.model === model);
+    if (option && !option.allowed) {
+      promptUpgrade(model, option.requiredPlan);
+      return;
+    }
+    setSelectedModel(model);
+    if (chatId) pin(chatId, model);
+  }, [models, chatId, pin, promptUpgrade]);
+
+  return { models, selectedModel, selectModel, promptUpgrade };
+}
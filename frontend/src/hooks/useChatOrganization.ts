@@ -0,0 +1,140 @@
+/**
+ * React hook for the sidebar's chat organization: folders, pinned chats,
+ * tags and the archive. Recent chats stay in useRecentChats; this hook loads
+ * the other views from GET /api/chat/sessions filters.
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import chatsService from '../services/chatsService';
+import folderService from '../services/folderService';
+import { transformApiResponse } from './useRecentChats';
+import type { CachedChat } from '../lib/localStorageUtils';
+import type { ChatFolder, ChatTagCount, ChatOrganizationUpdate } from '../types/folders';
+
+// Enough for every pinned chat or every chat in a folder in practice
+const SECTION_LIMIT = 100;
+
+type ApiChat = Parameters<typeof transformApiResponse>[0][number];
+
+const fetchChats = async (filters: Record<string, string>): Promise<CachedChat[]> => {
+  const response = await chatsService.getChatSessions({ limit: SECTION_LIMIT, ...filters });
+  return transformApiResponse(Array.isArray(response?.data) ? response.data : []);
+};
+
+interface UseChatOrganizationReturn {
+  folders: ChatFolder[];
+  tags: ChatTagCount[];
+  pinnedChats: CachedChat[];
+  folderChats: Record<string, CachedChat[]>;
+  archivedChats: CachedChat[] | null;
+  taggedChats: CachedChat[] | null;
+  refreshOrganization: () => Promise<void>;
+  loadFolderChats: (folderId: string) => Promise<void>;
+  loadArchivedChats: () => Promise<void>;
+  loadTaggedChats: (tag: string | null) => Promise<void>;
+  updateChatOrganization: (chatId: string, update: ChatOrganizationUpdate) => Promise<CachedChat>;
+  createFolder: (name: string) => Promise<ChatFolder>;
+  renameFolder: (folderId: string, name: string) => Promise<ChatFolder>;
+  deleteFolder: (folderId: string) => Promise<void>;
+}
+
+export function useChatOrganization(): UseChatOrganizationReturn {
+  const [folders, setFolders] = useState<ChatFolder[]>([]);
+  const [tags, setTags] = useState<ChatTagCount[]>([]);
+  const [pinnedChats, setPinnedChats] = useState<CachedChat[]>([]);
+  const [folderChats, setFolderChats] = useState<Record<string, CachedChat[]>>({});
+  const [archivedChats, setArchivedChats] = useState<CachedChat[] | null>(null);
+  const [taggedChats, setTaggedChats] = useState<CachedChat[] | null>(null);
+  // Views that have been opened, reloaded after every change
+  const openFoldersRef = useRef<Set<string>>(new Set());
+  const archiveOpenRef = useRef(false);
+  const tagFilterRef = useRef<string | null>(null);
+
+  const loadFolderChats = useCallback(async (folderId: string) => {
+    openFoldersRef.current.add(folderId);
+    const chats = await fetchChats({ folder: folderId });
+    setFolderChats(prev => ({ ...prev, [folderId]: chats }));
+  }, []);
+
+  const loadArchivedChats = useCallback(async () => {
+    archiveOpenRef.current = true;
+    setArchivedChats(await fetchChats({ archived: 'true' }));
+  }, []);
+
+  const loadTaggedChats = useCallback(async (tag: string | null) => {
+    tagFilterRef.current = tag;
+    if (!tag) {
+      setTaggedChats(null);
+      return;
+    }
+    const chats = await fetchChats({ tags: tag });
+    // Ignore a slower response for a tag that is no longer selected
+    if (tagFilterRef.current === tag) setTaggedChats(chats);
+  }, []);
+
+  const refreshOrganization = useCallback(async () => {
+    try {
+      const [folderResponse, tagResponse, pinned] = await Promise.all([
+        folderService.getFolders(),
+        chatsService.getChatTags(),
+        fetchChats({ pinned: 'true' }),
+      ]);
+      const loadedFolders = folderResponse?.folders || [];
+      setFolders(loadedFolders);
+      setTags(Array.isArray(tagResponse?.tags) ? tagResponse.tags : []);
+      setPinnedChats(pinned);
+
+      // Forget deleted folders, reload open views
+      const folderIds = new Set(loadedFolders.map(folder => folder.id));
+      openFoldersRef.current.forEach(id => { if (!folderIds.has(id)) openFoldersRef.current.delete(id); });
+      setFolderChats(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => folderIds.has(id))));
+      await Promise.all([
+        ...[...openFoldersRef.current].map(loadFolderChats),
+        ...(archiveOpenRef.current ? [loadArchivedChats()] : []),
+        ...(tagFilterRef.current ? [loadTaggedChats(tagFilterRef.current)] : []),
+      ]);
+    } catch (error) {
+      console.warn('Failed to load chat folders and tags:', error);
+    }
+  }, [loadFolderChats, loadArchivedChats, loadTaggedChats]);
+
+  const updateChatOrganization = useCallback(async (chatId: string, update: ChatOrganizationUpdate) => {
+    const updated: ApiChat = await chatsService.updateChatSession(chatId, update);
+    void refreshOrganization();
+    return transformApiResponse([updated])[0];
+  }, [refreshOrganization]);
+
+  const createFolder = useCallback(async (name: string) => {
+    const { folder } = await folderService.createFolder(name);
+    setFolders(prev => [...prev, folder]);
+    return folder;
+  }, []);
+
+  const renameFolder = useCallback(async (folderId: string, name: string) => {
+    const { folder } = await folderService.updateFolder(folderId, { name });
+    setFolders(prev => prev.map(existing => (existing.id === folderId ? { ...folder, chatCount: existing.chatCount } : existing)));
+    return folder;
+  }, []);
+
+  const deleteFolder = useCallback(async (folderId: string) => {
+    await folderService.deleteFolder(folderId);
+    await refreshOrganization();
+  }, [refreshOrganization]);
+
+  return {
+    folders,
+    tags,
+    pinnedChats,
+    folderChats,
+    archivedChats,
+    taggedChats,
+    refreshOrganization,
+    loadFolderChats,
+    loadArchivedChats,
+    loadTaggedChats,
+    updateChatOrganization,
+    createFolder,
+    renameFolder,
+    deleteFolder,
+  };
+}
@@ -0,0 +1,185 @@
+import { useState, useCallback, useRef } from 'react';
+import { readSseStream } from '@/utils/sseStream';
+import { apiClient } from '@/utils/apiClient';
+import type { ComparisonLane, ComparisonState, PreferredAnswer } from '@/types/comparison';
+import { useAuthStore } from '../stores/authStore';
+
+interface CompareOptions {
+  // Last message of the branch being viewed
+  parentMessageId?: string;
+}
+
+interface ComparisonFrame {
+  type: string;
+  model?: string;
+  data?: Record<string, unknown>;
+}
+
+/**
+ * Side-by-side comparison: one prompt streamed from 2-3 models at once.
+ * Frames of each model carry `model` and are collected into its lane; choosing
+ * an answer saves it into the chat (POST /compare/:comparisonId/prefer).
+ */
+export function useModelComparison() {
+  const { session } = useAuthStore();
+  const [comparison, setComparison] = useState<ComparisonState | null>(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
+  const streamIdRef = useRef<string | null>(null);
+
+  const DEV = (import.meta as { env?: Record<string, string | boolean | undefined> }).env?.DEV;
+  const FORCE_ABSOLUTE = (import.meta as { env?: Record<string, string | boolean | undefined> }).env?.VITE_FORCE_ABSOLUTE_API_BASE_URL;
+  const API_BASE_URL = String((import.meta as { env?: Record<string, string | boolean | undefined> }).env?.VITE_API_BASE_URL || 'http://localhost:5000');
+  const compareUrl = DEV && !FORCE_ABSOLUTE ? '/api/streaming/compare' : `${API_BASE_URL}/api/streaming/compare`;
+
+  const updateLane = (model: string, update: (lane: ComparisonLane) => ComparisonLane) => {
+    setComparison(prev => prev && {
+      ...prev,
+      lanes: prev.lanes.map(lane => (lane.model === model ? update(lane) : lane))
+    });
+  };
+
+  const handleFrame = useCallback((frame: ComparisonFrame) => {
+    const data = frame.data || {};
+    switch (frame.type) {
+      case 'session':
+        if (typeof data.sessionId === 'string') setSessionId(data.sessionId);
+        if (typeof data.streamId === 'string') streamIdRef.current = data.streamId;
+        break;
+      case 'token':
+      case 'stopped':
+        if (frame.model && typeof data.fullResponse === 'string') {
+          const content = data.fullResponse;
+          updateLane(frame.model, lane => ({ ...lane, content }));
+        }
+        break;
+      case 'usage':
+        if (frame.model) {
+          const usage = data as unknown as ComparisonLane['usage'];
+          updateLane(frame.model, lane => ({ ...lane, usage }));
+        }
+        break;
+      case 'error': {
+        const message = typeof data.message === 'string' ? data.message : 'An error occurred';
+        if (frame.model) {
+          updateLane(frame.model, lane => ({ ...lane, error: message, isStreaming: false }));
+        } else {
+          setError(message);
+        }
+        break;
+      }
+      case 'comparison': {
+        const comparisonId = typeof data.comparisonId === 'string' ? data.comparisonId : null;
+        setComparison(prev => prev && {
+          ...prev,
+          comparisonId,
+          lanes: prev.lanes.map(lane => ({ ...lane, isStreaming: false }))
+        });
+        break;
+      }
+    }
+  }, []);
+
+  const compare = useCallback(async (prompt: string, models: string[], chatId?: string, options: CompareOptions = {}) => {
+    const accessToken = session?.access_token;
+    if (!accessToken) {
+      setError('You are not signed in or your session expired. Please sign in and try again.');
+      return;
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    streamIdRef.current = null;
+    setError(null);
+    setIsComparing(true);
+    setComparison({
+      comparisonId: null,
+      prompt,
+      lanes: models.map(model => ({ model, content: '', isStreaming: true }))
+    });
+
+    try {
+      const response = await fetch(compareUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ message: prompt, models, sessionId: chatId, ...options }),
+        mode: 'cors',
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        let message = `Failed to start the comparison (${response.status})`;
+        try {
+          const json = await response.json();
+          if (typeof json?.error === 'string') message = json.error;
+        } catch {
+          // Not a JSON error body; keep the status message
+        }
+        throw new Error(message);
+      }
+
+      await readSseStream(response.body.getReader(), (frame) => {
+        if (frame.data === '[DONE]') return true;
+        try {
+          handleFrame(JSON.parse(frame.data));
+        } catch {
+          console.warn('Failed to parse comparison frame:', frame.data);
+        }
+      });
+    } catch (compareError) {
+      if (!controller.signal.aborted) {
+        setError(compareError instanceof Error ? compareError.message : 'The comparison failed');
+      }
+    } finally {
+      setComparison(prev => prev && { ...prev, lanes: prev.lanes.map(lane => ({ ...lane, isStreaming: false })) });
+      setIsComparing(false);
+      abortControllerRef.current = null;
+    }
+  }, [session, compareUrl, handleFrame]);
+
+  // Stops every model; the partial answers can still be preferred
+  const stopComparison = useCallback(async () => {
+    const streamId = streamIdRef.current;
+    try {
+      if (!streamId) throw new Error('No stream to stop');
+      await apiClient.post(`/api/streaming/stream/${streamId}/stop`);
+    } catch {
+      abortControllerRef.current?.abort();
+    }
+  }, []);
+
+  // Saves the model's answer into the chat and records the vote; null when it failed
+  const preferAnswer = useCallback(async (model: string): Promise<PreferredAnswer | null> => {
+    if (!comparison?.comparisonId) return null;
+    try {
+      const saved = await apiClient.post<PreferredAnswer>(`/api/streaming/compare/${comparison.comparisonId}/prefer`, { model });
+      setComparison(prev => prev && { ...prev, preferredModel: model });
+      return saved;
+    } catch (preferError) {
+      setError(preferError instanceof Error ? preferError.message : 'Could not save the answer');
+      return null;
+    }
+  }, [comparison?.comparisonId]);
+
+  const clearComparison = useCallback(() => {
+    setComparison(null);
+    setError(null);
+  }, []);
+
+  return {
+    comparison,
+    isComparing,
+    error,
+    sessionId,
+    compare,
+    stopComparison,
+    preferAnswer,
+    clearComparison
+  };
+}
@@ -31,7 +31,7 @@ interface UseRecentChatsReturn {
 /**
  * Transform API response to cached chat format
  */
-const transformApiResponse = (apiChats: Array<{ id: string; title?: string; last_message_at?: string; updated_at?: string; created_at?: string; last_message?: string; unread_count?: number; [key: string]: unknown }>): CachedChat[] => {
+export const transformApiResponse = (apiChats: Array<{ id: string; title?: string; last_message_at?: string; updated_at?: string; created_at?: string; last_message?: string; unread_count?: number; [key: string]: unknown }>): CachedChat[] => {
   const isPlaceholder = (t?: string) => !t || /^(new chat|untitled chat)$/i.test(t.trim());
   const deriveTitle = (t?: string) => {
     const src = (t || '').trim();
@@ -46,6 +46,10 @@ const transformApiResponse = (apiChats: Array<{ id: string; title?: string; last
     updated_at: chat.updated_at,
     last_message: typeof chat.last_message === 'string' ? chat.last_message : undefined,
     unread_count: typeof chat.unread_count === 'number' ? chat.unread_count : 0,
+    is_pinned: chat.is_pinned === true,
+    is_archived: chat.is_archived === true,
+    tags: Array.isArray(chat.tags) ? chat.tags.filter((tag): tag is string => typeof tag === 'string') : [],
+    folder_id: typeof chat.folder_id === 'string' ? chat.folder_id : null,
   }));
 };
 
@@ -1,9 +1,19 @@
 import { useState, useCallback, useRef } from 'react';
 import StreamMarkdownCleaner from '@/utils/StreamMarkdownCleaner';
+import { readSseStream } from '@/utils/sseStream';
+import type { ToolStep } from '@/types/tools';
+import type { StructuredRequest, StructuredResult } from '@/types/structuredOutput';
+import type { ChatAttachment } from '@/types/attachments';
+import type { DocumentSource, IngestedDocument } from '@/types/documents';
+import type { CachedReply, ContextBudget, UpgradePrompt } from '@/types/models';
 import { useAuthStore } from '../stores/authStore';
 import { updateCachedChat } from '../lib/localStorageUtils';
 import { refreshSidebar } from './useRecentChats';
 
+// Reconnect attempts after a dropped connection (exponential backoff from the base delay)
+const MAX_RESUME_ATTEMPTS = 5;
+const RESUME_BASE_DELAY_MS = 500;
+
 interface StreamingMessage {
   id: string;
   content: string;
@@ -12,6 +22,48 @@ interface StreamingMessage {
   model?: string;
   type?: 'text' | 'image' | 'error';
   isStreaming?: boolean;
+  // Set when the user stopped the reply before it finished
+  truncated?: boolean;
+  usage?: TokenUsage;
+  // Tools the assistant called for this reply, in order
+  toolSteps?: ToolStep[];
+  // Set for replies requested with a JSON Schema
+  structured?: StructuredResult;
+  // Files the user sent with the message
+  attachments?: ChatAttachment[];
+  // Document passages the reply was grounded on
+  sources?: DocumentSource[];
+  // Documents from this message that could not be read
+  documentErrors?: IngestedDocument[];
+  // Set when the plan does not include the model the user picked
+  upgrade?: UpgradePrompt;
+  // Set when the answer was replayed from the semantic cache
+  cached?: CachedReply;
+}
+
+// Where the message goes in the chat's message tree (see utils/messageTree.ts)
+interface BranchRequest {
+  // Last message of the branch being viewed
+  parentMessageId?: string;
+  // Send as a new version of this user message
+  editMessageId?: string;
+  // Answer the user message of this reply again; no new user message is sent
+  regenerateMessageId?: string;
+}
+
+// Per-message extras for sendMessage
+type SendMessageOptions = Partial<StructuredRequest> & BranchRequest & {
+  attachments?: ChatAttachment[];
+  // Answer with this model instead of the router's pick (see types/models.ts)
+  model?: string;
+};
+
+// Token counts for one reply; source is 'estimate' when the provider reported none
+interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  source: 'provider' | 'estimate';
 }
 
 interface StreamingState {
@@ -31,6 +83,15 @@ interface StreamEventData {
   token?: string;
   url?: string;
   message?: string;
+  streamId?: string;
+  // Error events for a model outside the user's plan
+  upgradeRequired?: boolean;
+  requiredPlan?: string | null;
+  // cache_hit events
+  score?: number;
+  cachedAt?: string | null;
+  // routing events
+  budget?: ContextBudget;
   debug?: {
     systemPrompt?: string;
     userQuery?: string;
@@ -57,6 +118,12 @@ export const useStreamingChat = () => {
   const { session } = useAuthStore();
   const eventSourceRef = useRef<EventSource | null>(null);
   const currentMessageRef = useRef<string>('');
+  // Cancellation state for the in-flight stream
+  const abortControllerRef = useRef<AbortController | null>(null);
+  const streamIdRef = useRef<string | null>(null);
+  const lastEventIdRef = useRef(0);
+  const streamUrlRef = useRef<string>(primaryStreamingUrl);
+  const stopRequestedRef = useRef(false);
 
   // Helper to generate stable unique IDs
   const makeId = (prefix: string) => {
@@ -76,6 +143,103 @@ export const useStreamingChat = () => {
           setSessionIdFromStream(sid);
           sessionIdRef.current = sid;
         }
+        const streamId = eventData?.streamId;
+        if (typeof streamId === 'string' && streamId.length > 0) {
+          streamIdRef.current = streamId;
+        }
+        break;
+      }
+
+      case 'usage': {
+        const { promptTokens, completionTokens, totalTokens, source } = (eventData || {}) as Partial<TokenUsage>;
+        if (typeof totalTokens === 'number') {
+          const usage: TokenUsage = {
+            promptTokens: promptTokens ?? 0,
+            completionTokens: completionTokens ?? 0,
+            totalTokens,
+            source: source === 'provider' ? 'provider' : 'estimate'
+          };
+          setMessages(prev => prev.map(msg =>
+            msg.id === messageId
+              ? { ...msg, usage }
+              : msg
+          ));
+        }
+        break;
+      }
+
+      case 'tool_call': {
+        const call = event.data as ToolStep | undefined;
+        if (call?.id && call.name) {
+          setMessages(prev => prev.map(msg =>
+            // Ignore a call already seen (e.g. replayed after a resume)
+            msg.id === messageId && !msg.toolSteps?.some(step => step.id === call.id)
+              ? { ...msg, toolSteps: [...(msg.toolSteps || []), { id: call.id, name: call.name, arguments: call.arguments }] }
+              : msg
+          ));
+        }
+        break;
+      }
+
+      case 'tool_result': {
+        const result = event.data as ToolStep | undefined;
+        if (result?.id) {
+          setMessages(prev => prev.map(msg =>
+            msg.id === messageId
+              ? { ...msg, toolSteps: (msg.toolSteps || []).map(step => (step.id === result.id ? { ...step, ...result } : step)) }
+              : msg
+          ));
+        }
+        break;
+      }
+
+      case 'structured': {
+        const result = event.data as (StructuredResult & { fullResponse?: string }) | undefined;
+        if (result && typeof result.valid === 'boolean') {
+          const { fullResponse, ...structured } = result;
+          // The stored reply is the validated (possibly repaired) JSON, not the raw tokens
+          if (typeof fullResponse === 'string') currentMessageRef.current = fullResponse;
+          setMessages(prev => prev.map(msg =>
+            msg.id === messageId
+              ? { ...msg, structured, content: currentMessageRef.current }
+              : msg
+          ));
+        }
+        break;
+      }
+
+      case 'documents': {
+        const documents = (event.data as { documents?: IngestedDocument[] } | undefined)?.documents || [];
+        const failed = documents.filter(document => document.error);
+        if (failed.length > 0) {
+          setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? { ...msg, documentErrors: failed } : msg
+          ));
+        }
+        break;
+      }
+
+      case 'sources': {
+        const sources = (event.data as { sources?: DocumentSource[] } | undefined)?.sources;
+        if (Array.isArray(sources) && sources.length > 0) {
+          setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? { ...msg, sources } : msg
+          ));
+        }
+        break;
+      }
+
+      case 'stopped': {
+        const fullResponse = eventData?.fullResponse;
+        if (typeof fullResponse === 'string' && fullResponse.length >= currentMessageRef.current.length) {
+          currentMessageRef.current = cleaner ? cleaner.processChunk(fullResponse) : fullResponse;
+        }
+        setStreamingState(prev => ({ ...prev, isStreaming: false }));
+        setMessages(prev => prev.map(msg =>
+          msg.id === messageId
+            ? { ...msg, content: currentMessageRef.current, isStreaming: false, truncated: true }
+            : msg
+        ));
         break;
       }
 
@@ -86,6 +250,7 @@ export const useStreamingChat = () => {
           console.log('System Prompt:', debug.systemPrompt);
           console.log('User Query:', debug.userQuery);
           console.log('Selected Model:', eventData?.primaryModel);
+          console.log('Context Budget:', eventData?.budget);
           console.groupEnd();
         }
         const modelName = eventData?.primaryModel;
@@ -156,6 +321,19 @@ export const useStreamingChat = () => {
         break;
       }
 
+      case 'cache_hit': {
+        const fullResponse = eventData?.fullResponse || '';
+        currentMessageRef.current = cleaner ? cleaner.processChunk(fullResponse) : fullResponse;
+        const cached: CachedReply = { score: eventData?.score ?? 0, cachedAt: eventData?.cachedAt ?? null };
+        setStreamingState(prev => ({ ...prev, currentModel: eventData?.model || prev.currentModel }));
+        setMessages(prev => prev.map(msg =>
+          msg.id === messageId
+            ? { ...msg, content: currentMessageRef.current, model: eventData?.model || msg.model, cached }
+            : msg
+        ));
+        break;
+      }
+
       case 'image': {
         const imageUrl = eventData?.url;
         if (typeof imageUrl === 'string') {
@@ -171,6 +349,9 @@ export const useStreamingChat = () => {
 
       case 'error': {
         const errorMessage = eventData?.message || 'An error occurred';
+        const upgrade: UpgradePrompt | undefined = eventData?.upgradeRequired
+          ? { model: eventData.model, requiredPlan: eventData.requiredPlan ?? null }
+          : undefined;
         setStreamingState(prev => ({
           ...prev,
           error: typeof errorMessage === 'string' ? errorMessage : 'An error occurred',
@@ -178,7 +359,7 @@ export const useStreamingChat = () => {
         }));
         setMessages(prev => prev.map(msg =>
           msg.id === messageId
-            ? { ...msg, content: typeof errorMessage === 'string' ? errorMessage : 'An error occurred', type: 'error', isStreaming: false }
+            ? { ...msg, content: typeof errorMessage === 'string' ? errorMessage : 'An error occurred', type: 'error', isStreaming: false, ...(upgrade ? { upgrade } : {}) }
             : msg
         ));
         break;
@@ -186,16 +367,23 @@ export const useStreamingChat = () => {
     }
   }, []);
 
-  const sendMessage = useCallback(async (message: string, sessionId?: string) => {
-    // Add user message
-    const userMessage: StreamingMessage = {
-      id: makeId('user'),
-      content: message,
-      role: 'user',
-      timestamp: new Date()
-    };
+  // `responseSchema` asks for the reply as JSON matching it; `attachments` are sent to the model;
+  // the branch options edit or regenerate earlier messages as new branches; `model` skips the router
+  const sendMessage = useCallback(async (message: string, sessionId?: string, options: SendMessageOptions = {}) => {
+    const { attachments, parentMessageId, editMessageId, regenerateMessageId, model, ...structured } = options;
+    const branch = { parentMessageId, editMessageId, regenerateMessageId };
+    // Add user message (a regenerated reply answers the stored one)
+    if (!regenerateMessageId) {
+      const userMessage: StreamingMessage = {
+        id: makeId('user'),
+        content: message,
+        role: 'user',
+        timestamp: new Date(),
+        ...(attachments?.length ? { attachments } : {})
+      };
 
-    setMessages(prev => [...prev, userMessage]);
+      setMessages(prev => [...prev, userMessage]);
+    }
 
     // Create assistant message placeholder
     const assistantMessageId = makeId('assistant');
@@ -212,6 +400,9 @@ export const useStreamingChat = () => {
     const cleanerRef = { current: new StreamMarkdownCleaner() };
     setStreamingState({ isStreaming: true, currentModel: null, error: null });
     currentMessageRef.current = '';
+    streamIdRef.current = null;
+    lastEventIdRef.current = 0;
+    stopRequestedRef.current = false;
 
     try {
       // Guard: require valid auth token before starting streaming
@@ -236,7 +427,14 @@ export const useStreamingChat = () => {
             'Accept': 'text/event-stream',
             'Authorization': `Bearer ${accessToken}`
           },
-          body: JSON.stringify({ message, sessionId }),
+          body: JSON.stringify({
+            message,
+            sessionId,
+            ...(model ? { model } : {}),
+            ...structured,
+            ...branch,
+            ...(attachments?.length ? { attachments: attachments.map(({ path, name, type, size }) => ({ path, name, type, size })) } : {})
+          }),
           cache: 'no-cache',
           mode: 'cors',
           signal: controller?.signal
@@ -245,12 +443,16 @@ export const useStreamingChat = () => {
 
       let usedUrl = primaryStreamingUrl;
       let controller = new AbortController();
+      abortControllerRef.current = controller;
+      streamUrlRef.current = usedUrl;
       let response = await attemptFetch(usedUrl, controller);
       // If initial attempt fails, try alternate immediately
       if (!response.ok) {
         controller.abort();
         controller = new AbortController();
+        abortControllerRef.current = controller;
         usedUrl = altStreamingUrl;
+        streamUrlRef.current = usedUrl;
         response = await attemptFetch(usedUrl, controller);
       }
 
@@ -285,10 +487,68 @@ export const useStreamingChat = () => {
         return;
       }
 
-      const reader = response.body?.getReader();
-      const decoder = new TextDecoder();
       let receivedAnyEvent = false;
 
+      // Save the finished exchange to the recent chats cache and refresh the sidebar
+      const finishStream = () => {
+        setStreamingState(prev => ({ ...prev, isStreaming: false }));
+        setMessages(prev => prev.map(msg =>
+          msg.id === assistantMessageId
+            ? { ...msg, isStreaming: false }
+            : msg
+        ));
+
+        try {
+          const effectiveChatId = sessionId || sessionIdRef.current || sessionIdFromStream;
+          const finalContent = currentMessageRef.current || '';
+          if (effectiveChatId && finalContent.trim()) {
+            const nowIso = new Date().toISOString();
+            const deriveTitle = (text: string) => {
+              const src = (text || '').trim();
+              if (!src) return 'Untitled Chat';
+              return src.replace(/\s+/g, ' ').slice(0, 48);
+            };
+            updateCachedChat({
+              id: effectiveChatId,
+              title: deriveTitle(message),
+              last_message_at: nowIso,
+              created_at: nowIso,
+              updated_at: nowIso,
+              last_message: finalContent,
+              unread_count: 0,
+            } as any);
+            // Trigger sidebar refresh
+            try {
+              refreshSidebar();
+            } catch { }
+          }
+        } catch { }
+      };
+
+      // Reads one response body; 'dropped' means the connection ended before [DONE]
+      const readResponse = async (resp: Response): Promise<'done' | 'dropped'> => {
+        try {
+          const finished = await readSseStream(resp.body!.getReader(), (frame) => {
+            receivedAnyEvent = true;
+            if (frame.id !== null) lastEventIdRef.current = frame.id;
+            if (frame.data === '[DONE]') {
+              finishStream();
+              return true;
+            }
+            try {
+              const parsed = JSON.parse(frame.data);
+              handleStreamEvent(parsed, assistantMessageId, cleanerRef.current);
+            } catch (e) {
+              console.warn('Failed to parse stream data:', frame.data);
+            }
+          });
+          return finished ? 'done' : 'dropped';
+        } catch (readError) {
+          if (stopRequestedRef.current) throw readError;
+          return 'dropped';
+        }
+      };
+
       // If using dev proxy and no events arrive quickly, bypass proxy
       let fallbackTimer: number | undefined;
       const shouldSetBypassTimer = useProxy && usedUrl === primaryStreamingUrl;
@@ -303,125 +563,70 @@ export const useStreamingChat = () => {
         }, 1200) as unknown as number;
       }
 
-      while (true) {
-        const { done, value } = await reader!.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
+      let outcome = await readResponse(response);
 
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            receivedAnyEvent = true;
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              setStreamingState(prev => ({ ...prev, isStreaming: false }));
-              setMessages(prev => prev.map(msg =>
-                msg.id === assistantMessageId
-                  ? { ...msg, isStreaming: false }
-                  : msg
-              ));
-
-              // Persist recent chat entry and refresh sidebar (after generation)
-              try {
-                const effectiveChatId = sessionId || sessionIdRef.current || sessionIdFromStream;
-                const finalContent = currentMessageRef.current || '';
-                if (effectiveChatId && finalContent.trim()) {
-                  const nowIso = new Date().toISOString();
-                  const deriveTitle = (text: string) => {
-                    const src = (text || '').trim();
-                    if (!src) return 'Untitled Chat';
-                    return src.replace(/\s+/g, ' ').slice(0, 48);
-                  };
-                  updateCachedChat({
-                    id: effectiveChatId,
-                    title: deriveTitle(message),
-                    last_message_at: nowIso,
-                    created_at: nowIso,
-                    updated_at: nowIso,
-                    last_message: finalContent,
-                    unread_count: 0,
-                  } as any);
-                  // Trigger sidebar refresh
-                  try {
-                    refreshSidebar();
-                  } catch { }
-                }
-              } catch { }
-              return;
-            }
-
-            try {
-              const parsed = JSON.parse(data);
-              handleStreamEvent(parsed, assistantMessageId, cleanerRef.current);
-            } catch (e) {
-              console.warn('Failed to parse stream data:', data);
-            }
-          }
-        }
-      }
       // If we aborted due to no events, try alt URL once
-      if (!receivedAnyEvent && shouldSetBypassTimer) {
+      if (outcome === 'dropped' && !receivedAnyEvent && shouldSetBypassTimer) {
         try { clearTimeout(fallbackTimer!); } catch { }
         controller = new AbortController();
+        abortControllerRef.current = controller;
         usedUrl = altStreamingUrl;
+        streamUrlRef.current = usedUrl;
         const retryResp = await attemptFetch(usedUrl, controller);
         if (!retryResp.ok) {
           throw new Error(`Failed to start streaming (${retryResp.status})`);
         }
-        const retryReader = retryResp.body?.getReader();
-        while (true) {
-          const { done, value } = await retryReader!.read();
-          if (done) break;
-          const chunk = decoder.decode(value);
-          const lines = chunk.split('\n');
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-              if (data === '[DONE]') {
-                setStreamingState(prev => ({ ...prev, isStreaming: false }));
-                setMessages(prev => prev.map(msg =>
-                  msg.id === assistantMessageId
-                    ? { ...msg, isStreaming: false }
-                    : msg
-                ));
-                try {
-                  const effectiveChatId = sessionId || sessionIdRef.current || sessionIdFromStream;
-                  const finalContent = currentMessageRef.current || '';
-                  if (effectiveChatId && finalContent.trim()) {
-                    const nowIso = new Date().toISOString();
-                    const deriveTitle = (text: string) => {
-                      const src = (text || '').trim();
-                      if (!src) return 'Untitled Chat';
-                      return src.replace(/\s+/g, ' ').slice(0, 48);
-                    };
-                    updateCachedChat({
-                      id: effectiveChatId,
-                      title: deriveTitle(message),
-                      last_message_at: nowIso,
-                      created_at: nowIso,
-                      updated_at: nowIso,
-                      last_message: finalContent,
-                      unread_count: 0,
-                    } as any);
-                    try { refreshSidebar(); } catch { }
-                  }
-                } catch { }
-                return;
-              }
-              try {
-                const parsed = JSON.parse(data);
-                handleStreamEvent(parsed, assistantMessageId, cleanerRef.current);
-              } catch (e) {
-                console.warn('Failed to parse stream data:', data);
-              }
-            }
-          }
-        }
+        outcome = await readResponse(retryResp);
       }
       try { if (fallbackTimer) clearTimeout(fallbackTimer); } catch { }
 
+      // Connection dropped mid-answer (e.g. mobile network switch): resume from
+      // the last event id instead of failing. Progress resets the backoff.
+      let resumeAttempts = 0;
+      while (outcome === 'dropped' && streamIdRef.current && resumeAttempts < MAX_RESUME_ATTEMPTS) {
+        resumeAttempts++;
+        await new Promise(resolve => setTimeout(resolve, RESUME_BASE_DELAY_MS * 2 ** (resumeAttempts - 1)));
+
+        controller = new AbortController();
+        abortControllerRef.current = controller;
+        const seenBefore = lastEventIdRef.current;
+        try {
+          const resumeResp = await fetch(`${streamUrlRef.current}/${streamIdRef.current}/resume`, {
+            method: 'GET',
+            headers: {
+              'Accept': 'text/event-stream',
+              'Authorization': `Bearer ${accessToken}`,
+              'Last-Event-ID': String(lastEventIdRef.current)
+            },
+            cache: 'no-cache',
+            mode: 'cors',
+            signal: controller.signal
+          });
+          // The buffer expired or belongs to someone else; nothing left to resume
+          if (resumeResp.status === 404) break;
+          if (!resumeResp.ok) continue;
+          outcome = await readResponse(resumeResp);
+          if (lastEventIdRef.current > seenBefore) resumeAttempts = 0;
+        } catch (resumeError) {
+          if (stopRequestedRef.current) throw resumeError;
+        }
+      }
+
+      if (outcome === 'dropped') {
+        throw new Error('Connection lost while streaming');
+      }
+
     } catch (error) {
+      // Aborting the fetch after a stop is expected; keep the partial reply
+      if (stopRequestedRef.current) {
+        setStreamingState(prev => ({ ...prev, isStreaming: false }));
+        setMessages(prev => prev.map(msg =>
+          msg.id === assistantMessageId
+            ? { ...msg, content: currentMessageRef.current, isStreaming: false, truncated: true }
+            : msg
+        ));
+        return;
+      }
       console.error('Streaming error:', error);
       const errMsg = (error as Error)?.message || 'An error occurred';
       setStreamingState({ isStreaming: false, currentModel: null, error: errMsg });
@@ -430,9 +635,40 @@ export const useStreamingChat = () => {
           ? { ...msg, content: 'Sorry, I encountered an error. Please try again.', type: 'error', isStreaming: false }
           : msg
       ));
+    } finally {
+      abortControllerRef.current = null;
     }
   }, [session, handleStreamEvent]);
 
+  // Ask the server to stop generating; it answers on the open stream with a
+  // `stopped` event. If that is not possible, drop the connection instead,
+  // which the server also treats as a stop.
+  const stopStreaming = useCallback(async () => {
+    const controller = abortControllerRef.current;
+    if (!controller || stopRequestedRef.current) return;
+    stopRequestedRef.current = true;
+
+    const streamId = streamIdRef.current;
+    const accessToken = session?.access_token;
+    if (streamId && accessToken) {
+      try {
+        const stopResp = await fetch(`${streamUrlRef.current}/${streamId}/stop`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${accessToken}` },
+          mode: 'cors'
+        });
+        if (stopResp.ok) {
+          // Give the server a moment to flush `stopped` and [DONE]
+          setTimeout(() => controller.abort(), 3000);
+          return;
+        }
+      } catch {
+        // Stop endpoint unreachable; fall through to dropping the connection
+      }
+    }
+    controller.abort();
+  }, [session]);
+
   const clearMessages = useCallback(() => {
     setMessages([]);
     setStreamingState({ isStreaming: false, currentModel: null, error: null });
@@ -442,6 +678,7 @@ export const useStreamingChat = () => {
     messages,
     streamingState,
     sendMessage,
+    stopStreaming,
     sessionId: sessionIdFromStream,
     clearMessages
   };
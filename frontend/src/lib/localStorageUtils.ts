@@ -12,6 +12,10 @@ export interface CachedChat {
   updated_at: string;
   last_message?: string;
   unread_count?: number;
+  is_pinned?: boolean;
+  is_archived?: boolean;
+  tags?: string[];
+  folder_id?: string | null;
 }
 
 export interface CachedMessage {
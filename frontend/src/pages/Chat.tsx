@@ -1,11 +1,12 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo, memo } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkMath from 'remark-math';
 import rehypeKatex from 'rehype-katex';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Copy, Share2, Check, ArrowUp, MoreHorizontal, Trash2, ImagePlus } from 'lucide-react';
+import { toast } from 'sonner';
+import { Copy, Share2, Check, ArrowUp, MoreHorizontal, Trash2, ImagePlus, Square, Braces, Pencil, RefreshCw, Columns } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import {
   DropdownMenu,
@@ -15,6 +16,8 @@ import {
 } from '@/components/ui/dropdown-menu';
 import { useActiveChat } from '@/hooks/useActiveChat';
 import { useStreamingChat } from '@/hooks/useStreamingChat';
+import { useModelComparison } from '@/hooks/useModelComparison';
+import { useChatModel } from '@/hooks/useChatModel';
 import { useAuthStore } from '@/stores/authStore';
 // Removed legacy skeleton in favor of a minimal loading spinner
 import { useSafeBackground } from '@/hooks/useSafeBackground';
@@ -22,10 +25,50 @@ import chatsService from '@/services/chatsService';
 import ShareChatModal from '@/components/modals/ShareChatModal';
 import ChatLoadingIndicator from '@/components/ui/ChatLoadingIndicator';
 import { ModelIcon } from '@/components/ui/ModelIcon';
+import { ToolSteps, StructuredOutput, MessageAttachments, DocumentSources, BranchSwitcher, MessageEditor, MessageRating, type MessageRatingValue } from '@/components/ChatMessage';
+import ComparisonView from '@/components/ComparisonView';
+import ModelPicker from '@/components/ModelPicker';
+import type { ToolStep } from '@/types/tools';
+import type { StructuredResult } from '@/types/structuredOutput';
+import type { ChatAttachment } from '@/types/attachments';
+import type { DocumentSource, IngestedDocument } from '@/types/documents';
+import { AUTO_MODEL, type CachedReply, type UpgradePrompt } from '@/types/models';
+import { apiClient } from '@/utils/apiClient';
+import { getActivePath, hasBranches, type BranchInfo } from '@/utils/messageTree';
+
+// Live messages carry toolSteps/structured/sources directly; saved ones keep them in metadata
+type MessageWithToolSteps = { toolSteps?: ToolStep[]; metadata?: { toolSteps?: ToolStep[] } };
+type MessageWithStructured = { structured?: StructuredResult; metadata?: { structured?: StructuredResult } };
+type MessageWithAttachments = { attachments?: ChatAttachment[]; metadata?: { attachments?: ChatAttachment[] } };
+type MessageWithBranches = Partial<BranchInfo> & { parent_message_id?: string | null };
+type MessageWithSources = { sources?: DocumentSource[]; documentErrors?: IngestedDocument[]; metadata?: { sources?: DocumentSource[] } };
+type MessageWithRating = { metadata?: { rating?: MessageRatingValue } };
+type MessageWithUpgrade = { upgrade?: UpgradePrompt };
+type MessageWithCache = { cached?: CachedReply; metadata?: { cached?: CachedReply } };
+type MessageWithStatus = { isStreaming?: boolean; truncated?: boolean; type?: string; metadata?: { truncated?: boolean } };
+
+// What the chat renders: the saved messages on the active branch, then the ones still streaming
+type PersistedMessage = ReturnType<typeof useActiveChat>['messages'][number] & BranchInfo;
+type StreamedMessage = ReturnType<typeof useStreamingChat>['messages'][number];
+type DisplayMessage = PersistedMessage | StreamedMessage;
+
+// Matches the limit of POST /api/files/upload and the per-message cap of the stream endpoint
+const MAX_ATTACHMENTS = 5;
+const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/webp,image/gif,application/pdf,text/plain';
+
+// Starting point offered when JSON output is switched on
+const DEFAULT_RESPONSE_SCHEMA = JSON.stringify({
+  type: 'object',
+  properties: { answer: { type: 'string' } },
+  required: ['answer']
+}, null, 2);
 
 export default function Chat() {
   const { chatId } = useParams();
   const navigate = useNavigate();
+  // Search results link to a message with ?message=<id>
+  const [searchParams, setSearchParams] = useSearchParams();
+  const targetMessageId = searchParams.get('message');
   const { user, session } = useAuthStore();
   const { backgroundImage } = useSafeBackground();
 
@@ -43,6 +86,28 @@ export default function Chat() {
   const [showMenu, setShowMenu] = useState(false);
   const [shareOpen, setShareOpen] = useState(false);
   const [imageMode, setImageMode] = useState(false);
+  // JSON Schema text for the next message; null while JSON output is off
+  const [responseSchemaText, setResponseSchemaText] = useState<string | null>(null);
+  const [schemaError, setSchemaError] = useState<string | null>(null);
+  // Uploaded files waiting to be sent with the next message
+  const [pendingAttachments, setPendingAttachments] = useState<ChatAttachment[]>([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  // Edited and regenerated messages are branches: the one shown is the newest below
+  // branchFromId (null: newest in the chat)
+  const [branchFromId, setBranchFromId] = useState<string | null>(null);
+  // While a reply streams, the branch is shown up to this message (null: nothing before it)
+  const [streamAnchorId, setStreamAnchorId] = useState<string | null | undefined>(undefined);
+  const [editingMessageId, setEditingMessageId] = useState<string | null>(null);
+  // Models picked for a side-by-side comparison of the next message; null while comparing is off
+  const [compareModels, setCompareModels] = useState<string[] | null>(null);
+  const [comparableModels, setComparableModels] = useState<string[]>([]);
+  const [maxCompareModels, setMaxCompareModels] = useState(3);
+  // Ratings given in this session, shown until the saved messages catch up
+  const [ratings, setRatings] = useState<Record<string, MessageRatingValue>>({});
+  // Message a search result jumped to, outlined for a moment
+  const [highlightedMessageId, setHighlightedMessageId] = useState<string | null>(null);
   const lastUserInputRef = useRef<string>('');
   const [autoScrollEnabled, setAutoScrollEnabled] = useState<boolean>(true);
 
@@ -71,10 +136,30 @@ export default function Chat() {
     messages: streamMessages,
     streamingState,
     sendMessage: sendStreamMessage,
+    stopStreaming,
     sessionId,
     clearMessages: clearStreamMessages
   } = useStreamingChat();
 
+  const {
+    comparison,
+    isComparing,
+    error: comparisonError,
+    compare,
+    stopComparison,
+    preferAnswer,
+    clearComparison
+  } = useModelComparison();
+
+  // Model picked in the header; 'auto' leaves each message to the router
+  const {
+    models: pickableModels,
+    selectedModel,
+    selectModel,
+    promptUpgrade
+  } = useChatModel(currentChatId, typeof currentChat?.pinned_model === 'string' ? currentChat.pinned_model : null);
+  const requestedModel = selectedModel === AUTO_MODEL ? undefined : selectedModel;
+
   // After streaming completes, refresh persisted messages before clearing transient stream state
   const postStreamRefreshGuardRef = useRef<string | null>(null);
   const expectedAssistantContentRef = useRef<string | null>(null);
@@ -139,16 +224,62 @@ export default function Chat() {
     }
   }, []);
 
+  const visiblePath = useMemo(() => getActivePath(messages, branchFromId), [messages, branchFromId]);
+  const persistedIds = useMemo(() => new Set(visiblePath.map(m => m.id)), [visiblePath]);
+
   const displayMessages = useMemo(() => {
-    const combine = [...messages, ...streamMessages as any];
+    // An edit or regenerate replaces what follows the message it branches from
+    let base = visiblePath;
+    if (streamAnchorId !== undefined && streamMessages.length > 0) {
+      const anchorIndex = streamAnchorId === null ? -1 : visiblePath.findIndex(m => m.id === streamAnchorId);
+      if (streamAnchorId === null || anchorIndex !== -1) base = visiblePath.slice(0, anchorIndex + 1);
+    }
+    const combine: DisplayMessage[] = [...base, ...streamMessages];
     const seen = new Set<string>();
     return combine.filter((m) => {
-      const id = (m as any).id || `${(m as any).role}-${(m as any).timestamp}`;
+      const id = m.id || `${m.role}-${m.timestamp}`;
       if (seen.has(id)) return false;
       seen.add(id);
       return true;
     });
-  }, [messages, streamMessages]);
+  }, [visiblePath, streamMessages, streamAnchorId]);
+
+  // The stream's messages were replaced by their saved copies
+  useEffect(() => {
+    if (streamMessages.length === 0) setStreamAnchorId(undefined);
+  }, [streamMessages.length]);
+
+  // Each chat opens on its newest branch
+  useEffect(() => {
+    setBranchFromId(null);
+    setEditingMessageId(null);
+    clearComparison();
+  }, [currentChatId, clearComparison]);
+
+  // A search result opens on the branch holding its message
+  useEffect(() => {
+    if (!targetMessageId || !chatId || currentChatId !== chatId) return;
+    const found = messages.some(m => m.id === targetMessageId);
+    if (!found && isLoading) return;
+    if (found) {
+      setBranchFromId(targetMessageId);
+      setHighlightedMessageId(targetMessageId);
+    } else {
+      toast('That message is not among the ones loaded for this chat');
+    }
+    setSearchParams(params => {
+      params.delete('message');
+      return params;
+    }, { replace: true });
+  }, [targetMessageId, chatId, currentChatId, messages, isLoading, setSearchParams]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const element = chatContainerRef.current?.querySelector(`[data-message-id="${CSS.escape(highlightedMessageId)}"]`);
+    element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
 
 
   // Switch to chat when chatId changes, but avoid fetching during live streaming
@@ -339,11 +470,91 @@ export default function Chat() {
     }
   };
 
+  const handleFilesSelected = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_ATTACHMENTS - pendingAttachments.length);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsUploading(true);
+    setUploadError(null);
+    try {
+      for (const file of files) {
+        const response = await apiClient.upload<{ success: boolean; file?: ChatAttachment; error?: string }>('/api/files/upload', file);
+        if (!response?.success || !response.file) throw new Error(response?.error || `Failed to upload ${file.name}`);
+        const uploaded = response.file;
+        setPendingAttachments(prev => [...prev, uploaded]);
+      }
+    } catch (uploadErr) {
+      setUploadError(uploadErr instanceof Error ? uploadErr.message : 'Failed to upload file');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const startComparing = async () => {
+    setCompareModels(prev => prev ?? []);
+    try {
+      const response = await apiClient.get<{ models: string[]; maxModels: number }>('/api/streaming/compare/models');
+      setComparableModels(response.models || []);
+      setMaxCompareModels(response.maxModels || 3);
+    } catch (loadError) {
+      console.error('Failed to load models for comparison:', loadError);
+    }
+  };
+
+  const toggleCompareModel = (model: string) => {
+    setCompareModels(prev => {
+      const picked = prev || [];
+      if (picked.includes(model)) return picked.filter(m => m !== model);
+      return picked.length < maxCompareModels ? [...picked, model] : picked;
+    });
+  };
+
+  // The preferred answer is saved as the reply to the prompt; show its branch
+  const handlePreferAnswer = async (model: string) => {
+    const saved = await preferAnswer(model);
+    if (!saved) return;
+    setBranchFromId(saved.assistantMessageId || null);
+    clearComparison();
+    if (saved.chatId === currentChatId) {
+      refreshMessages();
+    } else {
+      setIsNewChat(false);
+      navigate(`/chat/${saved.chatId}`);
+    }
+  };
+
   const handleSend = async (e?: React.FormEvent) => {
     e?.preventDefault();
-    if (!input.trim() || isSending || !session) return;
+    if (!input.trim() || isSending || isUploading || !session) return;
+
+    let responseSchema: Record<string, unknown> | undefined;
+    if (responseSchemaText !== null) {
+      try {
+        const parsed = JSON.parse(responseSchemaText);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+        responseSchema = parsed;
+        setSchemaError(null);
+      } catch {
+        setSchemaError('The schema must be a JSON object');
+        return;
+      }
+    }
 
     const messageText = input.trim();
+    // Continue the branch on screen; chats without branches follow their newest message
+    const lastShown = visiblePath[visiblePath.length - 1];
+    const parentMessageId = hasBranches(messages) && lastShown ? lastShown.id : undefined;
+    if (compareModels !== null) {
+      if (compareModels.length < 2 || isComparing || streamingState?.isStreaming) return;
+      setInput('');
+      if (!docked) setDocked(true);
+      lastUserInputRef.current = messageText;
+      compare(messageText, compareModels, currentChatId || undefined, { parentMessageId: lastShown?.id });
+      scrollToBottom();
+      return;
+    }
+    if (parentMessageId) setBranchFromId(parentMessageId);
     setInput('');
     if (!docked) setDocked(true);
     setIsSending(true);
@@ -351,7 +562,8 @@ export default function Chat() {
 
     try {
       // Kick off streaming; do not await to avoid delaying UI follow
-      sendStreamMessage(messageText, currentChatId || undefined);
+      sendStreamMessage(messageText, currentChatId || undefined, { responseSchema, attachments: pendingAttachments, parentMessageId, model: requestedModel });
+      setPendingAttachments([]);
       // One-time autoscroll for the user's send
       scrollToBottom();
       // Disable further auto-scroll during token generation so user can scroll freely
@@ -363,6 +575,28 @@ export default function Chat() {
     }
   };
 
+  const rateMessage = async (messageId: string, rating: MessageRatingValue, previous: MessageRatingValue) => {
+    if (!currentChatId) return;
+    setRatings(prev => ({ ...prev, [messageId]: rating }));
+    try {
+      await chatsService.rateMessage(currentChatId, messageId, rating);
+    } catch (rateError) {
+      console.error('Failed to rate message:', rateError);
+      setRatings(prev => ({ ...prev, [messageId]: previous }));
+    }
+  };
+
+  // Edits and regenerations stream in place of what followed `anchorId`, then show as a new branch
+  const sendBranch = (anchorId: string | null, messageText: string, options: { editMessageId?: string; regenerateMessageId?: string }) => {
+    if (!currentChatId || isSending || streamingState?.isStreaming) return;
+    setEditingMessageId(null);
+    setBranchFromId(anchorId);
+    setStreamAnchorId(anchorId);
+    lastUserInputRef.current = messageText;
+    sendStreamMessage(messageText, currentChatId, { ...options, model: requestedModel });
+    setAutoScrollEnabled(false);
+  };
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -436,6 +670,12 @@ export default function Chat() {
           <h1 className="text-lg ml-4 text-gray-800 dark:text-gray-100">
             {!isNewChat && (currentChat?.title || 'Untitled Chat')}
           </h1>
+          <ModelPicker
+            models={pickableModels}
+            value={selectedModel}
+            onChange={selectModel}
+            disabled={!!streamingState?.isStreaming || isComparing}
+          />
         </div>
 
         {/* Right side buttons - only show for existing chats */}
@@ -514,32 +754,63 @@ export default function Chat() {
                   animate={{ opacity: 1, y: 0 }}
                   exit={{ opacity: 0, y: -20 }}
                   transition={{ duration: 0.3, ease: "easeOut" }}
-                  className={`flex w-full ${message.role === "user" ? "justify-end" : "justify-start"}`}
+                  className={`flex w-full ${message.role === "user" ? "justify-end" : "justify-start"} ${highlightedMessageId && message.id === highlightedMessageId ? "rounded-2xl ring-2 ring-yellow-400/70 ring-offset-4 ring-offset-transparent transition-shadow" : ""}`}
+                  data-message-id={message.id}
                   ref={index === displayMessages.length - 1 ? lastMessageRef : undefined}
                 >
                   {message.role === "user" ? (
                     // User message - right-aligned with hover copy button
                     <div className="max-w-[85%] group">
+                      <MessageAttachments
+                        attachments={(message as MessageWithAttachments).attachments || (message as MessageWithAttachments).metadata?.attachments}
+                        className="mb-1.5 justify-end"
+                      />
                       <div className="relative">
-                        <div className="bg-blue-600 text-white rounded-2xl px-4 py-3 shadow-sm">
-                          <div className="prose dark:prose-invert max-w-[80%] whitespace-pre-wrap break-words" style={{ hyphens: 'auto', wordBreak: 'break-word', overflowWrap: 'break-word' }}>
-                            <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
-                              {toDisplayString((message as any).content)}
-                            </ReactMarkdown>
+                        {editingMessageId === message.id ? (
+                          <MessageEditor
+                            initialValue={toDisplayString((message as { content?: unknown }).content)}
+                            onSave={text => sendBranch((message as MessageWithBranches).parent_message_id ?? null, text, { editMessageId: message.id })}
+                            onCancel={() => setEditingMessageId(null)}
+                          />
+                        ) : (
+                          <div className="bg-blue-600 text-white rounded-2xl px-4 py-3 shadow-sm">
+                            <div className="prose dark:prose-invert max-w-[80%] whitespace-pre-wrap break-words" style={{ hyphens: 'auto', wordBreak: 'break-word', overflowWrap: 'break-word' }}>
+                              <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
+                                {toDisplayString(message.content)}
+                              </ReactMarkdown>
+                            </div>
                           </div>
-                        </div>
-                        {/* Hover copy button for user messages */}
-                        <div className="flex justify-end mt-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                          <button
-                            onClick={() => copyToClipboard(toDisplayString((message as any).content), message.id || '')}
-                            className="p-1.5 rounded-md text-gray-400 hover:text-gray-700 dark:text-gray-500 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
-                          >
-                            {copiedMessageId === message.id ? (
-                              <Check className="h-4 w-4 text-green-600 transition-transform duration-200 scale-110" />
-                            ) : (
-                              <Copy className="h-4 w-4" />
+                        )}
+                        {/* Versions of this message, then hover edit and copy buttons */}
+                        <div className="flex justify-end items-center gap-1 mt-2">
+                          <BranchSwitcher
+                            siblingIds={(message as MessageWithBranches).siblingIds}
+                            branchIndex={(message as MessageWithBranches).branchIndex}
+                            onSelect={setBranchFromId}
+                            disabled={isSending || !!streamingState?.isStreaming}
+                          />
+                          <div className="flex opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                            {persistedIds.has(message.id) && editingMessageId !== message.id && (
+                              <button
+                                onClick={() => setEditingMessageId(message.id)}
+                                disabled={isSending || !!streamingState?.isStreaming}
+                                className="p-1.5 rounded-md text-gray-400 hover:text-gray-700 dark:text-gray-500 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                                aria-label="Edit message"
+                              >
+                                <Pencil className="h-4 w-4" />
+                              </button>
                             )}
-                          </button>
+                            <button
+                              onClick={() => copyToClipboard(toDisplayString(message.content), message.id || '')}
+                              className="p-1.5 rounded-md text-gray-400 hover:text-gray-700 dark:text-gray-500 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                            >
+                              {copiedMessageId === message.id ? (
+                                <Check className="h-4 w-4 text-green-600 transition-transform duration-200 scale-110" />
+                              ) : (
+                                <Copy className="h-4 w-4" />
+                              )}
+                            </button>
+                          </div>
                         </div>
                       </div>
                     </div>
@@ -548,27 +819,60 @@ export default function Chat() {
                     <div className="max-w-[98%]">
                       <div className="py-2">
                         {/* Model Badge */}
-                        {(message as any).model && (
+                        {message.model && (
                           <div className="flex items-center space-x-1.5 mb-1.5 ml-1">
-                            <ModelIcon model={(message as any).model} className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+                            <ModelIcon model={message.model} className="w-5 h-5 text-gray-500 dark:text-gray-400" />
                             <span className="text-xs font-medium text-gray-500 dark:text-gray-400">
-                              {(message as any).model}
+                              {message.model}
                             </span>
                           </div>
                         )}
+                        <ToolSteps steps={(message as MessageWithToolSteps).toolSteps || (message as MessageWithToolSteps).metadata?.toolSteps} />
                         <div className="bg-gray-100 dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-2xl px-4 py-3 shadow-sm">
-                          <div className="prose dark:prose-invert max-w-[80%] whitespace-pre-wrap break-words" style={{ hyphens: 'auto', wordBreak: 'break-word', overflowWrap: 'break-word' }}>
-                            <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
-                              {toDisplayString((message as any).content)}
-                            </ReactMarkdown>
-                          </div>
+                          {((message as MessageWithStructured).structured || (message as MessageWithStructured).metadata?.structured) ? (
+                            <StructuredOutput
+                              result={((message as MessageWithStructured).structured || (message as MessageWithStructured).metadata?.structured) as StructuredResult}
+                              content={toDisplayString((message as { content?: unknown }).content)}
+                            />
+                          ) : (
+                            <div className="prose dark:prose-invert max-w-[80%] whitespace-pre-wrap break-words" style={{ hyphens: 'auto', wordBreak: 'break-word', overflowWrap: 'break-word' }}>
+                              <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
+                                {toDisplayString(message.content)}
+                              </ReactMarkdown>
+                            </div>
+                          )}
                         </div>
+                        <DocumentSources
+                          sources={(message as MessageWithSources).sources || (message as MessageWithSources).metadata?.sources}
+                          errors={(message as MessageWithSources).documentErrors}
+                        />
+                        {(message as MessageWithUpgrade).upgrade && (
+                          <button
+                            type="button"
+                            onClick={() => promptUpgrade((message as MessageWithUpgrade).upgrade?.model || 'This model', (message as MessageWithUpgrade).upgrade?.requiredPlan)}
+                            className="mt-2 ml-1 text-sm font-medium text-blue-600 hover:underline dark:text-blue-400"
+                          >
+                            Upgrade to keep using {(message as MessageWithUpgrade).upgrade?.model || 'this model'}
+                          </button>
+                        )}
+                        {((message as MessageWithStatus).truncated || (message as MessageWithStatus).metadata?.truncated) && (
+                          <p className="mt-1.5 ml-1 text-xs italic text-gray-500 dark:text-gray-400">Response stopped</p>
+                        )}
+                        {((message as MessageWithCache).cached || (message as MessageWithCache).metadata?.cached) && (
+                          <p className="mt-1.5 ml-1 text-xs italic text-gray-500 dark:text-gray-400">Answered from cache</p>
+                        )}
                         {/* Copy and share appear only when the AI response is complete */}
-                        {!(message as any)?.isStreaming && (message as any)?.type !== 'error' && !!toDisplayString((message as any).content)?.trim() && (
+                        {!(message as MessageWithStatus).isStreaming && (message as MessageWithStatus).type !== 'error' && !!toDisplayString(message.content)?.trim() && (
                           <div className="flex items-center space-x-2 mt-3">
+                            <BranchSwitcher
+                              siblingIds={(message as MessageWithBranches).siblingIds}
+                              branchIndex={(message as MessageWithBranches).branchIndex}
+                              onSelect={setBranchFromId}
+                              disabled={isSending || !!streamingState?.isStreaming}
+                            />
                             <div className="relative group">
                               <button
-                                onClick={() => copyToClipboard(toDisplayString((message as any).content), message.id || '')}
+                                onClick={() => copyToClipboard(toDisplayString(message.content), message.id || '')}
                                 className="flex items-center px-2 py-1 rounded-md border border-transparent hover:border-gray-300 dark:hover:border-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
                               >
                                 {copiedMessageId === message.id ? (
@@ -584,7 +888,7 @@ export default function Chat() {
                             </div>
                             <div className="relative group">
                               <button
-                                onClick={() => shareMessage(toDisplayString((message as any).content))}
+                                onClick={() => shareMessage(toDisplayString(message.content))}
                                 className="flex items-center px-2 py-1 rounded-md border border-transparent hover:border-gray-300 dark:hover:border-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
                               >
                                 <Share2 className="h-4 w-4 text-gray-600 dark:text-gray-300" />
@@ -594,6 +898,25 @@ export default function Chat() {
                                 Share
                               </span>
                             </div>
+                            {persistedIds.has(message.id) && (() => {
+                              const rating = message.id in ratings ? ratings[message.id] : ((message as MessageWithRating).metadata?.rating ?? null);
+                              return <MessageRating rating={rating} onRate={value => rateMessage(message.id, value, rating)} />;
+                            })()}
+                            {persistedIds.has(message.id) && (message as MessageWithBranches).parent_message_id && (
+                              <div className="relative group">
+                                <button
+                                  onClick={() => sendBranch((message as MessageWithBranches).parent_message_id ?? null, '', { regenerateMessageId: message.id })}
+                                  disabled={isSending || !!streamingState?.isStreaming}
+                                  className="flex items-center px-2 py-1 rounded-md border border-transparent hover:border-gray-300 dark:hover:border-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+                                >
+                                  <RefreshCw className="h-4 w-4 text-gray-600 dark:text-gray-300" />
+                                </button>
+                                {/* Tooltip */}
+                                <span className="absolute -bottom-8 left-1/2 -translate-x-1/2 px-2 py-1 text-xs text-white bg-gray-800 rounded-md opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none">
+                                  Regenerate
+                                </span>
+                              </div>
+                            )}
                           </div>
                         )}
                       </div>
@@ -603,6 +926,17 @@ export default function Chat() {
               ))}
             </AnimatePresence>
 
+            {comparison && (
+              <ComparisonView
+                comparison={comparison}
+                isComparing={isComparing}
+                error={comparisonError}
+                onPrefer={handlePreferAnswer}
+                onStop={stopComparison}
+                onClose={clearComparison}
+              />
+            )}
+
             {/* Show loading indicator whenever sending/streaming, even with empty history */}
             {(isSending || streamingState?.isStreaming) && (
               <motion.div
@@ -645,6 +979,82 @@ export default function Chat() {
           {(isLoading || isSending || streamingState?.isStreaming) && (
             <ChatLoadingIndicator className="mb-2" />
           )}
+          {responseSchemaText !== null && (
+            <div className="mb-2 rounded-2xl border border-gray-300 bg-white/60 p-2 dark:border-gray-600 dark:bg-gray-800/60">
+              <div className="mb-1 flex items-center gap-1.5 px-1 text-xs text-gray-600 dark:text-gray-300">
+                <Braces className="h-3.5 w-3.5" />
+                <span className="font-medium">Reply as JSON matching this schema</span>
+                <button
+                  type="button"
+                  className="ml-auto rounded px-1 opacity-70 hover:opacity-100"
+                  onClick={() => {
+                    setResponseSchemaText(null);
+                    setSchemaError(null);
+                  }}
+                  title="Turn off JSON output"
+                >
+                  ×
+                </button>
+              </div>
+              <textarea
+                value={responseSchemaText}
+                onChange={(e) => setResponseSchemaText(e.target.value)}
+                spellCheck={false}
+                rows={5}
+                className="w-full resize-y rounded-lg border-none bg-transparent px-1 font-mono text-xs text-gray-800 outline-none dark:text-gray-100"
+              />
+              {schemaError && <p className="px-1 text-xs text-red-600 dark:text-red-400">{schemaError}</p>}
+            </div>
+          )}
+          {compareModels !== null && (
+            <div className="mb-2 rounded-2xl border border-gray-300 bg-white/60 p-2 dark:border-gray-600 dark:bg-gray-800/60">
+              <div className="mb-1 flex items-center gap-1.5 px-1 text-xs text-gray-600 dark:text-gray-300">
+                <Columns className="h-3.5 w-3.5" />
+                <span className="font-medium">Compare {compareModels.length}/{maxCompareModels} models (pick at least 2)</span>
+                <button
+                  type="button"
+                  className="ml-auto rounded px-1 opacity-70 hover:opacity-100"
+                  onClick={() => setCompareModels(null)}
+                  title="Turn off comparison"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-1.5 px-1">
+                {comparableModels.map(model => (
+                  <button
+                    key={model}
+                    type="button"
+                    onClick={() => toggleCompareModel(model)}
+                    className={`flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs transition-colors ${compareModels.includes(model)
+                      ? 'border-blue-500 bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300'
+                      : 'border-gray-300 text-gray-600 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700'}`}
+                  >
+                    <ModelIcon model={model} className="h-3.5 w-3.5" />
+                    {model}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          {(pendingAttachments.length > 0 || isUploading || uploadError) && (
+            <div className="mb-2 px-1">
+              <MessageAttachments
+                attachments={pendingAttachments}
+                onRemove={(attachment) => setPendingAttachments(prev => prev.filter(a => a.path !== attachment.path))}
+              />
+              {isUploading && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Uploading…</p>}
+              {uploadError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{uploadError}</p>}
+            </div>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ATTACHMENT_ACCEPT}
+            multiple
+            className="hidden"
+            onChange={handleFilesSelected}
+          />
           <form onSubmit={handleSend} className={`relative ${imageMode ? 'flex flex-col space-y-2' : 'flex items-end space-x-3'}`}>
 
             {/* Textarea */}
@@ -685,7 +1095,11 @@ export default function Chat() {
                   <button
                     type="button"
                     className="flex items-center gap-2 w-full px-4 py-3 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 transition-colors"
-                    onClick={() => setShowMenu(false)}
+                    disabled={isUploading || pendingAttachments.length >= MAX_ATTACHMENTS}
+                    onClick={() => {
+                      setShowMenu(false);
+                      fileInputRef.current?.click();
+                    }}
                   >
                     📎 Add photos & files
                   </button>
@@ -699,6 +1113,26 @@ export default function Chat() {
                   >
                     🎨 Create Image
                   </button>
+                  <button
+                    type="button"
+                    className="flex items-center gap-2 w-full px-4 py-3 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 transition-colors"
+                    onClick={() => {
+                      setResponseSchemaText(prev => prev ?? DEFAULT_RESPONSE_SCHEMA);
+                      setShowMenu(false);
+                    }}
+                  >
+                    <Braces className="w-4 h-4" /> JSON output
+                  </button>
+                  <button
+                    type="button"
+                    className="flex items-center gap-2 w-full px-4 py-3 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 transition-colors"
+                    onClick={() => {
+                      startComparing();
+                      setShowMenu(false);
+                    }}
+                  >
+                    <Columns className="w-4 h-4" /> Compare models
+                  </button>
                 </div>
               </div>
 
@@ -719,7 +1153,18 @@ export default function Chat() {
               {imageMode && <div className="flex-1"></div>}
 
               {/* Send button - in image mode, inside wrapper for bottom row */}
-              {imageMode && (
+              {imageMode && streamingState?.isStreaming && (
+                <button
+                  type="button"
+                  onClick={stopStreaming}
+                  title="Stop generating"
+                  aria-label="Stop generating"
+                  className="w-10 h-10 rounded-full p-0 flex items-center justify-center transition-all duration-200 bg-gray-900 hover:bg-gray-700 dark:bg-gray-100 dark:hover:bg-gray-300 text-white dark:text-gray-900 shadow-md"
+                >
+                  <Square className="h-4 w-4 fill-current" />
+                </button>
+              )}
+              {imageMode && !streamingState?.isStreaming && (
                 <button
                   type="submit"
                   disabled={!input.trim() || isSending}
@@ -733,8 +1178,21 @@ export default function Chat() {
               )}
             </div>
 
+            {/* Stop button replaces send while a reply is streaming */}
+            {!imageMode && streamingState?.isStreaming && (
+              <button
+                type="button"
+                onClick={stopStreaming}
+                title="Stop generating"
+                aria-label="Stop generating"
+                className="w-10 h-10 rounded-full p-0 flex items-center justify-center transition-all duration-200 bg-gray-900 hover:bg-gray-700 dark:bg-gray-100 dark:hover:bg-gray-300 text-white dark:text-gray-900 shadow-md"
+              >
+                <Square className="h-4 w-4 fill-current" />
+              </button>
+            )}
+
             {/* Send button - in normal mode, outside wrapper for right alignment */}
-            {!imageMode && (
+            {!imageMode && !streamingState?.isStreaming && (
               <button
                 type="submit"
                 disabled={!input.trim() || isSending}
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiClient } from '@/utils/apiClient';
+
+type GroupBy = 'model' | 'plan' | 'user';
+
+interface SpendRow {
+  key: string;
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  images: number;
+  costUsd: number;
+}
+
+interface PlanMargin {
+  plan: string;
+  price: number;
+  billingInterval: string;
+  subscribers: number;
+  requests: number;
+  revenueUsd: number;
+  costUsd: number;
+  marginUsd: number;
+  marginPercent: number | null;
+}
+
+const toDateInput = (date: Date) => date.toISOString().slice(0, 10);
+
+const formatUsd = (value: number) =>
+  value.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+const CostAnalytics: React.FC = () => {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [groupBy, setGroupBy] = useState<GroupBy>('model');
+  const [spend, setSpend] = useState<SpendRow[]>([]);
+  const [totalUsd, setTotalUsd] = useState(0);
+  const [margins, setMargins] = useState<PlanMargin[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchCosts = useCallback(async () => {
+    try {
+      setLoading(true);
+      // `to` is exclusive on the server, so include the whole selected day
+      const range = `from=${from}&to=${toDateInput(new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000))}`;
+
+      const [spendResponse, marginResponse] = await Promise.all([
+        apiClient.get(`/api/admin/costs/spend?${range}&groupBy=${groupBy}`, { context: 'CostAnalytics.fetchSpend' }),
+        apiClient.get(`/api/admin/costs/margins?${range}`, { context: 'CostAnalytics.fetchMargins' })
+      ]);
+
+      setSpend(spendResponse.rows || []);
+      setTotalUsd(spendResponse.totalUsd || 0);
+      setMargins(marginResponse.margins || []);
+    } catch (error) {
+      console.error('Error fetching cost analytics:', error);
+      toast.error('Failed to load cost analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, groupBy]);
+
+  useEffect(() => {
+    fetchCosts();
+  }, [fetchCosts]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Cost Analytics</h1>
+          <p className="text-muted-foreground">Model spend and margin per subscription plan</p>
+        </div>
+        <Button onClick={fetchCosts} variant="outline" disabled={loading}>
+          <RefreshCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="cost-from">From</Label>
+              <Input id="cost-from" type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="cost-to">To</Label>
+              <Input id="cost-to" type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label>Group spend by</Label>
+              <Select value={groupBy} onValueChange={(value) => setGroupBy(value as GroupBy)}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="model">Model</SelectItem>
+                  <SelectItem value="plan">Plan</SelectItem>
+                  <SelectItem value="user">User</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Plan Margins</CardTitle>
+          <CardDescription>
+            Revenue is the plan price times current subscribers, prorated to the selected range
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Plan</TableHead>
+                <TableHead className="text-right">Subscribers</TableHead>
+                <TableHead className="text-right">Requests</TableHead>
+                <TableHead className="text-right">Revenue</TableHead>
+                <TableHead className="text-right">Cost</TableHead>
+                <TableHead className="text-right">Margin</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {margins.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8 text-muted-foreground">
+                    {loading ? 'Loading...' : 'No plans found'}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                margins.map((margin) => (
+                  <TableRow key={margin.plan}>
+                    <TableCell className="capitalize">
+                      {margin.plan}
+                      <span className="ml-2 text-xs text-muted-foreground">
+                        {formatUsd(margin.price)}/{margin.billingInterval === 'yearly' ? 'yr' : 'mo'}
+                      </span>
+                    </TableCell>
+                    <TableCell className="text-right">{margin.subscribers}</TableCell>
+                    <TableCell className="text-right">{margin.requests}</TableCell>
+                    <TableCell className="text-right">{formatUsd(margin.revenueUsd)}</TableCell>
+                    <TableCell className="text-right">{formatUsd(margin.costUsd)}</TableCell>
+                    <TableCell className="text-right">
+                      <Badge variant={margin.marginUsd < 0 ? 'destructive' : 'secondary'}>
+                        {formatUsd(margin.marginUsd)}
+                        {margin.marginPercent !== null && ` (${margin.marginPercent}%)`}
+                      </Badge>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Spend by {groupBy}</CardTitle>
+          <CardDescription>Total: {formatUsd(totalUsd)}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="capitalize">{groupBy}</TableHead>
+                <TableHead className="text-right">Requests</TableHead>
+                <TableHead className="text-right">Prompt tokens</TableHead>
+                <TableHead className="text-right">Completion tokens</TableHead>
+                <TableHead className="text-right">Images</TableHead>
+                <TableHead className="text-right">Cost</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {spend.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8 text-muted-foreground">
+                    {loading ? 'Loading...' : 'No spend recorded in this range'}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                spend.map((row) => (
+                  <TableRow key={row.key}>
+                    <TableCell className="font-mono text-sm">{row.key}</TableCell>
+                    <TableCell className="text-right">{row.requests.toLocaleString()}</TableCell>
+                    <TableCell className="text-right">{row.promptTokens.toLocaleString()}</TableCell>
+                    <TableCell className="text-right">{row.completionTokens.toLocaleString()}</TableCell>
+                    <TableCell className="text-right">{row.images.toLocaleString()}</TableCell>
+                    <TableCell className="text-right">{formatUsd(row.costUsd)}</TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default CostAnalytics;
@@ -0,0 +1,458 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Textarea } from '@/components/ui/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Edit, FlaskConical, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { apiClient } from '@/utils/apiClient';
+
+type Plan = 'free' | 'plus' | 'pro';
+
+interface PolicyConditions {
+  plans?: Plan[];
+  hasCodeBlock?: boolean;
+  minTokens?: number;
+  maxTokens?: number;
+  pattern?: string;
+}
+
+type PolicyAction = { type: 'route'; model: string } | { type: 'block'; models: string[] };
+
+interface RoutingPolicy {
+  id: string;
+  name: string;
+  description: string;
+  priority: number;
+  enabled: boolean;
+  conditions: PolicyConditions;
+  action: PolicyAction;
+}
+
+interface PolicyTestResult {
+  model: string | null;
+  routedBy: 'policy' | 'llm';
+  blockedModels: string[];
+  explanation: string;
+}
+
+// Form state keeps every field as the input shows it; toPolicyBody turns it into the API shape
+interface PolicyForm {
+  name: string;
+  description: string;
+  priority: string;
+  enabled: boolean;
+  plans: Plan[];
+  codeBlock: 'any' | 'yes' | 'no';
+  minTokens: string;
+  maxTokens: string;
+  pattern: string;
+  actionType: 'route' | 'block';
+  model: string;
+  blockedModels: string[];
+}
+
+const PLANS: Plan[] = ['free', 'plus', 'pro'];
+
+const EMPTY_FORM: PolicyForm = {
+  name: '',
+  description: '',
+  priority: '100',
+  enabled: true,
+  plans: [],
+  codeBlock: 'any',
+  minTokens: '',
+  maxTokens: '',
+  pattern: '',
+  actionType: 'route',
+  model: '',
+  blockedModels: []
+};
+
+const toForm = (policy: RoutingPolicy): PolicyForm => ({
+  name: policy.name,
+  description: policy.description,
+  priority: String(policy.priority),
+  enabled: policy.enabled,
+  plans: policy.conditions.plans || [],
+  codeBlock: policy.conditions.hasCodeBlock === undefined ? 'any' : (policy.conditions.hasCodeBlock ? 'yes' : 'no'),
+  minTokens: policy.conditions.minTokens !== undefined ? String(policy.conditions.minTokens) : '',
+  maxTokens: policy.conditions.maxTokens !== undefined ? String(policy.conditions.maxTokens) : '',
+  pattern: policy.conditions.pattern || '',
+  actionType: policy.action.type,
+  model: policy.action.type === 'route' ? policy.action.model : '',
+  blockedModels: policy.action.type === 'block' ? policy.action.models : []
+});
+
+const toPolicyBody = (form: PolicyForm) => {
+  const conditions: PolicyConditions = {};
+  if (form.plans.length) conditions.plans = form.plans;
+  if (form.codeBlock !== 'any') conditions.hasCodeBlock = form.codeBlock === 'yes';
+  if (form.minTokens.trim()) conditions.minTokens = Number(form.minTokens);
+  if (form.maxTokens.trim()) conditions.maxTokens = Number(form.maxTokens);
+  if (form.pattern.trim()) conditions.pattern = form.pattern.trim();
+  return {
+    name: form.name,
+    description: form.description,
+    priority: Number(form.priority),
+    enabled: form.enabled,
+    conditions,
+    action: form.actionType === 'route'
+      ? { type: 'route', model: form.model }
+      : { type: 'block', models: form.blockedModels }
+  };
+};
+
+const describeConditions = (conditions: PolicyConditions) => {
+  const parts: string[] = [];
+  if (conditions.plans?.length) parts.push(`plan ${conditions.plans.join('/')}`);
+  if (conditions.hasCodeBlock !== undefined) parts.push(conditions.hasCodeBlock ? 'has code block' : 'no code block');
+  if (conditions.minTokens !== undefined) parts.push(`≥ ${conditions.minTokens} tokens`);
+  if (conditions.maxTokens !== undefined) parts.push(`≤ ${conditions.maxTokens} tokens`);
+  if (conditions.pattern) parts.push(`/${conditions.pattern}/i`);
+  return parts.length ? parts.join(', ') : 'Every message';
+};
+
+const toggle = <T,>(list: T[], value: T) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+const RoutingPolicies: React.FC = () => {
+  const [policies, setPolicies] = useState<RoutingPolicy[]>([]);
+  const [models, setModels] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<PolicyForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [testQuery, setTestQuery] = useState('');
+  const [testPlan, setTestPlan] = useState<Plan>('free');
+  const [testResult, setTestResult] = useState<PolicyTestResult | null>(null);
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await apiClient.get('/api/admin/routing-policies', { context: 'RoutingPolicies.fetchPolicies' });
+      setPolicies(data.policies || []);
+      setModels(data.models || []);
+    } catch (error) {
+      console.error('Error fetching routing policies:', error);
+      toast.error('Failed to load routing policies');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const openDialog = (policy: RoutingPolicy | null) => {
+    setEditingId(policy?.id || null);
+    setForm(policy ? toForm(policy) : EMPTY_FORM);
+    setDialogOpen(true);
+  };
+
+  const savePolicy = async () => {
+    try {
+      setSaving(true);
+      if (editingId) {
+        await apiClient.put(`/api/admin/routing-policies/${editingId}`, toPolicyBody(form), { context: 'RoutingPolicies.update' });
+        toast.success('Routing policy updated');
+      } else {
+        await apiClient.post('/api/admin/routing-policies', toPolicyBody(form), { context: 'RoutingPolicies.create' });
+        toast.success('Routing policy created');
+      }
+      setDialogOpen(false);
+      fetchPolicies();
+    } catch (error) {
+      // apiClient already shows the server's validation message
+      console.error('Error saving routing policy:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setEnabled = async (policy: RoutingPolicy, enabled: boolean) => {
+    try {
+      await apiClient.put(`/api/admin/routing-policies/${policy.id}`, { ...policy, enabled }, { context: 'RoutingPolicies.toggle' });
+      setPolicies(current => current.map(item => item.id === policy.id ? { ...item, enabled } : item));
+    } catch (error) {
+      console.error('Error updating routing policy:', error);
+      toast.error('Failed to update routing policy');
+    }
+  };
+
+  const deletePolicy = async (policy: RoutingPolicy) => {
+    if (!window.confirm(`Delete the routing policy "${policy.name}"?`)) return;
+    try {
+      await apiClient.delete(`/api/admin/routing-policies/${policy.id}`, { context: 'RoutingPolicies.delete' });
+      setPolicies(current => current.filter(item => item.id !== policy.id));
+      toast.success('Routing policy deleted');
+    } catch (error) {
+      console.error('Error deleting routing policy:', error);
+      toast.error('Failed to delete routing policy');
+    }
+  };
+
+  const runTest = async () => {
+    try {
+      const result = await apiClient.post('/api/admin/routing-policies/test', { query: testQuery, plan: testPlan }, { context: 'RoutingPolicies.test' });
+      setTestResult(result);
+    } catch (error) {
+      console.error('Error testing routing policies:', error);
+      toast.error('Failed to test routing policies');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Routing Policies</h1>
+          <p className="text-muted-foreground">Rules applied before the AI router picks a model</p>
+        </div>
+        <div className="flex gap-2">
+          <Button onClick={fetchPolicies} variant="outline" disabled={loading}>
+            <RefreshCw className={`mr-2 h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+          <Button onClick={() => openDialog(null)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Policy
+          </Button>
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Policies</CardTitle>
+          <CardDescription>
+            Lower priorities run first. The first matching route rule picks the model; block rules always apply.
+            When no route rule matches, the AI router decides among the models that are not blocked.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-20">Priority</TableHead>
+                <TableHead>Name</TableHead>
+                <TableHead>When</TableHead>
+                <TableHead>Action</TableHead>
+                <TableHead>Enabled</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {policies.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center py-8 text-muted-foreground">
+                    {loading ? 'Loading...' : 'No routing policies yet'}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                policies.map((policy) => (
+                  <TableRow key={policy.id}>
+                    <TableCell>{policy.priority}</TableCell>
+                    <TableCell>
+                      <div className="font-medium">{policy.name}</div>
+                      {policy.description && <div className="text-xs text-muted-foreground">{policy.description}</div>}
+                    </TableCell>
+                    <TableCell className="text-sm">{describeConditions(policy.conditions)}</TableCell>
+                    <TableCell>
+                      {policy.action.type === 'route' ? (
+                        <Badge variant="secondary">Route to {policy.action.model}</Badge>
+                      ) : (
+                        <Badge variant="destructive">Block {policy.action.models.join(', ')}</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Switch checked={policy.enabled} onCheckedChange={(checked) => setEnabled(policy, checked)} />
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button variant="ghost" size="sm" onClick={() => openDialog(policy)}>
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => deletePolicy(policy)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Test Policies</CardTitle>
+          <CardDescription>Runs the enabled policies against a message without sending it to a model</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Textarea
+            value={testQuery}
+            onChange={(e) => setTestQuery(e.target.value)}
+            placeholder="Paste a message to see which rule would fire"
+            rows={4}
+          />
+          <div className="flex items-center gap-4">
+            <Select value={testPlan} onValueChange={(value) => setTestPlan(value as Plan)}>
+              <SelectTrigger className="w-32">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PLANS.map(plan => (
+                  <SelectItem key={plan} value={plan} className="capitalize">{plan}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button onClick={runTest} disabled={!testQuery.trim()}>
+              <FlaskConical className="mr-2 h-4 w-4" />
+              Test
+            </Button>
+          </div>
+          {testResult && (
+            <div className="rounded-md border p-4 space-y-2 text-sm">
+              <div>
+                {testResult.model
+                  ? <>Routed to <Badge variant="secondary">{testResult.model}</Badge> by a policy</>
+                  : 'No route rule matched; the AI router would pick the model'}
+              </div>
+              {testResult.blockedModels.length > 0 && (
+                <div>Blocked: {testResult.blockedModels.join(', ')}</div>
+              )}
+              <div className="text-muted-foreground">{testResult.explanation || 'No policy matched this message.'}</div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="sm:max-w-[560px]">
+          <DialogHeader>
+            <DialogTitle>{editingId ? 'Edit Routing Policy' : 'Add Routing Policy'}</DialogTitle>
+            <DialogDescription>All conditions you set must match for the rule to apply.</DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-4 py-2">
+            <div className="grid grid-cols-[1fr_6rem] gap-4">
+              <div className="grid gap-2">
+                <Label htmlFor="policy-name">Name</Label>
+                <Input id="policy-name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="policy-priority">Priority</Label>
+                <Input id="policy-priority" type="number" value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })} />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="policy-description">Description</Label>
+              <Input id="policy-description" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+            </div>
+            <div className="grid gap-2">
+              <Label>Plans (none selected applies to all)</Label>
+              <div className="flex gap-2">
+                {PLANS.map(plan => (
+                  <Button
+                    key={plan}
+                    type="button"
+                    size="sm"
+                    variant={form.plans.includes(plan) ? 'default' : 'outline'}
+                    className="capitalize"
+                    onClick={() => setForm({ ...form, plans: toggle(form.plans, plan) })}
+                  >
+                    {plan}
+                  </Button>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div className="grid gap-2">
+                <Label>Code block</Label>
+                <Select value={form.codeBlock} onValueChange={(value) => setForm({ ...form, codeBlock: value as PolicyForm['codeBlock'] })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any</SelectItem>
+                    <SelectItem value="yes">Contains one</SelectItem>
+                    <SelectItem value="no">None</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="policy-min-tokens">Min tokens</Label>
+                <Input id="policy-min-tokens" type="number" min={0} value={form.minTokens} onChange={(e) => setForm({ ...form, minTokens: e.target.value })} />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="policy-max-tokens">Max tokens</Label>
+                <Input id="policy-max-tokens" type="number" min={0} value={form.maxTokens} onChange={(e) => setForm({ ...form, maxTokens: e.target.value })} />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="policy-pattern">Message matches (regular expression, case-insensitive)</Label>
+              <Input id="policy-pattern" value={form.pattern} onChange={(e) => setForm({ ...form, pattern: e.target.value })} placeholder="e.g. translate|übersetze" />
+            </div>
+            <div className="grid gap-2">
+              <Label>Action</Label>
+              <Select value={form.actionType} onValueChange={(value) => setForm({ ...form, actionType: value as PolicyForm['actionType'] })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="route">Route to a model</SelectItem>
+                  <SelectItem value="block">Never use these models</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {form.actionType === 'route' ? (
+              <Select value={form.model} onValueChange={(value) => setForm({ ...form, model: value })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select model" />
+                </SelectTrigger>
+                <SelectContent>
+                  {models.map(model => (
+                    <SelectItem key={model} value={model}>{model}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {models.map(model => (
+                  <Button
+                    key={model}
+                    type="button"
+                    size="sm"
+                    variant={form.blockedModels.includes(model) ? 'destructive' : 'outline'}
+                    onClick={() => setForm({ ...form, blockedModels: toggle(form.blockedModels, model) })}
+                  >
+                    {model}
+                  </Button>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <Switch id="policy-enabled" checked={form.enabled} onCheckedChange={(checked) => setForm({ ...form, enabled: checked })} />
+              <Label htmlFor="policy-enabled">Enabled</Label>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialogOpen(false)}>Cancel</Button>
+            <Button onClick={savePolicy} disabled={saving || !form.name.trim()}>
+              {editingId ? 'Save Policy' : 'Add Policy'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default RoutingPolicies;
@@ -44,7 +44,7 @@ const chatsService = {
         });
     },
 
-    // Update a chat session (e.g., rename title)
+    // Update a chat session: { title, pinned, archived, tags, folderId }, all optional
     updateChatSession: async (sessionId, data = {}) => {
         if (!sessionId) {
             throw new Error('Session ID is required');
@@ -58,6 +58,56 @@ const chatsService = {
         });
     },
     
+    // Tags used on the user's chats, most used first: { tags: [{ tag, count }] }
+    getChatTags: async () => {
+        return apiClient.get('/api/chat/tags', {
+            context: 'Get chat tags'
+        });
+    },
+
+    // Thumbs up/down on a reply; rating is 'up', 'down' or null to clear it
+    rateMessage: async (sessionId, messageId, rating) => {
+        if (!sessionId || !messageId) {
+            throw new Error('Session ID and message ID are required');
+        }
+
+        return apiClient.post(`/api/chat/${sessionId}/messages/${messageId}/rating`, { rating }, {
+            context: `Rate message ${messageId}`
+        });
+    },
+
+    // Pin a model to the chat; null hands the choice back to the router
+    pinModel: async (sessionId, model) => {
+        if (!sessionId) {
+            throw new Error('Session ID is required');
+        }
+
+        return apiClient.put(`/api/chat/${sessionId}/model`, { model }, {
+            context: `Pin model for chat ${sessionId}`,
+            skipErrorHandling: true
+        });
+    },
+
+    // Search messages across all chats by words and by meaning
+    // filters: { from, to (ISO dates), model, tags: string[], limit }
+    searchMessages: async (query, filters = {}, options = {}) => {
+        const { from, to, model, tags, limit } = filters;
+        const queryParams = new URLSearchParams({
+            q: query,
+            ...(from ? { from } : {}),
+            ...(to ? { to } : {}),
+            ...(model ? { model } : {}),
+            ...(tags?.length ? { tags: tags.join(',') } : {}),
+            ...(limit ? { limit: limit.toString() } : {})
+        });
+
+        return apiClient.get(`/api/chat/search?${queryParams}`, {
+            context: 'Search chats',
+            signal: options.signal,
+            skipErrorHandling: true
+        });
+    },
+
     // Get chat history (most recent session with messages)
     getChatHistory: async (params = {}) => {
         const { limit = 10, cursor, direction = 'next' } = params;
@@ -0,0 +1,45 @@
+import { apiClient, type DownloadedFile } from '../utils/apiClient';
+
+export type ChatExportFormat = 'md' | 'json' | 'html' | 'pdf';
+
+export const CHAT_EXPORT_FORMATS: { format: ChatExportFormat; label: string }[] = [
+    { format: 'md', label: 'Markdown' },
+    { format: 'json', label: 'JSON' },
+    { format: 'html', label: 'HTML' },
+    { format: 'pdf', label: 'PDF' },
+];
+
+// The account archive is built before it is sent, which takes a while for large histories
+const ACCOUNT_EXPORT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const saveFile = ({ blob, fileName }: DownloadedFile, fallbackName: string) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName || fallbackName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+const exportService = {
+    exportChat: async (chatId: string, format: ChatExportFormat) => {
+        const file = await apiClient.download(`/api/chat/${chatId}/export?format=${format}`, {
+            timeout: 60000,
+            context: 'exportService.exportChat',
+        });
+        saveFile(file, `chat.${format}`);
+    },
+
+    exportAccount: async () => {
+        const file = await apiClient.download('/api/export/account', {
+            timeout: ACCOUNT_EXPORT_TIMEOUT_MS,
+            retries: 0,
+            context: 'exportService.exportAccount',
+        });
+        saveFile(file, 'account-export.zip');
+    },
+};
+
+export default exportService;
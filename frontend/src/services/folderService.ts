@@ -0,0 +1,15 @@
+import { apiClient } from '../utils/apiClient';
+import type { ChatFolder } from '../types/folders';
+
+const folderService = {
+    getFolders: () => apiClient.get<{ folders: ChatFolder[] }>('/api/folders', { context: 'folderService.getFolders' }),
+
+    createFolder: (name: string, color?: string | null) =>
+        apiClient.post<{ folder: ChatFolder }>('/api/folders', { name, color: color ?? null }, { skipErrorHandling: true }),
+    updateFolder: (id: string, data: { name?: string; color?: string | null; position?: number }) =>
+        apiClient.patch<{ folder: ChatFolder }>(`/api/folders/${id}`, data, { skipErrorHandling: true }),
+    // Chats in the folder are kept, outside any folder
+    deleteFolder: (id: string) => apiClient.delete(`/api/folders/${id}`),
+};
+
+export default folderService;
@@ -0,0 +1,17 @@
+import { apiClient } from '../utils/apiClient';
+import type { ChatImport } from '../types/imports';
+
+// Large exports take a while to upload and read before the import is queued
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+const importService = {
+    startImport: (file: File) => apiClient.upload<{ import: ChatImport }>('/api/import', file, {
+        timeout: UPLOAD_TIMEOUT_MS,
+        retries: 0,
+        context: 'importService.startImport',
+    }),
+    getImport: (id: string) => apiClient.get<{ import: ChatImport }>(`/api/import/${id}`, { context: 'importService.getImport' }),
+    getImports: () => apiClient.get<{ imports: ChatImport[] }>('/api/import', { context: 'importService.getImports' }),
+};
+
+export default importService;
@@ -0,0 +1,16 @@
+import { apiClient } from '../utils/apiClient';
+import type { Memory, MemoryState } from '../types/memory';
+
+const memoryService = {
+    getMemory: () => apiClient.get<MemoryState>('/api/memory', { context: 'memoryService.getMemory' }),
+    setEnabled: (enabled: boolean) => apiClient.put<{ enabled: boolean }>('/api/memory/settings', { enabled }),
+
+    addMemory: (content: string) => apiClient.post<{ memory: Memory }>('/api/memory', { content }),
+    updateMemory: (id: string, content: string) => apiClient.put<{ memory: Memory }>(`/api/memory/${id}`, { content }),
+    approveMemory: (id: string) => apiClient.post<{ memory: Memory }>(`/api/memory/${id}/approve`),
+    // Also dismisses a suggestion
+    deleteMemory: (id: string) => apiClient.delete(`/api/memory/${id}`),
+    clearMemories: () => apiClient.delete('/api/memory'),
+};
+
+export default memoryService;
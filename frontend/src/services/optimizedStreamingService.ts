@@ -3,6 +3,8 @@
  * Features: Connection pooling, intelligent buffering, performance monitoring, and error recovery
  */
 
+import { readSseStream } from '@/utils/sseStream';
+
 interface StreamingConfig {
   maxRetries: number;
   retryDelay: number;
@@ -38,7 +40,7 @@ interface BufferedChunk {
 }
 
 interface StreamingEvent {
-  type: 'routing' | 'model_selected' | 'token' | 'image' | 'error' | 'metadata' | 'heartbeat';
+  type: 'session' | 'routing' | 'model_selected' | 'token' | 'image' | 'error' | 'stopped' | 'usage' | 'tool_call' | 'tool_result' | 'structured' | 'documents' | 'sources' | 'metadata' | 'heartbeat';
   data?: string | object | null;
   timestamp: number;
 }
@@ -296,6 +298,11 @@ class OptimizedStreamingService {
         });
       });
       
+      // Server-side stream id and last event id seen; once known, retries resume
+      // the same stream instead of posting the message again
+      let serverStreamId: string | null = null;
+      let lastEventId = 0;
+
       const operation = async () => {
         const abortController = new AbortController();
         this.activeStreams.set(streamId, abortController);
@@ -316,19 +323,25 @@ class OptimizedStreamingService {
             headers['Accept-Encoding'] = 'gzip, deflate, br';
           }
           
-          const response = await fetch('/api/streaming/stream', {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({ 
-              message,
-              streamId,
-              options: {
-                enableOptimizations: true,
-                bufferSize: this.config.bufferSize
-              }
-            }),
-            signal: abortController.signal
-          });
+          const response = serverStreamId
+            ? await fetch(`/api/streaming/stream/${serverStreamId}/resume`, {
+              method: 'GET',
+              headers: { ...headers, 'Last-Event-ID': String(lastEventId) },
+              signal: abortController.signal
+            })
+            : await fetch('/api/streaming/stream', {
+              method: 'POST',
+              headers,
+              body: JSON.stringify({ 
+                message,
+                streamId,
+                options: {
+                  enableOptimizations: true,
+                  bufferSize: this.config.bufferSize
+                }
+              }),
+              signal: abortController.signal
+            });
           
           clearTimeout(timeoutId);
           
@@ -341,61 +354,50 @@ class OptimizedStreamingService {
             throw new Error('No response body reader available');
           }
           
-          const decoder = new TextDecoder();
-          let buffer = '';
-          
           try {
-            while (true) {
-              const { done, value } = await reader.read();
-              
-              if (done) break;
-              
-              const chunk = decoder.decode(value, { stream: true });
-              bytesTransferred += chunk.length;
-              
+            const finished = await readSseStream(reader, (frame) => {
+              bytesTransferred += frame.data.length;
+              if (frame.id !== null) lastEventId = frame.id;
+
               // Add to internal buffer for optimization
-              this.addToBuffer(streamId, chunk);
-              
-              buffer += chunk;
-              const lines = buffer.split('\n');
-              buffer = lines.pop() || '';
-              
-              for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                  const data = line.slice(6);
-                  
-                  if (data === '[DONE]') {
-                    // Flush any remaining buffer
-                    const remainingData = this.flushBuffer(streamId);
-                    if (remainingData) {
-                      // Process any remaining data
-                    }
-                    
-                    const endTime = performance.now();
-                    const duration = endTime - startTime;
-                    
-                    this.metrics.successfulRequests++;
-                    this.updateThroughputMetrics(bytesTransferred, duration);
-                    
-                    if (this.config.enableMetrics) {
-                      performance.mark(`streaming-request-end-${streamId}`);
-                      performance.measure(
-                        `streaming-request-${streamId}`,
-                        `streaming-request-start-${streamId}`,
-                        `streaming-request-end-${streamId}`
-                      );
-                    }
-                    
-                    onComplete();
-                    return;
-                  }
-                  
-                  const event = this.parseStreamingEvent(data);
-                  if (event) {
-                    onEvent(event);
-                  }
+              this.addToBuffer(streamId, frame.data);
+
+              if (frame.data === '[DONE]') {
+                // Flush any remaining buffer
+                this.flushBuffer(streamId);
+
+                const endTime = performance.now();
+                const duration = endTime - startTime;
+
+                this.metrics.successfulRequests++;
+                this.updateThroughputMetrics(bytesTransferred, duration);
+
+                if (this.config.enableMetrics) {
+                  performance.mark(`streaming-request-end-${streamId}`);
+                  performance.measure(
+                    `streaming-request-${streamId}`,
+                    `streaming-request-start-${streamId}`,
+                    `streaming-request-end-${streamId}`
+                  );
                 }
+
+                onComplete();
+                return true;
               }
+
+              const event = this.parseStreamingEvent(frame.data);
+              if (event) {
+                if (event.type === 'session' && event.data && typeof event.data === 'object') {
+                  const id = (event.data as { streamId?: string }).streamId;
+                  if (id) serverStreamId = id;
+                }
+                onEvent(event);
+              }
+            });
+
+            // Ended without [DONE]: let retryWithBackoff resume from lastEventId
+            if (!finished) {
+              throw new Error('Stream connection dropped before completion');
             }
           } finally {
             reader.releaseLock();
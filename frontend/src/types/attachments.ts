@@ -0,0 +1,10 @@
+// A file uploaded through POST /api/files/upload and sent with a message.
+// Stored in the user message metadata (`metadata.attachments`) without the URL;
+// chat history comes back with a fresh signed `url`.
+export interface ChatAttachment {
+  path: string;
+  name: string;
+  type: string;
+  size?: number;
+  url?: string;
+}
@@ -0,0 +1,26 @@
+// One model's pane in a side-by-side comparison (POST /api/streaming/compare).
+// Built from the stream frames tagged with that model.
+export interface ComparisonLane {
+  model: string;
+  content: string;
+  isStreaming: boolean;
+  error?: string;
+  usage?: { promptTokens: number; completionTokens: number; totalTokens: number; source?: string };
+}
+
+export interface ComparisonState {
+  // Set by the final `comparison` event; needed to prefer an answer
+  comparisonId: string | null;
+  prompt: string;
+  lanes: ComparisonLane[];
+  // Model whose answer was saved into the chat
+  preferredModel?: string;
+}
+
+// Response of POST /api/streaming/compare/:comparisonId/prefer
+export interface PreferredAnswer {
+  chatId: string;
+  model: string;
+  userMessageId?: string;
+  assistantMessageId?: string;
+}
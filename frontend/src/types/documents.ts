@@ -0,0 +1,18 @@
+// A document passage the reply was grounded on (backend documentService).
+// Sent as the `sources` event and stored in the assistant message metadata.
+export interface DocumentSource {
+  // "report.pdf, p. 3"; the model cites passages as [report.pdf, p. 3]
+  citation: string;
+  fileName: string;
+  // null for text files
+  page: number | null;
+}
+
+// Result of ingesting one document attachment (`documents` event)
+export interface IngestedDocument {
+  fileName: string;
+  documentId?: string;
+  pages?: number;
+  chunks?: number;
+  error?: string;
+}
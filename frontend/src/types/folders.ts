@@ -0,0 +1,27 @@
+// A user-defined folder (project) for chats (see backend
+// services/chatOrganizationService.js). A chat is in at most one folder;
+// `chatCount` leaves out archived chats.
+export interface ChatFolder {
+  id: string;
+  name: string;
+  color: string | null;
+  position: number;
+  chatCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// GET /api/chat/tags
+export interface ChatTagCount {
+  tag: string;
+  count: number;
+}
+
+// PATCH /api/chat/:id
+export interface ChatOrganizationUpdate {
+  title?: string;
+  pinned?: boolean;
+  archived?: boolean;
+  tags?: string[];
+  folderId?: string | null;
+}
@@ -0,0 +1,24 @@
+// A conversation import from another assistant's export or our own (see
+// backend services/chatImportService.js). The file is imported in the
+// background; poll GET /api/import/:id until the status is final.
+export type ChatImportSource = 'native' | 'chatgpt' | 'claude';
+
+export type ChatImportStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+export interface ChatImport {
+  id: string;
+  source: ChatImportSource;
+  fileName: string | null;
+  status: ChatImportStatus;
+  totalChats: number;
+  processedChats: number;
+  importedChats: number;
+  // Already imported from the same source, or without any messages to show
+  skippedChats: number;
+  failedChats: number;
+  importedMessages: number;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt: string | null;
+}
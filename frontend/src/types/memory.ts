@@ -0,0 +1,27 @@
+// A fact the assistant remembers about the user across chats (see backend
+// services/memoryService.js). The user's own memories are approved at once;
+// ones the assistant suggests with the `remember` tool are 'proposed' until
+// the user approves them.
+export interface Memory {
+  id: string;
+  content: string;
+  status: 'approved' | 'proposed';
+  source: 'user' | 'assistant';
+  chatId: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// GET /api/memory
+export interface MemoryState {
+  enabled: boolean;
+  memories: Memory[];
+  proposals: Memory[];
+}
+
+// Result of the `remember` tool stored in a tool step
+export interface RememberResult {
+  proposed: boolean;
+  reason?: string;
+  memory?: Memory;
+}
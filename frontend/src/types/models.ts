@@ -0,0 +1,31 @@
+// A model the user can pick (GET /api/streaming/models). Models outside the
+// plan are listed too, with the cheapest plan that includes them.
+export interface ModelOption {
+  model: string;
+  allowed: boolean;
+  requiredPlan: string | null;
+}
+
+// Sent as `model` to leave the choice to the router, even in a pinned chat
+export const AUTO_MODEL = 'auto';
+
+// Carried by an `upgradeRequired` stream error
+export interface UpgradePrompt {
+  model?: string;
+  requiredPlan?: string | null;
+}
+
+// Carried by replies answered from the semantic response cache (`cache_hit` event)
+export interface CachedReply {
+  score: number;
+  cachedAt: string | null;
+}
+
+// Token budget of the routed model (`routing` event): its context length and
+// how much of it is kept for the prompt and for the reply
+export interface ContextBudget {
+  model: string;
+  contextLength: number;
+  inputTokens: number;
+  outputTokens: number;
+}
@@ -0,0 +1,28 @@
+// A message found by GET /api/chat/search (see backend services/chatSearchService.js).
+// `highlights` are character ranges of `snippet` that matched the query;
+// `matchedBy` says whether the words matched, the meaning did, or both.
+export interface ChatSearchResult {
+  chatId: string;
+  chatTitle: string | null;
+  messageId: string;
+  role: 'user' | 'assistant';
+  model: string | null;
+  createdAt: string;
+  snippet: string;
+  highlights: Array<{ start: number; end: number }>;
+  matchedBy: Array<'text' | 'semantic'>;
+  score: number;
+}
+
+export interface ChatSearchResponse {
+  query: string;
+  results: ChatSearchResult[];
+}
+
+export interface ChatSearchFilters {
+  from?: string;
+  to?: string;
+  model?: string;
+  tags?: string[];
+  limit?: number;
+}
@@ -0,0 +1,16 @@
+// Outcome of a reply requested with a JSON Schema (`responseSchema`).
+// Sent as the `structured` stream event and stored in the assistant message
+// metadata (`metadata.structured`) once the reply is saved.
+export interface StructuredResult {
+  valid: boolean;
+  // The first answer did not match and the model's one repair attempt did
+  repaired: boolean;
+  errors: string[];
+  // Parsed JSON; only present on live replies
+  data?: unknown;
+}
+
+export interface StructuredRequest {
+  responseSchema: Record<string, unknown>;
+  schemaName?: string;
+}
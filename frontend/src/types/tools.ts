@@ -0,0 +1,13 @@
+// One tool call the assistant made while generating a reply.
+// Built from the `tool_call` / `tool_result` stream events and stored in the
+// assistant message metadata (`metadata.toolSteps`) once the reply is saved.
+export interface ToolStep {
+  id: string;
+  name: string;
+  arguments?: unknown;
+  // Undefined while the tool is still running
+  ok?: boolean;
+  result?: unknown;
+  error?: string;
+  durationMs?: number;
+}
@@ -36,6 +36,19 @@ export interface RequestOptions {
   signal?: AbortSignal;
 }
 
+export interface DownloadedFile {
+  blob: Blob;
+  // From Content-Disposition; null when the server did not name the file
+  fileName: string | null;
+}
+
+const fileNameFromDisposition = (disposition: string | null): string | null => {
+  if (!disposition) return null;
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  return disposition.match(/filename="?([^";]+)"?/i)?.[1] ?? null;
+};
+
 class ApiClient {
   private baseURL: string;
   private timeout: number;
@@ -105,10 +118,13 @@ class ApiClient {
   private async makeRequest<T>(
     url: string,
     init: RequestInit,
-    options: RequestOptions = {}
+    options: RequestOptions = {},
+    asFile = false
   ): Promise<T> {
     const fullUrl = url.startsWith('http') ? url : `${this.baseURL}${url}`;
     const headers = await this.buildHeaders(options);
+    // The browser sets multipart/form-data with its boundary for FormData bodies
+    if (init.body instanceof FormData) delete headers['Content-Type'];
     const timeout = options.timeout || this.timeout;
     const maxRetries = options.retries ?? this.retries;
 
@@ -169,7 +185,13 @@ class ApiClient {
         }
         
         // Parse successful response
-        if (contentType?.includes('application/json')) {
+        if (asFile) {
+          const file: DownloadedFile = {
+            blob: await response.blob(),
+            fileName: fileNameFromDisposition(response.headers.get('content-disposition'))
+          };
+          return file as T;
+        } else if (contentType?.includes('application/json')) {
           return await response.json();
         } else {
           return await response.text() as T;
@@ -266,6 +288,13 @@ class ApiClient {
     return this.makeRequest<T>(url, { method: 'DELETE' }, options);
   }
 
+  /**
+   * GET a file (e.g. an export) as a Blob
+   */
+  async download(url: string, options: RequestOptions = {}): Promise<DownloadedFile> {
+    return this.makeRequest<DownloadedFile>(url, { method: 'GET' }, options, true);
+  }
+
   /**
    * Upload file
    */
@@ -299,6 +328,7 @@ export const request = {
   put: <T = any>(url: string, data?: any, options?: RequestOptions) => apiClient.put<T>(url, data, options),
   patch: <T = any>(url: string, data?: any, options?: RequestOptions) => apiClient.patch<T>(url, data, options),
   delete: <T = any>(url: string, options?: RequestOptions) => apiClient.delete<T>(url, options),
+  download: (url: string, options?: RequestOptions) => apiClient.download(url, options),
   upload: <T = any>(url: string, file: File, options?: RequestOptions) => apiClient.upload<T>(url, file, options)
 };
 
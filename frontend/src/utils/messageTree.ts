@@ -0,0 +1,74 @@
+/*
+  messageTree: the branch of a chat to show (mirrors backend utils/messageTree.js).
+  - Messages link to the message they follow through parent_message_id; edits and
+    regenerations are siblings under the same parent.
+  - The active path leads to the newest message, or to the newest message below a
+    picked branch. Messages whose parent is not loaded are treated as roots.
+  - Chats loaded without any parent links (older caches) are shown as they are.
+*/
+
+export interface TreeMessage {
+  id: string;
+  parent_message_id?: string | null;
+  timestamp?: string | Date;
+  created_at?: string;
+}
+
+export interface BranchInfo {
+  siblingIds: string[];
+  // 0-based position among the siblings
+  branchIndex: number;
+  branchCount: number;
+}
+
+const timeOf = (message: TreeMessage) => new Date(message.created_at || message.timestamp || 0).getTime();
+
+const indexMessages = <T extends TreeMessage>(messages: T[]) => {
+  const byId = new Map(messages.map(message => [message.id, message]));
+  const children = new Map<string | null, T[]>();
+  for (const message of [...messages].sort((a, b) => timeOf(a) - timeOf(b))) {
+    const parentId = message.parent_message_id && byId.has(message.parent_message_id) ? message.parent_message_id : null;
+    children.set(parentId, [...(children.get(parentId) || []), message]);
+  }
+  return { byId, children };
+};
+
+export const hasBranches = (messages: TreeMessage[]) => messages.some(message => message.parent_message_id);
+
+/**
+ * Messages on the branch to show, root first, each with its sibling info.
+ * @param fromId - A message on the picked branch; null follows the newest message
+ */
+export function getActivePath<T extends TreeMessage>(messages: T[], fromId: string | null = null): Array<T & BranchInfo> {
+  if (!hasBranches(messages)) {
+    return messages.map(message => ({ ...message, siblingIds: [message.id], branchIndex: 0, branchCount: 1 }));
+  }
+
+  const { byId, children } = indexMessages(messages);
+
+  // Newest message below the starting point is always a leaf
+  let leaf: T | undefined = fromId ? byId.get(fromId) : undefined;
+  const pending = [...(children.get(leaf ? leaf.id : null) || [])];
+  while (pending.length) {
+    const message = pending.pop() as T;
+    if (!leaf || timeOf(message) > timeOf(leaf)) leaf = message;
+    pending.push(...(children.get(message.id) || []));
+  }
+
+  const path: Array<T & BranchInfo> = [];
+  const seen = new Set<string>();
+  let current = leaf;
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    const parentId = current.parent_message_id && byId.has(current.parent_message_id) ? current.parent_message_id : null;
+    const siblingIds = (children.get(parentId) || []).map(sibling => sibling.id);
+    path.unshift({
+      ...current,
+      siblingIds,
+      branchIndex: Math.max(siblingIds.indexOf(current.id), 0),
+      branchCount: Math.max(siblingIds.length, 1)
+    });
+    current = parentId ? byId.get(parentId) : undefined;
+  }
+  return path;
+}
@@ -0,0 +1,55 @@
+/*
+  sseStream: minimal Server-Sent Events reader for fetch() bodies.
+  - Buffers partial lines across chunks so frames split by the network are not lost.
+  - Exposes the `id:` of each frame so callers can resume with Last-Event-ID.
+  - Resolves true once the callback asks to stop (e.g. on [DONE]), false if the
+    connection ended first, which callers treat as a dropped stream.
+*/
+
+export interface SseFrame {
+  id: number | null;
+  data: string;
+}
+
+export const readSseStream = async (
+  reader: ReadableStreamDefaultReader<Uint8Array>,
+  onFrame: (frame: SseFrame) => boolean | void
+): Promise<boolean> => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let id: number | null = null;
+  let dataLines: string[] = [];
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return false;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() ?? '';
+
+    for (const rawLine of lines) {
+      const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+      // A blank line dispatches the frame collected so far
+      if (line === '') {
+        if (dataLines.length > 0) {
+          const stop = onFrame({ id, data: dataLines.join('\n') });
+          id = null;
+          dataLines = [];
+          if (stop) return true;
+        }
+        continue;
+      }
+
+      if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      } else if (line.startsWith('id:')) {
+        const parsed = parseInt(line.slice(3).trim(), 10);
+        if (!Number.isNaN(parsed)) id = parsed;
+      }
+    }
+  }
+};
+
+export default readSseStream;